@@ -17,12 +17,32 @@ document.addEventListener('DOMContentLoaded', () => {
     const validator = new InputValidator();
     const miniCalc = new MiniCalculators();
     const qualityControl = new QualityControl();
+    const studyStore = new StudyStore();
 
     // Initialize Motility System
     const motilityController = new MotilityController();
     const motilitySVG = new MotilitySVG(motilityController);
 
-    const uiController = new UIController(calculator, validator, miniCalc, qualityControl, motilityController);
+    // Headless calculation/report engine (the UI only binds inputs to it)
+    const engine = new StudyEngine({
+        calculator,
+        miniCalc,
+        aorticRegurgitation: window.aorticRegurgitationModule,
+        aorticStenosis: window.aorticStenosisModule,
+        mitralRegurgitation: window.mitralRegurgitationModule,
+        tricuspidRegurgitation: window.tricuspidRegurgitationModule,
+        pulmonaryValve: window.pulmonaryValveModule,
+        prostheticValve: window.prostheticValveModule,
+        pericardialEffusion: window.pericardialEffusionModule,
+        constrictiveRestrictive: window.constrictiveRestrictiveModule,
+        rvFunction: window.rvFunctionModule,
+        laFunction: window.laFunctionModule,
+        MotilityController,
+        ReportGenerator,
+        comparison: new StudyComparison()
+    });
+
+    const uiController = new UIController(calculator, validator, miniCalc, qualityControl, motilityController, studyStore, engine);
 
     // Initialize UI controller (sets up event listeners)
     uiController.init();
@@ -33,7 +53,9 @@ document.addEventListener('DOMContentLoaded', () => {
         validator,
         miniCalc,
         qualityControl,
+        engine,
         uiController,
+        studyStore,
         motilityController,
         motilitySVG
     };
@@ -50,7 +50,8 @@ class AorticRegurgitationModule {
             }
         };
 
-        this.init();
+        // Headless use (Node, StudyEngine): no DOM to bind
+        if (typeof document !== 'undefined') this.init();
     }
 
     init() {
@@ -108,17 +109,42 @@ class AorticRegurgitationModule {
     }
 
     getValues() {
+        const fields = {};
+        Object.values(this.inputs).forEach(id => {
+            const el = document.getElementById(id);
+            if (el) fields[id] = el.type === 'checkbox' ? el.checked : el.value;
+        });
+        return this.valuesFromModel(fields);
+    }
+
+    // Same values from a study model field snapshot ({ iao_vc: '0.4', ... }), no DOM access
+    valuesFromModel(fields) {
         return {
-            vc: parseFloat(document.getElementById(this.inputs.vc)?.value) || 0,
-            pht: parseFloat(document.getElementById(this.inputs.pht)?.value) || 0,
-            jetWidth: parseFloat(document.getElementById(this.inputs.jetWidth)?.value) || 0,
-            rvol: parseFloat(document.getElementById(this.inputs.rvol)?.value) || 0,
-            eroa: parseFloat(document.getElementById(this.inputs.eroa)?.value) || 0,
-            alcance: document.getElementById(this.inputs.alcance)?.value || 'tsvi',
-            flujoReverso: document.getElementById(this.inputs.flujoReverso)?.checked || false
+            vc: parseFloat(fields[this.inputs.vc]) || 0,
+            pht: parseFloat(fields[this.inputs.pht]) || 0,
+            jetWidth: parseFloat(fields[this.inputs.jetWidth]) || 0,
+            rvol: parseFloat(fields[this.inputs.rvol]) || 0,
+            eroa: parseFloat(fields[this.inputs.eroa]) || 0,
+            alcance: fields[this.inputs.alcance] || 'tsvi',
+            flujoReverso: fields[this.inputs.flujoReverso] === true
         };
     }
 
+    // Inverse of getValues(): write a stored set of values into the inputs
+    setValues(data) {
+        if (!data) return;
+
+        Object.entries(this.inputs).forEach(([key, id]) => {
+            const el = document.getElementById(id);
+            if (!el || data[key] === undefined) return;
+
+            if (el.type === 'checkbox') el.checked = data[key] === true;
+            else el.value = typeof data[key] === 'number' && data[key] === 0 ? '' : data[key];
+        });
+
+        this.updateState();
+    }
+
     determineSeverity(data) {
         // A. CRITERIOS DE SEVERIDAD (SEVERA)
         // VC > 6 mm
@@ -239,8 +265,7 @@ class AorticRegurgitationModule {
     }
 
     // Generate only descriptive text (NO diagnosis)
-    generateFindings() {
-        const data = this.getValues();
+    generateFindings(data = this.getValues()) {
 
         // Skip if empty
         const hasData = (data.vc > 0 || data.pht > 0 || data.jetWidth > 0 || data.rvol > 0 || data.eroa > 0 || data.flujoReverso || data.alcance !== 'tsvi');
@@ -279,8 +304,7 @@ class AorticRegurgitationModule {
     }
 
     // Generate only diagnosis (Severity) for Conclusion
-    generateConclusion() {
-        const data = this.getValues();
+    generateConclusion(data = this.getValues()) {
         const severity = this.determineSeverity(data);
         const hasData = (data.vc > 0 || data.pht > 0 || data.jetWidth > 0 || data.rvol > 0 || data.eroa > 0 || data.flujoReverso || data.alcance !== 'tsvi');
 
@@ -292,4 +316,11 @@ class AorticRegurgitationModule {
 }
 
 // Initialize globally
-window.aorticRegurgitationModule = new AorticRegurgitationModule();
+if (typeof window !== 'undefined') {
+    window.aorticRegurgitationModule = new AorticRegurgitationModule();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AorticRegurgitationModule;
+}
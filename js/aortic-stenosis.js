@@ -0,0 +1,206 @@
+/**
+ * Aortic Stenosis Module
+ * Grades severity from Vmax, mean gradient, AVA, AVAi and the dimensionless index
+ * (ASE/EACVI 2017, ESC/EACTS 2021) and classifies AVA/gradient discordance by flow and EF
+ */
+
+class AorticStenosisModule {
+    constructor() {
+        this.inputs = {
+            vmax: 'ea_vmax',
+            gradMean: 'ea_grad_medio',
+            ava: 'ea_ava',
+            avaIndex: 'ea_ava_index',
+            coef: 'ea_coef'
+        };
+        this.output = {
+            badge: 'ea_severity_badge'
+        };
+
+        // Severe / moderate cut-offs
+        this.thresholds = {
+            vmax: { severe: 4.0, moderate: 3.0 },       // m/s
+            gradMean: { severe: 40, moderate: 20 },     // mmHg
+            ava: { severe: 1.0, moderate: 1.5 },        // cm² (severe <, moderate ≤)
+            avaIndex: { severe: 0.6, moderate: 0.85 },  // cm²/m²
+            coef: { severe: 0.25, moderate: 0.50 },
+            svi: 35,                                    // ml/m², low flow below
+            lvef: 50                                    // %, reduced EF below
+        };
+
+        // Discordance / flow-gradient patterns
+        this.patterns = {
+            alto_gradiente: {
+                badge: 'Severa (alto gradiente)',
+                level: 'Severa',
+                conclusion: 'Estenosis Aórtica Severa de alto gradiente',
+                finding: ''
+            },
+            bajo_flujo_clasica: {
+                badge: 'Severa BF-BG clásica',
+                level: 'Severa',
+                conclusion: 'Estenosis Aórtica Severa de bajo flujo-bajo gradiente clásica con fracción de eyección reducida',
+                finding: 'patrón de bajo flujo-bajo gradiente clásico con FEy reducida. Se sugiere eco estrés con dobutamina para confirmar severidad y reserva contráctil.'
+            },
+            bajo_flujo_paradojal: {
+                badge: 'Severa BF-BG paradojal',
+                level: 'Severa',
+                conclusion: 'Estenosis Aórtica Severa de bajo flujo-bajo gradiente paradojal con fracción de eyección conservada',
+                finding: 'patrón de bajo flujo-bajo gradiente paradojal con FEy conservada. Se sugiere score de calcio valvular por TC para confirmar severidad.'
+            },
+            flujo_normal_bajo_gradiente: {
+                badge: 'FN-BG (prob. moderada)',
+                level: 'Moderada',
+                conclusion: 'Estenosis Aórtica de flujo normal-bajo gradiente (probablemente moderada)',
+                finding: 'patrón de flujo normal-bajo gradiente. Verificar diámetro del TSVI (posible subestimación del AVA) y considerar score de calcio valvular por TC.'
+            },
+            bajo_flujo_fey_no_evaluada: {
+                badge: 'Discordante BF (sin FEy)',
+                level: 'Discordante',
+                conclusion: 'Estenosis Aórtica con discordancia AVA/gradiente y bajo flujo (FEy no evaluada)',
+                finding: 'patrón de bajo flujo-bajo gradiente, FEy no evaluada. Ingrese la FEy para distinguir la forma clásica de la paradojal.'
+            },
+            flujo_no_evaluado: {
+                badge: 'Discordante (sin VSi)',
+                level: 'Discordante',
+                conclusion: 'Estenosis Aórtica con discordancia AVA/gradiente (flujo no evaluado)',
+                finding: 'flujo no evaluado. Calcule el VSi (diámetro y VTI del TSVI) para clasificar la discordancia.'
+            }
+        };
+    }
+
+    // Values from a study model field snapshot ({ ea_vmax: '4.2', ... }) plus EF and the LVOT flow result
+    valuesFromModel(fields, flow = null) {
+        return {
+            vmax: parseFloat(fields[this.inputs.vmax]) || 0,
+            gradMean: parseFloat(fields[this.inputs.gradMean]) || 0,
+            ava: parseFloat(fields[this.inputs.ava]) || 0,
+            avaIndex: parseFloat(fields[this.inputs.avaIndex]) || 0,
+            coef: parseFloat(fields[this.inputs.coef]) || 0,
+            lvef: parseFloat(fields.fevi) || 0,
+            svi: flow && flow.svi ? parseFloat(flow.svi) : 0
+        };
+    }
+
+    hasData(data) {
+        return data.vmax > 0 || data.gradMean > 0 || data.ava > 0 || data.avaIndex > 0 || data.coef > 0;
+    }
+
+    // Grade from Vmax / mean gradient: 3 severe, 2 moderate, 1 mild, 0 not measured
+    gradientGrade(data) {
+        const t = this.thresholds;
+        if (!data.vmax && !data.gradMean) return 0;
+        if (data.vmax >= t.vmax.severe || data.gradMean >= t.gradMean.severe) return 3;
+        if (data.vmax >= t.vmax.moderate || data.gradMean >= t.gradMean.moderate) return 2;
+        return 1;
+    }
+
+    // Grade from the first available area parameter: AVA, then AVAi, then dimensionless index
+    areaGrade(data) {
+        const t = this.thresholds;
+        const key = ['ava', 'avaIndex', 'coef'].find(k => data[k] > 0);
+        if (!key) return 0;
+        if (data[key] < t[key].severe) return 3;
+        if (data[key] <= t[key].moderate) return 2;
+        return 1;
+    }
+
+    /**
+     * Severity and discordance pattern
+     * @param {object} data - From valuesFromModel()
+     * @returns {object} - { level, color, class, pattern }
+     */
+    determineSeverity(data) {
+        const styles = {
+            Severa: { color: 'red', class: 'badge-severe' },
+            Moderada: { color: 'yellow', class: 'badge-moderate' },
+            Discordante: { color: 'yellow', class: 'badge-moderate' },
+            Leve: { color: 'green', class: 'badge-mild' }
+        };
+        const withStyle = (level, pattern = null) => ({ level, ...styles[level], pattern });
+
+        if (!this.hasData(data)) return { level: 'No evaluada', color: 'gray', class: 'badge-none', pattern: null };
+
+        const gradient = this.gradientGrade(data);
+        const area = this.areaGrade(data);
+
+        if (gradient === 3) return withStyle('Severa', 'alto_gradiente');
+
+        // Severe area with a non-severe gradient: classify by flow (SVi) and EF
+        if (area === 3 && gradient > 0) {
+            let pattern;
+            if (!data.svi) pattern = 'flujo_no_evaluado';
+            else if (data.svi >= this.thresholds.svi) pattern = 'flujo_normal_bajo_gradiente';
+            else if (!(data.lvef > 0)) pattern = 'bajo_flujo_fey_no_evaluada';
+            else if (data.lvef < this.thresholds.lvef) pattern = 'bajo_flujo_clasica';
+            else pattern = 'bajo_flujo_paradojal';
+            return withStyle(this.patterns[pattern].level, pattern);
+        }
+
+        const grade = Math.max(gradient, area);
+        return withStyle(grade === 3 ? 'Severa' : grade === 2 ? 'Moderada' : 'Leve');
+    }
+
+    updateBadge(severity) {
+        const badgeEl = document.getElementById(this.output.badge);
+        if (!badgeEl) return;
+
+        badgeEl.textContent = severity.pattern ? this.patterns[severity.pattern].badge : severity.level;
+        badgeEl.className = `severity-badge ${severity.class}`;
+
+        if (severity.color === 'red') {
+            badgeEl.style.backgroundColor = '#fecaca'; // red-200
+            badgeEl.style.color = '#991b1b'; // red-800
+            badgeEl.style.border = '1px solid #ef4444';
+        } else if (severity.color === 'green') {
+            badgeEl.style.backgroundColor = '#bbf7d0'; // green-200
+            badgeEl.style.color = '#166534'; // green-800
+            badgeEl.style.border = '1px solid #22c55e';
+        } else if (severity.color === 'yellow') {
+            badgeEl.style.backgroundColor = '#fef08a'; // yellow-200
+            badgeEl.style.color = '#854d0e'; // yellow-800
+            badgeEl.style.border = '1px solid #eab308';
+        } else {
+            badgeEl.style.backgroundColor = '#e5e7eb';
+            badgeEl.style.color = '#374151';
+            badgeEl.style.border = '1px solid #d1d5db';
+        }
+    }
+
+    // Descriptive discordance text (only for low-gradient patterns)
+    generateFindings(data) {
+        const severity = this.determineSeverity(data);
+        if (!severity.pattern || !this.patterns[severity.pattern].finding) return '';
+
+        const params = [];
+        if (data.ava > 0) params.push(`AVA ${data.ava} cm²`);
+        else if (data.avaIndex > 0) params.push(`AVA indexada ${data.avaIndex} cm²/m²`);
+        else params.push(`coef. adimensional ${data.coef}`);
+        params.push(data.gradMean > 0 ? `gradiente medio ${data.gradMean} mmHg` : `Vmax ${data.vmax} m/s`);
+
+        let context = '';
+        if (data.svi > 0) context += ` con VSi ${data.svi} ml/m²`;
+        if (data.lvef > 0) context += `${context ? ' y' : ' con'} FEy ${data.lvef}%`;
+
+        return `Discordancia entre ${params.join(' y ')}${context}: ${this.patterns[severity.pattern].finding}`;
+    }
+
+    // Diagnosis for Conclusion (without trailing period, it is joined with other aortic findings)
+    generateConclusion(data) {
+        if (!this.hasData(data)) return '';
+
+        const severity = this.determineSeverity(data);
+        if (severity.pattern) return this.patterns[severity.pattern].conclusion;
+        return `Estenosis Aórtica ${severity.level}`;
+    }
+}
+
+// Initialize globally
+if (typeof window !== 'undefined') {
+    window.aorticStenosisModule = new AorticStenosisModule();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AorticStenosisModule;
+}
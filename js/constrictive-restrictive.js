@@ -0,0 +1,184 @@
+/**
+ * Constriction vs Restriction Module
+ * Mayo Clinic criteria for constrictive pericarditis (Welch et al., Circ Cardiovasc Imaging 2014):
+ * respirophasic septal shift, medial e' ≥ 9 cm/s and hepatic vein expiratory diastolic reversal ratio ≥ 0.79
+ */
+
+class ConstrictiveRestrictiveModule {
+    constructor() {
+        this.inputs = {
+            assessed: 'cp_evaluar',
+            septalBounce: 'cp_rebote_septal',
+            septalShift: 'cp_desplazamiento_septal',
+            medialE: 'cp_e_medial',
+            lateralE: 'cp_e_lateral',
+            hvReversal: 'cp_vh_reverso',
+            mitralVariation: 'cp_var_mitral'
+        };
+
+        this.thresholds = {
+            medialE: 9,          // cm/s, preserved or increased in constriction
+            hvReversal: 0.79,    // expiratory diastolic reversal / forward velocity
+            mitralVariation: 25, // %, respiratory variation of mitral E
+            restrictiveE: 7      // cm/s, medial e' reduced in restrictive cardiomyopathy
+        };
+
+        this.levels = {
+            insufficient: 'Datos insuficientes',
+            restriction: 'Sugiere restricción',
+            unlikely: 'Constricción improbable',
+            possible: 'Constricción posible',
+            probable: 'Constricción probable',
+            veryProbable: 'Constricción muy probable'
+        };
+    }
+
+    // Values from a study model field snapshot ({ cp_evaluar: 'si', cp_e_medial: '12', ... })
+    valuesFromModel(fields) {
+        const num = key => parseFloat(fields[this.inputs[key]]) || 0;
+        return {
+            septalBounce: fields[this.inputs.septalBounce] === true,
+            septalShift: fields[this.inputs.septalShift] === true,
+            medialE: num('medialE'),
+            lateralE: num('lateralE'),
+            hvReversal: num('hvReversal'),
+            mitralVariation: num('mitralVariation')
+        };
+    }
+
+    /**
+     * Mayo criteria (met or not; e' and hepatic vein only count when measured)
+     * @returns {Array<object>} - [{ key, label, met, measured }]
+     */
+    mayoCriteria(data) {
+        return [
+            { key: 'septalShift', label: 'desplazamiento septal respirofásico', met: data.septalShift, measured: true },
+            { key: 'medialE', label: `e' medial ≥ ${this.thresholds.medialE} cm/s`, met: data.medialE >= this.thresholds.medialE, measured: data.medialE > 0 },
+            { key: 'hvReversal', label: `reverso espiratorio en venas suprahepáticas ≥ ${this.thresholds.hvReversal}`, met: data.hvReversal >= this.thresholds.hvReversal, measured: data.hvReversal > 0 }
+        ];
+    }
+
+    /**
+     * Supportive signs of constriction outside the Mayo score
+     * @returns {Array<string>} - Report wording of each sign
+     */
+    supportiveSigns(data) {
+        const signs = [];
+        if (data.septalBounce) signs.push('rebote septal');
+        if (data.medialE > 0 && data.lateralE > 0 && data.medialE > data.lateralE) signs.push('annulus reversus');
+        if (data.mitralVariation >= this.thresholds.mitralVariation) signs.push(`variación respiratoria del flujo mitral ${data.mitralVariation}%`);
+        return signs;
+    }
+
+    /**
+     * Probability of constriction vs restriction
+     * @param {object} data - From valuesFromModel()
+     * @returns {object} - { level, grade (-1 insufficient, 0 low, 1 possible, 2 probable, 3 very probable),
+     *                       favours ('constriccion' | 'restriccion' | ''), met, criteria, supportive }
+     */
+    determineSeverity(data) {
+        const criteria = this.mayoCriteria(data);
+        const met = criteria.filter(c => c.met).length;
+        const supportive = this.supportiveSigns(data);
+        const result = (level, grade, favours) => ({ level, grade, favours, met, criteria, supportive });
+
+        // The septal shift checkbox cannot tell "absent" from "not assessed": require a Doppler criterion
+        if (!data.septalShift && data.medialE === 0 && data.hvReversal === 0) {
+            return result(this.levels.insufficient, -1, '');
+        }
+
+        if (data.septalShift && met === 3) return result(this.levels.veryProbable, 3, 'constriccion');
+        if (data.septalShift && met === 2) return result(this.levels.probable, 2, 'constriccion');
+        if (met > 0) return result(this.levels.possible, 1, '');
+
+        if (data.medialE > 0 && data.medialE < this.thresholds.restrictiveE) {
+            return result(this.levels.restriction, 0, 'restriccion');
+        }
+        return result(this.levels.unlikely, 0, '');
+    }
+
+    // Badge: red when constriction is probable, yellow when possible, blue when restriction is favoured
+    updateBadge(severity) {
+        const badgeEl = document.getElementById('cp_severity_badge');
+        if (!badgeEl) return;
+
+        badgeEl.textContent = severity.level;
+        badgeEl.className = 'severity-badge';
+
+        if (severity.grade >= 2) {
+            badgeEl.classList.add('badge-severe');
+            badgeEl.style.backgroundColor = '#fecaca'; // red-200
+            badgeEl.style.color = '#991b1b'; // red-800
+            badgeEl.style.border = '1px solid #ef4444';
+        } else if (severity.grade === 1) {
+            badgeEl.classList.add('badge-moderate');
+            badgeEl.style.backgroundColor = '#fef08a'; // yellow-200
+            badgeEl.style.color = '#854d0e'; // yellow-800
+            badgeEl.style.border = '1px solid #eab308';
+        } else if (severity.favours === 'restriccion') {
+            badgeEl.classList.add('badge-moderate');
+            badgeEl.style.backgroundColor = '#bfdbfe'; // blue-200
+            badgeEl.style.color = '#1e40af'; // blue-800
+            badgeEl.style.border = '1px solid #3b82f6';
+        } else if (severity.grade === 0) {
+            badgeEl.classList.add('badge-mild');
+            badgeEl.style.backgroundColor = '#bbf7d0'; // green-200
+            badgeEl.style.color = '#166534'; // green-800
+            badgeEl.style.border = '1px solid #22c55e';
+        } else {
+            badgeEl.classList.add('badge-none');
+            badgeEl.style.backgroundColor = '#e5e7eb';
+            badgeEl.style.color = '#374151';
+            badgeEl.style.border = '1px solid #d1d5db';
+        }
+    }
+
+    // Generate only descriptive text (NO diagnosis)
+    generateFindings(data) {
+        const params = [];
+        if (data.septalBounce) params.push('rebote septal');
+        params.push(data.septalShift ? 'desplazamiento septal respirofásico' : 'sin desplazamiento septal respirofásico');
+        if (data.medialE > 0 && data.lateralE > 0) {
+            params.push(`e' medial ${data.medialE} cm/s, e' lateral ${data.lateralE} cm/s${data.medialE > data.lateralE ? ' (annulus reversus)' : ''}`);
+        } else if (data.medialE > 0) {
+            params.push(`e' medial ${data.medialE} cm/s`);
+        }
+        if (data.hvReversal > 0) params.push(`relación reverso espiratorio/anterógrado en venas suprahepáticas ${data.hvReversal}`);
+        if (data.mitralVariation > 0) params.push(`variación respiratoria del flujo mitral ${data.mitralVariation}%`);
+
+        return `Evaluación de constricción/restricción: ${params.join(', ')}.`;
+    }
+
+    // Diagnosis for Conclusion (probability statement)
+    generateConclusion(data) {
+        const severity = this.determineSeverity(data);
+        const metLabels = severity.criteria.filter(c => c.met).map(c => c.label);
+        const supportive = severity.supportive.length > 0 ? ` Signos de apoyo: ${severity.supportive.join(', ')}.` : '';
+
+        switch (severity.grade) {
+            case 3:
+                return `Muy alta probabilidad de pericarditis constrictiva (criterios de Mayo 3/3: ${metLabels.join(', ')}; especificidad 97%).${supportive}`;
+            case 2:
+                return `Alta probabilidad de pericarditis constrictiva (criterios de Mayo 2/3: ${metLabels.join(', ')}; sensibilidad 87%, especificidad 91%).${supportive}`;
+            case 1:
+                return `Probabilidad intermedia de pericarditis constrictiva (criterios de Mayo ${severity.met}/3: ${metLabels.join(', ')}): considerar RM cardíaca o cateterismo simultáneo de ambos ventrículos.${supportive}`;
+            case 0:
+                if (severity.favours === 'restriccion') {
+                    return `Baja probabilidad de pericarditis constrictiva; e' medial reducida (${data.medialE} cm/s) sin desplazamiento septal respirofásico, sugestivo de miocardiopatía restrictiva.`;
+                }
+                return 'Baja probabilidad de pericarditis constrictiva (criterios de Mayo 0/3).';
+            default:
+                return '';
+        }
+    }
+}
+
+// Initialize globally
+if (typeof window !== 'undefined') {
+    window.constrictiveRestrictiveModule = new ConstrictiveRestrictiveModule();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConstrictiveRestrictiveModule;
+}
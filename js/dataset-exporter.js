@@ -0,0 +1,496 @@
+/**
+ * Dataset Exporter Module
+ * Research dataset with header row, stable column ids and locale-independent numbers.
+ * Exports study records (see StudyStore) as CSV or as a real .xlsx built in the browser.
+ */
+
+class DatasetExporter {
+
+    constructor() {
+        const field = id => study => study.fields[id];
+        const result = key => study => study.results ? study.results[key] : '';
+        const flow = key => study => study.results && study.results.flow ? study.results.flow[key] : '';
+        const mitralStenosis = key => study => {
+            const ms = study.results && study.results.mitralStenosis;
+            return ms && ms[key] ? ms[key].mva : '';
+        };
+        const pulmonary = key => study => {
+            const pv = study.results && study.results.pulmonaryValve;
+            return pv && pv.data[key] > 0 ? pv.data[key] : '';
+        };
+        const prosthesis = (position, key) => study => {
+            const valves = study.results && study.results.prostheticValves;
+            return valves && valves[position] && valves[position].data[key] > 0 ? valves[position].data[key] : '';
+        };
+        const rv = get => study => study.results && study.results.rvFunction ? get(study.results.rvFunction.data) : '';
+        const laVolume = get => study => study.results && study.results.laVolume ? get(study.results.laVolume) : '';
+        const la = get => study => study.results && study.results.laFunction ? get(study.results.laFunction.data) : '';
+        const ph = get => study => study.results && study.results.phProbability ? get(study.results.phProbability) : '';
+        const pericardium = study => study.results && study.results.pericardium;
+        const constriction = study => study.results && study.results.constriction;
+        const tricuspid = key => study => {
+            const tr = study.results && study.results.tricuspidRegurgitation;
+            return tr && tr.data[key] > 0 ? tr.data[key] : '';
+        };
+
+        // Column registry: id is the stable header, label is shown in the selector
+        this.columns = [
+            // Paciente
+            { id: 'fecha_estudio', label: 'Fecha del estudio', group: 'Paciente', type: 'text', get: study => study.fecha },
+            { id: 'paciente_id', label: 'HC / ID', group: 'Paciente', type: 'text', get: study => study.pacienteId },
+            { id: 'edad', label: 'Edad (años)', group: 'Paciente', type: 'number', get: field('edad') },
+            { id: 'sexo', label: 'Sexo', group: 'Paciente', type: 'text', get: field('sexo') },
+            { id: 'peso', label: 'Peso (kg)', group: 'Paciente', type: 'number', get: field('peso') },
+            { id: 'altura', label: 'Altura (cm)', group: 'Paciente', type: 'number', get: field('altura') },
+            { id: 'sc_m2', label: 'Superficie corporal (m²)', group: 'Paciente', type: 'number', decimals: 2, get: result('bsa') },
+            { id: 'sc_formula', label: 'Fórmula de SC', group: 'Paciente', type: 'text', get: study => study.fields.bsa_metodo || 'dubois' },
+            { id: 'ritmo', label: 'Ritmo', group: 'Paciente', type: 'text', get: field('ritmo') },
+            { id: 'conduccion', label: 'Conducción', group: 'Paciente', type: 'text', get: field('conduccion') },
+
+            // Ventrículo izquierdo
+            { id: 'siv_mm', label: 'Septum (mm)', group: 'Ventrículo izquierdo', type: 'number', get: field('siv') },
+            { id: 'pp_mm', label: 'Pared posterior (mm)', group: 'Ventrículo izquierdo', type: 'number', get: field('pp') },
+            { id: 'ddvi_mm', label: 'DDVI (mm)', group: 'Ventrículo izquierdo', type: 'number', get: field('ddvi') },
+            { id: 'dsvi_mm', label: 'DSVI (mm)', group: 'Ventrículo izquierdo', type: 'number', get: field('dsvi') },
+            { id: 'fevi_pct', label: 'FEy (%)', group: 'Ventrículo izquierdo', type: 'number', get: field('fevi') },
+            { id: 'masa_vi_g', label: 'Masa VI (g)', group: 'Ventrículo izquierdo', type: 'number', decimals: 0, get: result('lvMass') },
+            { id: 'masa_vi_metodo', label: 'Método masa VI', group: 'Ventrículo izquierdo', type: 'text', get: study => study.fields.masa_metodo || 'cubo' },
+            { id: 'masa_vi_idx_g_m2', label: 'Masa VI indexada (g/m²)', group: 'Ventrículo izquierdo', type: 'number', decimals: 0, get: study => this.lvMassIndexBSA(study) },
+            { id: 'masa_vi_idx_g_m27', label: 'Masa VI indexada (g/m^2.7)', group: 'Ventrículo izquierdo', type: 'number', decimals: 1, get: result('lvMassIndexHeight') },
+            { id: 'masa_vi_indexacion', label: 'Indexación masa VI (geometría)', group: 'Ventrículo izquierdo', type: 'text', get: study => study.fields.masa_indexacion || 'sc' },
+            { id: 'rwt', label: 'Espesor relativo (RWT)', group: 'Ventrículo izquierdo', type: 'number', decimals: 2, get: result('rwt') },
+            { id: 'geometria_vi', label: 'Geometría VI', group: 'Ventrículo izquierdo', type: 'text', get: result('geometry') },
+            { id: 'motilidad_global', label: 'Motilidad global', group: 'Ventrículo izquierdo', type: 'text', get: field('motilidad_global') },
+            { id: 'motilidad_patron', label: 'Patrón de motilidad', group: 'Ventrículo izquierdo', type: 'text', get: study => study.motility ? study.motility.pattern : '' },
+            { id: 'wmsi', label: 'WMSI', group: 'Ventrículo izquierdo', type: 'number', decimals: 2, get: study => this.calculateWMSI(study) },
+
+            // Diástole y aurícula izquierda
+            { id: 'onda_e_cm_s', label: 'Onda E (cm/s)', group: 'Diástole / AI', type: 'number', get: field('onda_e') },
+            { id: 'onda_a_cm_s', label: 'Onda A (cm/s)', group: 'Diástole / AI', type: 'number', get: field('onda_a') },
+            { id: 'e_prima_cm_s', label: "e' promedio (cm/s)", group: 'Diástole / AI', type: 'number', get: field('onda_e_prime') },
+            { id: 'relacion_e_a', label: 'Relación E/A', group: 'Diástole / AI', type: 'number', decimals: 2, get: study => this.ratio(study.fields.onda_e, study.fields.onda_a) },
+            { id: 'relacion_e_eprima', label: "Relación E/e'", group: 'Diástole / AI', type: 'number', decimals: 1, get: study => this.ratio(study.fields.onda_e, study.fields.onda_e_prime) },
+            { id: 'e_prima_septal_cm_s', label: "e' septal (cm/s)", group: 'Diástole / AI', type: 'number', get: field('onda_e_prime_septal') },
+            { id: 'e_prima_lateral_cm_s', label: "e' lateral (cm/s)", group: 'Diástole / AI', type: 'number', get: field('onda_e_prime_lateral') },
+            { id: 'tde_ms', label: 'Tiempo de desaceleración E (ms)', group: 'Diástole / AI', type: 'number', get: field('diast_tde') },
+            { id: 'triv_ms', label: 'TRIV (ms)', group: 'Diástole / AI', type: 'number', get: field('diast_trivi') },
+            { id: 'vp_s_d', label: 'Relación S/D venas pulmonares', group: 'Diástole / AI', type: 'number', decimals: 2, get: field('diast_vp_sd') },
+            { id: 'ai_strain_reservorio_pct', label: 'Strain de reservorio AI (%)', group: 'Diástole / AI', type: 'number', decimals: 1, get: field('ai_strain_reservorio') },
+            { id: 'var_e_escasa', label: 'Variabilidad de la onda E escasa (FA)', group: 'Diástole / AI', type: 'bool', get: field('diast_var_e') },
+            { id: 'diast_poblacion', label: 'Población (algoritmo diastólico)', group: 'Diástole / AI', type: 'text', get: field('diast_poblacion') },
+            { id: 'diast_algoritmo', label: 'Algoritmo diastólico', group: 'Diástole / AI', type: 'text', get: result('diastolicAlgorithm') },
+            { id: 'funcion_diastolica', label: 'Función diastólica (grado)', group: 'Diástole / AI', type: 'text', get: result('diastolicGrade') },
+            { id: 'vol_ai_idx_ml_m2', label: 'Vol. AI indexado (ml/m²)', group: 'Diástole / AI', type: 'number', get: field('vol_ai') },
+            { id: 'vol_ai_ml', label: 'Vol. AI (ml)', group: 'Diástole / AI', type: 'number', decimals: 1, get: laVolume(v => v.volume > 0 ? v.volume : '') },
+            { id: 'vol_ai_metodo', label: 'Método Vol. AI', group: 'Diástole / AI', type: 'text', get: laVolume(v => v.methodName) },
+            { id: 'vol_ai_clasificacion', label: 'Clasificación Vol. AI', group: 'Diástole / AI', type: 'text', get: laVolume(v => v.classification) },
+            { id: 'ai_strain_conducto_pct', label: 'Strain de conducto AI (%)', group: 'Diástole / AI', type: 'number', decimals: 1, get: field('ai_strain_conducto') },
+            { id: 'ai_strain_contractil_pct', label: 'Strain contráctil AI (%)', group: 'Diástole / AI', type: 'number', decimals: 1, get: field('ai_strain_contractil') },
+            { id: 'ai_vol_max_ml', label: 'Volumen AI máximo (ml)', group: 'Diástole / AI', type: 'number', get: field('ai_vol_max') },
+            { id: 'ai_vol_min_ml', label: 'Volumen AI mínimo (ml)', group: 'Diástole / AI', type: 'number', get: field('ai_vol_min') },
+            { id: 'ai_vol_pre_a_ml', label: 'Volumen AI pre-A (ml)', group: 'Diástole / AI', type: 'number', get: field('ai_vol_pre_a') },
+            { id: 'ai_fv_total_pct', label: 'Fracción de vaciado AI total (%)', group: 'Diástole / AI', type: 'number', decimals: 0, get: la(data => data.totalEF) },
+            { id: 'ai_fv_pasiva_pct', label: 'Fracción de vaciado AI pasiva (%)', group: 'Diástole / AI', type: 'number', decimals: 0, get: la(data => data.passiveEF) },
+            { id: 'ai_fv_activa_pct', label: 'Fracción de vaciado AI activa (%)', group: 'Diástole / AI', type: 'number', decimals: 0, get: la(data => data.activeEF) },
+            { id: 'ai_rigidez', label: "Índice de rigidez AI (E/e' / strain reservorio)", group: 'Diástole / AI', type: 'number', decimals: 2, get: la(data => data.stiffness) },
+            { id: 'ai_funcion', label: 'Función AI', group: 'Diástole / AI', type: 'text', get: study => study.results && study.results.laFunction && study.results.laFunction.severity.grade >= 0 ? study.results.laFunction.severity.level : '' },
+
+            // Válvula mitral
+            { id: 'im_grado', label: 'Insuficiencia mitral', group: 'Válvula mitral', type: 'text', get: field('im_grado') },
+            { id: 'im_vc_mm', label: 'IM vena contracta (mm)', group: 'Válvula mitral', type: 'number', get: field('im_vc') },
+            { id: 'im_ore_cm2', label: 'IM ORE (cm²)', group: 'Válvula mitral', type: 'number', get: field('im_ore') },
+            { id: 'im_vr_ml', label: 'IM vol. regurgitante (ml)', group: 'Válvula mitral', type: 'number', get: field('im_vr') },
+            { id: 'im_etiologia', label: 'IM mecanismo', group: 'Válvula mitral', type: 'text', get: field('im_etiologia') },
+            { id: 'im_fr_pct', label: 'IM fracción regurgitante (%)', group: 'Válvula mitral', type: 'number', get: field('im_fr') },
+            { id: 'im_area_jet_cm2', label: 'IM área del jet (cm²)', group: 'Válvula mitral', type: 'number', get: field('im_area_jet') },
+            { id: 'im_venas_pulm', label: 'IM flujo venas pulmonares', group: 'Válvula mitral', type: 'text', get: field('im_venas_pulm') },
+            { id: 'em_grado', label: 'Estenosis mitral', group: 'Válvula mitral', type: 'text', get: field('em_grado') },
+            { id: 'em_grad_medio_mmhg', label: 'EM gradiente medio (mmHg)', group: 'Válvula mitral', type: 'number', get: field('em_grad_medio') },
+            { id: 'em_area_pht_cm2', label: 'EM área PHT (cm²)', group: 'Válvula mitral', type: 'number', get: field('em_area_pht') },
+            { id: 'em_pht_ms', label: 'EM PHT (ms)', group: 'Válvula mitral', type: 'number', get: field('em_pht') },
+            { id: 'em_avm_continuidad_cm2', label: 'EM AVM continuidad (cm²)', group: 'Válvula mitral', type: 'number', get: mitralStenosis('continuity') },
+            { id: 'em_avm_pisa_cm2', label: 'EM AVM PISA (cm²)', group: 'Válvula mitral', type: 'number', get: mitralStenosis('pisa') },
+            { id: 'em_avm_planimetria_cm2', label: 'EM AVM planimetría (cm²)', group: 'Válvula mitral', type: 'number', get: field('em_area_planimetria') },
+            { id: 'em_fc_lpm', label: 'EM FC en la medición (lpm)', group: 'Válvula mitral', type: 'number', get: field('em_fc') },
+            { id: 'em_wilkins', label: 'EM score de Wilkins', group: 'Válvula mitral', type: 'number', get: study => this.wilkinsScore(study) },
+
+            // Válvula aórtica y aorta
+            { id: 'ea_grado', label: 'Estenosis aórtica', group: 'Válvula aórtica / Aorta', type: 'text', get: field('ea_grado') },
+            { id: 'ea_vmax_m_s', label: 'EA Vmax (m/s)', group: 'Válvula aórtica / Aorta', type: 'number', get: field('ea_vmax') },
+            { id: 'ea_grad_medio_mmhg', label: 'EA gradiente medio (mmHg)', group: 'Válvula aórtica / Aorta', type: 'number', get: field('ea_grad_medio') },
+            { id: 'ea_ava_cm2', label: 'AVA (cm²)', group: 'Válvula aórtica / Aorta', type: 'number', get: field('ea_ava') },
+            { id: 'ea_ava_idx_cm2_m2', label: 'AVA indexada (cm²/m²)', group: 'Válvula aórtica / Aorta', type: 'number', get: field('ea_ava_index') },
+            { id: 'ea_coef_adim', label: 'Coef. adimensional', group: 'Válvula aórtica / Aorta', type: 'number', get: field('ea_coef') },
+            { id: 'fc_lpm', label: 'Frecuencia cardíaca (lpm)', group: 'Válvula aórtica / Aorta', type: 'number', get: field('cont_fc') },
+            { id: 'vs_ml', label: 'Volumen sistólico TSVI (ml)', group: 'Válvula aórtica / Aorta', type: 'number', get: flow('sv') },
+            { id: 'vs_idx_ml_m2', label: 'Volumen sistólico indexado (ml/m²)', group: 'Válvula aórtica / Aorta', type: 'number', get: flow('svi') },
+            { id: 'gc_l_min', label: 'Gasto cardíaco (l/min)', group: 'Válvula aórtica / Aorta', type: 'number', get: flow('co') },
+            { id: 'ic_l_min_m2', label: 'Índice cardíaco (l/min/m²)', group: 'Válvula aórtica / Aorta', type: 'number', get: flow('ci') },
+            { id: 'bajo_flujo', label: 'Bajo flujo (VSi < 35 ml/m²)', group: 'Válvula aórtica / Aorta', type: 'bool', get: flow('lowFlow') },
+            { id: 'ia_grado', label: 'Insuficiencia aórtica', group: 'Válvula aórtica / Aorta', type: 'text', get: field('ia_grado') },
+            { id: 'iao_vc_cm', label: 'IAo vena contracta (cm)', group: 'Válvula aórtica / Aorta', type: 'number', get: field('iao_vc') },
+            { id: 'iao_pht_ms', label: 'IAo PHT (ms)', group: 'Válvula aórtica / Aorta', type: 'number', get: field('iao_pht') },
+            { id: 'iao_jet_tsvi_pct', label: 'IAo ancho jet/TSVI (%)', group: 'Válvula aórtica / Aorta', type: 'number', get: field('iao_jet_width') },
+            { id: 'iao_rvol_ml', label: 'IAo vol. regurgitante (ml)', group: 'Válvula aórtica / Aorta', type: 'number', get: field('iao_rvol') },
+            { id: 'iao_eroa_cm2', label: 'IAo EROA (cm²)', group: 'Válvula aórtica / Aorta', type: 'number', get: field('iao_eroa') },
+            { id: 'iao_jet_alcance', label: 'IAo alcance del jet', group: 'Válvula aórtica / Aorta', type: 'text', get: field('iao_jet_alcance') },
+            { id: 'iao_flujo_reverso', label: 'IAo flujo reverso holodiastólico', group: 'Válvula aórtica / Aorta', type: 'bool', get: field('iao_flujo_reverso') },
+            { id: 'ao_raiz_mm', label: 'Raíz aórtica (mm)', group: 'Válvula aórtica / Aorta', type: 'number', get: field('ao_raiz') },
+            { id: 'ao_asc_mm', label: 'Aorta ascendente (mm)', group: 'Válvula aórtica / Aorta', type: 'number', get: field('ao_asc') },
+
+            // Cavidades derechas
+            { id: 'tapse_mm', label: 'TAPSE (mm)', group: 'Cavidades derechas', type: 'number', get: field('tapse') },
+            { id: 's_prima_vd_cm_s', label: "S' VD (cm/s)", group: 'Cavidades derechas', type: 'number', get: field('s_prima_vd') },
+            { id: 'vd_fac_pct', label: 'FAC VD (%)', group: 'Cavidades derechas', type: 'number', decimals: 0, get: rv(data => data.fac) },
+            { id: 'vd_rimp', label: 'RIMP VD', group: 'Cavidades derechas', type: 'number', decimals: 2, get: field('vd_rimp') },
+            { id: 'vd_rimp_metodo', label: 'RIMP: método', group: 'Cavidades derechas', type: 'text', get: study => study.fields.vd_rimp ? study.fields.vd_rimp_metodo : '' },
+            { id: 'vd_strain_pct', label: 'Strain pared libre VD (%)', group: 'Cavidades derechas', type: 'number', decimals: 1, get: field('vd_strain') },
+            { id: 'vd_medio_mm', label: 'VD diámetro medio (mm)', group: 'Cavidades derechas', type: 'number', get: field('vd_medio') },
+            { id: 'vd_longitudinal_mm', label: 'VD diámetro longitudinal (mm)', group: 'Cavidades derechas', type: 'number', get: field('vd_longitudinal') },
+            { id: 'tsvd_proximal_mm', label: 'TSVD proximal (mm)', group: 'Cavidades derechas', type: 'number', get: field('tsvd_proximal') },
+            { id: 'tsvd_distal_mm', label: 'TSVD distal (mm)', group: 'Cavidades derechas', type: 'number', get: field('tsvd_distal') },
+            { id: 'vd_funcion', label: 'Función sistólica VD', group: 'Cavidades derechas', type: 'text', get: study => study.results && study.results.rvFunction && study.results.rvFunction.severity.grade >= 0 ? study.results.rvFunction.severity.level : '' },
+            { id: 'vd_desacoplamiento', label: 'Desacoplamiento VD-AP (TAPSE/PSAP < 0.55)', group: 'Cavidades derechas', type: 'bool', get: study => study.results && study.results.rvFunction ? study.results.rvFunction.severity.uncoupled : '' },
+            { id: 'ad_area_cm2', label: 'Área AD (cm²)', group: 'Cavidades derechas', type: 'number', get: field('ad_area') },
+            { id: 'vd_basal_mm', label: 'VD diámetro basal (mm)', group: 'Cavidades derechas', type: 'number', get: field('vd_basal') },
+            { id: 'vel_it_m_s', label: 'Vmax IT (m/s)', group: 'Cavidades derechas', type: 'number', get: field('vel_it') },
+            { id: 'vci_diametro_mm', label: 'Diámetro VCI (mm)', group: 'Cavidades derechas', type: 'number', get: field('vci_diametro') },
+            { id: 'vci_colapso_pct', label: 'Colapso inspiratorio VCI (%)', group: 'Cavidades derechas', type: 'number', get: field('vci_colapso') },
+            { id: 'pad_mmhg', label: 'PAD (mmHg)', group: 'Cavidades derechas', type: 'number', get: study => study.results && study.results.rap ? study.results.rap.value : study.fields.pad },
+            { id: 'pad_metodo', label: 'PAD: origen', group: 'Cavidades derechas', type: 'text', get: study => study.results && study.results.rap ? study.results.rap.method : '' },
+            { id: 'psap_mmhg', label: 'PSAP (mmHg)', group: 'Cavidades derechas', type: 'number', decimals: 0, get: result('psap') },
+            { id: 'it_grado', label: 'Insuficiencia tricuspídea', group: 'Cavidades derechas', type: 'text', get: field('it_grado') },
+            { id: 'it_vc_mm', label: 'IT vena contracta (mm)', group: 'Cavidades derechas', type: 'number', get: field('it_vc') },
+            { id: 'it_ore_cm2', label: 'IT ORE PISA (cm²)', group: 'Cavidades derechas', type: 'number', decimals: 2, get: tricuspid('eroa') },
+            { id: 'it_vr_ml', label: 'IT vol. regurgitante (ml)', group: 'Cavidades derechas', type: 'number', decimals: 0, get: tricuspid('rvol') },
+            { id: 'it_area_jet_cm2', label: 'IT área del jet (cm²)', group: 'Cavidades derechas', type: 'number', get: field('it_area_jet') },
+            { id: 'it_anillo_mm', label: 'Anillo tricuspídeo (mm)', group: 'Cavidades derechas', type: 'number', get: field('it_anillo') },
+            { id: 'it_flujo_hepatico', label: 'IT: flujo reverso suprahepático', group: 'Cavidades derechas', type: 'bool', get: field('it_flujo_hepatico') },
+            { id: 'it_grado_cuantificado', label: 'IT grado cuantificado', group: 'Cavidades derechas', type: 'text', get: study => this.tricuspidGrade(study) },
+            { id: 'htp_septum', label: 'HTP: movimiento septal paradojal', group: 'Cavidades derechas', type: 'bool', get: field('htp_septum') },
+            { id: 'htp_pulmonar', label: 'HTP: dilatación tronco pulmonar', group: 'Cavidades derechas', type: 'bool', get: field('htp_pulmonar') },
+            { id: 'htp_aceleracion', label: 'HTP: tiempo de aceleración corto', group: 'Cavidades derechas', type: 'bool', get: field('htp_aceleracion') },
+            { id: 'htp_vd_vi', label: 'HTP: relación VD/VI basal > 1', group: 'Cavidades derechas', type: 'bool', get: field('htp_vd_vi') },
+            { id: 'htp_ta_tsvd_ms', label: 'TA TSVD (ms)', group: 'Cavidades derechas', type: 'number', get: field('htp_ta_tsvd') },
+            { id: 'htp_vel_ip_ms', label: 'Vel. protodiastólica IP (m/s)', group: 'Cavidades derechas', type: 'number', decimals: 1, get: field('htp_vel_ip') },
+            { id: 'htp_diam_ap_mm', label: 'Diámetro AP (mm)', group: 'Cavidades derechas', type: 'number', get: field('htp_diam_ap') },
+            { id: 'tapse_psap', label: 'TAPSE/PSAP (mm/mmHg)', group: 'Cavidades derechas', type: 'number', decimals: 2, get: ph(probability => probability.tapsePsap) },
+            { id: 'papm_ip_mmhg', label: 'PAPm por IP (mmHg)', group: 'Cavidades derechas', type: 'number', get: ph(probability => probability.mpap.fromPR) },
+            { id: 'papm_ta_mmhg', label: 'PAPm por TA TSVD (mmHg)', group: 'Cavidades derechas', type: 'number', get: ph(probability => probability.mpap.fromAT) },
+            { id: 'rvp_uw', label: 'RVP estimada (UW)', group: 'Cavidades derechas', type: 'number', decimals: 1, get: ph(probability => probability.pvr) },
+            { id: 'htp_categorias', label: 'HTP: categorías con signos (n/3)', group: 'Cavidades derechas', type: 'number', get: ph(probability => probability.categories) },
+            { id: 'htp_probabilidad', label: 'Probabilidad de HTP (ESC/ERS 2022)', group: 'Cavidades derechas', type: 'text', get: ph(probability => probability.level) },
+
+            // Válvula pulmonar
+            { id: 'ep_grado', label: 'Estenosis pulmonar', group: 'Válvula pulmonar', type: 'text', get: field('ep_grado') },
+            { id: 'ep_vmax_m_s', label: 'EP Vmax (m/s)', group: 'Válvula pulmonar', type: 'number', get: field('ep_vmax') },
+            { id: 'ep_grad_pico_mmhg', label: 'EP gradiente pico (mmHg)', group: 'Válvula pulmonar', type: 'number', get: field('ep_grad_pico') },
+            { id: 'ip_grado', label: 'Insuficiencia pulmonar', group: 'Válvula pulmonar', type: 'text', get: field('ip_grado') },
+            { id: 'ip_jet_tsvd', label: 'IP relación jet/TSVD', group: 'Válvula pulmonar', type: 'number', decimals: 2, get: pulmonary('jetRatio') },
+            { id: 'ip_pht_ms', label: 'IP PHT (ms)', group: 'Válvula pulmonar', type: 'number', get: field('ip_pht') },
+            { id: 'ip_reverso_ramas', label: 'IP: flujo reverso en ramas pulmonares', group: 'Válvula pulmonar', type: 'bool', get: field('ip_reverso_ramas') },
+
+            // Prótesis valvulares
+            { id: 'pao_tipo', label: 'Prótesis aórtica', group: 'Prótesis valvulares', type: 'text', get: study => study.fields.pao_tipo || 'no' },
+            { id: 'pao_modelo', label: 'PAo modelo', group: 'Prótesis valvulares', type: 'text', get: field('pao_modelo') },
+            { id: 'pao_tamano_mm', label: 'PAo tamaño (mm)', group: 'Prótesis valvulares', type: 'number', get: field('pao_tamano') },
+            { id: 'pao_vmax_m_s', label: 'PAo Vmax (m/s)', group: 'Prótesis valvulares', type: 'number', get: field('pao_vmax') },
+            { id: 'pao_grad_medio_mmhg', label: 'PAo gradiente medio (mmHg)', group: 'Prótesis valvulares', type: 'number', get: field('pao_grad_medio') },
+            { id: 'pao_eoa_cm2', label: 'PAo EOA continuidad (cm²)', group: 'Prótesis valvulares', type: 'number', decimals: 2, get: prosthesis('aortica', 'eoa') },
+            { id: 'pao_eoai_cm2_m2', label: 'PAo EOAi (cm²/m²)', group: 'Prótesis valvulares', type: 'number', decimals: 2, get: prosthesis('aortica', 'eoai') },
+            { id: 'pao_dvi', label: 'PAo DVI', group: 'Prótesis valvulares', type: 'number', decimals: 2, get: prosthesis('aortica', 'dvi') },
+            { id: 'pao_ta_te', label: 'PAo TA/TE', group: 'Prótesis valvulares', type: 'number', decimals: 2, get: prosthesis('aortica', 'atEt') },
+            { id: 'pao_fuga_pct', label: 'PAo fuga paravalvular (% circunf.)', group: 'Prótesis valvulares', type: 'number', get: field('pao_fuga_extension') },
+            { id: 'pao_funcion', label: 'PAo función', group: 'Prótesis valvulares', type: 'text', get: study => this.prosthesisLevel(study, 'aortica', 'function') },
+            { id: 'pao_mismatch', label: 'PAo mismatch paciente-prótesis', group: 'Prótesis valvulares', type: 'text', get: study => this.prosthesisLevel(study, 'aortica', 'ppm') },
+            { id: 'pmi_tipo', label: 'Prótesis mitral', group: 'Prótesis valvulares', type: 'text', get: study => study.fields.pmi_tipo || 'no' },
+            { id: 'pmi_modelo', label: 'PMi modelo', group: 'Prótesis valvulares', type: 'text', get: field('pmi_modelo') },
+            { id: 'pmi_tamano_mm', label: 'PMi tamaño (mm)', group: 'Prótesis valvulares', type: 'number', get: field('pmi_tamano') },
+            { id: 'pmi_vmax_m_s', label: 'PMi onda E pico (m/s)', group: 'Prótesis valvulares', type: 'number', get: field('pmi_vmax') },
+            { id: 'pmi_grad_medio_mmhg', label: 'PMi gradiente medio (mmHg)', group: 'Prótesis valvulares', type: 'number', get: field('pmi_grad_medio') },
+            { id: 'pmi_eoa_cm2', label: 'PMi EOA continuidad (cm²)', group: 'Prótesis valvulares', type: 'number', decimals: 2, get: prosthesis('mitral', 'eoa') },
+            { id: 'pmi_eoai_cm2_m2', label: 'PMi EOAi (cm²/m²)', group: 'Prótesis valvulares', type: 'number', decimals: 2, get: prosthesis('mitral', 'eoai') },
+            { id: 'pmi_dvi', label: 'PMi DVI', group: 'Prótesis valvulares', type: 'number', decimals: 2, get: prosthesis('mitral', 'dvi') },
+            { id: 'pmi_pht_ms', label: 'PMi PHT (ms)', group: 'Prótesis valvulares', type: 'number', get: field('pmi_pht') },
+            { id: 'pmi_fuga_pct', label: 'PMi fuga paravalvular (% circunf.)', group: 'Prótesis valvulares', type: 'number', get: field('pmi_fuga_extension') },
+            { id: 'pmi_funcion', label: 'PMi función', group: 'Prótesis valvulares', type: 'text', get: study => this.prosthesisLevel(study, 'mitral', 'function') },
+            { id: 'pmi_mismatch', label: 'PMi mismatch paciente-prótesis', group: 'Prótesis valvulares', type: 'text', get: study => this.prosthesisLevel(study, 'mitral', 'ppm') },
+
+            // Pericardio
+            { id: 'peri_derrame', label: 'Derrame pericárdico', group: 'Pericardio', type: 'text', get: study => study.fields.peri_derrame || 'no' },
+            { id: 'peri_sep_max_mm', label: 'Separación diastólica máxima (mm)', group: 'Pericardio', type: 'number', get: study => this.pericardialSeparation(pericardium(study)) },
+            { id: 'peri_severidad', label: 'Derrame: tamaño', group: 'Pericardio', type: 'text', get: study => pericardium(study) && pericardium(study).severity.grade >= 0 ? pericardium(study).severity.level : '' },
+            { id: 'peri_distribucion', label: 'Derrame: distribución', group: 'Pericardio', type: 'text', get: study => study.fields.peri_derrame === 'si' ? study.fields.peri_distribucion : '' },
+            { id: 'peri_contenido', label: 'Derrame: contenido', group: 'Pericardio', type: 'text', get: study => study.fields.peri_derrame === 'si' ? study.fields.peri_contenido : '' },
+            { id: 'peri_colapso_vd', label: 'Colapso diastólico VD', group: 'Pericardio', type: 'bool', get: field('peri_colapso_vd') },
+            { id: 'peri_colapso_ad', label: 'Colapso sistólico AD', group: 'Pericardio', type: 'bool', get: field('peri_colapso_ad') },
+            { id: 'peri_vci_pletorica', label: 'VCI pletórica', group: 'Pericardio', type: 'bool', get: field('peri_vci_pletorica') },
+            { id: 'peri_var_mitral_pct', label: 'Variación resp. E mitral (%)', group: 'Pericardio', type: 'number', get: field('peri_var_mitral') },
+            { id: 'peri_var_tricuspidea_pct', label: 'Variación resp. E tricuspídea (%)', group: 'Pericardio', type: 'number', get: field('peri_var_tricuspidea') },
+            { id: 'peri_taponamiento', label: 'Signos de taponamiento', group: 'Pericardio', type: 'bool', get: study => pericardium(study) ? pericardium(study).severity.tamponade : '' },
+            { id: 'cp_desplazamiento_septal', label: 'Desplazamiento septal respirofásico', group: 'Pericardio', type: 'bool', get: field('cp_desplazamiento_septal') },
+            { id: 'cp_rebote_septal', label: 'Rebote septal', group: 'Pericardio', type: 'bool', get: field('cp_rebote_septal') },
+            { id: 'cp_e_medial', label: "e' medial (cm/s)", group: 'Pericardio', type: 'number', decimals: 1, get: field('cp_e_medial') },
+            { id: 'cp_e_lateral', label: "e' lateral (cm/s)", group: 'Pericardio', type: 'number', decimals: 1, get: field('cp_e_lateral') },
+            { id: 'cp_vh_reverso', label: 'Reverso espiratorio VSH (relación)', group: 'Pericardio', type: 'number', decimals: 2, get: field('cp_vh_reverso') },
+            { id: 'cp_var_mitral_pct', label: 'Constricción: variación resp. E mitral (%)', group: 'Pericardio', type: 'number', get: field('cp_var_mitral') },
+            { id: 'cp_criterios_mayo', label: 'Criterios de Mayo (n/3)', group: 'Pericardio', type: 'number', get: study => constriction(study) && constriction(study).severity.grade >= 0 ? constriction(study).severity.met : '' },
+            { id: 'cp_probabilidad', label: 'Constricción vs restricción', group: 'Pericardio', type: 'text', get: study => constriction(study) ? constriction(study).severity.level : '' }
+        ];
+    }
+
+    /**
+     * Ids of all columns (default selection)
+     * @returns {Array<string>}
+     */
+    getColumnIds() {
+        return this.columns.map(col => col.id);
+    }
+
+    ratio(a, b) {
+        const num = parseFloat(a);
+        const den = parseFloat(b);
+        return num && den ? num / den : '';
+    }
+
+    // Studies saved before the mass indexation selector only stored the BSA index
+    lvMassIndexBSA(study) {
+        if (!study.results) return '';
+        return 'lvMassIndexBSA' in study.results ? study.results.lvMassIndexBSA : study.results.lvMassIndex;
+    }
+
+    wilkinsScore(study) {
+        const ms = study.results && study.results.mitralStenosis;
+        return ms && ms.wilkins ? ms.wilkins.score : '';
+    }
+
+    tricuspidGrade(study) {
+        const tr = study.results && study.results.tricuspidRegurgitation;
+        return tr && tr.severity.grade >= 0 ? tr.severity.level : '';
+    }
+
+    // Prosthesis function ('function') or mismatch ('ppm') level, '' without prosthesis or data
+    prosthesisLevel(study, position, key) {
+        const valves = study.results && study.results.prostheticValves;
+        const valve = valves && valves[position];
+        if (!valve) return '';
+        const level = key === 'ppm' ? valve.severity.ppm : valve.severity;
+        return level.grade >= 0 ? level.level : '';
+    }
+
+    pericardialSeparation(pericardium) {
+        if (!pericardium || !pericardium.data.present) return '';
+        const values = Object.values(pericardium.data.separations);
+        return values.length > 0 ? Math.max(...values) : '';
+    }
+
+    calculateWMSI(study) {
+        if (!study.motility || !study.motility.state) return '';
+        const scores = Object.values(study.motility.state).map(v => parseInt(v) || 1);
+        return scores.reduce((a, b) => a + b, 0) / 17;
+    }
+
+    /**
+     * Normalize a raw value: numbers as Number (no locale formatting), booleans as 1/0, text trimmed
+     * @param {object} column - Column definition
+     * @param {any} raw - Raw value from the study
+     * @returns {number|string} - '' when missing
+     */
+    normalize(column, raw) {
+        if (raw === undefined || raw === null || raw === '') return '';
+
+        if (column.type === 'number') {
+            const value = typeof raw === 'number' ? raw : parseFloat(String(raw).replace(',', '.'));
+            // Derived results are stored as 0 when they could not be calculated
+            if (!isFinite(value) || (value === 0 && column.decimals !== undefined)) return '';
+            return column.decimals !== undefined ? parseFloat(value.toFixed(column.decimals)) : value;
+        }
+
+        if (column.type === 'bool') return raw === true || raw === 'true' ? 1 : 0;
+
+        return String(raw).trim();
+    }
+
+    /**
+     * Build header + data rows
+     * @param {Array<object>} studies - Study records
+     * @param {Array<string>} columnIds - Selected column ids (registry order is kept)
+     * @returns {Array<Array>} - First row is the header (column ids)
+     */
+    toRows(studies, columnIds = this.getColumnIds()) {
+        const selected = this.columns.filter(col => columnIds.includes(col.id));
+        const rows = [selected.map(col => col.id)];
+
+        studies.forEach(study => {
+            const safe = { fields: {}, results: {}, ...study };
+            rows.push(selected.map(col => this.normalize(col, col.get(safe))));
+        });
+
+        return rows;
+    }
+
+    /**
+     * CSV (comma-separated, dot decimal, UTF-8 with BOM for spreadsheet apps)
+     * @returns {string}
+     */
+    toCSV(studies, columnIds) {
+        const escape = value => {
+            const text = String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = this.toRows(studies, columnIds).map(row => row.map(escape).join(','));
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * XLSX workbook (Office Open XML, single sheet, uncompressed ZIP)
+     * @returns {Uint8Array}
+     */
+    toXLSX(studies, columnIds) {
+        const rows = this.toRows(studies, columnIds);
+        const xml = text => String(text)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+        const sheetRows = rows.map((row, r) => {
+            const cells = row.map((value, c) => {
+                const ref = `${this.columnLetter(c)}${r + 1}`;
+                if (value === '') return '';
+                if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+                return `<c r="${ref}" t="inlineStr"><is><t>${xml(value)}</t></is></c>`;
+            }).join('');
+            return `<row r="${r + 1}">${cells}</row>`;
+        }).join('');
+
+        const files = {
+            '[Content_Types].xml':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '</Types>',
+            '_rels/.rels':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>',
+            'xl/workbook.xml':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                '<sheets><sheet name="Dataset" sheetId="1" r:id="rId1"/></sheets>' +
+                '</workbook>',
+            'xl/_rels/workbook.xml.rels':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '</Relationships>',
+            'xl/worksheets/sheet1.xml':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                `<sheetData>${sheetRows}</sheetData>` +
+                '</worksheet>'
+        };
+
+        return this.zip(files);
+    }
+
+    /**
+     * Spreadsheet column letter (0 → A, 26 → AA)
+     */
+    columnLetter(index) {
+        let letter = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+        }
+        return letter;
+    }
+
+    /**
+     * Minimal ZIP writer (method 0 = stored), enough for an .xlsx container
+     * @param {object} files - { path: text content }
+     * @returns {Uint8Array}
+     */
+    zip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        Object.entries(files).forEach(([name, content]) => {
+            const nameBytes = encoder.encode(name);
+            const data = encoder.encode(content);
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true); // local file header signature
+            local.setUint16(4, 20, true);         // version needed
+            local.setUint16(8, 0, true);          // method: stored
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // central directory signature
+            central.setUint16(4, 20, true);         // version made by
+            central.setUint16(6, 20, true);         // version needed
+            central.setUint16(10, 0, true);         // method: stored
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);    // local header offset
+            centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // end of central directory signature
+        end.setUint16(8, Object.keys(files).length, true);
+        end.setUint16(10, Object.keys(files).length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+
+        return output;
+    }
+
+    crc32(bytes) {
+        if (!DatasetExporter.crcTable) {
+            DatasetExporter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                DatasetExporter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = DatasetExporter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+    window.DatasetExporter = DatasetExporter;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DatasetExporter;
+}
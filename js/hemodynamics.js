@@ -6,16 +6,73 @@
  */
 
 class HemodynamicsCalculator {
+
+    constructor() {
+        // Body Surface Area formulas (method id → name used in the report)
+        this.bsaMethods = {
+            mosteller: 'Mosteller',
+            dubois: 'DuBois',
+            haycock: 'Haycock',
+            boyd: 'Boyd'
+        };
+
+        // LV mass methods with upper normal limits by sex (ASE/EACVI 2015).
+        // Height^2.7 limits (g/m^2.7) are the ESC/ESH values for every method.
+        this.lvMassMethods = {
+            cubo: {
+                name: 'ASE cubo lineal',
+                limits: { sc: { M: 115, F: 95 }, altura27: { M: 50, F: 47 } }
+            },
+            area_longitud: {
+                name: 'área-longitud 2D',
+                limits: { sc: { M: 102, F: 88 }, altura27: { M: 50, F: 47 } }
+            },
+            elipsoide: {
+                name: 'elipsoide truncado 2D',
+                limits: { sc: { M: 102, F: 88 }, altura27: { M: 50, F: 47 } }
+            }
+        };
+        this.lvMassIndexations = {
+            sc: { name: 'SC', unit: 'g/m²' },
+            altura27: { name: 'altura^2.7', unit: 'g/m^2.7' }
+        };
+
+        // Populations with their own filling pressure criteria (diast_poblacion select)
+        this.diastolicPopulations = {
+            mac: 'Calcificación del anillo mitral',
+            em: 'Estenosis mitral',
+            im: 'Insuficiencia mitral significativa',
+            trasplante: 'Trasplante cardíaco',
+            mch: 'Miocardiopatía hipertrófica'
+        };
+    }
     
     /**
-     * Calculate Body Surface Area using Mosteller formula
+     * Calculate Body Surface Area
+     * - Mosteller: √(H × W / 3600)
+     * - DuBois: 0.007184 × W^0.425 × H^0.725 (default, used by studies saved before the selector)
+     * - Haycock: 0.024265 × W^0.5378 × H^0.3964 (pediatrics)
+     * - Boyd: 0.0003207 × H^0.3 × Wg^(0.7285 − 0.0188 × log10 Wg), weight in grams
      * @param {number} weight - Weight in kg
      * @param {number} height - Height in cm
+     * @param {string} method - 'mosteller', 'dubois', 'haycock' or 'boyd'
      * @returns {number} BSA in m²
      */
-    calculateBodySurface(weight, height) {
+    calculateBodySurface(weight, height, method = 'dubois') {
         if (!weight || !height) return 0;
-        return 0.007184 * Math.pow(weight, 0.425) * Math.pow(height, 0.725);
+
+        switch (method) {
+            case 'mosteller':
+                return Math.sqrt(height * weight / 3600);
+            case 'haycock':
+                return 0.024265 * Math.pow(weight, 0.5378) * Math.pow(height, 0.3964);
+            case 'boyd': {
+                const grams = weight * 1000;
+                return 0.0003207 * Math.pow(height, 0.3) * Math.pow(grams, 0.7285 - 0.0188 * Math.log10(grams));
+            }
+            default:
+                return 0.007184 * Math.pow(weight, 0.425) * Math.pow(height, 0.725);
+        }
     }
 
     /**
@@ -42,6 +99,62 @@ class HemodynamicsCalculator {
         return mass;
     }
 
+    /**
+     * LV mass by 2D area-length method (ASE 2015)
+     * Formula: 1.05 × {[5/6 × A1 × (a + d + t)] − [5/6 × A2 × (a + d)]}
+     * with t = √(A1/π) − √(A2/π)
+     *
+     * @param {number} a1 - Epicardial short-axis area at papillary level (cm²)
+     * @param {number} a2 - Endocardial short-axis area (cm²)
+     * @param {number} a - Semi-major axis, widest short-axis radius to apex (cm)
+     * @param {number} d - Truncated semi-major axis, short-axis plane to mitral annulus (cm)
+     * @returns {number} LV mass in grams
+     */
+    calculateLVMassAreaLength(a1, a2, a, d) {
+        if (!a1 || !a2 || !a || !d || a1 <= a2) return 0;
+
+        const t = Math.sqrt(a1 / Math.PI) - Math.sqrt(a2 / Math.PI);
+        return 1.05 * ((5 / 6) * a1 * (a + d + t) - (5 / 6) * a2 * (a + d));
+    }
+
+    /**
+     * LV mass by 2D truncated ellipsoid method (ASE 2015)
+     * Formula: 1.05π × {(b + t)² × [2/3 (a + t) + d − d³/(3(a + t)²)] − b² × [2/3 a + d − d³/(3a²)]}
+     * with b = √(A2/π) and t = √(A1/π) − b
+     *
+     * @param {number} a1 - Epicardial short-axis area (cm²)
+     * @param {number} a2 - Endocardial short-axis area (cm²)
+     * @param {number} a - Semi-major axis (cm)
+     * @param {number} d - Truncated semi-major axis (cm)
+     * @returns {number} LV mass in grams
+     */
+    calculateLVMassTruncatedEllipsoid(a1, a2, a, d) {
+        if (!a1 || !a2 || !a || !d || a1 <= a2) return 0;
+
+        const b = Math.sqrt(a2 / Math.PI);
+        const t = Math.sqrt(a1 / Math.PI) - b;
+        const epicardial = Math.pow(b + t, 2) * ((2 / 3) * (a + t) + d - Math.pow(d, 3) / (3 * Math.pow(a + t, 2)));
+        const endocardial = Math.pow(b, 2) * ((2 / 3) * a + d - Math.pow(d, 3) / (3 * Math.pow(a, 2)));
+
+        return 1.05 * Math.PI * (epicardial - endocardial);
+    }
+
+    /**
+     * Index LV mass to BSA (g/m²) or to height^2.7 (g/m^2.7, preferred in obesity)
+     * @param {number} mass - LV mass in grams
+     * @param {string} indexation - 'sc' or 'altura27'
+     * @param {number} bsa - Body surface area (m²)
+     * @param {number} height - Height in cm
+     * @returns {number} Indexed mass (0 when the denominator is missing)
+     */
+    indexLVMass(mass, indexation, bsa, height) {
+        if (!mass) return 0;
+        if (indexation === 'altura27') {
+            return height ? mass / Math.pow(height / 100, 2.7) : 0;
+        }
+        return bsa ? mass / bsa : 0;
+    }
+
     /**
      * Calculate Relative Wall Thickness
      * @param {number} pp - Posterior wall in mm
@@ -58,16 +171,18 @@ class HemodynamicsCalculator {
 
     /**
      * Classify LV Geometry based on ASE Guidelines
-     * @param {number} massIndex - LV mass indexed to BSA (g/m²)
+     * @param {number} massIndex - LV mass index (g/m² or g/m^2.7)
      * @param {number} rwt - Relative wall thickness
      * @param {string} sex - 'M' or 'F'
+     * @param {string} method - LV mass method ('cubo', 'area_longitud', 'elipsoide')
+     * @param {string} indexation - 'sc' (BSA) or 'altura27' (height^2.7)
      * @returns {string} Geometry classification
      */
-    classifyLVGeometry(massIndex, rwt, sex) {
+    classifyLVGeometry(massIndex, rwt, sex, method = 'cubo', indexation = 'sc') {
         if (!massIndex || !rwt) return "Datos insuficientes";
         
-        // Sex-specific LV mass index thresholds
-        const limit = sex === 'M' ? 115 : 95;
+        // Method- and sex-specific LV mass index thresholds
+        const limit = this.getLVMassLimit(sex, method, indexation);
         
         const hypertrophy = massIndex > limit;
         const concentric = rwt > 0.42;
@@ -83,6 +198,16 @@ class HemodynamicsCalculator {
         }
     }
 
+    /**
+     * Upper normal LV mass index for a method/indexation
+     * @returns {number} g/m² or g/m^2.7
+     */
+    getLVMassLimit(sex, method = 'cubo', indexation = 'sc') {
+        const methodInfo = this.lvMassMethods[method] || this.lvMassMethods.cubo;
+        const limits = methodInfo.limits[indexation] || methodInfo.limits.sc;
+        return sex === 'M' ? limits.M : limits.F;
+    }
+
     /**
      * Check if LV is dilated (sex-specific criteria)
      * @param {number} ddvi - Diastolic diameter in mm
@@ -97,140 +222,415 @@ class HemodynamicsCalculator {
     }
 
     /**
-     * Classify Diastolic Function according to ASE 2016 Algorithm
-     * 
+     * Classify Diastolic Function / LV filling pressures
+     * Dispatches to the special population algorithm, the atrial fibrillation criteria or the
+     * sinus rhythm algorithm of the selected guideline (ASE/EACVI 2016 or ASE 2025 update).
+     * Missing measurements are never replaced by normal values: criteria without data are
+     * listed with value null and left out of the count.
+     *
      * @param {Object} params - Diastolic parameters
      * @param {number} params.E - Mitral E wave velocity (cm/s)
      * @param {number} params.A - Mitral A wave velocity (cm/s)
      * @param {number} params.ePrime - Average e' velocity (cm/s)
+     * @param {number} params.ePrimeSeptal - Septal e' velocity (cm/s)
+     * @param {number} params.ePrimeLateral - Lateral e' velocity (cm/s)
      * @param {number} params.LAVolIndex - LA volume index (ml/m²)
      * @param {number} params.TRVel - TR velocity (m/s)
      * @param {number} params.LVEF - LV ejection fraction (%)
-     * @param {string} params.wallMotion - 'normal', 'hipo_global', 'segmentaria'
-     * @returns {Object} { grade, description, severity }
+     * @param {string} params.wallMotion - 'normal'/'conservada', 'alterada', 'hipo_global', 'segmentaria'
+     * @param {number} params.DT - Mitral E deceleration time (ms)
+     * @param {number} params.IVRT - Isovolumic relaxation time (ms)
+     * @param {boolean} params.lowEVariability - Low beat-to-beat variability of E velocity (AF)
+     * @param {number} params.LAStrain - LA reservoir strain (%)
+     * @param {number} params.PVSD - Pulmonary vein S/D ratio
+     * @param {string} params.rhythm - 'sinusal', 'fa' or 'flutter'
+     * @param {string} params.population - 'general' or a key of diastolicPopulations
+     * @param {string} params.guideline - '2016' (default) or '2025'
+     * @returns {Object} { grade, description, severity, algorithm, branch, criteria: [{ label, value, unit, threshold, met }] }
      */
     classifyDiastolicFunction(params) {
-        const { E, A, ePrime, LAVolIndex = 28, TRVel = 0, LVEF = 60, wallMotion = 'normal' } = params;
-        
+        const value = v => (typeof v === 'number' && isFinite(v) && v > 0 ? v : null);
+        const ePrimeSeptal = value(params.ePrimeSeptal);
+        const ePrimeLateral = value(params.ePrimeLateral);
+        const p = {
+            E: value(params.E),
+            A: value(params.A),
+            ePrime: value(params.ePrime) || (ePrimeSeptal && ePrimeLateral ? (ePrimeSeptal + ePrimeLateral) / 2 : null),
+            ePrimeSeptal,
+            ePrimeLateral,
+            LAVolIndex: value(params.LAVolIndex),
+            TRVel: value(params.TRVel),
+            LVEF: value(params.LVEF),
+            wallMotion: params.wallMotion || 'normal',
+            DT: value(params.DT),
+            IVRT: value(params.IVRT),
+            lowEVariability: params.lowEVariability === true,
+            LAStrain: value(params.LAStrain),
+            PVSD: value(params.PVSD)
+        };
+        p.EA = p.E && p.A ? p.E / p.A : null;
+        p.Ee = p.E && p.ePrime ? p.E / p.ePrime : null;
+        p.EeSeptal = p.E && p.ePrimeSeptal ? p.E / p.ePrimeSeptal : null;
+        p.EeLateral = p.E && p.ePrimeLateral ? p.E / p.ePrimeLateral : null;
+
+        if (params.population && this.diastolicPopulations[params.population]) {
+            return this.classifyDiastolicSpecial(p, params.population);
+        }
+        if (params.rhythm === 'fa' || params.rhythm === 'flutter') {
+            return this.classifyDiastolicAF(p);
+        }
+        return params.guideline === '2025' ? this.classifyDiastolic2025(p) : this.classifyDiastolic2016(p);
+    }
+
+    /**
+     * Criterion entry for the diastolic criteria list (met is null when the value is missing)
+     */
+    diastolicCriterion(label, value, unit, threshold, test, decimals = 1) {
+        return { label, value, unit, threshold, decimals, met: value === null ? null : test(value) };
+    }
+
+    /**
+     * Display value of a diastolic criterion ('' when missing)
+     * @param {Object} criterion - Entry of classifyDiastolicFunction().criteria
+     * @returns {string}
+     */
+    formatDiastolicCriterion(criterion) {
+        if (criterion.value === null) return '';
+        if (typeof criterion.value === 'boolean') return 'presente';
+        return this.withDiastolicUnit(parseFloat(criterion.value.toFixed(criterion.decimals)), criterion.unit);
+    }
+
+    /**
+     * Threshold of a diastolic criterion with its unit
+     * @param {Object} criterion - Entry of classifyDiastolicFunction().criteria
+     * @returns {string}
+     */
+    formatDiastolicThreshold(criterion) {
+        return this.withDiastolicUnit(criterion.threshold, criterion.unit);
+    }
+
+    // Percentages are written without a space ("18%")
+    withDiastolicUnit(text, unit) {
+        if (!unit) return `${text}`;
+        return unit === '%' ? `${text}%` : `${text} ${unit}`;
+    }
+
+    /**
+     * Result for algorithms that grade filling pressures only (AF and special populations):
+     * elevated when more than half of the available criteria are met, normal when fewer than half
+     */
+    diastolicPressureResult(context, algorithm, branch, criteria, elevated) {
+        const result = (grade, text, severity) => ({
+            grade, description: `${context}: ${text}`, severity, algorithm, branch, criteria
+        });
+        if (elevated === true) return result('PFVI elevadas', 'presiones de llenado VI elevadas.', 'red');
+        if (elevated === false) return result('PFVI normales', 'presiones de llenado VI normales.', 'green');
+
+        const available = criteria.filter(c => c.met !== null);
+        if (available.length === 0) {
+            return { grade: 'Indeterminado', description: 'Esperando datos Doppler...', severity: 'neutral', algorithm, branch, criteria };
+        }
+        const met = available.filter(c => c.met).length;
+        return result('Indeterminado', `presiones de llenado VI indeterminadas (${met}/${available.length} criterios alterados).`, 'yellow');
+    }
+
+    /**
+     * ASE/EACVI 2016 (sinus rhythm)
+     * Algorithm 1 (LVEF ≥50% without wall motion abnormalities): e' < 9, E/e' > 14, LAVI > 34, TR > 2.8;
+     * Algorithm 2 (myocardial disease or >50% of algorithm 1 criteria): E/A and E, then E/e', TR and LAVI,
+     * with the pulmonary vein S/D ratio < 1 breaking ties when LVEF < 50%. LA reservoir strain < 18%
+     * (elevated filling pressures) resolves what either algorithm leaves indeterminate
+     */
+    classifyDiastolic2016(p) {
+        const algorithm = 'ASE/EACVI 2016';
+        const criteria = [
+            this.diastolicCriterion("e' promedio", p.ePrime, 'cm/s', '< 9', v => v < 9),
+            this.diastolicCriterion("E/e' promedio", p.Ee, '', '> 14', v => v > 14),
+            this.diastolicCriterion('Vol. indexado AI', p.LAVolIndex, 'ml/m²', '> 34', v => v > 34),
+            this.diastolicCriterion('Velocidad IT', p.TRVel, 'm/s', '> 2.8', v => v > 2.8)
+        ];
+        const result = (grade, description, severity, branch, list = criteria) => ({
+            grade, description, severity, algorithm, branch, criteria: list
+        });
+        const laStrain = this.diastolicCriterion('Strain de reservorio AI', p.LAStrain, '%', '< 18', v => v < 18);
+
         // Check if we have minimum required data
-        if (!E || !A || !ePrime) {
-            return {
-                grade: "Indeterminado",
-                description: "Esperando datos Doppler...",
-                severity: "neutral"
-            };
+        if (!p.E || !p.A || !p.ePrime) {
+            return result('Indeterminado', 'Esperando datos Doppler...', 'neutral', '');
         }
-        
-        const EeRatio = E / ePrime;
-        const EARatio = E / A;
-        
+
         // Special case: Supernormal pattern (Athletic heart)
-        if (EARatio > 2 && ePrime >= 10) {
-            return {
-                grade: "Normal",
-                description: "Función Diastólica Normal (Patrón de llenado vigoroso/Atleta). Presiones de llenado VI normales.",
-                severity: "green"
-            };
+        if (p.EA > 2 && p.ePrime >= 10) {
+            return result('Normal', 'Función Diastólica Normal (Patrón de llenado vigoroso/Atleta). Presiones de llenado VI normales.', 'green', 'E/A > 2 con e\' ≥ 10 cm/s');
         }
-        
+
         // Special case: Restrictive pattern (Grade III)
-        if (EARatio > 2 && ePrime < 10) {
-            return {
-                grade: "III",
-                description: "Disfunción Diastólica Grado III (Patrón Restrictivo). Presiones de llenado VI elevadas.",
-                severity: "red"
-            };
+        if (p.EA > 2 && p.ePrime < 10) {
+            return result('III', 'Disfunción Diastólica Grado III (Patrón Restrictivo). Presiones de llenado VI elevadas.', 'red', 'E/A > 2 con e\' < 10 cm/s');
         }
-        
+
         // Determine if heart has structural/functional disease
-        const diseased = (LVEF < 50 || wallMotion !== 'normal');
-        
+        const normalMotion = ['normal', 'conservada'].includes(p.wallMotion);
+        if (normalMotion && p.LVEF === null) {
+            return result('Indeterminado', 'Función Diastólica Indeterminada. Ingrese la FEVI para elegir el algoritmo.', 'yellow', 'FEVI no disponible');
+        }
+        const diseased = p.LVEF < 50 || !normalMotion;
+
         // Algorithm for normal hearts (LVEF ≥50% and no wall motion abnormalities)
+        let strainTieBreak = false;
         if (!diseased) {
-            let criteria = 0;
-            
-            if (ePrime < 9) criteria++;
-            if (EeRatio > 14) criteria++;
-            if (LAVolIndex > 34) criteria++;
-            if (TRVel > 2.8) criteria++;
-            
-            if (criteria < 2) {
-                return {
-                    grade: "Normal",
-                    description: "Función Diastólica Normal. Presiones de llenado VI normales.",
-                    severity: "green"
-                };
-            } else if (criteria === 2) {
-                return {
-                    grade: "Indeterminado",
-                    description: "Función Diastólica Indeterminada (2/4 criterios alterados). Se requiere evaluación adicional.",
-                    severity: "yellow"
-                };
-            } else {
-                // ≥3 criteria met → treat as diseased heart
-                // Proceed to diseased heart algorithm below
+            const available = criteria.filter(c => c.met !== null);
+            const met = available.filter(c => c.met).length;
+            const branch = `FEVI conservada (${met}/${available.length} criterios)`;
+
+            if (met * 2 < available.length) {
+                return result('Normal', 'Función Diastólica Normal. Presiones de llenado VI normales.', 'green', branch);
+            } else if (met * 2 === available.length) {
+                // 50%: a reduced LA reservoir strain sends the study to the filling pressure algorithm
+                if (laStrain.met === false) {
+                    return result('Normal', 'Función Diastólica Normal. Presiones de llenado VI normales.', 'green', `${branch}, strain AI conservado`, [...criteria, laStrain]);
+                }
+                if (laStrain.met === null) {
+                    return result('Indeterminado', `Función Diastólica Indeterminada (${met}/${available.length} criterios alterados). Se requiere evaluación adicional.`, 'yellow', branch, [...criteria, laStrain]);
+                }
+                strainTieBreak = true;
             }
+            // >50% criteria met → treat as diseased heart
         }
-        
-        // Algorithm for diseased hearts or ≥3 criteria in normal hearts
+
+        // Algorithm for diseased hearts or >50% criteria in normal hearts
+        const pressureCriteria = [
+            this.diastolicCriterion('Relación E/A', p.EA, '', '≤ 0.8 con E ≤ 50 cm/s', v => v <= 0.8 && p.E <= 50, 2),
+            criteria[1],
+            criteria[3],
+            criteria[2],
+            ...(p.LVEF !== null && p.LVEF < 50 ? [this.diastolicCriterion('Relación S/D venas pulmonares', p.PVSD, '', '< 1', v => v < 1, 2)] : [])
+        ];
+        const branch = diseased ? 'Miocardiopatía / FEVI reducida'
+            : strainTieBreak ? 'FEVI conservada, 50% de criterios con strain AI reducido' : 'FEVI conservada con criterios alterados';
+        if (strainTieBreak) pressureCriteria.push(laStrain);
+
         // Grade I: E/A ≤0.8 and E ≤50 cm/s
-        if (EARatio <= 0.8 && E <= 50) {
-            return {
-                grade: "I",
-                description: "Disfunción Diastólica Grado I (Relajación Prolongada). Presiones de llenado VI normales.",
-                severity: "green"
-            };
-        }
-        
-        // Grade II vs Grade I (when E/A > 0.8 or E > 50)
-        // Use additional criteria to determine filling pressures
-        let criteriaP = 0;
-        let dataPoints = 0;
-        
-        if (EeRatio !== null && !isNaN(EeRatio)) {
-            dataPoints++;
-            if (EeRatio > 14) criteriaP++;
-        }
-        
-        if (TRVel !== null && TRVel > 0) {
-            dataPoints++;
-            if (TRVel > 2.8) criteriaP++;
-        }
-        
-        if (LAVolIndex !== null && !isNaN(LAVolIndex)) {
-            dataPoints++;
-            if (LAVolIndex > 34) criteriaP++;
+        if (p.EA <= 0.8 && p.E <= 50) {
+            return result('I', 'Disfunción Diastólica Grado I (Relajación Prolongada). Presiones de llenado VI normales.', 'green', branch, pressureCriteria);
         }
-        
+
+        // Grade II vs Grade I (when E/A > 0.8 or E > 50): E/e', TR and LAVI
+        const available = pressureCriteria.slice(1, 4).filter(c => c.met !== null);
+        let criteriaP = available.filter(c => c.met).length;
+        const dataPoints = available.length;
+
         // Need at least 2 data points to classify
         if (dataPoints < 2) {
-            return {
-                grade: "Indeterminado",
-                description: "Función Diastólica Indeterminada. Datos insuficientes para clasificar.",
-                severity: "yellow"
-            };
+            return result('Indeterminado', 'Función Diastólica Indeterminada. Datos insuficientes para clasificar.', 'yellow', branch, pressureCriteria);
         }
-        
+
+        // 1 of 2 criteria: the pulmonary vein S/D ratio decides in reduced LVEF
+        if (criteriaP === 1 && dataPoints === 2 && p.LVEF !== null && p.LVEF < 50 && p.PVSD !== null) {
+            criteriaP += p.PVSD < 1 ? 1 : 0;
+            if (criteriaP === 1) {
+                return result('I', 'Disfunción Diastólica Grado I (Relajación Prolongada). Presiones de llenado VI normales.', 'green', `${branch} (S/D venas pulmonares)`, pressureCriteria);
+            }
+        }
+
         // ≥50% of criteria met → Grade II (elevated pressures)
         if (criteriaP >= 2) {
-            return {
-                grade: "II",
-                description: "Disfunción Diastólica Grado II (Pseudonormal). Presiones de llenado VI elevadas.",
-                severity: "red"
-            };
+            return result('II', 'Disfunción Diastólica Grado II (Pseudonormal). Presiones de llenado VI elevadas.', 'red', branch, pressureCriteria);
         } else if (criteriaP === 0 || (criteriaP === 1 && dataPoints === 3)) {
-            return {
-                grade: "I",
-                description: "Disfunción Diastólica Grado I (Relajación Prolongada). Presiones de llenado VI normales.",
-                severity: "green"
-            };
-        } else {
-            return {
-                grade: "Indeterminado",
-                description: "Función Diastólica Indeterminada. Evaluación adicional requerida.",
-                severity: "yellow"
-            };
+            return result('I', 'Disfunción Diastólica Grado I (Relajación Prolongada). Presiones de llenado VI normales.', 'green', branch, pressureCriteria);
+        }
+
+        // 1 of 2 criteria: LA reservoir strain
+        const withStrain = pressureCriteria.includes(laStrain) ? pressureCriteria : [...pressureCriteria, laStrain];
+        if (laStrain.met !== null) {
+            return laStrain.met
+                ? result('II', 'Disfunción Diastólica Grado II (Pseudonormal). Presiones de llenado VI elevadas.', 'red', `${branch} (strain AI)`, withStrain)
+                : result('I', 'Disfunción Diastólica Grado I (Relajación Prolongada). Presiones de llenado VI normales.', 'green', `${branch} (strain AI)`, withStrain);
+        }
+        return result('Indeterminado', 'Función Diastólica Indeterminada. Evaluación adicional requerida.', 'yellow', branch, withStrain);
+    }
+
+    /**
+     * ASE 2025 update (sinus rhythm)
+     * Reduced e' (septal ≤ 6, lateral ≤ 7 or average ≤ 6.5 cm/s), E/e' (average ≥ 14, septal ≥ 15 or
+     * lateral ≥ 13) and TR ≥ 2.8 m/s. E/e' and TR both abnormal → elevated LAP; otherwise the
+     * supplementary criteria (LA reservoir strain ≤ 18%, PV S/D ≤ 0.67, LAVI > 34) decide.
+     * Elevated LAP is grade II, or grade III with E/A ≥ 2; normal LAP with reduced e' is grade I
+     */
+    classifyDiastolic2025(p) {
+        const algorithm = 'ASE 2025';
+        const eeCriterion = p.Ee !== null
+            ? this.diastolicCriterion("E/e' promedio", p.Ee, '', '≥ 14', v => v >= 14)
+            : p.EeSeptal !== null
+                ? this.diastolicCriterion("E/e' septal", p.EeSeptal, '', '≥ 15', v => v >= 15)
+                : this.diastolicCriterion("E/e' lateral", p.EeLateral, '', '≥ 13', v => v >= 13);
+        const primary = [
+            this.diastolicCriterion("e' septal", p.ePrimeSeptal, 'cm/s', '≤ 6', v => v <= 6),
+            this.diastolicCriterion("e' lateral", p.ePrimeLateral, 'cm/s', '≤ 7', v => v <= 7),
+            this.diastolicCriterion("e' promedio", p.ePrime, 'cm/s', '≤ 6.5', v => v <= 6.5),
+            eeCriterion,
+            this.diastolicCriterion('Velocidad IT', p.TRVel, 'm/s', '≥ 2.8', v => v >= 2.8)
+        ];
+        const supplementary = [
+            this.diastolicCriterion('Strain de reservorio AI', p.LAStrain, '%', '≤ 18', v => v <= 18),
+            this.diastolicCriterion('Relación S/D venas pulmonares', p.PVSD, '', '≤ 0.67', v => v <= 0.67, 2),
+            this.diastolicCriterion('Vol. indexado AI', p.LAVolIndex, 'ml/m²', '> 34', v => v > 34)
+        ];
+        const eMeasured = primary.slice(0, 3).filter(c => c.met !== null);
+        const ePrimeReduced = eMeasured.some(c => c.met);
+        const ee = eeCriterion.met;
+        const tr = primary[4].met;
+
+        if (!p.E || eMeasured.length === 0) {
+            return { grade: 'Indeterminado', description: 'Esperando datos Doppler...', severity: 'neutral', algorithm, branch: '', criteria: primary };
         }
+
+        const elevated = (branch, criteria) => (p.EA !== null && p.EA >= 2
+            ? { grade: 'III', description: 'Disfunción Diastólica Grado III (Patrón Restrictivo). Presiones de llenado VI elevadas.', severity: 'red', algorithm, branch, criteria }
+            : { grade: 'II', description: 'Disfunción Diastólica Grado II. Presiones de llenado VI elevadas.', severity: 'red', algorithm, branch, criteria });
+        const normal = (branch, criteria) => (ePrimeReduced
+            ? { grade: 'I', description: 'Disfunción Diastólica Grado I (Relajación Alterada). Presiones de llenado VI normales.', severity: 'green', algorithm, branch, criteria }
+            : { grade: 'Normal', description: 'Función Diastólica Normal. Presiones de llenado VI normales.', severity: 'green', algorithm, branch, criteria });
+
+        if (ee === true && tr === true) return elevated("E/e' y velocidad IT alteradas", primary);
+        if (ee === false && tr === false) return normal("E/e' y velocidad IT normales", primary);
+
+        // Discordant or missing E/e' / TR: supplementary criteria
+        const criteria = [...primary, ...supplementary];
+        const available = supplementary.filter(c => c.met !== null);
+        const branch = `Criterios suplementarios (${available.filter(c => c.met).length}/${available.length})`;
+        if (available.some(c => c.met)) return elevated(branch, criteria);
+        if (available.length > 0) return normal(branch, criteria);
+        return {
+            grade: 'Indeterminado',
+            description: 'Función Diastólica Indeterminada. Añadir strain de reservorio AI, flujo de venas pulmonares o volumen AI.',
+            severity: 'yellow', algorithm, branch, criteria
+        };
+    }
+
+    /**
+     * Atrial fibrillation / flutter: E ≥ 100 cm/s, E/e' septal > 11 (average > 14 when only the
+     * average is available), TR > 2.8 m/s and DT ≤ 160 ms. Two primary criteria, or one plus a
+     * supplementary one (IVRT ≤ 65 ms, LA reservoir strain < 16%, low beat-to-beat E variability),
+     * indicate elevated filling pressures
+     */
+    classifyDiastolicAF(p) {
+        const primary = [
+            this.diastolicCriterion('Onda E', p.E, 'cm/s', '≥ 100', v => v >= 100),
+            p.EeSeptal !== null || p.Ee === null
+                ? this.diastolicCriterion("E/e' septal", p.EeSeptal, '', '> 11', v => v > 11)
+                : this.diastolicCriterion("E/e' promedio", p.Ee, '', '> 14', v => v > 14),
+            this.diastolicCriterion('Velocidad IT', p.TRVel, 'm/s', '> 2.8', v => v > 2.8),
+            this.diastolicCriterion('Tiempo de desaceleración', p.DT, 'ms', '≤ 160', v => v <= 160)
+        ];
+        const supplementary = [
+            this.diastolicCriterion('TRIV', p.IVRT, 'ms', '≤ 65', v => v <= 65),
+            this.diastolicCriterion('Strain de reservorio AI', p.LAStrain, '%', '< 16', v => v < 16),
+            // A checkbox cannot tell "variable" from "not assessed": only counts when ticked
+            this.diastolicCriterion('Variabilidad de la onda E escasa', p.lowEVariability ? true : null, '', 'presente', () => true)
+        ];
+        const criteria = [...primary, ...supplementary];
+
+        const available = primary.filter(c => c.met !== null);
+        const met = available.filter(c => c.met).length;
+        const supplementaryAvailable = supplementary.filter(c => c.met !== null);
+        const supplementaryMet = supplementaryAvailable.filter(c => c.met).length;
+        const branch = `FA: ${met}/${available.length} criterios principales, ${supplementaryMet}/${supplementaryAvailable.length} suplementarios`;
+
+        let elevated = null;
+        if (met >= 2 || (met === 1 && supplementaryMet > 0)) elevated = true;
+        else if (met === 1 && supplementaryAvailable.length > 0) elevated = false;
+        else if (met === 0 && available.length >= 2) elevated = false;
+
+        return this.diastolicPressureResult('Fibrilación Auricular', 'Fibrilación auricular', branch, criteria, elevated);
+    }
+
+    /**
+     * Special populations (ASE/EACVI 2016): mitral annular calcification (E/A, then IVRT < 80 ms),
+     * mitral stenosis (IVRT < 60 ms, A > 150 cm/s), significant mitral regurgitation (IVRT < 60 ms,
+     * E/e' > 14 when LVEF < 50%), heart transplant (E/e' > 14, TR > 2.8) and hypertrophic
+     * cardiomyopathy (E/e' > 14, TR > 2.8, LAVI > 34, LA reservoir strain ≤ 18%)
+     */
+    classifyDiastolicSpecial(p, population) {
+        const context = this.diastolicPopulations[population];
+        const ee = this.diastolicCriterion("E/e' promedio", p.Ee, '', '> 14', v => v > 14);
+        const tr = this.diastolicCriterion('Velocidad IT', p.TRVel, 'm/s', '> 2.8', v => v > 2.8);
+
+        if (population === 'mac') {
+            const ea = this.diastolicCriterion('Relación E/A', p.EA, '', '≥ 1.8 (≤ 0.8 normal)', v => v >= 1.8, 2);
+            const ivrt = this.diastolicCriterion('TRIV', p.IVRT, 'ms', '< 80', v => v < 80);
+            let elevated = null;
+            if (p.EA !== null && p.EA <= 0.8) elevated = false;
+            else if (ea.met) elevated = true;
+            else if (ivrt.met !== null && p.EA !== null) elevated = ivrt.met;
+            const branch = p.EA !== null && p.EA > 0.8 && p.EA < 1.8 ? 'E/A intermedia: TRIV' : 'Relación E/A';
+            return this.diastolicPressureResult(context, context, branch, [ea, ivrt], elevated);
+        }
+
+        const criteria = {
+            em: [
+                this.diastolicCriterion('TRIV', p.IVRT, 'ms', '< 60', v => v < 60),
+                this.diastolicCriterion('Onda A', p.A, 'cm/s', '> 150', v => v > 150)
+            ],
+            im: [
+                this.diastolicCriterion('TRIV', p.IVRT, 'ms', '< 60', v => v < 60),
+                ...(p.LVEF !== null && p.LVEF < 50 ? [ee] : [])
+            ],
+            trasplante: [ee, tr],
+            mch: [
+                ee, tr,
+                this.diastolicCriterion('Vol. indexado AI', p.LAVolIndex, 'ml/m²', '> 34', v => v > 34),
+                this.diastolicCriterion('Strain de reservorio AI', p.LAStrain, '%', '≤ 18', v => v <= 18)
+            ]
+        }[population];
+
+        const available = criteria.filter(c => c.met !== null);
+        const met = available.filter(c => c.met).length;
+        let elevated = null;
+        if (met * 2 > available.length) elevated = true;
+        else if (available.length > 0 && met * 2 < available.length) elevated = false;
+
+        return this.diastolicPressureResult(context, context, `Mayoría de criterios (${met}/${available.length})`, criteria, elevated);
+    }
+
+    /**
+     * Estimate Right Atrial Pressure from the IVC (ASE 2010/2015)
+     * IVC ≤21 mm with >50% sniff collapse → 3 mmHg; >21 mm with <50% → 15 mmHg;
+     * otherwise 8 mmHg, moved to 3 or 15 by the secondary indices when available
+     *
+     * @param {Object} params
+     * @param {number} params.ivcDiameter - IVC diameter near the RA junction (mm)
+     * @param {number} params.collapse - Sniff/inspiratory collapsibility (%)
+     * @param {number} params.trEe - Tricuspid E/e' (>6 suggests elevated RAP)
+     * @param {boolean} params.hepaticDiastolic - Diastolic predominance in hepatic veins
+     * @param {boolean} params.restrictiveFilling - Restrictive right-sided filling
+     * @returns {Object|null} { rap, range, category, secondary, adjusted } or null without IVC data
+     */
+    estimateRAP(params) {
+        const { ivcDiameter, collapse, trEe = 0, hepaticDiastolic = false, restrictiveFilling = false } = params;
+        if (!ivcDiameter || ivcDiameter <= 0 || !Number.isFinite(collapse) || collapse < 0) return null;
+
+        const small = ivcDiameter <= 21;
+        if (small && collapse > 50) {
+            return { rap: 3, range: '0-5', category: 'Normal', secondary: [], adjusted: false };
+        }
+        if (!small && collapse < 50) {
+            return { rap: 15, range: '10-20', category: 'Elevada', secondary: [], adjusted: false };
+        }
+
+        // Intermediate IVC: integrate the secondary indices of elevated RAP
+        const secondary = [];
+        if (trEe > 6) secondary.push("E/e' tricuspídea > 6");
+        if (hepaticDiastolic) secondary.push('predominio diastólico en venas suprahepáticas');
+        if (restrictiveFilling) secondary.push('llenado tricuspídeo restrictivo');
+
+        if (secondary.length > 0) {
+            return { rap: 15, range: '10-20', category: 'Elevada', secondary, adjusted: true };
+        }
+        if (trEe > 0) {
+            return { rap: 3, range: '0-5', category: 'Normal', secondary, adjusted: true };
+        }
+        return { rap: 8, range: '5-10', category: 'Intermedia', secondary, adjusted: false };
     }
 
     /**
@@ -263,6 +663,58 @@ class HemodynamicsCalculator {
         if (psap < 60) return "Moderadamente elevada";
         return "Severamente elevada";
     }
+
+    /**
+     * Echocardiographic probability of PH (ESC/ERS 2022)
+     * Peak TR velocity ≤2.8 (or not measurable), 2.9-3.4 or >3.4 m/s; "other echo signs" only count
+     * when present in at least two of the three categories (ventricles, pulmonary artery, IVC/RA)
+     *
+     * @param {number} trVel - Peak TR velocity (m/s), 0 when not measurable
+     * @param {Object} signs - { ventricles: [], pulmonaryArtery: [], ivcRa: [] } signs present per category
+     * @returns {Object} { level, grade (0 low, 1 intermediate, 2 high), trBand, categories, otherSigns }
+     */
+    classifyPHProbability(trVel, signs = {}) {
+        const categories = ['ventricles', 'pulmonaryArtery', 'ivcRa']
+            .filter(category => (signs[category] || []).length > 0).length;
+        const otherSigns = categories >= 2;
+
+        const trBand = trVel > 3.4 ? 'alta' : trVel > 2.8 ? 'intermedia' : 'baja';
+        let grade;
+        if (trBand === 'alta') grade = 2;
+        else if (trBand === 'intermedia') grade = otherSigns ? 2 : 1;
+        else grade = otherSigns ? 1 : 0;
+
+        return { level: ['Baja', 'Intermedia', 'Alta'][grade], grade, trBand, categories, otherSigns };
+    }
+
+    /**
+     * Estimate mean PAP
+     * From the early diastolic PR velocity: 4V² + RAP; from the RVOT acceleration time: 79 - 0.45 × AT (Mahan)
+     *
+     * @param {Object} params
+     * @param {number} params.prVel - Early diastolic PR velocity (m/s)
+     * @param {number} params.rap - Right atrial pressure (mmHg)
+     * @param {number} params.accelerationTime - RVOT acceleration time (ms)
+     * @returns {Object} { fromPR, fromAT } in mmHg (null when not available)
+     */
+    estimateMeanPAP(params) {
+        const { prVel = 0, rap = 5, accelerationTime = 0 } = params;
+        return {
+            fromPR: prVel > 0 ? Math.round(4 * Math.pow(prVel, 2) + rap) : null,
+            fromAT: accelerationTime > 0 ? Math.max(0, Math.round(79 - 0.45 * accelerationTime)) : null
+        };
+    }
+
+    /**
+     * Estimate pulmonary vascular resistance (Abbas): 10 × TRV / VTI RVOT + 0.16
+     * @param {number} trVel - Peak TR velocity (m/s)
+     * @param {number} rvotVti - RVOT VTI (cm)
+     * @returns {number} PVR in Wood units (0 when not available)
+     */
+    estimatePVR(trVel, rvotVti) {
+        if (!trVel || trVel <= 0 || !rvotVti || rvotVti <= 0) return 0;
+        return 10 * trVel / rvotVti + 0.16;
+    }
 }
 
 // Export for use in other modules
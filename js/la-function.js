@@ -0,0 +1,130 @@
+/**
+ * Left Atrial Function Module
+ * Phasic LA strain (reservoir, conduit, contractile; EACVI NORRE lower limits), emptying fractions
+ * from maximum, minimum and pre-A volumes, and LA stiffness index (E/e' / reservoir strain)
+ */
+
+class LAFunctionModule {
+    constructor() {
+        this.inputs = {
+            reservoir: 'ai_strain_reservorio',
+            conduit: 'ai_strain_conducto',
+            contractile: 'ai_strain_contractil',
+            maxVolume: 'ai_vol_max',
+            minVolume: 'ai_vol_min',
+            preAVolume: 'ai_vol_pre_a'
+        };
+
+        // Lower limits of normal (upper for stiffness)
+        this.thresholds = {
+            reservoir: 26,          // %
+            conduit: 12,            // %
+            contractile: 7.7,       // %
+            totalEF: 50,            // %
+            passiveEF: 25,          // %
+            activeEF: 30,           // %
+            stiffness: 0.26,        // E/e' per % of reservoir strain
+            elevatedPressure: 18    // %, reservoir strain suggesting elevated LV filling pressures
+        };
+    }
+
+    // Values from a study model field snapshot; eeRatio from the engine (0 when not available)
+    valuesFromModel(fields, eeRatio = 0) {
+        const num = key => Math.abs(parseFloat(fields[this.inputs[key]]) || 0);
+        // Without atrial contraction (AF/flutter) the contractile phase and pre-A volume do not apply
+        const atrialFibrillation = fields.ritmo === 'fa' || fields.ritmo === 'flutter';
+        const maxVolume = num('maxVolume');
+        const minVolume = num('minVolume');
+        const preAVolume = atrialFibrillation ? 0 : num('preAVolume');
+        const reservoir = num('reservoir');
+        const fraction = (from, to) => from > 0 && to > 0 && to < from ? (from - to) / from * 100 : 0;
+
+        return {
+            atrialFibrillation,
+            reservoir,
+            conduit: num('conduit'),
+            contractile: atrialFibrillation ? 0 : num('contractile'),
+            maxVolume,
+            minVolume,
+            preAVolume,
+            totalEF: fraction(maxVolume, minVolume),
+            passiveEF: preAVolume < maxVolume ? fraction(maxVolume, preAVolume) : 0,
+            activeEF: preAVolume > minVolume ? fraction(preAVolume, minVolume) : 0,
+            eeRatio,
+            stiffness: eeRatio > 0 && reservoir > 0 ? eeRatio / reservoir : 0
+        };
+    }
+
+    /**
+     * Measured LA function parameters with their report wording
+     * @returns {Array<object>} - [{ key, text, abnormal }]
+     */
+    functionParameters(data) {
+        const t = this.thresholds;
+        const params = [];
+        if (data.reservoir > 0) params.push({ key: 'reservoir', text: `strain de reservorio ${data.reservoir}%`, abnormal: data.reservoir < t.reservoir });
+        if (data.conduit > 0) params.push({ key: 'conduit', text: `strain de conducto ${data.conduit}%`, abnormal: data.conduit < t.conduit });
+        if (data.contractile > 0) params.push({ key: 'contractile', text: `strain contráctil ${data.contractile}%`, abnormal: data.contractile < t.contractile });
+        if (data.totalEF > 0) params.push({ key: 'totalEF', text: `fracción de vaciado total ${data.totalEF.toFixed(0)}%`, abnormal: data.totalEF < t.totalEF });
+        if (data.passiveEF > 0) params.push({ key: 'passiveEF', text: `fracción de vaciado pasiva ${data.passiveEF.toFixed(0)}%`, abnormal: data.passiveEF < t.passiveEF });
+        if (data.activeEF > 0) params.push({ key: 'activeEF', text: `fracción de vaciado activa ${data.activeEF.toFixed(0)}%`, abnormal: data.activeEF < t.activeEF });
+        if (data.stiffness > 0) params.push({ key: 'stiffness', text: `índice de rigidez AI ${data.stiffness.toFixed(2)}`, abnormal: data.stiffness > t.stiffness });
+        return params;
+    }
+
+    /**
+     * LA function and filling pressure hint from the reservoir strain
+     * @param {object} data - From valuesFromModel()
+     * @returns {object} - { level, grade (-1 not measured, 0 preserved, 1 reduced), abnormal, elevatedPressure }
+     */
+    determineSeverity(data) {
+        const params = this.functionParameters(data);
+        const abnormal = params.filter(p => p.abnormal).map(p => p.key);
+        const elevatedPressure = data.reservoir > 0 && data.reservoir < this.thresholds.elevatedPressure;
+
+        if (params.length === 0) return { level: 'No medida', grade: -1, abnormal, elevatedPressure };
+        return abnormal.length > 0
+            ? { level: 'Reducida', grade: 1, abnormal, elevatedPressure }
+            : { level: 'Conservada', grade: 0, abnormal, elevatedPressure };
+    }
+
+    // Badge: red when the reservoir strain suggests elevated pressures, yellow for other reduced parameters
+    updateBadge(severity) {
+        const badgeEl = document.getElementById('ai_function_badge');
+        if (!badgeEl) return;
+
+        badgeEl.textContent = severity.elevatedPressure ? `${severity.level} - strain de reservorio < 18%` : severity.level;
+        const badgeClass = severity.elevatedPressure ? 'badge-severe'
+            : severity.grade === 1 ? 'badge-moderate' : severity.grade === 0 ? 'badge-mild' : 'badge-none';
+        badgeEl.className = `severity-badge ${badgeClass}`;
+    }
+
+    // Generate only descriptive text (NO diagnosis)
+    generateFindings(data) {
+        const severity = this.determineSeverity(data);
+        if (severity.grade < 0) return '';
+
+        const params = this.functionParameters(data).map(p => p.text);
+        return `Función auricular izquierda ${severity.level.toLowerCase()} (${params.join(', ')}).`;
+    }
+
+    // Diagnosis for Conclusion
+    generateConclusion(data) {
+        const severity = this.determineSeverity(data);
+        if (severity.grade !== 1) return '';
+
+        const abnormal = this.functionParameters(data).filter(p => p.abnormal).map(p => p.text);
+        const pressure = severity.elevatedPressure ? ', sugestiva de presiones de llenado VI elevadas' : '';
+        return `Disfunción auricular izquierda (${abnormal.join(', ')})${pressure}.`;
+    }
+}
+
+// Initialize globally
+if (typeof window !== 'undefined') {
+    window.laFunctionModule = new LAFunctionModule();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LAFunctionModule;
+}
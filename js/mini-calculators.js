@@ -37,6 +37,37 @@ class MiniCalculators {
         return result;
     }
 
+    /**
+     * Volumen sistólico y gasto cardíaco por Doppler en TSVI
+     * VS = CSA(TSVI) × VTI TSVI; GC = VS × FC; bajo flujo si VSi < 35 ml/m²
+     * @param {number} diamTSVI - Diámetro TSVI en mm
+     * @param {number} vtiTSVI - VTI TSVI en cm
+     * @param {number} hr - Frecuencia cardíaca en lpm (opcional, para GC/IC)
+     * @param {number} bsa - Superficie corporal en m²
+     * @returns {object} - sv, svi, co, ci, lowFlow (null without BSA)
+     */
+    calculateStrokeVolume(diamTSVI, vtiTSVI, hr, bsa) {
+        if (!diamTSVI || !vtiTSVI) return null;
+
+        const areaTSVI = Math.PI * Math.pow(diamTSVI / 20, 2);
+        const sv = areaTSVI * vtiTSVI;
+        const result = { sv: sv.toFixed(0), lowFlow: null };
+
+        if (hr > 0) {
+            const co = (sv * hr) / 1000;
+            result.co = co.toFixed(1);
+            if (bsa > 0) result.ci = (co / bsa).toFixed(1);
+        }
+
+        if (bsa > 0) {
+            const svi = sv / bsa;
+            result.svi = svi.toFixed(0);
+            result.lowFlow = svi < 35;
+        }
+
+        return result;
+    }
+
     /**
      * PISA (Proximal Isovelocity Surface Area) para cuantificación de IM
      * @param {number} radioPISA - Radio PISA en mm
@@ -68,6 +99,187 @@ class MiniCalculators {
         };
     }
 
+    /**
+     * Volúmenes VI por Teichholz (modo M / 2D lineal)
+     * Fórmula: V = 7 / (2.4 + D) × D³, D en cm
+     * @param {number} ddvi - Diámetro diastólico VI en mm
+     * @param {number} dsvi - Diámetro sistólico VI en mm
+     * @param {number} bsa - Superficie corporal en m²
+     * @param {string} sex - 'M' o 'F'
+     * @returns {object} - edv, esv, ef, edvi, esvi, dilated
+     */
+    calculateTeichholz(ddvi, dsvi, bsa, sex) {
+        if (!ddvi || !dsvi || dsvi >= ddvi) return null;
+
+        const volume = diamMm => {
+            const d = diamMm / 10;
+            return (7 / (2.4 + d)) * Math.pow(d, 3);
+        };
+
+        return this.formatLVVolumes(volume(ddvi), volume(dsvi), bsa, sex);
+    }
+
+    /**
+     * Volúmenes VI biplano por método de discos (Simpson modificado, ASE/EACVI 2015)
+     * V = π/4 × Σ(aᵢ × bᵢ) × L/20, con los 20 diámetros ortogonales de apical 4C (a) y 2C (b)
+     * @param {Array<number>} d4cDia - 20 diámetros 4C diástole (mm)
+     * @param {Array<number>} d2cDia - 20 diámetros 2C diástole (mm)
+     * @param {number} longDia - Longitud eje mayor diástole (cm)
+     * @param {Array<number>} d4cSis - 20 diámetros 4C sístole (mm)
+     * @param {Array<number>} d2cSis - 20 diámetros 2C sístole (mm)
+     * @param {number} longSis - Longitud eje mayor sístole (cm)
+     * @param {number} bsa - Superficie corporal en m²
+     * @param {string} sex - 'M' o 'F'
+     * @returns {object} - edv, esv, ef, edvi, esvi, dilated
+     */
+    calculateBiplaneVolumes(d4cDia, d2cDia, longDia, d4cSis, d2cSis, longSis, bsa, sex) {
+        const edv = this.discSummationVolume(d4cDia, d2cDia, longDia);
+        const esv = this.discSummationVolume(d4cSis, d2cSis, longSis);
+        if (!edv || !esv || esv >= edv) return null;
+
+        return this.formatLVVolumes(edv, esv, bsa, sex);
+    }
+
+    /**
+     * Volumen por suma de discos elípticos (null sin los 20 diámetros de cada vista)
+     * @returns {number|null} - ml
+     */
+    discSummationVolume(diameters4c, diameters2c, lengthCm) {
+        const discs = 20;
+        const complete = list => Array.isArray(list) && list.length === discs && list.every(d => d > 0);
+        if (!complete(diameters4c) || !complete(diameters2c) || !lengthCm) return null;
+
+        const sum = diameters4c.reduce((acc, a, i) => acc + (a / 10) * (diameters2c[i] / 10), 0);
+        return (Math.PI / 4) * sum * (lengthCm / discs);
+    }
+
+    /**
+     * Diámetros de discos escritos en un campo de texto (separados por espacio, coma o punto y coma)
+     * @returns {Array<number>}
+     */
+    parseDiscDiameters(text) {
+        return String(text || '').split(/[\s,;]+/).filter(Boolean).map(value => parseFloat(value));
+    }
+
+    /**
+     * Volúmenes VI biplano por área-longitud (alternativa al método de discos cuando solo se miden áreas)
+     * V = 8 / (3π) × A4C × A2C / L
+     * @param {number} a4cDia - Área 4C diástole (cm²)
+     * @param {number} a2cDia - Área 2C diástole (cm²)
+     * @param {number} longDia - Longitud eje mayor diástole (cm)
+     * @param {number} a4cSis - Área 4C sístole (cm²)
+     * @param {number} a2cSis - Área 2C sístole (cm²)
+     * @param {number} longSis - Longitud eje mayor sístole (cm)
+     * @param {number} bsa - Superficie corporal en m²
+     * @param {string} sex - 'M' o 'F'
+     * @returns {object} - edv, esv, ef, edvi, esvi, dilated
+     */
+    calculateAreaLengthVolumes(a4cDia, a2cDia, longDia, a4cSis, a2cSis, longSis, bsa, sex) {
+        if (!a4cDia || !a2cDia || !longDia || !a4cSis || !a2cSis || !longSis) return null;
+
+        const volume = (a4c, a2c, length) => (8 / (3 * Math.PI)) * a4c * a2c / length;
+        const edv = volume(a4cDia, a2cDia, longDia);
+        const esv = volume(a4cSis, a2cSis, longSis);
+        if (esv >= edv) return null;
+
+        return this.formatLVVolumes(edv, esv, bsa, sex);
+    }
+
+    /**
+     * FEy, indexación y dilatación (ASE/EACVI 2015: VFDi > 74/61 ml/m², VFSi > 31/24 ml/m² en H/M)
+     */
+    formatLVVolumes(edv, esv, bsa, sex) {
+        const limits = sex === 'F' ? { edvi: 61, esvi: 24 } : { edvi: 74, esvi: 31 };
+        const ef = ((edv - esv) / edv) * 100;
+        const result = {
+            edv: edv.toFixed(0),
+            esv: esv.toFixed(0),
+            ef: ef.toFixed(0),
+            dilated: false
+        };
+
+        if (bsa > 0) {
+            const edvi = edv / bsa;
+            const esvi = esv / bsa;
+            result.edvi = edvi.toFixed(0);
+            result.esvi = esvi.toFixed(0);
+            result.dilated = edvi > limits.edvi || esvi > limits.esvi;
+        }
+
+        return result;
+    }
+
+    /**
+     * Área valvular mitral por tiempo de hemipresión
+     * Fórmula: AVM = 220 / PHT
+     * @param {number} pht - Tiempo de hemipresión en ms
+     * @returns {object} - mva en cm²
+     */
+    calculateMVAPHT(pht) {
+        if (!pht || pht <= 0) return null;
+        return { mva: (220 / pht).toFixed(2) };
+    }
+
+    /**
+     * Área valvular mitral por ecuación de continuidad
+     * Fórmula: AVM = CSA(TSVI) × VTI TSVI / VTI mitral
+     * @param {number} diamTSVI - Diámetro TSVI en mm
+     * @param {number} vtiTSVI - VTI TSVI en cm
+     * @param {number} vtiMitral - VTI del flujo transmitral estenótico en cm
+     * @returns {object} - mva en cm²
+     */
+    calculateMVAContinuity(diamTSVI, vtiTSVI, vtiMitral) {
+        if (!diamTSVI || !vtiTSVI || !vtiMitral) return null;
+
+        const areaTSVI = Math.PI * Math.pow(diamTSVI / 20, 2);
+        return { mva: ((areaTSVI * vtiTSVI) / vtiMitral).toFixed(2) };
+    }
+
+    /**
+     * Área valvular mitral por PISA con corrección angular
+     * Fórmula: AVM = 2π × r² × Va / Vmax × (α / 180)
+     * @param {number} radioPISA - Radio PISA en mm
+     * @param {number} vAliasing - Velocidad de aliasing en cm/s
+     * @param {number} vmax - Velocidad máxima transmitral en m/s
+     * @param {number} angle - Ángulo de apertura de las valvas en grados
+     * @returns {object} - flow (ml/s), mva en cm²
+     */
+    calculateMVAPISA(radioPISA, vAliasing, vmax, angle) {
+        if (!radioPISA || !vAliasing || !vmax || !angle || angle >= 180) return null;
+
+        const radioCm = radioPISA / 10;
+        const flow = 2 * Math.PI * Math.pow(radioCm, 2) * vAliasing * (angle / 180);
+        return {
+            flow: flow.toFixed(1),
+            mva: (flow / (vmax * 100)).toFixed(2)
+        };
+    }
+
+    /**
+     * Score ecocardiográfico de Wilkins (movilidad, engrosamiento, calcificación, aparato subvalvular; 1-4 cada uno)
+     * ≤ 8 favorable para comisurotomía mitral percutánea, 9-10 intermedio, > 10 desfavorable
+     * @returns {object} - score (4-16), suitability ('favorable', 'intermedia', 'desfavorable'), text
+     */
+    calculateWilkinsScore(mobility, thickening, calcification, subvalvular) {
+        const items = [mobility, thickening, calcification, subvalvular];
+        if (items.some(v => !(v >= 1 && v <= 4))) return null;
+
+        const score = items.reduce((a, b) => a + b, 0);
+        let suitability, text;
+        if (score <= 8) {
+            suitability = 'favorable';
+            text = 'anatomía favorable para comisurotomía mitral percutánea';
+        } else if (score <= 10) {
+            suitability = 'intermedia';
+            text = 'anatomía intermedia para comisurotomía mitral percutánea (valorar según insuficiencia mitral y contexto clínico)';
+        } else {
+            suitability = 'desfavorable';
+            text = 'anatomía desfavorable para comisurotomía mitral percutánea (considerar tratamiento quirúrgico)';
+        }
+
+        return { score, suitability, text };
+    }
+
     /**
      * Calculate adimensional coefficient for aortic stenosis
      * @param {number} vtiTSVI - VTI TSVI
@@ -130,24 +342,70 @@ MiniCalculators.prototype.calculateLanusAI = function (area4c, longitudMm, bsa)
     // Fórmula Lanús Monoplano: Vol = (0.85 × Área²) / Longitud
     const volumen = (0.85 * Math.pow(area4c, 2)) / longitudCm;
 
-    // Indexar por superficie corporal
-    const volumeIndexed = volumen / bsa;
-
-    // Clasificación automática según guías ASE/EACVI
-    let classification;
-    if (volumeIndexed < 34) {
-        classification = "Normal";
-    } else if (volumeIndexed <= 41) {
-        classification = "Dilatación Leve";
-    } else if (volumeIndexed <= 48) {
-        classification = "Dilatación Moderada";
-    } else {
-        classification = "Dilatación Severa";
-    }
+    // Indexar por superficie corporal (clasificación común a todos los métodos)
+    return this.indexLAVolume(volumen, bsa);
+};
+
+// Biplane LA volume methods (v14.2)
+// Methods selectable in ai_calc_mode, with the name recorded in the report and dataset
+MiniCalculators.prototype.laVolumeMethods = {
+    auto: 'Simpson automático',
+    discos: 'método de discos biplano',
+    biplano_al: 'área-longitud biplano',
+    lanus: 'área-longitud monoplano (Lanús)'
+};
+
+/**
+ * Clasificación del volumen indexado de AI, común a todos los métodos (ASE/EACVI 2015)
+ * Normal ≤34, leve >34-41, moderada >41-48, severa >48 ml/m²
+ * @param {number} volumeIndexed - Volumen indexado (ml/m²)
+ * @returns {string} - Clasificación
+ */
+MiniCalculators.prototype.classifyLAVolumeIndex = function (volumeIndexed) {
+    if (volumeIndexed <= 34) return "Normal";
+    if (volumeIndexed <= 41) return "Dilatación Leve";
+    if (volumeIndexed <= 48) return "Dilatación Moderada";
+    return "Dilatación Severa";
+};
+
+/**
+ * Método Área-Longitud Biplano para volumen de AI
+ * Fórmula: Vol = (0.85 × A4C × A2C) / L, con L la longitud más corta de ambas vistas
+ * @param {number} area4c - Área en vista 4 cámaras (cm²)
+ * @param {number} area2c - Área en vista 2 cámaras (cm²)
+ * @param {number} longitudMm - Longitud más corta (mm)
+ * @param {number} bsa - Superficie corporal (m²)
+ * @returns {object} - {volumen, volumeIndexed, classification}
+ */
+MiniCalculators.prototype.calculateBiplaneAreaLengthAI = function (area4c, area2c, longitudMm, bsa) {
+    if (!area4c || !area2c || !longitudMm || !bsa) return null;
 
+    const volumen = (0.85 * area4c * area2c) / (longitudMm / 10);
+    return this.indexLAVolume(volumen, bsa);
+};
+
+/**
+ * Volumen de AI por método de discos biplano (Simpson, medido en el equipo) indexado
+ * @param {number} volumen - Volumen biplano (ml)
+ * @param {number} bsa - Superficie corporal (m²)
+ * @returns {object} - {volumen, volumeIndexed, classification}
+ */
+MiniCalculators.prototype.calculateDiscsAI = function (volumen, bsa) {
+    if (!volumen || !bsa) return null;
+    return this.indexLAVolume(volumen, bsa);
+};
+
+// Volumen de AI indexado por superficie corporal; se clasifica el valor redondeado que se inyecta en vol_ai
+MiniCalculators.prototype.indexLAVolume = function (volumen, bsa) {
+    const volumeIndexed = (volumen / bsa).toFixed(1);
     return {
         volumen: volumen.toFixed(1),
-        volumeIndexed: volumeIndexed.toFixed(1),
-        classification: classification
+        volumeIndexed,
+        classification: this.classifyLAVolumeIndex(parseFloat(volumeIndexed))
     };
 };
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MiniCalculators;
+}
@@ -0,0 +1,238 @@
+/**
+ * Mitral Regurgitation Module
+ * Integrative multiparametric grading (ASE 2017 valvular regurgitation, ESC/EACTS 2021)
+ * for primary and secondary (functional) MR
+ */
+
+class MitralRegurgitationModule {
+    constructor() {
+        this.inputs = {
+            etiology: 'im_etiologia',
+            vc: 'im_vc',
+            eroa: 'im_ore',
+            rvol: 'im_vr',
+            rf: 'im_fr',
+            jetArea: 'im_area_jet',
+            pvFlow: 'im_venas_pulm'
+        };
+        // Context read from other sections (E-wave dominance, chamber size)
+        this.context = {
+            eWave: 'onda_e',
+            aWave: 'onda_a',
+            laVolIndex: 'vol_ai',
+            lvedd: 'ddvi',
+            sex: 'sexo'
+        };
+        this.output = {
+            badge: 'im_severity_badge'
+        };
+
+        // Quantitative thresholds: severe ≥, mild <
+        // Shared by primary and secondary MR: ASE 2017 and ESC/EACTS 2021 no longer use the lower
+        // 0.20 cm² / 30 ml secondary cutoffs of ESC 2012/2017; etiology only changes the supportive signs
+        this.thresholds = {
+            vc: { severe: 7, mild: 3 },         // mm
+            eroa: { severe: 0.40, mild: 0.20 }, // cm²
+            rvol: { severe: 60, mild: 30 },     // ml
+            rf: { severe: 50, mild: 30 }        // %
+        };
+
+        // ESC/EACTS 2021: secondary MR with an elliptical orifice may be severe from EROA ≥ 0.30 cm²
+        // (a possibility, not a cutoff: reported in the findings, not graded)
+        this.ellipticalEroa = 0.30;
+
+        this.etiologyLabels = {
+            primaria: 'primaria',
+            secundaria: 'secundaria (funcional)'
+        };
+
+        // Headless use (Node, StudyEngine): no DOM to bind
+        if (typeof document !== 'undefined') this.init();
+    }
+
+    init() {
+        [...Object.values(this.inputs), ...Object.values(this.context)].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) {
+                el.addEventListener('input', () => this.updateState());
+                el.addEventListener('change', () => this.updateState());
+            }
+        });
+
+        this.updateState();
+    }
+
+    getValues() {
+        const fields = {};
+        [...Object.values(this.inputs), ...Object.values(this.context)].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) fields[id] = el.value;
+        });
+        return this.valuesFromModel(fields);
+    }
+
+    // Same values from a study model field snapshot ({ im_vc: '7', ... }), no DOM access
+    valuesFromModel(fields) {
+        return {
+            etiology: fields[this.inputs.etiology] === 'secundaria' ? 'secundaria' : 'primaria',
+            vc: parseFloat(fields[this.inputs.vc]) || 0,
+            eroa: parseFloat(fields[this.inputs.eroa]) || 0,
+            rvol: parseFloat(fields[this.inputs.rvol]) || 0,
+            rf: parseFloat(fields[this.inputs.rf]) || 0,
+            jetArea: parseFloat(fields[this.inputs.jetArea]) || 0,
+            pvFlow: fields[this.inputs.pvFlow] || '',
+            eWave: parseFloat(fields[this.context.eWave]) || 0,
+            aWave: parseFloat(fields[this.context.aWave]) || 0,
+            laVolIndex: parseFloat(fields[this.context.laVolIndex]) || 0,
+            lvedd: parseFloat(fields[this.context.lvedd]) || 0,
+            sex: fields[this.context.sex] || 'M'
+        };
+    }
+
+    hasData(data) {
+        return data.vc > 0 || data.eroa > 0 || data.rvol > 0 || data.rf > 0 || data.jetArea > 0 || data.pvFlow !== '';
+    }
+
+    /**
+     * Classify each parameter as 'severe', 'mild' or 'intermediate'
+     * @returns {object} - { quantitative: [...], supportive: [...] }
+     */
+    classifyCriteria(data) {
+        const t = this.thresholds;
+        const quantitative = [];
+        const supportive = [];
+
+        ['vc', 'eroa', 'rvol', 'rf'].forEach(key => {
+            if (!(data[key] > 0)) return;
+            if (data[key] >= t[key].severe) quantitative.push('severe');
+            else if (data[key] < t[key].mild) quantitative.push('mild');
+            else quantitative.push('intermediate');
+        });
+
+        // Color jet area: < 4 cm² small, > 10 cm² large
+        if (data.jetArea > 0) {
+            supportive.push(data.jetArea > 10 ? 'severe' : data.jetArea < 4 ? 'mild' : 'intermediate');
+        }
+
+        // Pulmonary vein flow: systolic dominance / blunting / systolic reversal
+        if (data.pvFlow === 'reverso') supportive.push('severe');
+        else if (data.pvFlow === 'normal') supportive.push('mild');
+        else if (data.pvFlow === 'embotado') supportive.push('intermediate');
+
+        // Mitral inflow: E > 1.2 m/s supports severe; A-wave dominance argues against it
+        if (data.eWave > 0 && data.aWave > 0) {
+            if (data.eWave > 120) supportive.push('severe');
+            else if (data.eWave < data.aWave) supportive.push('mild');
+        }
+
+        // Chamber size (primary chronic MR only; secondary MR has dilated chambers by definition)
+        if (data.etiology === 'primaria' && data.laVolIndex > 0 && data.lvedd > 0) {
+            const lvDilated = data.lvedd > (data.sex === 'F' ? 53 : 59);
+            const laDilated = data.laVolIndex > 34;
+            if (lvDilated && laDilated) supportive.push('severe');
+            else if (!lvDilated && !laDilated) supportive.push('mild');
+        }
+
+        return { quantitative, supportive };
+    }
+
+    determineSeverity(data) {
+        if (!this.hasData(data)) return { level: 'No evaluada', color: 'gray', class: 'badge-none' };
+
+        const { quantitative, supportive } = this.classifyCriteria(data);
+        const count = (list, value) => list.filter(v => v === value).length;
+        const qSevere = count(quantitative, 'severe');
+        const qMild = count(quantitative, 'mild');
+        const sSevere = count(supportive, 'severe');
+        const sMild = count(supportive, 'mild');
+
+        // Severe: two specific quantitative criteria, or one backed by a supportive sign without mild quantitative data
+        if (qSevere >= 2 || (qSevere === 1 && qMild === 0 && sSevere >= 1) ||
+            (quantitative.length === 0 && sSevere >= 3 && sMild === 0)) {
+            return { level: 'Severa', color: 'red', class: 'badge-severe' };
+        }
+
+        // Mild: every quantitative criterion in the mild range, or consistent mild supportive signs
+        if ((quantitative.length > 0 && qMild === quantitative.length && sSevere === 0) ||
+            (quantitative.length === 0 && sMild >= 2 && sSevere === 0)) {
+            return { level: 'Leve', color: 'green', class: 'badge-mild' };
+        }
+
+        return { level: 'Moderada', color: 'yellow', class: 'badge-moderate' };
+    }
+
+    updateState() {
+        const severity = this.determineSeverity(this.getValues());
+
+        const badgeEl = document.getElementById(this.output.badge);
+        if (badgeEl) {
+            badgeEl.textContent = severity.level;
+            badgeEl.className = `severity-badge ${severity.class}`;
+
+            if (severity.color === 'red') {
+                badgeEl.style.backgroundColor = '#fecaca'; // red-200
+                badgeEl.style.color = '#991b1b'; // red-800
+                badgeEl.style.border = '1px solid #ef4444';
+            } else if (severity.color === 'green') {
+                badgeEl.style.backgroundColor = '#bbf7d0'; // green-200
+                badgeEl.style.color = '#166534'; // green-800
+                badgeEl.style.border = '1px solid #22c55e';
+            } else if (severity.color === 'yellow') {
+                badgeEl.style.backgroundColor = '#fef08a'; // yellow-200
+                badgeEl.style.color = '#854d0e'; // yellow-800
+                badgeEl.style.border = '1px solid #eab308';
+            } else {
+                badgeEl.style.backgroundColor = '#e5e7eb';
+                badgeEl.style.color = '#374151';
+                badgeEl.style.border = '1px solid #d1d5db';
+            }
+        }
+    }
+
+    // Generate only descriptive text (NO diagnosis)
+    generateFindings(data = this.getValues()) {
+        if (!this.hasData(data)) return '';
+
+        let report = `Insuficiencia mitral ${this.etiologyLabels[data.etiology]}. `;
+
+        const params = [];
+        if (data.vc > 0) params.push(`vena contracta ${data.vc} mm`);
+        if (data.eroa > 0) params.push(`ORE ${data.eroa} cm²`);
+        if (data.rvol > 0) params.push(`vol. regurgitante ${data.rvol} ml`);
+        if (data.rf > 0) params.push(`fracción regurgitante ${data.rf}%`);
+        if (params.length > 0) {
+            report += `Parámetros cuantitativos: ${params.join(', ')}. `;
+        }
+        if (data.etiology === 'secundaria' && data.eroa >= this.ellipticalEroa && data.eroa < this.thresholds.eroa.severe) {
+            report += `ORE ≥ ${this.ellipticalEroa.toFixed(2)} cm²: puede corresponder a insuficiencia severa si el orificio regurgitante es elíptico. `;
+        }
+
+        if (data.jetArea > 0) report += `Área del jet color ${data.jetArea} cm². `;
+
+        if (data.pvFlow === 'reverso') report += 'Flujo venoso pulmonar con reversión sistólica. ';
+        else if (data.pvFlow === 'embotado') report += 'Flujo venoso pulmonar con onda sistólica embotada. ';
+        else if (data.pvFlow === 'normal') report += 'Flujo venoso pulmonar con predominio sistólico. ';
+
+        if (data.eWave > 120 && data.aWave > 0) report += `Llenado mitral con onda E dominante (${data.eWave} cm/s). `;
+
+        return report.trim();
+    }
+
+    // Generate only diagnosis (Severity) for Conclusion
+    generateConclusion(data = this.getValues()) {
+        if (!this.hasData(data)) return '';
+
+        const severity = this.determineSeverity(data);
+        return `Insuficiencia Mitral ${severity.level} ${this.etiologyLabels[data.etiology]}.`;
+    }
+}
+
+// Initialize globally
+if (typeof window !== 'undefined') {
+    window.mitralRegurgitationModule = new MitralRegurgitationModule();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MitralRegurgitationModule;
+}
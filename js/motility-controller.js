@@ -448,6 +448,36 @@ class MotilityController {
         this.updatePreview();
     }
 
+    // Restore a stored study (segment states + pattern) without re-applying the pattern preset
+    loadState(state, pattern = 'none') {
+        this.state = this.normalizeState(state);
+        this.pattern = pattern || 'none';
+        this.saveToStorage();
+        localStorage.setItem('motility-pattern', this.pattern);
+        this.notifyListeners('all');
+        this.updateUI();
+        this.updatePreview();
+    }
+
+    // Stored segment states over the all-normal default (invalid values ignored)
+    normalizeState(state) {
+        const restored = this.getDefaultState();
+        Object.entries(state || {}).forEach(([id, value]) => {
+            const segState = parseInt(value);
+            if (restored[id] !== undefined && segState >= 1 && segState <= 4) restored[id] = segState;
+        });
+        return restored;
+    }
+
+    // Detached controller for report/WMSI generation (no storage, no DOM)
+    static fromState(state, pattern = 'none') {
+        const controller = Object.create(MotilityController.prototype);
+        controller.state = controller.normalizeState(state);
+        controller.pattern = pattern || 'none';
+        controller.listeners = [];
+        return controller;
+    }
+
     // Persistence
     saveToStorage() {
         localStorage.setItem('motility-state', JSON.stringify(this.state));
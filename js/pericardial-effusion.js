@@ -0,0 +1,178 @@
+/**
+ * Pericardial Effusion Module
+ * Effusion size from the maximal end-diastolic separation (ESC 2015 pericardial diseases),
+ * distribution, content and echocardiographic signs of tamponade (ASE 2013)
+ */
+
+class PericardialEffusionModule {
+    constructor() {
+        this.inputs = {
+            present: 'peri_derrame',
+            anterior: 'peri_sep_anterior',
+            posterior: 'peri_sep_posterior',
+            lateral: 'peri_sep_lateral',
+            apical: 'peri_sep_apical',
+            distribution: 'peri_distribucion',
+            content: 'peri_contenido',
+            raCollapse: 'peri_colapso_ad',
+            rvCollapse: 'peri_colapso_vd',
+            ivcPlethora: 'peri_vci_pletorica',
+            mitralVariation: 'peri_var_mitral',
+            tricuspidVariation: 'peri_var_tricuspidea'
+        };
+
+        this.wallLabels = {
+            anterior: 'anterior',
+            posterior: 'posterior',
+            lateral: 'lateral',
+            apical: 'apical'
+        };
+        this.contentLabels = {
+            anecoico: 'de aspecto anecoico',
+            fibrina: 'con ecos y bandas de fibrina',
+            organizado: 'de contenido denso/organizado'
+        };
+
+        this.thresholds = {
+            separation: { moderate: 10, large: 20 }, // mm, end-diastolic
+            mitralVariation: 25,                     // %, respiratory variation of mitral E
+            tricuspidVariation: 40                   // %, respiratory variation of tricuspid E
+        };
+
+        this.levels = ['Leve', 'Moderado', 'Severo'];
+    }
+
+    // Values from a study model field snapshot ({ peri_derrame: 'si', peri_sep_posterior: '12', ... })
+    valuesFromModel(fields) {
+        const num = key => parseFloat(fields[this.inputs[key]]) || 0;
+        const separations = {};
+        Object.keys(this.wallLabels).forEach(wall => {
+            if (num(wall) > 0) separations[wall] = num(wall);
+        });
+
+        return {
+            present: fields[this.inputs.present] === 'si',
+            separations,
+            distribution: fields[this.inputs.distribution] === 'loculado' ? 'loculado' : 'circunferencial',
+            content: this.contentLabels[fields[this.inputs.content]] ? fields[this.inputs.content] : 'anecoico',
+            raCollapse: fields[this.inputs.raCollapse] === true,
+            rvCollapse: fields[this.inputs.rvCollapse] === true,
+            ivcPlethora: fields[this.inputs.ivcPlethora] === true,
+            mitralVariation: num('mitralVariation'),
+            tricuspidVariation: num('tricuspidVariation')
+        };
+    }
+
+    maxSeparation(data) {
+        const values = Object.values(data.separations);
+        return values.length > 0 ? Math.max(...values) : 0;
+    }
+
+    /**
+     * Echocardiographic signs of tamponade present in the data
+     * @returns {Array<string>} - Report wording of each sign
+     */
+    tamponadeSigns(data) {
+        const signs = [];
+        if (data.rvCollapse) signs.push('colapso diastólico del VD');
+        if (data.raCollapse) signs.push('colapso sistólico de la AD');
+        if (data.ivcPlethora) signs.push('VCI pletórica');
+        if (data.mitralVariation >= this.thresholds.mitralVariation) {
+            signs.push(`variación respiratoria del flujo mitral ${data.mitralVariation}%`);
+        }
+        if (data.tricuspidVariation >= this.thresholds.tricuspidVariation) {
+            signs.push(`variación respiratoria del flujo tricuspídeo ${data.tricuspidVariation}%`);
+        }
+        return signs;
+    }
+
+    /**
+     * Effusion size and tamponade
+     * @param {object} data - From valuesFromModel()
+     * @returns {object} - { level, grade (-1 without effusion or measurement), tamponade, signs }
+     */
+    determineSeverity(data) {
+        const signs = this.tamponadeSigns(data);
+        const max = this.maxSeparation(data);
+        if (!data.present || max === 0) {
+            return { level: data.present ? 'No medido' : 'Sin derrame', grade: -1, tamponade: signs.length > 0, signs };
+        }
+
+        const t = this.thresholds.separation;
+        const grade = max > t.large ? 2 : max >= t.moderate ? 1 : 0;
+        return { level: this.levels[grade], grade, tamponade: signs.length > 0, signs };
+    }
+
+    // Badge: red for a large effusion or any sign of tamponade
+    updateBadge(severity) {
+        const badgeEl = document.getElementById('peri_severity_badge');
+        if (!badgeEl) return;
+
+        const color = severity.tamponade || severity.grade === 2 ? 'red'
+            : severity.grade === 1 ? 'yellow' : severity.grade === 0 ? 'green' : 'gray';
+        badgeEl.textContent = severity.tamponade ? `${severity.level} - taponamiento` : severity.level;
+        badgeEl.className = `severity-badge ${{ red: 'badge-severe', yellow: 'badge-moderate', green: 'badge-mild', gray: 'badge-none' }[color]}`;
+
+        if (color === 'red') {
+            badgeEl.style.backgroundColor = '#fecaca'; // red-200
+            badgeEl.style.color = '#991b1b'; // red-800
+            badgeEl.style.border = '1px solid #ef4444';
+        } else if (color === 'green') {
+            badgeEl.style.backgroundColor = '#bbf7d0'; // green-200
+            badgeEl.style.color = '#166534'; // green-800
+            badgeEl.style.border = '1px solid #22c55e';
+        } else if (color === 'yellow') {
+            badgeEl.style.backgroundColor = '#fef08a'; // yellow-200
+            badgeEl.style.color = '#854d0e'; // yellow-800
+            badgeEl.style.border = '1px solid #eab308';
+        } else {
+            badgeEl.style.backgroundColor = '#e5e7eb';
+            badgeEl.style.color = '#374151';
+            badgeEl.style.border = '1px solid #d1d5db';
+        }
+    }
+
+    // Generate only descriptive text (NO diagnosis)
+    generateFindings(data) {
+        if (!data.present) return '';
+
+        const severity = this.determineSeverity(data);
+        let report = `Derrame pericárdico ${data.distribution}`;
+        if (severity.grade >= 0) {
+            const walls = Object.entries(data.separations).map(([wall, mm]) => `${this.wallLabels[wall]} ${mm} mm`);
+            report += ` ${severity.level.toLowerCase()} (separación diastólica máxima ${this.maxSeparation(data)} mm: ${walls.join(', ')})`;
+        }
+        report += `, ${this.contentLabels[data.content]}.`;
+
+        if (severity.tamponade) {
+            report += ` Signos ecocardiográficos de compromiso hemodinámico: ${severity.signs.join(', ')}.`;
+        } else {
+            report += ' Sin signos ecocardiográficos de compromiso hemodinámico.';
+        }
+        return report;
+    }
+
+    // Diagnosis for Conclusion
+    generateConclusion(data) {
+        if (!data.present) return '';
+
+        const severity = this.determineSeverity(data);
+        let report = 'Derrame pericárdico';
+        if (severity.grade >= 0) report += ` ${severity.level.toLowerCase()}`;
+        report += ` ${data.distribution}`;
+        report += severity.tamponade
+            ? ' con signos ecocardiográficos de taponamiento cardíaco (correlacionar con la clínica).'
+            : ' sin compromiso hemodinámico.';
+        return report;
+    }
+}
+
+// Initialize globally
+if (typeof window !== 'undefined') {
+    window.pericardialEffusionModule = new PericardialEffusionModule();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PericardialEffusionModule;
+}
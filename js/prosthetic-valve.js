@@ -0,0 +1,320 @@
+/**
+ * Prosthetic Valve Module
+ * Aortic and mitral prosthesis function (ASE 2009 prosthetic valves), paravalvular leak
+ * and patient-prosthesis mismatch (VARC-3) with reference EOA per model/size from a JSON table
+ */
+
+class ProstheticValveModule {
+    constructor() {
+        this.format = 'ecodoppler-prosthesis-eoa';
+        this.positions = {
+            aortica: { prefix: 'pao', label: 'aórtica' },
+            mitral: { prefix: 'pmi', label: 'mitral' }
+        };
+        this.typeLabels = {
+            mecanica: 'mecánica',
+            biologica: 'biológica'
+        };
+
+        // Reference EOA table (see data/prosthesis-eoa.json), empty until loaded
+        this.models = [];
+        this.source = '';
+
+        // Doppler criteria: 'possible' starts the possible-stenosis range, 'significant' the significant one
+        // (higher is worse unless inverse: true)
+        this.criteria = {
+            aortica: {
+                vmax: { possible: 3, significant: 4, label: 'Vmax', unit: 'm/s' },
+                gradMean: { possible: 20, significant: 35, label: 'gradiente medio', unit: 'mmHg' },
+                dvi: { possible: 0.30, significant: 0.25, inverse: true, label: 'DVI', unit: '' },
+                eoa: { possible: 1.2, significant: 0.8, inverse: true, label: 'EOA', unit: 'cm²' },
+                at: { possible: 80, significant: 100, label: 'TA', unit: 'ms' },
+                atEt: { possible: 0.32, significant: 0.37, label: 'TA/TE', unit: '' }
+            },
+            mitral: {
+                vmax: { possible: 1.9, significant: 2.5, label: 'onda E pico', unit: 'm/s' },
+                gradMean: { possible: 6, significant: 10, label: 'gradiente medio', unit: 'mmHg' },
+                dvi: { possible: 2.2, significant: 2.5, label: 'VTI prótesis/TSVI', unit: '' },
+                eoa: { possible: 2.0, significant: 1.0, inverse: true, label: 'EOA', unit: 'cm²' },
+                pht: { possible: 130, significant: 200, label: 'PHT', unit: 'ms' }
+            }
+        };
+
+        // Indexed EOA (cm²/m²): mismatch when ≤ moderate, severe when ≤ severe
+        this.ppmThresholds = {
+            aortica: { moderate: 0.85, severe: 0.65 },
+            aorticaObese: { moderate: 0.70, severe: 0.55 }, // BMI ≥ 30 kg/m²
+            mitral: { moderate: 1.2, severe: 0.9 }
+        };
+
+        // Paravalvular leak, % of the sewing ring circumference
+        this.leakThresholds = { moderate: 10, severe: 30 };
+
+        this.obstructionLevels = ['Normofuncionante', 'Posible estenosis', 'Estenosis significativa'];
+        this.ppmLevels = ['Ausente', 'Moderado', 'Severo'];
+        this.leakLevels = ['Leve', 'Moderada', 'Severa'];
+    }
+
+    /**
+     * Load a reference EOA table
+     * @param {object} table - Parsed JSON { format, version, source, models: [{ id, name, type, eoa: { aortica: { size: eoa } } }] }
+     * @returns {number} - Number of models loaded
+     * @throws {Error} - If the table is not valid
+     */
+    loadReferenceTable(table) {
+        if (!table || table.format !== this.format || !Array.isArray(table.models)) {
+            throw new Error('El archivo no corresponde a una tabla de EOA de prótesis');
+        }
+
+        const models = table.models.filter(model =>
+            model && model.id && model.name && this.typeLabels[model.type] &&
+            model.eoa && Object.keys(this.positions).some(position => model.eoa[position]));
+        if (models.length === 0) {
+            throw new Error('La tabla no contiene modelos válidos');
+        }
+
+        this.models = models;
+        this.source = table.source || '';
+        return models.length;
+    }
+
+    /**
+     * Models available for a position and prosthesis type
+     * @returns {Array<object>} - Table entries
+     */
+    getModels(position, type) {
+        return this.models.filter(model => model.type === type && model.eoa[position]);
+    }
+
+    getModel(id) {
+        return this.models.find(model => model.id === id) || null;
+    }
+
+    // Sizes (mm) listed for a model in a position
+    getSizes(modelId, position) {
+        const model = this.getModel(modelId);
+        if (!model || !model.eoa[position]) return [];
+        return Object.keys(model.eoa[position]).map(Number).sort((a, b) => a - b);
+    }
+
+    getReferenceEOA(modelId, position, size) {
+        const model = this.getModel(modelId);
+        if (!model || !model.eoa[position]) return 0;
+        return parseFloat(model.eoa[position][String(size)]) || 0;
+    }
+
+    /**
+     * Values from a study model field snapshot ({ pao_tipo: 'mecanica', pao_vmax: '2.4', ... })
+     * @param {object} fields - Study model fields
+     * @param {string} position - 'aortica' | 'mitral'
+     * @param {object} context - { bsa, bmi, lvotDiam (mm), lvotVti (cm) }
+     */
+    valuesFromModel(fields, position, context = {}) {
+        const p = this.positions[position].prefix;
+        const num = id => parseFloat(fields[`${p}_${id}`]) || 0;
+        const model = this.getModel(fields[`${p}_modelo`]);
+        const size = num('tamano');
+
+        const data = {
+            position,
+            type: fields[`${p}_tipo`] || 'no',
+            modelName: model ? model.name : '',
+            size,
+            vmax: num('vmax'),
+            gradMean: num('grad_medio'),
+            vti: num('vti'),
+            at: position === 'aortica' ? num('ta') : 0,
+            et: position === 'aortica' ? num('te') : 0,
+            pht: position === 'mitral' ? num('pht') : 0,
+            leakExtent: num('fuga_extension'),
+            referenceEoa: model ? this.getReferenceEOA(model.id, position, size) : 0,
+            bsa: context.bsa || 0,
+            obese: context.bmi >= 30,
+            eoa: 0, dvi: 0, atEt: 0, eoai: 0, referenceEoai: 0
+        };
+
+        // Continuity with the LVOT: EOA = LVOT area × VTI LVOT / VTI prosthesis (same stroke volume)
+        const lvotDiam = context.lvotDiam || 0;
+        const lvotVti = context.lvotVti || 0;
+        if (data.vti > 0 && lvotVti > 0) {
+            data.dvi = position === 'aortica' ? lvotVti / data.vti : data.vti / lvotVti;
+            if (lvotDiam > 0) data.eoa = Math.PI * Math.pow(lvotDiam / 20, 2) * lvotVti / data.vti;
+        }
+        if (data.at > 0 && data.et > 0) data.atEt = data.at / data.et;
+        if (data.bsa > 0) {
+            if (data.eoa > 0) data.eoai = data.eoa / data.bsa;
+            if (data.referenceEoa > 0) data.referenceEoai = data.referenceEoa / data.bsa;
+        }
+
+        return data;
+    }
+
+    hasData(data) {
+        return data.vmax > 0 || data.gradMean > 0 || data.eoa > 0 || data.dvi > 0 ||
+            data.at > 0 || data.atEt > 0 || data.pht > 0;
+    }
+
+    /**
+     * Classify each measured Doppler parameter: 0 normal, 1 possible stenosis, 2 significant stenosis
+     * @returns {object} - { key: grade } for the measured parameters
+     */
+    classifyCriteria(data) {
+        const grades = {};
+        Object.entries(this.criteria[data.position]).forEach(([key, c]) => {
+            const value = data[key];
+            if (!(value > 0)) return;
+            if (c.inverse) grades[key] = value < c.significant ? 2 : value < c.possible ? 1 : 0;
+            else grades[key] = value > c.significant ? 2 : value >= c.possible ? 1 : 0;
+        });
+        return grades;
+    }
+
+    // Significant stenosis needs two concordant criteria; a single abnormal one is only "possible"
+    obstructionGrade(data) {
+        if (!this.hasData(data)) return -1;
+        const grades = Object.values(this.classifyCriteria(data));
+        if (grades.filter(g => g === 2).length >= 2) return 2;
+        return grades.some(g => g > 0) ? 1 : 0;
+    }
+
+    /**
+     * Patient-prosthesis mismatch from the measured indexed EOA, or the projected one (reference EOA)
+     * @returns {object} - { grade (-1 not evaluable), level, eoai, basis: 'medida' | 'referencia' }
+     */
+    mismatch(data) {
+        const eoai = data.eoai || data.referenceEoai;
+        if (!eoai) return { grade: -1, level: 'No evaluable', eoai: 0, basis: '' };
+
+        const key = data.position === 'aortica' && data.obese ? 'aorticaObese' : data.position;
+        const t = this.ppmThresholds[key];
+        const grade = eoai <= t.severe ? 2 : eoai <= t.moderate ? 1 : 0;
+        return { grade, level: this.ppmLevels[grade], eoai, basis: data.eoai ? 'medida' : 'referencia' };
+    }
+
+    leakGrade(data) {
+        if (!(data.leakExtent > 0)) return -1;
+        const t = this.leakThresholds;
+        return data.leakExtent >= t.severe ? 2 : data.leakExtent >= t.moderate ? 1 : 0;
+    }
+
+    /**
+     * Prosthesis function
+     * @param {object} data - From valuesFromModel()
+     * @returns {object} - { level, grade (-1 not evaluated), color, class, ppm, leak }
+     */
+    determineSeverity(data) {
+        const grade = this.obstructionGrade(data);
+        const leak = this.leakGrade(data);
+        const styles = [
+            { color: 'green', class: 'badge-mild' },
+            { color: 'yellow', class: 'badge-moderate' },
+            { color: 'red', class: 'badge-severe' }
+        ];
+        const style = grade >= 0 ? styles[grade] : { color: 'gray', class: 'badge-none' };
+
+        return {
+            level: grade >= 0 ? this.obstructionLevels[grade] : 'No evaluada',
+            grade,
+            ...style,
+            ppm: this.mismatch(data),
+            leak: { grade: leak, level: leak >= 0 ? this.leakLevels[leak] : '' }
+        };
+    }
+
+    updateBadge(position, severity) {
+        const badgeEl = document.getElementById(`${this.positions[position].prefix}_severity_badge`);
+        if (!badgeEl) return;
+
+        badgeEl.textContent = severity.level;
+        badgeEl.className = `severity-badge ${severity.class}`;
+
+        if (severity.color === 'red') {
+            badgeEl.style.backgroundColor = '#fecaca'; // red-200
+            badgeEl.style.color = '#991b1b'; // red-800
+            badgeEl.style.border = '1px solid #ef4444';
+        } else if (severity.color === 'green') {
+            badgeEl.style.backgroundColor = '#bbf7d0'; // green-200
+            badgeEl.style.color = '#166534'; // green-800
+            badgeEl.style.border = '1px solid #22c55e';
+        } else if (severity.color === 'yellow') {
+            badgeEl.style.backgroundColor = '#fef08a'; // yellow-200
+            badgeEl.style.color = '#854d0e'; // yellow-800
+            badgeEl.style.border = '1px solid #eab308';
+        } else {
+            badgeEl.style.backgroundColor = '#e5e7eb';
+            badgeEl.style.color = '#374151';
+            badgeEl.style.border = '1px solid #d1d5db';
+        }
+    }
+
+    // Type, model and size: "Prótesis aórtica mecánica St. Jude Medical Regent 21 mm"
+    describe(data) {
+        let text = `Prótesis ${this.positions[data.position].label} ${this.typeLabels[data.type] || ''}`.trim();
+        if (data.modelName) text += ` ${data.modelName}`;
+        if (data.size > 0) text += ` ${data.size} mm`;
+        return text;
+    }
+
+    // Generate only descriptive text (NO diagnosis)
+    generateFindings(data) {
+        let report = `${this.describe(data)}.`;
+
+        const params = [];
+        if (data.vmax > 0) params.push(`${this.criteria[data.position].vmax.label} ${data.vmax} m/s`);
+        if (data.gradMean > 0) params.push(`gradiente medio ${data.gradMean} mmHg`);
+        if (data.eoa > 0) {
+            let eoa = `EOA por continuidad ${data.eoa.toFixed(2)} cm²`;
+            if (data.eoai > 0) eoa += ` (EOAi ${data.eoai.toFixed(2)} cm²/m²)`;
+            params.push(eoa);
+        }
+        if (data.dvi > 0) params.push(`${this.criteria[data.position].dvi.label} ${data.dvi.toFixed(2)}`);
+        if (data.at > 0) params.push(`TA ${data.at} ms`);
+        if (data.atEt > 0) params.push(`TA/TE ${data.atEt.toFixed(2)}`);
+        if (data.pht > 0) params.push(`PHT ${data.pht} ms`);
+        if (params.length > 0) report += ` Parámetros: ${params.join(', ')}.`;
+
+        if (data.referenceEoa > 0) {
+            report += ` EOA de referencia del modelo ${data.referenceEoa.toFixed(2)} cm²`;
+            if (data.referenceEoai > 0) report += ` (EOAi proyectada ${data.referenceEoai.toFixed(2)} cm²/m²)`;
+            report += '.';
+        }
+
+        // High gradient with normal DVI and acceleration time: mismatch or high flow rather than obstruction
+        const grades = this.classifyCriteria(data);
+        if (data.position === 'aortica' && grades.gradMean > 0 && grades.dvi === 0 && grades.at === 0) {
+            report += ' Gradiente elevado con DVI y TA normales: sugiere mismatch paciente-prótesis o estado de alto flujo.';
+        }
+
+        if (data.leakExtent > 0) report += ` Fuga paravalvular con extensión del ${data.leakExtent}% de la circunferencia del anillo.`;
+
+        return report;
+    }
+
+    // Diagnosis for Conclusion: function, mismatch and paravalvular leak
+    generateConclusion(data) {
+        const severity = this.determineSeverity(data);
+
+        let report = this.describe(data);
+        if (severity.grade === 0) report += ' normofuncionante';
+        else if (severity.grade === 1) report += ' con posible estenosis (disfunción obstructiva a confirmar)';
+        else if (severity.grade === 2) report += ' con estenosis significativa';
+        if (severity.leak.grade >= 0) report += ` y fuga paravalvular ${severity.leak.level.toLowerCase()}`;
+        report += '.';
+
+        if (severity.ppm.grade > 0) {
+            const basis = severity.ppm.basis === 'referencia' ? 'proyectada' : 'medida';
+            report += ` Mismatch paciente-prótesis ${severity.ppm.level.toLowerCase()} (EOAi ${basis} ${severity.ppm.eoai.toFixed(2)} cm²/m²).`;
+        }
+        return report;
+    }
+}
+
+// Initialize globally
+if (typeof window !== 'undefined') {
+    window.prostheticValveModule = new ProstheticValveModule();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProstheticValveModule;
+}
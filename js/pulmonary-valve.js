@@ -0,0 +1,172 @@
+/**
+ * Pulmonary Valve Module
+ * Pulmonary stenosis from peak velocity / peak gradient (ASE/EAE 2009) and pulmonary
+ * regurgitation from jet width / RVOT ratio, PHT and branch flow reversal (ASE 2017)
+ */
+
+class PulmonaryValveModule {
+    constructor() {
+        this.inputs = {
+            vmax: 'ep_vmax',
+            peakGradient: 'ep_grad_pico',
+            jetWidth: 'ip_ancho_jet',
+            rvot: 'ip_tsvd',
+            pht: 'ip_pht',
+            branchReversal: 'ip_reverso_ramas'
+        };
+        this.output = {
+            stenosisBadge: 'ep_severity_badge',
+            regurgitationBadge: 'ip_severity_badge'
+        };
+
+        this.levels = ['Leve', 'Moderada', 'Severa'];
+
+        this.thresholds = {
+            vmax: { severe: 4.0, moderate: 3.0 },          // m/s (severe >, moderate ≥)
+            peakGradient: { severe: 64, moderate: 36 },    // mmHg
+            jetRatio: { severe: 0.7, mild: 0.25 },         // jet width / RVOT diameter
+            pht: 100                                       // ms, dense jet with rapid deceleration below
+        };
+    }
+
+    /**
+     * Values from a study model field snapshot ({ ep_vmax: '3.5', ... })
+     * @param {object} fields - Study model fields
+     * @param {object} assessed - { stenosis, regurgitation }: parts selected in the form, the rest is ignored
+     */
+    valuesFromModel(fields, assessed = { stenosis: true, regurgitation: true }) {
+        const num = id => parseFloat(fields[id]) || 0;
+        const ps = assessed.stenosis;
+        const pr = assessed.regurgitation;
+        const jetWidth = pr ? num(this.inputs.jetWidth) : 0;
+        const rvot = pr ? num(this.inputs.rvot) : 0;
+        return {
+            vmax: ps ? num(this.inputs.vmax) : 0,
+            peakGradient: ps ? num(this.inputs.peakGradient) : 0,
+            jetWidth,
+            rvot,
+            jetRatio: jetWidth > 0 && rvot > 0 ? jetWidth / rvot : 0,
+            pht: pr ? num(this.inputs.pht) : 0,
+            branchReversal: pr && fields[this.inputs.branchReversal] === true
+        };
+    }
+
+    // Grade index (0 mild, 1 moderate, 2 severe) or -1 when not measured
+    stenosisGrade(data) {
+        const t = this.thresholds;
+        if (!data.vmax && !data.peakGradient) return -1;
+        if (data.vmax > t.vmax.severe || data.peakGradient > t.peakGradient.severe) return 2;
+        if (data.vmax >= t.vmax.moderate || data.peakGradient >= t.peakGradient.moderate) return 1;
+        return 0;
+    }
+
+    // Wide jet or branch diastolic reversal are specific for severe PR; a short PHT alone only supports it
+    regurgitationGrade(data) {
+        const t = this.thresholds;
+        if (!data.jetRatio && !data.pht && !data.branchReversal) return -1;
+        if (data.jetRatio > t.jetRatio.severe || data.branchReversal) return 2;
+        if (data.jetRatio > 0 && data.jetRatio < t.jetRatio.mild && !(data.pht > 0 && data.pht < t.pht)) return 0;
+        if (!data.jetRatio && data.pht >= t.pht) return 0;
+        return 1;
+    }
+
+    styleOf(grade) {
+        if (grade === 2) return { level: 'Severa', grade, color: 'red', class: 'badge-severe' };
+        if (grade === 1) return { level: 'Moderada', grade, color: 'yellow', class: 'badge-moderate' };
+        if (grade === 0) return { level: 'Leve', grade, color: 'green', class: 'badge-mild' };
+        return { level: 'No evaluada', grade: -1, color: 'gray', class: 'badge-none' };
+    }
+
+    /**
+     * Severity of each lesion
+     * @param {object} data - From valuesFromModel()
+     * @returns {object} - { stenosis, regurgitation }, each { level, grade (-1 not evaluated), color, class }
+     */
+    determineSeverity(data) {
+        return {
+            stenosis: this.styleOf(this.stenosisGrade(data)),
+            regurgitation: this.styleOf(this.regurgitationGrade(data))
+        };
+    }
+
+    updateBadge(severity) {
+        this.paintBadge(this.output.stenosisBadge, severity.stenosis);
+        this.paintBadge(this.output.regurgitationBadge, severity.regurgitation);
+    }
+
+    paintBadge(id, severity) {
+        const badgeEl = document.getElementById(id);
+        if (!badgeEl) return;
+
+        badgeEl.textContent = severity.level;
+        badgeEl.className = `severity-badge ${severity.class}`;
+
+        if (severity.color === 'red') {
+            badgeEl.style.backgroundColor = '#fecaca'; // red-200
+            badgeEl.style.color = '#991b1b'; // red-800
+            badgeEl.style.border = '1px solid #ef4444';
+        } else if (severity.color === 'green') {
+            badgeEl.style.backgroundColor = '#bbf7d0'; // green-200
+            badgeEl.style.color = '#166534'; // green-800
+            badgeEl.style.border = '1px solid #22c55e';
+        } else if (severity.color === 'yellow') {
+            badgeEl.style.backgroundColor = '#fef08a'; // yellow-200
+            badgeEl.style.color = '#854d0e'; // yellow-800
+            badgeEl.style.border = '1px solid #eab308';
+        } else {
+            badgeEl.style.backgroundColor = '#e5e7eb';
+            badgeEl.style.color = '#374151';
+            badgeEl.style.border = '1px solid #d1d5db';
+        }
+    }
+
+    // Generate only descriptive text (NO diagnosis)
+    generateFindings(data) {
+        const sentences = [];
+
+        const psParams = [];
+        if (data.vmax > 0) psParams.push(`Vmax ${data.vmax} m/s`);
+        if (data.peakGradient > 0) psParams.push(`gradiente pico ${data.peakGradient} mmHg`);
+        if (psParams.length > 0) sentences.push(`Parámetros de estenosis pulmonar: ${psParams.join(', ')}.`);
+
+        const prParams = [];
+        if (data.jetRatio > 0) {
+            prParams.push(`relación ancho del jet/TSVD ${data.jetRatio.toFixed(2)} (jet ${data.jetWidth} mm, TSVD ${data.rvot} mm)`);
+        }
+        if (data.pht > 0) prParams.push(`PHT ${data.pht} ms`);
+        if (prParams.length > 0) sentences.push(`Parámetros de insuficiencia pulmonar: ${prParams.join(', ')}.`);
+        if (data.branchReversal) sentences.push('Flujo diastólico reverso en ramas pulmonares.');
+
+        return sentences.join(' ');
+    }
+
+    /**
+     * Diagnosis for Conclusion (without trailing period)
+     * @param {object} data - From valuesFromModel()
+     * @param {object} grades - { stenosis, regurgitation }: selected grades, used when a lesion is not quantified
+     */
+    generateConclusion(data, grades = {}) {
+        const severity = this.determineSeverity(data);
+        const levelOf = (part, grade) => {
+            if (severity[part].grade >= 0) return severity[part].level;
+            return grade && grade !== 'no' ? grade.charAt(0).toUpperCase() + grade.slice(1) : null;
+        };
+
+        const parts = [];
+        const psLevel = levelOf('stenosis', grades.stenosis);
+        const prLevel = levelOf('regurgitation', grades.regurgitation);
+        if (psLevel) parts.push(`Estenosis Pulmonar ${psLevel}`);
+        if (prLevel) parts.push(`Insuficiencia Pulmonar ${prLevel}`);
+        return parts.join(' e ');
+    }
+}
+
+// Initialize globally
+if (typeof window !== 'undefined') {
+    window.pulmonaryValveModule = new PulmonaryValveModule();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PulmonaryValveModule;
+}
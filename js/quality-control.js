@@ -60,6 +60,17 @@ class QualityControl {
                 'Considere medir vena contracta en IM severa');
         }
 
+        // Rule 8: Signos de taponamiento (derrame pericárdico con compromiso hemodinámico)
+        if (formData.peri_taponamiento && formData.peri_taponamiento.length > 0) {
+            if (formData.peri_derrame === 'si') {
+                this.addAlert('warning',
+                    `Signos ecocardiográficos de taponamiento (${formData.peri_taponamiento.join(', ')}): comunicar de inmediato al médico tratante`);
+            } else {
+                this.addAlert('warning',
+                    'Signos de taponamiento marcados sin derrame pericárdico registrado. Verifique la sección Pericardio.');
+            }
+        }
+
         return this.alerts;
     }
 
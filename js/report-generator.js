@@ -0,0 +1,715 @@
+/**
+ * Report Generator Module
+ * Builds the clinical report text from a study model and its derived results (no DOM access)
+ */
+
+class ReportGenerator {
+
+    /**
+     * @param {StudyEngine} engine - Provides calculator, AR module, motility and comparison
+     */
+    constructor(engine) {
+        this.engine = engine;
+
+        // Option texts of the rhythm/conduction selects (report wording)
+        this.rhythmLabels = {
+            sinusal: 'Ritmo Sinusal',
+            fa: 'Fibrilación Auricular (FA)',
+            flutter: 'Aleteo / Flutter Auricular'
+        };
+        this.conductionLabels = {
+            normal: 'QRS Angosto / Normal',
+            bcri: 'BCRI (Bloqueo Rama Izq)',
+            bcrd: 'BCRD (Bloqueo Rama Der)',
+            marcapasos: 'Marcapasos'
+        };
+    }
+
+    /**
+     * Generate clinical report - ORIGINAL FORMAT
+     * @param {object} model - Study model { fecha, fields, motility }
+     * @param {object} results - StudyEngine.compute() output
+     * @param {object} options - { previousStudy } for serial comparison
+     * @returns {string} - Report text
+     */
+    generate(model, results, options = {}) {
+        const f = model.fields || {};
+        const value = (id) => (f[id] === undefined || f[id] === null ? '' : String(f[id]));
+        const motility = this.engine.getMotility(model);
+        const ar = results.aorticRegurgitation;
+        const as = results.aorticStenosis;
+        const mr = results.mitralRegurgitation;
+        const tr = results.tricuspidRegurgitation;
+        const pv = results.pulmonaryValve;
+        const prostheses = results.prostheticValves || {};
+
+        let report = '';
+
+        // ========== COMPACT HEADER ==========
+        report += `ECOCARDIOGRAMA DOPPLER CARDÍACO\n`;
+        report += `${'='.repeat(80)}\n`;
+
+        // Physical data
+        const peso = value('peso');
+        const altura = value('altura');
+        const sc = results.bsa ? results.bsa.toFixed(2) : '';
+
+        if (peso && altura) {
+            const bsaMethod = this.engine.calc.bsaMethods[results.bsaMethod];
+            report += `Datos Físicos: Peso ${peso} kg | Altura ${altura} cm | SC ${sc} m² (${bsaMethod}).\n`;
+        }
+
+        // Acoustic window warning
+        if (value('ventana') === 'si') {
+            report += `⚠️ MALA VENTANA ACÚSTICA que limita la evaluación ecocardiográfica.\n`;
+        }
+
+        // ========== 1. VENTRÍCULO IZQUIERDO ==========
+        report += `1. VENTRÍCULO IZQUIERDO\n`;
+
+        const siv = value('siv');
+        const pp = value('pp');
+        const ddvi = value('ddvi');
+        const dsvi = value('dsvi');
+        const fevi = value('fevi');
+
+        // Diameters
+        if (dsvi) {
+            report += `Diámetros: SIV ${siv} mm | PP ${pp} mm | DDVI ${ddvi} mm | DSVI ${dsvi} mm.\n`;
+        } else {
+            report += `Diámetros: SIV ${siv} mm | PP ${pp} mm | DDVI ${ddvi} mm.\n`;
+        }
+
+        // LV Mass and RWT
+        const massMethod = this.engine.calc.lvMassMethods[results.lvMassMethod || 'cubo'];
+        const massIndexation = this.engine.calc.lvMassIndexations[results.lvMassIndexation || 'sc'];
+        if (results.lvMassIndex > 0 && results.rwt > 0) {
+            report += `Masa VI: ${results.lvMass.toFixed(0)} g (${massMethod.name}), indexada ${results.lvMassIndex.toFixed(0)} ${massIndexation.unit}. RWT: ${results.rwt.toFixed(2)}.\n`;
+        }
+
+        // Systolic function
+        report += `Función Sistólica: FEy ${fevi}% (Simpson biplano).\n`;
+
+        // Diastolic function (no A wave in atrial fibrillation)
+        const ondaE = value('onda_e');
+        const ondaA = value('onda_a');
+        const ePrime = value('onda_e_prime');
+        const ePrimeSeptal = value('onda_e_prime_septal');
+        const ePrimeLateral = value('onda_e_prime_lateral');
+
+        if (ondaE && (ePrime || ePrimeSeptal || ePrimeLateral)) {
+            const eaRatio = results.eaRatio ? results.eaRatio.toFixed(2) : '';
+            const eeRatio = results.eeRatio ? results.eeRatio.toFixed(1) : '';
+            const doppler = [ondaA ? `Onda E ${ondaE} cm/s, Onda A ${ondaA} cm/s (Relación E/A ${eaRatio})` : `Onda E ${ondaE} cm/s`];
+            if (ePrimeSeptal && ePrimeLateral) doppler.push(`e' septal ${ePrimeSeptal} cm/s, e' lateral ${ePrimeLateral} cm/s`);
+            else if (ePrimeSeptal) doppler.push(`e' septal ${ePrimeSeptal} cm/s (Relación E/e' septal ${(parseFloat(ondaE) / parseFloat(ePrimeSeptal)).toFixed(1)})`);
+            else if (ePrimeLateral) doppler.push(`e' lateral ${ePrimeLateral} cm/s (Relación E/e' lateral ${(parseFloat(ondaE) / parseFloat(ePrimeLateral)).toFixed(1)})`);
+            if (eeRatio) {
+                const average = ePrime || ((parseFloat(ePrimeSeptal) + parseFloat(ePrimeLateral)) / 2).toFixed(1);
+                doppler.push(`e' promedio ${average} cm/s (Relación E/e' ${eeRatio})`);
+            }
+            if (value('diast_tde')) doppler.push(`TDE ${value('diast_tde')} ms`);
+            if (value('diast_trivi')) doppler.push(`TRIV ${value('diast_trivi')} ms`);
+            if (value('diast_vp_sd')) doppler.push(`relación S/D venas pulmonares ${value('diast_vp_sd')}`);
+            report += `Evaluación Doppler Mitral y Tisular: ${doppler.join(', ')}.\n`;
+        }
+
+        // Optional breakdown of the criteria behind the diastolic grade
+        const diastolic = results.diastolicResult;
+        if (f.diast_informe_criterios === true && diastolic && diastolic.severity !== 'neutral') {
+            report += `${this.diastolicCriteriaSummary(diastolic)}\n`;
+        }
+
+        // Motility parietal (if enabled)
+        if (motility) {
+            report += motility.generateMotilityReport();
+        }
+
+        // ========== 2. AURÍCULA IZQUIERDA ==========
+        report += `2. AURÍCULA IZQUIERDA\n`;
+        const laVolume = results.laVolume;
+
+        // Volume and method only (severity classification goes to conclusions)
+        if (laVolume && laVolume.volume > 0) {
+            report += `Volumen: ${laVolume.volume} ml (${laVolume.methodName}), indexado ${laVolume.value} ml/m² (Referencia: ≤34 ml/m²).\n`;
+        } else if (laVolume) {
+            report += `Volumen indexado: ${laVolume.value} ml/m² (${laVolume.methodName}; Referencia: ≤34 ml/m²).\n`;
+        }
+
+        // Phasic strain, emptying fractions and stiffness
+        const la = results.laFunction;
+        if (la && la.findings) report += `${la.findings}\n`;
+
+        // ========== 3. VÁLVULA MITRAL ==========
+        report += `3. VÁLVULA MITRAL\n`;
+        // A prosthesis replaces the native valve morphology
+        const morfMitral = prostheses.mitral ? '' : value('morf_mitral');
+        report += prostheses.mitral ? `${prostheses.mitral.findings}\n` : `${morfMitral}.\n`;
+
+        const imGrado = value('im_grado');
+        const emGrado = value('em_grado');
+
+        // Mitral Regurgitation - Advanced module findings, parameters only otherwise
+        if (mr && mr.findings) {
+            report += `${mr.findings}\n`;
+        } else if (imGrado !== 'no') {
+            const imVc = value('im_vc');
+            const imOre = value('im_ore');
+            const imVr = value('im_vr');
+
+            let params = [];
+            if (imVc) params.push(`VC ${imVc} mm`);
+            if (imOre) params.push(`ORE ${imOre} cm²`);
+            if (imVr) params.push(`VR ${imVr} ml`);
+            if (params.length > 0) {
+                report += `Parámetros de insuficiencia: ${params.join(', ')}.\n`;
+            }
+        }
+
+        // Mitral Stenosis - Parameters only
+        if (emGrado !== 'no') {
+            const emGradMedio = value('em_grad_medio');
+            const emAreaPht = value('em_area_pht');
+
+            const ms = results.mitralStenosis;
+
+            let params = [];
+            if (emGradMedio) params.push(`Gradiente medio ${emGradMedio} mmHg`);
+            if (ms && ms.pht) params.push(`AVM por PHT ${ms.pht.mva} cm² (PHT ${value('em_pht')} ms)`);
+            else if (emAreaPht) params.push(`Área ${emAreaPht} cm²`);
+            if (ms && ms.continuity) params.push(`AVM por continuidad ${ms.continuity.mva} cm²`);
+            if (ms && ms.pisa) params.push(`AVM por PISA ${ms.pisa.mva} cm² (α ${value('em_pisa_angulo')}°)`);
+            if (ms && ms.planimetry) params.push(`AVM por planimetría ${ms.planimetry} cm²`);
+            if (params.length > 0) {
+                if (ms && ms.hr) params.push(`FC ${ms.hr} lpm`);
+                report += `Parámetros de estenosis: ${params.join(', ')}.\n`;
+            }
+
+            // Wilkins score and percutaneous commissurotomy suitability
+            if (ms && ms.wilkins) {
+                report += `Score de Wilkins ${ms.wilkins.score}/16 (movilidad ${value('em_wilkins_movilidad')}, engrosamiento ${value('em_wilkins_engrosamiento')}, calcificación ${value('em_wilkins_calcificacion')}, aparato subvalvular ${value('em_wilkins_subvalvular')}): ${ms.wilkins.text}.\n`;
+            }
+        }
+
+        // ========== 4. VÁLVULA Y RAÍZ AÓRTICA ==========
+        report += `4. VÁLVULA Y RAÍZ AÓRTICA\n`;
+        const morfAortica = prostheses.aortica ? '' : value('morf_aortica');
+        report += prostheses.aortica ? `${prostheses.aortica.findings}\n` : `${morfAortica}.\n`;
+
+        const eaGrado = value('ea_grado');
+        const iaGrado = value('ia_grado');
+
+        // Aortic Stenosis - Parameters only
+        if (eaGrado !== 'no') {
+            const eaVmax = value('ea_vmax');
+            const eaGradMedio = value('ea_grad_medio');
+            const eaAva = value('ea_ava');
+            const eaAvaIndex = value('ea_ava_index');
+            const eaCoef = value('ea_coef');
+
+            let params = [];
+            if (eaVmax) params.push(`Vmax ${eaVmax} m/s`);
+            if (eaGradMedio) params.push(`Gradiente medio ${eaGradMedio} mmHg`);
+            if (eaAva) params.push(`Área ${eaAva} cm²`);
+            if (eaAvaIndex) params.push(`AVA indexada ${eaAvaIndex} cm²/m²`);
+            if (eaCoef) params.push(`Coef. adimensional ${eaCoef}`);
+            if (params.length > 0) {
+                report += `Parámetros de estenosis: ${params.join(', ')}.\n`;
+            }
+
+            // Transaortic flow (LVOT Doppler)
+            const flow = results.flow;
+            if (flow) {
+                let flowParams = [`VS ${flow.sv} ml`];
+                if (flow.svi) flowParams.push(`VSi ${flow.svi} ml/m²`);
+                if (flow.co) flowParams.push(`GC ${flow.co} l/min`);
+                if (flow.ci) flowParams.push(`IC ${flow.ci} l/min/m²`);
+                report += `Flujo transaórtico (TSVI): ${flowParams.join(', ')}.`;
+                report += flow.lowFlow ? ` Estado de bajo flujo (VSi < 35 ml/m²).\n` : `\n`;
+            }
+
+            // Discordant grading (advanced AS module)
+            if (as && as.findings) {
+                report += `${as.findings}\n`;
+            }
+        }
+
+        // Aortic Regurgitation - Advanced Module v14.1
+        if (ar) {
+            // ONLY FINDINGS in description (Mapeo, params)
+            if (ar.findings) {
+                report += `${ar.findings}\n`;
+            } else if (iaGrado !== 'no') {
+                // Fallback if manual grade is selected but no advanced data entered
+                report += `Insuficiencia Aórtica ${iaGrado}.\n`;
+            }
+        } else if (iaGrado !== 'no') {
+            report += `Insuficiencia Aórtica ${iaGrado}.\n`;
+        }
+
+        const aoRaiz = value('ao_raiz');
+        const aoAsc = value('ao_asc');
+        const aorta = results.aorta;
+        if (aoRaiz || aoAsc) {
+            let aortaLine = '';
+            if (aoRaiz) {
+                aortaLine += `Raíz aórtica: ${aoRaiz} mm`;
+                if (aorta.rootIndexed) aortaLine += ` (${aorta.rootIndexed.toFixed(2)} cm/m²)`;
+            }
+            if (aoAsc) {
+                if (aortaLine) aortaLine += ' | ';
+                aortaLine += `Aorta ascendente: ${aoAsc} mm`;
+                if (aorta.ascIndexed) aortaLine += ` (${aorta.ascIndexed.toFixed(2)} cm/m²)`;
+            }
+            report += `${aortaLine}.\n`;
+        }
+
+        // ========== 5. CAVIDADES DERECHAS ==========
+        report += `5. CAVIDADES DERECHAS\n`;
+        const adEstado = value('ad_estado');
+        const vdEstado = value('vd_estado');
+        const adArea = parseFloat(value('ad_area'));
+        const vdBasal = parseFloat(value('vd_basal'));
+
+        // Combine AD and VD measurements on same line if both dilated
+        const bothDilated = adEstado === 'dilatada' && vdEstado === 'dilatado';
+
+        if (bothDilated && adArea && vdBasal) {
+            report += `AD Área ${adArea} cm² | VD Diámetro basal ${vdBasal} mm.\n`;
+        } else {
+            if (adEstado === 'dilatada' && adArea) {
+                report += `AD Área: ${adArea} cm².\n`;
+            }
+            if (vdEstado === 'dilatado' && vdBasal) {
+                report += `VD Diámetro basal: ${vdBasal} mm.\n`;
+            }
+        }
+
+        // VD function panel (TAPSE, S', FAC, RIMP, strain), diameters and TAPSE/PSAP coupling
+        const rv = results.rvFunction;
+        const rvLine = [];
+        if (rv && rv.findings) rvLine.push(rv.findings);
+
+        // Add "dimensiones conservadas" only if both normal
+        if (adEstado === 'normal' && vdEstado === 'normal' && !(rv && rv.severity.dilated.length > 0)) {
+            rvLine.push(`Dimensiones derechas conservadas.`);
+        }
+        if (rvLine.length > 0) report += `${rvLine.join(' ')}\n`;
+
+        // RAP estimated from the IVC
+        const rap = results.rap;
+        if (rap && rap.estimate) {
+            const estimate = rap.estimate;
+            report += `VCI ${value('vci_diametro')} mm con colapso inspiratorio ${value('vci_colapso')}%: PAD estimada ${estimate.rap} mmHg (rango ${estimate.range} mmHg)`;
+            if (estimate.adjusted) {
+                report += estimate.secondary.length > 0
+                    ? `, ajustada por ${estimate.secondary.join(', ')}`
+                    : `, ajustada por índices secundarios normales`;
+            }
+            report += `.\n`;
+        }
+
+        // Other echo signs of PH by ESC/ERS 2022 category, mean PAP and PVR
+        const ph = results.phProbability;
+        if (ph) {
+            const categories = [];
+            if (ph.signs.ventricles.length > 0) categories.push(`ventrículos (${ph.signs.ventricles.join(', ')})`);
+            if (ph.signs.pulmonaryArtery.length > 0) categories.push(`arteria pulmonar (${ph.signs.pulmonaryArtery.join(', ')})`);
+            if (ph.signs.ivcRa.length > 0) categories.push(`VCI/AD (${ph.signs.ivcRa.join(', ')})`);
+            if (categories.length > 0) report += `Signos indirectos de HTP: ${categories.join('; ')}.\n`;
+
+            const hemodynamics = [];
+            if (ph.mpap.fromPR !== null) hemodynamics.push(`PAPm estimada ${ph.mpap.fromPR} mmHg (velocidad protodiastólica de IP)`);
+            if (ph.mpap.fromAT !== null) hemodynamics.push(`PAPm estimada ${ph.mpap.fromAT} mmHg (tiempo de aceleración pulmonar)`);
+            if (ph.pvr > 0) hemodynamics.push(`RVP estimada ${ph.pvr.toFixed(1)} UW (Vmax IT/VTI TSVD ${ph.trVtiRatio.toFixed(2)})`);
+            if (hemodynamics.length > 0) report += `${hemodynamics.join('. ')}.\n`;
+        }
+
+        // ========== 6. VÁLVULAS TRICÚSPIDE Y PULMONAR ==========
+        report += `6. VÁLVULAS TRICÚSPIDE Y PULMONAR\n`;
+
+        // Normal opening is only stated when no pulmonary stenosis is reported below
+        const epGrado = value('ep_grado');
+        const ipGrado = value('ip_grado');
+        const pulmonaryStenosis = (epGrado && epGrado !== 'no') || (pv && pv.severity.stenosis.grade >= 0);
+        if (!pulmonaryStenosis) report += `Morfología y apertura conservada.\n`;
+
+        const itGrado = value('it_grado');
+        const velIt = value('vel_it');
+
+        if (itGrado !== 'no') {
+            const itLevel = tr && tr.severity.grade >= 0 ? tr.severity.level.toLowerCase() : itGrado;
+            report += `Insuficiencia tricuspídea ${itLevel}`;
+            if (velIt && velIt >= 1.5) {
+                report += ` (Vmax IT ${velIt} m/s)`;
+                if (results.psap > 0) {
+                    report += ` con PSAP estimada: ${results.psap} mmHg (${this.rapSource(rap)})`;
+                }
+            }
+            report += `.\n`;
+            if (tr && tr.findings) report += `${tr.findings}\n`;
+        }
+
+        if (epGrado && epGrado !== 'no') {
+            const epLevel = pv && pv.severity.stenosis.grade >= 0 ? pv.severity.stenosis.level.toLowerCase() : epGrado;
+            report += `Estenosis pulmonar ${epLevel}.\n`;
+        }
+        if (ipGrado && ipGrado !== 'no') {
+            const ipLevel = pv && pv.severity.regurgitation.grade >= 0 ? pv.severity.regurgitation.level.toLowerCase() : ipGrado;
+            report += `Insuficiencia pulmonar ${ipLevel}.\n`;
+        }
+        if (pv && pv.findings) report += `${pv.findings}\n`;
+
+        // ========== 7. PERICARDIO ==========
+        report += `7. PERICARDIO\n`;
+        const pericardium = results.pericardium;
+        report += pericardium && pericardium.findings ? `${pericardium.findings}\n` : `Libre, sin derrames.\n`;
+        const constriction = results.constriction;
+        if (constriction) report += `${constriction.findings}\n`;
+
+        // ========== 8. COMPARACIÓN CON ESTUDIO PREVIO ==========
+        const comparator = this.engine.comparison;
+        let comparison = null;
+        if (options.previousStudy && comparator) {
+            comparison = comparator.compare(options.previousStudy, { ...model, results: results });
+            report += `8. COMPARACIÓN CON ESTUDIO PREVIO\n`;
+            report += comparator.generateSection(comparison, options.previousStudy);
+        }
+
+        // ========== CONCLUSIONES ==========
+        report += `\nCONCLUSIONES\n`;
+
+        let conclusionNum = 1;
+
+        // 1. Rhythm and Conduction
+        const ritmo = this.rhythmLabels[value('ritmo')] || value('ritmo');
+        const conduccionValue = value('conduccion');
+        const conduccion = this.conductionLabels[conduccionValue] || conduccionValue;
+
+        // Include conduction disorders in conclusions
+        if (conduccionValue === 'normal') {
+            report += `${conclusionNum}. ${ritmo}.\n`;
+        } else {
+            report += `${conclusionNum}. ${ritmo} con ${conduccion}.\n`;
+        }
+        conclusionNum++;
+
+        // 2. LV Geometry and Function
+        let viConclusion = '';
+
+        // Geometry description
+        if (results.geometry) {
+            if (results.geometry === 'Geometría Normal') {
+                viConclusion += `Ventrículo izquierdo de diámetros y espesores conservados, con geometría ventricular normal`;
+            } else {
+                viConclusion += `Ventrículo izquierdo con ${results.geometry.toLowerCase()}`;
+                if (results.lvDilated) viConclusion += ` con dilatación ventricular`;
+            }
+            viConclusion += ` (masa VI por ${massMethod.name}, indexada a ${massIndexation.name})`;
+        }
+
+        // Motility conclusion (integrate here)
+        if (motility) {
+            const motilityConclusion = motility.generateConclusion();
+            if (motilityConclusion && motilityConclusion.trim() !== '') {
+                // Remove trailing period, lowercase first letter, preserve DA/CD/Cx/WMSI
+                let motilityText = motilityConclusion.trim();
+                if (motilityText.endsWith('.')) {
+                    motilityText = motilityText.slice(0, -1);
+                }
+                // Lowercase only the first character
+                motilityText = motilityText.charAt(0).toLowerCase() + motilityText.slice(1);
+
+                // Ensure DA, CD, Cx, and WMSI are uppercase
+                motilityText = motilityText.replace(/\bda\b/gi, 'DA')
+                    .replace(/\bcd\b/gi, 'CD')
+                    .replace(/\bcx\b/gi, 'Cx')
+                    .replace(/\bwmsi\b/gi, 'WMSI');
+
+                // Use "e" instead of "y" before words starting with "i" or "hi" (but not "hie" like hiena)
+                const firstWord = motilityText.split(' ')[0].toLowerCase();
+                if (firstWord.startsWith('i') || (firstWord.startsWith('hi') && !firstWord.startsWith('hie'))) {
+                    viConclusion += ` e ${motilityText}`;
+                } else {
+                    viConclusion += ` y ${motilityText}`;
+                }
+            }
+        }
+
+        viConclusion += `.`;
+
+        // Systolic function
+        if (fevi >= 50) {
+            viConclusion += `Función sistólica del VI conservada.`;
+        } else if (fevi >= 40) {
+            viConclusion += `Función sistólica del VI levemente deprimida (${fevi}%).`;
+        } else {
+            viConclusion += `Función sistólica del VI severamente deprimida (${fevi}%).`;
+        }
+
+        report += `${conclusionNum}. ${viConclusion}\n`;
+        conclusionNum++;
+
+        // 3. Diastolic Function (ALWAYS include, even if Indeterminado)
+        if (results.diastolicResult) {
+            const diastolicDesc = results.diastolicResult.description;
+            const diastolicGrade = results.diastolicResult.grade;
+
+            // Simplify for conclusions (by grade: 'Grado I' is also a prefix of 'Grado II/III')
+            const gradeConclusions = {
+                Normal: 'Función Diastólica Normal. PFDVI Normales.',
+                I: 'Disfunción Diastólica Grado I. PFDVI normales.',
+                II: 'Disfunción Diastólica Grado II. PFDVI elevadas.',
+                III: 'Disfunción Diastólica Grado III. PFDVI severamente elevadas.'
+            };
+            if (gradeConclusions[diastolicGrade]) {
+                report += `${conclusionNum}. ${gradeConclusions[diastolicGrade]}\n`;
+            } else if (diastolicGrade === 'Indeterminado' && results.diastolicResult.severity === 'neutral') {
+                report += `${conclusionNum}. Función Diastólica Indeterminada (datos insuficientes).\n`;
+            } else {
+                // Indeterminate grades keep their reason; AF and special populations grade filling pressures only
+                report += `${conclusionNum}. ${diastolicDesc}\n`;
+            }
+            conclusionNum++;
+        }
+
+        // 4. LA dimensions with severity (same bands for every volume method)
+        const laConclusions = {
+            'Normal': 'Aurícula izquierda de dimensiones conservadas.',
+            'Dilatación Leve': 'Aurícula izquierda levemente dilatada.',
+            'Dilatación Moderada': 'Aurícula izquierda moderadamente dilatada.',
+            'Dilatación Severa': 'Aurícula izquierda severamente dilatada.'
+        };
+        if (laVolume) {
+            report += `${conclusionNum}. ${laConclusions[laVolume.classification]}\n`;
+            conclusionNum++;
+        }
+
+        if (la && la.conclusion) {
+            report += `${conclusionNum}. ${la.conclusion}\n`;
+            conclusionNum++;
+        }
+
+        // 6. Prosthetic valves (function, mismatch, paravalvular leak)
+        ['mitral', 'aortica'].forEach(position => {
+            if (!prostheses[position]) return;
+            report += `${conclusionNum}. ${prostheses[position].conclusion}\n`;
+            conclusionNum++;
+        });
+
+        // 6. Valvular pathology (if significant)
+        const imAdv = mr && mr.conclusion ? mr.conclusion.slice(0, -1) : null;
+        if (morfMitral.includes('Prolapso') || morfMitral.includes('Flail') || morfMitral.includes('Calcificación') || imGrado !== 'no' || emGrado !== 'no') {
+            if (morfMitral.includes('Prolapso') || morfMitral.includes('Flail')) {
+                report += `${conclusionNum}. ${morfMitral}`;
+                if (imAdv) report += ` con ${imAdv.toLowerCase()}`;
+                else if (imGrado !== 'no') report += ` con insuficiencia mitral ${imGrado}`;
+                report += `.\n`;
+                conclusionNum++;
+            } else if (imGrado !== 'no' || emGrado !== 'no') {
+                let valvular = '';
+                if (imAdv) valvular += imAdv;
+                else if (imGrado !== 'no') valvular += `Insuficiencia mitral ${imGrado}`;
+                if (emGrado !== 'no') {
+                    if (valvular) valvular += ` y e`;
+                    else valvular += `E`;
+                    valvular += `stenosis mitral ${emGrado}`;
+                }
+                report += `${conclusionNum}. ${valvular}.\n`;
+                conclusionNum++;
+            }
+        }
+
+        // Check for advanced IAo conclusion (v14.1) and graded stenosis
+        let iaoAdv = ar ? ar.conclusion : null;
+        const easAdv = as ? as.conclusion : null;
+
+        if (morfAortica.includes('Bicúspide') || morfAortica.includes('Calcificación masiva') || eaGrado !== 'no' || iaGrado !== 'no' || iaoAdv) {
+
+            // Build the string
+            let line = `${conclusionNum}. `;
+            let hasContent = false;
+
+            if (morfAortica.includes('Bicúspide')) {
+                line += `${morfAortica}`;
+                hasContent = true;
+                if (easAdv) line += ` con ${easAdv.toLowerCase()}`;
+                else if (eaGrado !== 'no') line += ` con estenosis ${eaGrado}`;
+
+                if (iaoAdv) {
+                    if (eaGrado !== 'no') line += ` e ${iaoAdv.toLowerCase()}`;
+                    else line += ` con ${iaoAdv.toLowerCase()}`;
+                } else if (iaGrado !== 'no') {
+                    if (eaGrado !== 'no') line += ` e insuficiencia ${iaGrado}`;
+                    else line += ` con insuficiencia ${iaGrado}`;
+                }
+            } else {
+                // Not bicuspid
+                let parts = [];
+                if (easAdv) parts.push(easAdv);
+                else if (eaGrado !== 'no') parts.push(`Estenosis aórtica ${eaGrado}`);
+
+                if (iaoAdv) parts.push(iaoAdv);
+                else if (iaGrado !== 'no') parts.push(`Insuficiencia aórtica ${iaGrado}`);
+
+                if (parts.length > 0) {
+                    line += parts.join(' e ');
+                    hasContent = true;
+                }
+            }
+
+            if (hasContent) {
+                if (!line.endsWith('.')) line += '.';
+                report += `${line}\n`;
+                conclusionNum++;
+            }
+        }
+
+        // 6. Aortic root/ascending aorta dilation
+        if (sc) {
+            let aorticDilations = [];
+
+            // Check aortic root with severity (thresholds in cm/m²)
+            if (aoRaiz && aorta.rootDilated) {
+                aorticDilations.push({ type: 'raíz aórtica', severity: this.aorticDilationSeverity(aorta.rootIndexed) });
+            }
+
+            // Check ascending aorta with severity (thresholds in cm/m²)
+            if (aoAsc && aorta.ascDilated) {
+                aorticDilations.push({ type: 'aorta ascendente', severity: this.aorticDilationSeverity(aorta.ascIndexed) });
+            }
+
+            if (aorticDilations.length > 0) {
+                // Find worst severity
+                const severities = ['leve', 'moderada', 'severa'];
+                const maxSeverity = aorticDilations.reduce((max, dil) => {
+                    const idx = severities.indexOf(dil.severity);
+                    return idx > severities.indexOf(max) ? dil.severity : max;
+                }, 'leve');
+
+                // Build text
+                const types = aorticDilations.map(d => d.type).join(' y ');
+                report += `${conclusionNum}. Dilatación ${maxSeverity} de ${types}.\n`;
+                conclusionNum++;
+            }
+        }
+
+        // 7. Right chambers dilations (only if estado is dilatada/dilatado)
+        if (adEstado === 'dilatada' || vdEstado === 'dilatado') {
+            let rightChamberText = '';
+            if (adArea && adArea > 18) {
+                const adSeverity = adArea > 25 ? 'severa' : 'leve-moderada';
+                rightChamberText += `aurícula derecha dilatada ${adSeverity}`;
+            }
+            if (vdBasal && vdBasal > 41) {
+                let vdSeverity;
+                if (vdBasal > 50) vdSeverity = 'severa';
+                else if (vdBasal >= 46) vdSeverity = 'moderada';
+                else vdSeverity = 'leve';
+
+                if (rightChamberText) rightChamberText += ' y ';
+                rightChamberText += `ventrículo derecho dilatado ${vdSeverity}`;
+            }
+            report += `${conclusionNum}. Dilatación de cavidades derechas: ${rightChamberText}.\n`;
+            conclusionNum++;
+        }
+
+        // Significant tricuspid regurgitation (transcatheter screening)
+        if (tr && tr.conclusion) {
+            report += `${conclusionNum}. ${tr.conclusion}\n`;
+            conclusionNum++;
+        }
+
+        // Pulmonary valve disease
+        if (pv && pv.conclusion) {
+            report += `${conclusionNum}. ${pv.conclusion}.\n`;
+            conclusionNum++;
+        }
+
+        // 8. Pulmonary hypertension probability (ESC/ERS 2022)
+        if (ph && (ph.trVel > 0 || ph.categories > 0)) {
+            const basis = [];
+            if (ph.trVel > 0) basis.push(`Vmax IT ${ph.trVel} m/s`);
+            if (results.psap > 0) basis.push(`PSAP ${results.psap} mmHg`);
+            if (ph.categories > 0) basis.push(`signos indirectos en ${ph.categories}/3 categorías`);
+            report += `${conclusionNum}. Probabilidad ecocardiográfica de Hipertensión pulmonar ${ph.level.toLowerCase()} (ESC/ERS 2022: ${basis.join(', ')})`;
+            report += ph.pvr > 2 ? `. RVP estimada ${ph.pvr.toFixed(1)} UW (> 2 UW).\n` : `.\n`;
+            conclusionNum++;
+        }
+
+        // 7. RV dysfunction and RV-PA uncoupling if present
+        if (rv && rv.conclusion) {
+            report += `${conclusionNum}. ${rv.conclusion}\n`;
+            conclusionNum++;
+        }
+
+        // Pericardial effusion (tamponade signs)
+        if (pericardium && pericardium.conclusion) {
+            report += `${conclusionNum}. ${pericardium.conclusion}\n`;
+            conclusionNum++;
+        }
+
+        // Constriction vs restriction probability
+        if (constriction && constriction.conclusion) {
+            report += `${conclusionNum}. ${constriction.conclusion}\n`;
+            conclusionNum++;
+        }
+
+        // Serial comparison: significant changes
+        if (comparison) {
+            const comparisonConclusion = comparator.generateConclusion(comparison);
+            if (comparisonConclusion) {
+                report += `${conclusionNum}. ${comparisonConclusion}\n`;
+                conclusionNum++;
+            }
+        }
+
+        return report;
+    }
+
+    /**
+     * Conservative thresholds: Leve >LSN-2.5, Moderada 2.5-3.0, Severa >3.0 cm/m²
+     * @param {number} indexed - Diameter indexed to BSA (cm/m²)
+     * @returns {string}
+     */
+    aorticDilationSeverity(indexed) {
+        if (indexed > 3.0) return 'severa';
+        if (indexed >= 2.5) return 'moderada';
+        return 'leve';
+    }
+
+    /**
+     * Diastolic criteria grouped by state, with the algorithm and branch that set the grade
+     * @param {object} diastolic - results.diastolicResult
+     * @returns {string}
+     */
+    diastolicCriteriaSummary(diastolic) {
+        const calc = this.engine.calc;
+        const describe = c => `${c.label} ${calc.formatDiastolicCriterion(c)} (${calc.formatDiastolicThreshold(c)})`;
+        const groups = [
+            ['alterados', diastolic.criteria.filter(c => c.met === true).map(describe)],
+            ['normales', diastolic.criteria.filter(c => c.met === false).map(describe)],
+            ['sin dato', diastolic.criteria.filter(c => c.met === null).map(c => c.label)]
+        ].filter(([, items]) => items.length > 0);
+
+        const branch = diastolic.branch ? `, ${diastolic.branch}` : '';
+        return `Criterios diastólicos (${diastolic.algorithm}${branch}): ${groups.map(([name, items]) => `${name}: ${items.join(', ')}`).join('; ')}.`;
+    }
+
+    /**
+     * Where the RAP added to the TR gradient came from (keeps the PSAP sentence traceable)
+     * @param {object} rap - results.rap ({ value, method })
+     * @returns {string}
+     */
+    rapSource(rap) {
+        if (!rap) return 'PAD asumida 5 mmHg';
+        if (rap.method === 'vci') return `PAD ${rap.value} mmHg estimada por VCI`;
+        if (rap.method === 'manual') return `PAD ${rap.value} mmHg ingresada`;
+        return `PAD asumida ${rap.value} mmHg`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReportGenerator;
+}
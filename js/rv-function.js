@@ -0,0 +1,177 @@
+/**
+ * Right Ventricular Function Module
+ * Systolic function (TAPSE, S', FAC, RIMP, free-wall strain), dimensions and RVOT (ASE/EACVI 2015)
+ * and RV-PA coupling from TAPSE/PSAP (ESC/ERS 2022)
+ */
+
+class RVFunctionModule {
+    constructor() {
+        this.inputs = {
+            tapse: 'tapse',
+            sPrime: 's_prima_vd',
+            diastolicArea: 'vd_area_diast',
+            systolicArea: 'vd_area_sist',
+            rimp: 'vd_rimp',
+            rimpMethod: 'vd_rimp_metodo',
+            strain: 'vd_strain',
+            basal: 'vd_basal',
+            mid: 'vd_medio',
+            longitudinal: 'vd_longitudinal',
+            rvotProximal: 'tsvd_proximal',
+            rvotDistal: 'tsvd_distal'
+        };
+
+        // Lower (or upper for RIMP) limits of normal
+        this.thresholds = {
+            tapse: 17,              // mm
+            sPrime: 9.5,            // cm/s
+            fac: 35,                // %
+            rimp: { pw: 0.43, tdi: 0.54 },
+            strain: 20,             // %, absolute value of free-wall strain
+            tapsePsap: 0.55         // mm/mmHg
+        };
+
+        // Upper limits of normal (mm)
+        this.dimensions = {
+            basal: { label: 'basal', limit: 41 },
+            mid: { label: 'medio', limit: 35 },
+            longitudinal: { label: 'longitudinal', limit: 83 },
+            rvotProximal: { label: 'TSVD proximal', limit: 35 },
+            rvotDistal: { label: 'TSVD distal', limit: 27 }
+        };
+    }
+
+    // Values from a study model field snapshot; psap from the engine (0 when not estimable)
+    valuesFromModel(fields, psap = 0) {
+        const num = key => parseFloat(fields[this.inputs[key]]) || 0;
+        const diastolicArea = num('diastolicArea');
+        const systolicArea = num('systolicArea');
+        const tapse = num('tapse');
+
+        return {
+            tapse,
+            sPrime: num('sPrime'),
+            diastolicArea,
+            systolicArea,
+            fac: diastolicArea > 0 && systolicArea > 0 && systolicArea < diastolicArea
+                ? (diastolicArea - systolicArea) / diastolicArea * 100 : 0,
+            rimp: num('rimp'),
+            rimpMethod: fields[this.inputs.rimpMethod] === 'pw' ? 'pw' : 'tdi',
+            strain: Math.abs(num('strain')),
+            basal: num('basal'),
+            mid: num('mid'),
+            longitudinal: num('longitudinal'),
+            rvotProximal: num('rvotProximal'),
+            rvotDistal: num('rvotDistal'),
+            psap,
+            tapsePsap: tapse > 0 && psap > 0 ? tapse / psap : 0
+        };
+    }
+
+    /**
+     * Measured systolic function parameters with their report wording
+     * @returns {Array<object>} - [{ key, text, abnormal }]
+     */
+    functionParameters(data) {
+        const t = this.thresholds;
+        const params = [];
+        if (data.tapse > 0) params.push({ key: 'tapse', text: `TAPSE: ${data.tapse} mm`, abnormal: data.tapse < t.tapse });
+        if (data.sPrime > 0) params.push({ key: 'sPrime', text: `S' ${data.sPrime} cm/s`, abnormal: data.sPrime < t.sPrime });
+        if (data.fac > 0) params.push({ key: 'fac', text: `FAC ${data.fac.toFixed(0)}%`, abnormal: data.fac < t.fac });
+        if (data.rimp > 0) {
+            params.push({
+                key: 'rimp',
+                text: `RIMP ${data.rimp.toFixed(2)} (${data.rimpMethod === 'pw' ? 'Doppler pulsado' : 'Doppler tisular'})`,
+                abnormal: data.rimp > t.rimp[data.rimpMethod]
+            });
+        }
+        if (data.strain > 0) params.push({ key: 'strain', text: `strain longitudinal de pared libre -${data.strain}%`, abnormal: data.strain < t.strain });
+        return params;
+    }
+
+    /**
+     * Measured dimensions flagged against their upper limit
+     * @returns {Array<object>} - [{ key, text, dilated }]
+     */
+    dimensionParameters(data) {
+        return Object.entries(this.dimensions)
+            .filter(([key]) => data[key] > 0)
+            .map(([key, { label, limit }]) => ({ key, text: `${label} ${data[key]} mm`, dilated: data[key] > limit }));
+    }
+
+    /**
+     * RV systolic function and RV-PA coupling
+     * @param {object} data - From valuesFromModel()
+     * @returns {object} - { level, grade (-1 not measured, 0 preserved, 1 reduced), abnormal, uncoupled, dilated }
+     */
+    determineSeverity(data) {
+        const params = this.functionParameters(data);
+        const abnormal = params.filter(p => p.abnormal).map(p => p.key);
+        const uncoupled = data.tapsePsap > 0 && data.tapsePsap < this.thresholds.tapsePsap;
+        const dilated = this.dimensionParameters(data).filter(d => d.dilated).map(d => d.key);
+
+        if (params.length === 0) return { level: 'No medida', grade: -1, abnormal, uncoupled, dilated };
+        return abnormal.length > 0
+            ? { level: 'Deprimida', grade: 1, abnormal, uncoupled, dilated }
+            : { level: 'Conservada', grade: 0, abnormal, uncoupled, dilated };
+    }
+
+    // Badge: red when function is reduced, yellow for preserved function with RV-PA uncoupling
+    updateBadge(severity) {
+        const badgeEl = document.getElementById('vd_function_badge');
+        if (!badgeEl) return;
+
+        badgeEl.textContent = severity.uncoupled ? `${severity.level} - desacoplamiento VD-AP` : severity.level;
+        const badgeClass = severity.grade === 1 ? 'badge-severe'
+            : severity.uncoupled ? 'badge-moderate' : severity.grade === 0 ? 'badge-mild' : 'badge-none';
+        badgeEl.className = `severity-badge ${badgeClass}`;
+    }
+
+    // Generate only descriptive text (NO diagnosis)
+    generateFindings(data) {
+        const severity = this.determineSeverity(data);
+        const lines = [];
+
+        if (severity.grade >= 0) {
+            const params = this.functionParameters(data).map(p => p.text);
+            lines.push(`Función del VD ${severity.level.toLowerCase()} (${params.join(', ')}).`);
+        }
+
+        // Diameters beyond the basal one (reported with the RV state) and the RVOT
+        const dimensions = this.dimensionParameters(data).filter(d => d.key !== 'basal' || data.mid > 0 || data.longitudinal > 0);
+        if (dimensions.length > 0) {
+            const text = dimensions.map(d => d.dilated ? `${d.text} (aumentado)` : d.text);
+            lines.push(`Diámetros del VD: ${text.join(', ')}.`);
+        }
+
+        if (data.tapsePsap > 0) {
+            lines.push(`Relación TAPSE/PSAP ${data.tapsePsap.toFixed(2)} mm/mmHg${severity.uncoupled ? ' (desacoplamiento VD-arteria pulmonar)' : ''}.`);
+        }
+        return lines.join(' ');
+    }
+
+    // Diagnosis for Conclusion
+    generateConclusion(data) {
+        const severity = this.determineSeverity(data);
+        const sentences = [];
+
+        if (severity.grade === 1) {
+            const abnormal = this.functionParameters(data).filter(p => p.abnormal).map(p => p.text.replace(': ', ' '));
+            sentences.push(`Disfunción sistólica del ventrículo derecho (${abnormal.join(', ')}).`);
+        }
+        if (severity.uncoupled) {
+            sentences.push(`Desacoplamiento ventrículo derecho-arteria pulmonar (TAPSE/PSAP ${data.tapsePsap.toFixed(2)} mm/mmHg).`);
+        }
+        return sentences.join(' ');
+    }
+}
+
+// Initialize globally
+if (typeof window !== 'undefined') {
+    window.rvFunctionModule = new RVFunctionModule();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RVFunctionModule;
+}
@@ -0,0 +1,142 @@
+/**
+ * Study Comparison Module
+ * Serial follow-up: deltas between a previous and the current study
+ */
+
+class StudyComparison {
+
+    constructor() {
+        // Parameters compared between studies (read from stored fields/results)
+        this.parameters = [
+            { key: 'ddvi', label: 'DDVI', unit: 'mm', decimals: 0, get: s => s.fields.ddvi },
+            { key: 'fevi', label: 'FEy', unit: '%', decimals: 0, get: s => s.fields.fevi },
+            { key: 'masa', label: 'Masa VI indexada', unit: 'g/m²', decimals: 0, get: s => s.results && ('lvMassIndexBSA' in s.results ? s.results.lvMassIndexBSA : s.results.lvMassIndex) },
+            { key: 'vol_ai', label: 'Vol. AI indexado', unit: 'ml/m²', decimals: 1, get: s => s.fields.vol_ai },
+            { key: 'psap', label: 'PSAP', unit: 'mmHg', decimals: 0, get: s => s.results && s.results.psap },
+            { key: 'ava', label: 'AVA', unit: 'cm²', decimals: 2, get: s => s.fields.ea_ava },
+            { key: 'ao_raiz', label: 'Raíz aórtica', unit: 'mm', decimals: 0, get: s => s.fields.ao_raiz, growth: true },
+            { key: 'ao_asc', label: 'Aorta ascendente', unit: 'mm', decimals: 0, get: s => s.fields.ao_asc, growth: true }
+        ];
+
+        // Clinically significant change thresholds
+        this.thresholds = {
+            aorticGrowthPerYear: 3, // mm/año
+            feviDrop: 10            // puntos porcentuales
+        };
+    }
+
+    /**
+     * Months elapsed between two ISO dates (YYYY-MM-DD)
+     * @param {string} from - Previous study date
+     * @param {string} to - Current study date
+     * @returns {number} - Months (one decimal), 0 if dates are missing
+     */
+    monthsBetween(from, to) {
+        if (!from || !to) return 0;
+        const days = (new Date(to) - new Date(from)) / 86400000;
+        if (isNaN(days) || days <= 0) return 0;
+        return Math.round((days / 30.4375) * 10) / 10;
+    }
+
+    /**
+     * Compare two studies
+     * @param {object} previous - Previous study record { fecha, fields, results }
+     * @param {object} current - Current study record { fecha, fields, results }
+     * @returns {object} - { months, items: [...], alerts: [...] }
+     */
+    compare(previous, current) {
+        const months = this.monthsBetween(previous.fecha, current.fecha);
+        const items = [];
+        const alerts = [];
+
+        this.parameters.forEach(param => {
+            const before = parseFloat(param.get(previous));
+            const after = parseFloat(param.get(current));
+            if (!before || !after) return;
+
+            const delta = after - before;
+            const item = { key: param.key, label: param.label, unit: param.unit, before, after, delta };
+
+            if (param.growth && months > 0) {
+                item.ratePerYear = (delta / months) * 12;
+                if (item.ratePerYear >= this.thresholds.aorticGrowthPerYear) {
+                    alerts.push(`Crecimiento de ${param.label.toLowerCase()} de ${item.ratePerYear.toFixed(1)} mm/año (≥${this.thresholds.aorticGrowthPerYear} mm/año)`);
+                }
+            }
+
+            if (param.key === 'fevi' && -delta >= this.thresholds.feviDrop) {
+                alerts.push(`Caída de FEy de ${Math.abs(delta).toFixed(0)} puntos (≥${this.thresholds.feviDrop} puntos)`);
+            }
+
+            items.push({ ...item, text: this.formatItem(param, item, months) });
+        });
+
+        return { months, items, alerts };
+    }
+
+    /**
+     * Format a single delta line, e.g. "FEy 55% → 42%" or "Raíz aórtica +3 mm en 14 meses"
+     */
+    formatItem(param, item, months) {
+        const fmt = v => v.toFixed(param.decimals);
+        const unitSep = param.unit === '%' ? '' : ' ';
+
+        if (param.growth) {
+            const sign = item.delta > 0 ? '+' : '';
+            let text = `${param.label} ${fmt(item.before)} → ${fmt(item.after)} mm (${sign}${fmt(item.delta)} mm`;
+            if (months > 0) text += ` en ${this.formatMonths(months)}`;
+            return `${text})`;
+        }
+
+        return `${param.label} ${fmt(item.before)}${unitSep}${param.unit} → ${fmt(item.after)}${unitSep}${param.unit}`;
+    }
+
+    formatMonths(months) {
+        const rounded = Math.round(months);
+        return rounded === 1 ? '1 mes' : `${rounded} meses`;
+    }
+
+    /**
+     * Report section text for a comparison
+     * @param {object} comparison - Result of compare()
+     * @param {object} previous - Previous study record (for its date)
+     * @returns {string}
+     */
+    generateSection(comparison, previous) {
+        let text = `Estudio previo: ${previous.fecha}`;
+        if (comparison.months > 0) text += ` (hace ${this.formatMonths(comparison.months)})`;
+        text += `.\n`;
+
+        if (comparison.items.length === 0) {
+            return text + `Sin parámetros comparables entre ambos estudios.\n`;
+        }
+
+        text += `${comparison.items.map(item => item.text).join(' | ')}.\n`;
+        comparison.alerts.forEach(alert => {
+            text += `⚠️ ${alert}.\n`;
+        });
+
+        return text;
+    }
+
+    /**
+     * Conclusion line summarizing significant changes ("" if none)
+     * @param {object} comparison - Result of compare()
+     * @returns {string}
+     */
+    generateConclusion(comparison) {
+        if (comparison.alerts.length === 0) return '';
+        const alerts = comparison.alerts.map(alert => alert.charAt(0).toLowerCase() + alert.slice(1));
+        return `Cambios significativos respecto al estudio previo: ${alerts.join('; ')}.`;
+    }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+    window.StudyComparison = StudyComparison;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StudyComparison;
+}
@@ -0,0 +1,625 @@
+/**
+ * Study Engine Module
+ * Pure "study model → derived results" engine (no DOM access).
+ *
+ * A study model is a plain object:
+ *   { fecha, fields: { <input id>: value }, motility: { state, pattern } }
+ * where fields hold the raw form values (strings, booleans for checkboxes),
+ * exactly as captured by UIController.getFormState() and stored in StudyStore.
+ */
+
+class StudyEngine {
+
+    /**
+     * @param {object} deps - Calculation modules
+     * @param {HemodynamicsCalculator} deps.calculator
+     * @param {MiniCalculators} deps.miniCalc
+     * @param {AorticRegurgitationModule} deps.aorticRegurgitation
+     * @param {AorticStenosisModule} deps.aorticStenosis
+     * @param {MitralRegurgitationModule} deps.mitralRegurgitation
+     * @param {TricuspidRegurgitationModule} deps.tricuspidRegurgitation
+     * @param {PulmonaryValveModule} deps.pulmonaryValve
+     * @param {ProstheticValveModule} deps.prostheticValve - With its reference EOA table loaded
+     * @param {PericardialEffusionModule} deps.pericardialEffusion
+     * @param {ConstrictiveRestrictiveModule} deps.constrictiveRestrictive
+     * @param {RVFunctionModule} deps.rvFunction
+     * @param {LAFunctionModule} deps.laFunction
+     * @param {Function} deps.MotilityController - Class, used to build detached motility reporters
+     * @param {StudyComparison} deps.comparison
+     * @param {Function} deps.ReportGenerator - Class, report text builder
+     */
+    constructor(deps = {}) {
+        this.calc = deps.calculator;
+        this.miniCalc = deps.miniCalc || null;
+        this.aorticRegurgitation = deps.aorticRegurgitation || null;
+        this.aorticStenosis = deps.aorticStenosis || null;
+        this.mitralRegurgitation = deps.mitralRegurgitation || null;
+        this.tricuspidRegurgitation = deps.tricuspidRegurgitation || null;
+        this.pulmonaryValve = deps.pulmonaryValve || null;
+        this.prostheticValve = deps.prostheticValve || null;
+        this.pericardialEffusion = deps.pericardialEffusion || null;
+        this.constrictiveRestrictive = deps.constrictiveRestrictive || null;
+        this.rvFunction = deps.rvFunction || null;
+        this.laFunction = deps.laFunction || null;
+        this.MotilityController = deps.MotilityController || null;
+        this.comparison = deps.comparison || null;
+        this.reporter = deps.ReportGenerator ? new deps.ReportGenerator(this) : null;
+    }
+
+    /**
+     * Parse a numeric field ('' or invalid → NaN)
+     */
+    num(fields, id) {
+        return parseFloat(fields[id]);
+    }
+
+    /**
+     * Compute every derived result for a study model
+     * @param {object} model - Study model
+     * @returns {object} - Derived results
+     */
+    compute(model) {
+        const fields = model.fields || {};
+        const results = {};
+
+        // Body surface area (studies saved before the formula selector used DuBois)
+        const weight = this.num(fields, 'peso');
+        const height = this.num(fields, 'altura');
+        results.bsaMethod = this.bsaMethodOf(fields);
+        results.bsa = weight && height ? this.calc.calculateBodySurface(weight, height, results.bsaMethod) : 0;
+
+        Object.assign(results, this.computeLV(fields, results.bsa));
+        results.laVolume = this.computeLAVolume(fields, results.bsa);
+        Object.assign(results, this.computeDiastolic(fields));
+        results.laFunction = this.computeLAFunction(fields, results.eeRatio);
+
+        // PSAP
+        const trVel = this.num(fields, 'vel_it');
+        results.rap = this.computeRAP(fields);
+        results.psap = trVel > 0 ? this.calc.calculatePSAP(trVel, results.rap.value) : 0;
+        results.psapClass = this.calc.classifyPulmonaryPressure(results.psap);
+        results.phProbability = this.computePHProbability(fields, results);
+        results.rvFunction = this.computeRVFunction(fields, results.psap);
+
+        results.aorta = this.computeAorta(fields, results.bsa);
+        results.flow = this.strokeVolumeFromModel(fields, results.bsa);
+        results.aorticStenosis = this.computeAorticStenosis(fields, results.flow);
+        results.mitralStenosis = fields.em_grado && fields.em_grado !== 'no' ? this.mitralStenosisFromModel(fields) : null;
+        results.aorticRegurgitation = this.computeAorticRegurgitation(fields);
+        results.mitralRegurgitation = this.computeMitralRegurgitation(fields);
+        results.tricuspidRegurgitation = this.computeTricuspidRegurgitation(fields);
+        results.pulmonaryValve = this.computePulmonaryValve(fields);
+        results.prostheticValves = this.computeProstheticValves(fields, results.bsa);
+        results.pericardium = this.computePericardium(fields);
+        results.constriction = this.computeConstriction(fields);
+
+        // Wall motion
+        const motility = this.getMotility(model);
+        results.wmsi = motility ? parseFloat(motility.calculateWMSI()) : null;
+
+        return results;
+    }
+
+    /**
+     * BSA formula chosen for the study
+     * @returns {string} - Method id ('mosteller', 'dubois', 'haycock', 'boyd')
+     */
+    bsaMethodOf(fields) {
+        return this.calc.bsaMethods[fields.bsa_metodo] ? fields.bsa_metodo : 'dubois';
+    }
+
+    /**
+     * LV mass, RWT, geometry and dilation
+     * Mass by the selected method (linear cube or 2D area-length / truncated ellipsoid),
+     * indexed to BSA or height^2.7; studies saved before the selector used cube/BSA.
+     */
+    computeLV(fields, bsa) {
+        const ddvi = this.num(fields, 'ddvi');
+        const pp = this.num(fields, 'pp');
+        const siv = this.num(fields, 'siv');
+        const sex = fields.sexo;
+        const method = this.calc.lvMassMethods[fields.masa_metodo] ? fields.masa_metodo : 'cubo';
+        const indexation = fields.masa_indexacion === 'altura27' ? 'altura27' : 'sc';
+
+        const lv = {
+            lvMass: 0, lvMassIndex: 0, lvMassIndexBSA: 0, lvMassIndexHeight: 0,
+            lvMassMethod: method, lvMassIndexation: indexation,
+            rwt: 0, geometry: '', lvDilated: this.calc.isLVDilated(ddvi, sex)
+        };
+
+        if (method === 'cubo') {
+            lv.lvMass = ddvi && pp && siv ? this.calc.calculateLVMass(ddvi, pp, siv) : 0;
+        } else {
+            const a1 = this.num(fields, 'masa_a1');
+            const a2 = this.num(fields, 'masa_a2');
+            const a = this.num(fields, 'masa_a');
+            const d = this.num(fields, 'masa_d');
+            lv.lvMass = method === 'area_longitud'
+                ? this.calc.calculateLVMassAreaLength(a1, a2, a, d)
+                : this.calc.calculateLVMassTruncatedEllipsoid(a1, a2, a, d);
+        }
+        if (ddvi && pp && siv) lv.rwt = this.calc.calculateRWT(pp, siv, ddvi);
+        if (!lv.lvMass) return lv;
+
+        lv.lvMassIndexBSA = this.calc.indexLVMass(lv.lvMass, 'sc', bsa);
+        lv.lvMassIndexHeight = this.calc.indexLVMass(lv.lvMass, 'altura27', bsa, this.num(fields, 'altura'));
+        lv.lvMassIndex = indexation === 'altura27' ? lv.lvMassIndexHeight : lv.lvMassIndexBSA;
+        if (lv.lvMassIndex && lv.rwt) {
+            lv.geometry = this.calc.classifyLVGeometry(lv.lvMassIndex, lv.rwt, sex, method, indexation);
+        }
+        return lv;
+    }
+
+    /**
+     * E/A, E/e' and diastolic classification
+     * Average e' falls back to the mean of septal and lateral e'; significant mitral disease
+     * selects its own algorithm when no population is chosen
+     */
+    computeDiastolic(fields) {
+        const E = this.num(fields, 'onda_e');
+        const A = this.num(fields, 'onda_a');
+        const ePrimeSeptal = this.num(fields, 'onda_e_prime_septal');
+        const ePrimeLateral = this.num(fields, 'onda_e_prime_lateral');
+        const ePrime = this.num(fields, 'onda_e_prime')
+            || (ePrimeSeptal && ePrimeLateral ? (ePrimeSeptal + ePrimeLateral) / 2 : 0);
+
+        let population = fields.diast_poblacion || 'general';
+        let autoPopulation = false;
+        if (population === 'general') {
+            if (fields.em_grado && fields.em_grado !== 'no') population = 'em';
+            else if (['moderada', 'severa'].includes(fields.im_grado)) population = 'im';
+            autoPopulation = population !== 'general';
+        }
+
+        const diastolicResult = this.calc.classifyDiastolicFunction({
+            E, A, ePrime, ePrimeSeptal, ePrimeLateral,
+            LAVolIndex: this.num(fields, 'vol_ai'),
+            TRVel: this.num(fields, 'vel_it'),
+            LVEF: this.num(fields, 'fevi'),
+            wallMotion: fields.motilidad_global,
+            DT: this.num(fields, 'diast_tde'),
+            IVRT: this.num(fields, 'diast_trivi'),
+            lowEVariability: fields.diast_var_e === true,
+            LAStrain: this.num(fields, 'ai_strain_reservorio'),
+            PVSD: this.num(fields, 'diast_vp_sd'),
+            rhythm: fields.ritmo,
+            population,
+            guideline: fields.diast_guia || '2016'
+        });
+        if (autoPopulation) {
+            diastolicResult.branch = `${diastolicResult.branch} (algoritmo por valvulopatía mitral)`.trim();
+        }
+
+        return {
+            eaRatio: E && A ? E / A : null,
+            eeRatio: E && ePrime ? E / ePrime : null,
+            diastolicResult
+        };
+    }
+
+    /**
+     * RAP estimate from the IVC diameter, collapsibility and secondary indices
+     * @returns {object|null}
+     */
+    rapFromModel(fields) {
+        return this.calc.estimateRAP({
+            ivcDiameter: this.num(fields, 'vci_diametro'),
+            collapse: this.num(fields, 'vci_colapso'),
+            trEe: this.num(fields, 'vci_ee_tricuspidea') || 0,
+            hepaticDiastolic: fields.vci_flujo_hepatico_diastolico === true,
+            restrictiveFilling: fields.vci_llenado_restrictivo === true
+        });
+    }
+
+    /**
+     * RAP used for PSAP and how it was obtained
+     * @returns {object} - { value, method: 'vci' | 'manual' | 'default', estimate }
+     *   'vci' when PAD holds the IVC estimate (the UI fills it in), 'manual' when PAD was typed over it
+     */
+    computeRAP(fields) {
+        const estimate = this.rapFromModel(fields);
+        const pad = this.num(fields, 'pad');
+
+        if (!pad) {
+            return estimate ? { value: estimate.rap, method: 'vci', estimate } : { value: 5, method: 'default', estimate: null };
+        }
+        return { value: pad, method: estimate && estimate.rap === pad ? 'vci' : 'manual', estimate };
+    }
+
+    /**
+     * Other echo signs of PH grouped in the ESC/ERS 2022 categories (report wording)
+     * @param {number|null} tapsePsap - TAPSE/PSAP (mm/mmHg)
+     * @returns {object} - { ventricles, pulmonaryArtery, ivcRa }
+     */
+    phSignsFromModel(fields, tapsePsap) {
+        const accelerationTime = this.num(fields, 'htp_ta_tsvd');
+        const prVel = this.num(fields, 'htp_vel_ip');
+        const paDiameter = this.num(fields, 'htp_diam_ap');
+        const ivc = this.num(fields, 'vci_diametro');
+        const ivcCollapse = this.num(fields, 'vci_colapso');
+        const raArea = this.num(fields, 'ad_area');
+
+        const ventricles = [];
+        if (fields.htp_vd_vi === true) ventricles.push('relación VD/VI basal > 1.0');
+        if (fields.htp_septum === true) ventricles.push('aplanamiento septal en D');
+        if (tapsePsap !== null && tapsePsap < 0.55) ventricles.push(`TAPSE/PSAP ${tapsePsap.toFixed(2)} mm/mmHg`);
+
+        const pulmonaryArtery = [];
+        if (accelerationTime > 0 && accelerationTime < 105) {
+            pulmonaryArtery.push(`tiempo de aceleración pulmonar ${accelerationTime} ms`);
+        } else if (fields.htp_aceleracion === true) {
+            pulmonaryArtery.push('tiempo de aceleración pulmonar corto y/o muesca mesosistólica');
+        }
+        if (prVel > 2.2) pulmonaryArtery.push(`velocidad protodiastólica de IP ${prVel} m/s`);
+        if (paDiameter > 25) {
+            pulmonaryArtery.push(`diámetro del tronco pulmonar ${paDiameter} mm`);
+        } else if (fields.htp_pulmonar === true) {
+            pulmonaryArtery.push('dilatación del tronco pulmonar');
+        }
+
+        const ivcRa = [];
+        if (ivc > 21 && ivcCollapse < 50) ivcRa.push('VCI dilatada con colapso inspiratorio disminuido');
+        if (raArea > 18) ivcRa.push(`área de AD ${raArea} cm²`);
+
+        return { ventricles, pulmonaryArtery, ivcRa };
+    }
+
+    /**
+     * PH probability (ESC/ERS 2022), mean PAP and PVR estimates
+     * @param {object} results - Needs psap and rap
+     */
+    computePHProbability(fields, results) {
+        const trVel = this.num(fields, 'vel_it') || 0;
+        const tapse = this.num(fields, 'tapse');
+        const tapsePsap = tapse > 0 && results.psap > 0 ? tapse / results.psap : null;
+        const signs = this.phSignsFromModel(fields, tapsePsap);
+        const rvotVti = this.num(fields, 'htp_vti_tsvd');
+
+        return {
+            ...this.calc.classifyPHProbability(trVel, signs),
+            trVel: trVel,
+            signs: signs,
+            tapsePsap: tapsePsap,
+            mpap: this.calc.estimateMeanPAP({
+                prVel: this.num(fields, 'htp_vel_ip') || 0,
+                rap: results.rap ? results.rap.value : 5,
+                accelerationTime: this.num(fields, 'htp_ta_tsvd') || 0
+            }),
+            pvr: this.calc.estimatePVR(trVel, rvotVti),
+            trVtiRatio: trVel > 0 && rvotVti > 0 ? trVel / rvotVti : null
+        };
+    }
+
+    /**
+     * RV systolic function panel, dimensions and TAPSE/PSAP coupling
+     */
+    computeRVFunction(fields, psap) {
+        if (!this.rvFunction) return null;
+
+        const data = this.rvFunction.valuesFromModel(fields, psap);
+        return {
+            data: data,
+            severity: this.rvFunction.determineSeverity(data),
+            findings: this.rvFunction.generateFindings(data),
+            conclusion: this.rvFunction.generateConclusion(data)
+        };
+    }
+
+    /**
+     * LA phasic strain, emptying fractions and stiffness index
+     */
+    computeLAFunction(fields, eeRatio) {
+        if (!this.laFunction) return null;
+
+        const data = this.laFunction.valuesFromModel(fields, eeRatio || 0);
+        return {
+            data: data,
+            severity: this.laFunction.determineSeverity(data),
+            findings: this.laFunction.generateFindings(data),
+            conclusion: this.laFunction.generateConclusion(data)
+        };
+    }
+
+    /**
+     * Aortic diameters indexed to BSA (cm/m²) with sex-specific limits
+     */
+    computeAorta(fields, bsa) {
+        const root = this.num(fields, 'ao_raiz');
+        const asc = this.num(fields, 'ao_asc');
+        const male = fields.sexo === 'M';
+        const sc = bsa ? parseFloat(bsa.toFixed(2)) : 0;
+
+        const aorta = {
+            rootLimit: male ? 2.15 : 2.11,
+            ascLimit: male ? 2.11 : 2.03,
+            rootIndexed: root && sc ? root / sc / 10 : null,
+            ascIndexed: asc && sc ? asc / sc / 10 : null
+        };
+        aorta.rootDilated = aorta.rootIndexed !== null && aorta.rootIndexed > aorta.rootLimit;
+        aorta.ascDilated = aorta.ascIndexed !== null && aorta.ascIndexed > aorta.ascLimit;
+        return aorta;
+    }
+
+    /**
+     * Aortic regurgitation values, severity and report texts
+     */
+    computeAorticRegurgitation(fields) {
+        if (!this.aorticRegurgitation) return null;
+
+        const data = this.aorticRegurgitation.valuesFromModel(fields);
+        return {
+            data: data,
+            severity: this.aorticRegurgitation.determineSeverity(data),
+            findings: this.aorticRegurgitation.generateFindings(data),
+            conclusion: this.aorticRegurgitation.generateConclusion(data)
+        };
+    }
+
+    /**
+     * Mitral regurgitation values, severity and report texts (only when regurgitation is selected)
+     */
+    computeMitralRegurgitation(fields) {
+        if (!this.mitralRegurgitation) return null;
+
+        const assessed = fields.im_grado && fields.im_grado !== 'no';
+        const data = this.mitralRegurgitation.valuesFromModel(assessed ? fields : {});
+        return {
+            data: data,
+            severity: this.mitralRegurgitation.determineSeverity(data),
+            findings: this.mitralRegurgitation.generateFindings(data),
+            conclusion: this.mitralRegurgitation.generateConclusion(data)
+        };
+    }
+
+    /**
+     * Tricuspid regurgitation on the expanded five-grade scale (quantified only above mild)
+     */
+    computeTricuspidRegurgitation(fields) {
+        if (!this.tricuspidRegurgitation) return null;
+
+        const assessed = fields.it_grado && fields.it_grado !== 'leve';
+        const pisa = assessed && this.miniCalc
+            ? this.miniCalc.calculatePISA(
+                this.num(fields, 'it_pisa_radio'), this.num(fields, 'it_pisa_valiasing'), this.num(fields, 'vel_it'), this.num(fields, 'it_vti'))
+            : null;
+        const data = this.tricuspidRegurgitation.valuesFromModel(assessed ? fields : {}, pisa);
+        return {
+            data: data,
+            severity: this.tricuspidRegurgitation.determineSeverity(data),
+            findings: this.tricuspidRegurgitation.generateFindings(data),
+            conclusion: this.tricuspidRegurgitation.generateConclusion(data)
+        };
+    }
+
+    /**
+     * Pulmonary stenosis / regurgitation grading (each lesion only when selected)
+     */
+    computePulmonaryValve(fields) {
+        if (!this.pulmonaryValve) return null;
+
+        const grades = { stenosis: fields.ep_grado || 'no', regurgitation: fields.ip_grado || 'no' };
+        const data = this.pulmonaryValve.valuesFromModel(fields, {
+            stenosis: grades.stenosis !== 'no',
+            regurgitation: grades.regurgitation !== 'no'
+        });
+        return {
+            data: data,
+            severity: this.pulmonaryValve.determineSeverity(data),
+            findings: this.pulmonaryValve.generateFindings(data),
+            conclusion: this.pulmonaryValve.generateConclusion(data, grades)
+        };
+    }
+
+    /**
+     * Aortic and mitral prostheses (only positions with a prosthesis type selected)
+     * @returns {object|null} - { aortica, mitral }, each { data, severity, findings, conclusion } or null
+     */
+    computeProstheticValves(fields, bsa) {
+        if (!this.prostheticValve) return null;
+
+        const weight = this.num(fields, 'peso');
+        const height = this.num(fields, 'altura');
+        const context = {
+            bsa: bsa,
+            bmi: weight && height ? weight / Math.pow(height / 100, 2) : 0,
+            lvotDiam: this.num(fields, 'cont_diam_tsvi') || 0,
+            lvotVti: this.num(fields, 'cont_vti_tsvi') || 0
+        };
+
+        const valves = {};
+        Object.entries(this.prostheticValve.positions).forEach(([position, { prefix }]) => {
+            if (!this.prostheticValve.typeLabels[fields[`${prefix}_tipo`]]) {
+                valves[position] = null;
+                return;
+            }
+            const data = this.prostheticValve.valuesFromModel(fields, position, context);
+            valves[position] = {
+                data: data,
+                severity: this.prostheticValve.determineSeverity(data),
+                findings: this.prostheticValve.generateFindings(data),
+                conclusion: this.prostheticValve.generateConclusion(data)
+            };
+        });
+        return valves;
+    }
+
+    /**
+     * Pericardial effusion size and echocardiographic signs of tamponade
+     */
+    computePericardium(fields) {
+        if (!this.pericardialEffusion) return null;
+
+        const data = this.pericardialEffusion.valuesFromModel(fields);
+        return {
+            data: data,
+            severity: this.pericardialEffusion.determineSeverity(data),
+            findings: this.pericardialEffusion.generateFindings(data),
+            conclusion: this.pericardialEffusion.generateConclusion(data)
+        };
+    }
+
+    /**
+     * Constrictive pericarditis vs restrictive cardiomyopathy (only when the assessment is selected)
+     */
+    computeConstriction(fields) {
+        if (!this.constrictiveRestrictive || fields.cp_evaluar !== 'si') return null;
+
+        const data = this.constrictiveRestrictive.valuesFromModel(fields);
+        return {
+            data: data,
+            severity: this.constrictiveRestrictive.determineSeverity(data),
+            findings: this.constrictiveRestrictive.generateFindings(data),
+            conclusion: this.constrictiveRestrictive.generateConclusion(data)
+        };
+    }
+
+    /**
+     * Aortic stenosis grading and flow/gradient discordance (only when stenosis is selected)
+     */
+    computeAorticStenosis(fields, flow) {
+        if (!this.aorticStenosis) return null;
+
+        const assessed = fields.ea_grado && fields.ea_grado !== 'no';
+        const data = this.aorticStenosis.valuesFromModel(assessed ? fields : {}, flow);
+        return {
+            data: data,
+            severity: this.aorticStenosis.determineSeverity(data),
+            findings: this.aorticStenosis.generateFindings(data),
+            conclusion: this.aorticStenosis.generateConclusion(data)
+        };
+    }
+
+    /**
+     * Detached motility controller for the model's segment states (no storage, no DOM)
+     * @returns {MotilityController|null}
+     */
+    getMotility(model) {
+        if (!this.MotilityController || !model.motility) return null;
+        return this.MotilityController.fromState(model.motility.state, model.motility.pattern);
+    }
+
+    /**
+     * Mini-calculators (on demand, from the same field snapshot)
+     * @returns {object|null} - Result object, null when inputs are missing
+     */
+    continuityFromModel(fields, bsa) {
+        if (!this.miniCalc) return null;
+        return this.miniCalc.calculateContinuity(
+            this.num(fields, 'cont_diam_tsvi'), this.num(fields, 'cont_vti_tsvi'), this.num(fields, 'cont_vti_ao'), bsa);
+    }
+
+    strokeVolumeFromModel(fields, bsa) {
+        if (!this.miniCalc) return null;
+        return this.miniCalc.calculateStrokeVolume(
+            this.num(fields, 'cont_diam_tsvi'), this.num(fields, 'cont_vti_tsvi'), this.num(fields, 'cont_fc'), bsa);
+    }
+
+    mitralStenosisFromModel(fields) {
+        if (!this.miniCalc) return null;
+        const result = {
+            pht: this.miniCalc.calculateMVAPHT(this.num(fields, 'em_pht')),
+            continuity: this.miniCalc.calculateMVAContinuity(
+                this.num(fields, 'cont_diam_tsvi'), this.num(fields, 'cont_vti_tsvi'), this.num(fields, 'em_vti_mitral')),
+            pisa: this.miniCalc.calculateMVAPISA(
+                this.num(fields, 'em_pisa_radio'), this.num(fields, 'em_pisa_valiasing'), this.num(fields, 'em_pisa_vmax'), this.num(fields, 'em_pisa_angulo')),
+            planimetry: this.num(fields, 'em_area_planimetria') || null,
+            hr: this.num(fields, 'em_fc') || null,
+            wilkins: this.miniCalc.calculateWilkinsScore(
+                this.num(fields, 'em_wilkins_movilidad'), this.num(fields, 'em_wilkins_engrosamiento'),
+                this.num(fields, 'em_wilkins_calcificacion'), this.num(fields, 'em_wilkins_subvalvular'))
+        };
+        return Object.values(result).some(v => v) ? result : null;
+    }
+
+    pisaFromModel(fields) {
+        if (!this.miniCalc) return null;
+        return this.miniCalc.calculatePISA(
+            this.num(fields, 'pisa_radio'), this.num(fields, 'pisa_valiasing'), this.num(fields, 'pisa_vmax'), this.num(fields, 'pisa_vti'));
+    }
+
+    lvVolumesFromModel(fields, bsa) {
+        if (!this.miniCalc) return null;
+        const teichholz = this.miniCalc.calculateTeichholz(this.num(fields, 'ddvi'), this.num(fields, 'dsvi'), bsa, fields.sexo);
+        const discs = id => this.miniCalc.parseDiscDiameters(fields[id]);
+        const longDia = this.num(fields, 'vol_long_dia');
+        const longSis = this.num(fields, 'vol_long_sis');
+
+        // Method of discs from the 20 diameters of each view; biplane area-length when only areas were measured
+        let biplane = this.miniCalc.calculateBiplaneVolumes(
+            discs('vol_discos_4c_dia'), discs('vol_discos_2c_dia'), longDia,
+            discs('vol_discos_4c_sis'), discs('vol_discos_2c_sis'), longSis, bsa, fields.sexo);
+        if (biplane) {
+            biplane.method = 'Simpson biplano (discos)';
+        } else {
+            biplane = this.miniCalc.calculateAreaLengthVolumes(
+                this.num(fields, 'vol_a4c_dia'), this.num(fields, 'vol_a2c_dia'), longDia,
+                this.num(fields, 'vol_a4c_sis'), this.num(fields, 'vol_a2c_sis'), longSis, bsa, fields.sexo);
+            if (biplane) biplane.method = 'Área-longitud biplano';
+        }
+        return teichholz || biplane ? { teichholz, biplane } : null;
+    }
+
+    lanusFromModel(fields, bsa) {
+        if (!this.miniCalc) return null;
+        return this.miniCalc.calculateLanusAI(this.num(fields, 'lanus_area_4c'), this.num(fields, 'lanus_longitud'), bsa);
+    }
+
+    /**
+     * LA volume from the calculator selected in ai_calc_mode (null for direct entry or incomplete data)
+     */
+    laVolumeFromModel(fields, bsa) {
+        if (!this.miniCalc) return null;
+        switch (fields.ai_calc_mode) {
+            case 'lanus':
+                return this.lanusFromModel(fields, bsa);
+            case 'biplano_al':
+                return this.miniCalc.calculateBiplaneAreaLengthAI(this.num(fields, 'ai_al_area_4c'), this.num(fields, 'ai_al_area_2c'),
+                    this.num(fields, 'ai_al_longitud'), bsa);
+            case 'discos':
+                return this.miniCalc.calculateDiscsAI(this.num(fields, 'ai_vol_discos'), bsa);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Indexed LA volume with the method that produced it and its classification
+     * @returns {object|null} - { value, method, methodName, volume, classification }
+     *   method is the selected calculator when vol_ai holds its result (the UI injects it), 'manual' when typed over it
+     */
+    computeLAVolume(fields, bsa) {
+        const value = this.num(fields, 'vol_ai');
+        if (!this.miniCalc || !(value > 0)) return null;
+
+        const methods = this.miniCalc.laVolumeMethods;
+        const mode = methods[fields.ai_calc_mode] ? fields.ai_calc_mode : 'auto';
+        const calculated = this.laVolumeFromModel(fields, bsa);
+        const fromCalculation = calculated !== null && parseFloat(calculated.volumeIndexed) === value;
+        const method = mode === 'auto' || fromCalculation ? mode : 'manual';
+
+        return {
+            value,
+            method,
+            methodName: method === 'manual' ? 'valor ingresado' : methods[method],
+            volume: fromCalculation ? parseFloat(calculated.volumen) : 0,
+            classification: this.miniCalc.classifyLAVolumeIndex(value)
+        };
+    }
+
+    /**
+     * Clinical report text
+     * @param {object} model - Study model
+     * @param {object} results - Output of compute() (computed if omitted)
+     * @param {object} options - { previousStudy } for serial comparison
+     * @returns {string}
+     */
+    generateReport(model, results = this.compute(model), options = {}) {
+        if (!this.reporter) return '';
+        return this.reporter.generate(model, results, options);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StudyEngine;
+}
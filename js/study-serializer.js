@@ -0,0 +1,99 @@
+/**
+ * Study Serializer Module
+ * Versioned JSON format to move complete studies between workstations
+ */
+
+class StudySerializer {
+
+    constructor() {
+        this.format = 'ecodoppler-study';
+        this.version = 1;
+    }
+
+    /**
+     * Serialize a study record to JSON text
+     * @param {object} study - Study record { pacienteId, fecha, fields, motility, results, report }
+     * @param {object} valves - Valve sub-module values, e.g. { aorticRegurgitation: {...} }
+     * @returns {string} - JSON text
+     */
+    serialize(study, valves = {}) {
+        const payload = {
+            format: this.format,
+            version: this.version,
+            exportedAt: new Date().toISOString(),
+            study: {
+                pacienteId: study.pacienteId || '',
+                fecha: study.fecha || '',
+                fields: study.fields || {},
+                motility: study.motility || null,
+                valves: valves,
+                results: study.results || {},
+                report: study.report || ''
+            }
+        };
+
+        return JSON.stringify(payload, null, 2);
+    }
+
+    /**
+     * Parse and validate JSON text into a study record (without id)
+     * @param {string} text - JSON text
+     * @returns {object} - Study record
+     * @throws {Error} - If the file is not a valid study
+     */
+    parse(text) {
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch (err) {
+            throw new Error('El archivo no es un JSON válido');
+        }
+
+        if (!payload || payload.format !== this.format) {
+            throw new Error('El archivo no corresponde a un estudio de Eco Doppler');
+        }
+        if (typeof payload.version !== 'number' || payload.version > this.version) {
+            throw new Error(`Versión de formato no soportada (${payload.version})`);
+        }
+
+        const study = this.migrate(payload).study;
+        if (!study || typeof study.fields !== 'object' || study.fields === null) {
+            throw new Error('El estudio no contiene datos del formulario');
+        }
+
+        return {
+            pacienteId: study.pacienteId || study.fields.paciente_id || '',
+            fecha: study.fecha || study.fields.fecha_estudio || '',
+            fields: study.fields,
+            motility: study.motility || null,
+            valves: study.valves || {},
+            results: study.results || {},
+            report: study.report || ''
+        };
+    }
+
+    /**
+     * Upgrade older payloads to the current version (one step per version)
+     * @param {object} payload - Parsed payload
+     * @returns {object} - Payload in the current version
+     */
+    migrate(payload) {
+        // Version 1 is the first published format: nothing to migrate yet
+        return payload;
+    }
+
+    /**
+     * Suggested file name: estudio_<paciente>_<fecha>.json
+     * @param {object} study - Study record
+     * @returns {string}
+     */
+    fileName(study) {
+        const id = (study.pacienteId || 'sin-id').replace(/[^\w-]+/g, '_');
+        return `estudio_${id}_${study.fecha || 'sin-fecha'}.json`;
+    }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+    window.StudySerializer = StudySerializer;
+}
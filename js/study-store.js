@@ -0,0 +1,129 @@
+/**
+ * Study Store Module
+ * Persists complete studies in IndexedDB, keyed by patient (paciente_id)
+ */
+
+class StudyStore {
+
+    constructor(dbName = 'ecodoppler', storeName = 'studies') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.version = 1;
+        this.db = null;
+    }
+
+    /**
+     * Open (or create) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB no disponible en este navegador'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('pacienteId', 'pacienteId', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a request against the object store and resolve with its result
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {function} action - Receives the object store, returns an IDBRequest
+     * @returns {Promise<any>}
+     */
+    async run(mode, action) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = action(tx.objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Insert or update a study. New studies get an auto-incremented id.
+     * @param {object} study - Study record
+     * @returns {Promise<number>} - Id of the stored study
+     */
+    save(study) {
+        const record = { ...study, updatedAt: new Date().toISOString() };
+        if (!record.createdAt) record.createdAt = record.updatedAt;
+        if (record.id === null || record.id === undefined) delete record.id;
+
+        return this.run('readwrite', store => store.put(record));
+    }
+
+    /**
+     * @param {number} id - Study id
+     * @returns {Promise<object|undefined>}
+     */
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+
+    /**
+     * @param {number} id - Study id
+     * @returns {Promise<undefined>}
+     */
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * List all studies of a patient, most recent first
+     * @param {string} pacienteId - Patient identifier (HC)
+     * @returns {Promise<Array<object>>}
+     */
+    async listByPatient(pacienteId) {
+        if (!pacienteId) return [];
+        const studies = await this.run('readonly', store => store.index('pacienteId').getAll(pacienteId));
+        return StudyStore.sortByDate(studies);
+    }
+
+    /**
+     * List every stored study, most recent first
+     * @returns {Promise<Array<object>>}
+     */
+    async listAll() {
+        const studies = await this.run('readonly', store => store.getAll());
+        return StudyStore.sortByDate(studies);
+    }
+
+    /**
+     * Sort studies by study date, then by creation time (descending)
+     * @param {Array<object>} studies
+     * @returns {Array<object>}
+     */
+    static sortByDate(studies) {
+        return studies.sort((a, b) => {
+            const byDate = (b.fecha || '').localeCompare(a.fecha || '');
+            return byDate !== 0 ? byDate : (b.createdAt || '').localeCompare(a.createdAt || '');
+        });
+    }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+    window.StudyStore = StudyStore;
+}
@@ -0,0 +1,145 @@
+/**
+ * Tricuspid Regurgitation Module
+ * Five-grade scale: mild, moderate, severe, massive, torrential (Hahn & Zamorano 2017, ASE 2017)
+ * Screens candidates for transcatheter tricuspid therapy (≥ severe TR)
+ */
+
+class TricuspidRegurgitationModule {
+    constructor() {
+        this.inputs = {
+            vc: 'it_vc',
+            jetArea: 'it_area_jet',
+            annulus: 'it_anillo',
+            hepaticReversal: 'it_flujo_hepatico'
+        };
+        this.output = {
+            badge: 'it_severity_badge'
+        };
+
+        this.levels = ['Leve', 'Moderada', 'Severa', 'Masiva', 'Torrencial'];
+
+        // Lower bound of each grade from moderate upwards
+        this.thresholds = {
+            vc: [3, 7, 14, 21],             // mm (biplane average)
+            eroa: [0.20, 0.40, 0.60, 0.80], // cm² (PISA)
+            rvol: [30, 45],                 // ml (moderate, severe; no expanded grades)
+            jetArea: [5, 10],               // cm² (central jet)
+            annulus: 40                     // mm, dilated tricuspid annulus
+        };
+    }
+
+    // Values from a study model field snapshot ({ it_vc: '9', ... }) plus the PISA result
+    valuesFromModel(fields, pisa = null) {
+        return {
+            vc: parseFloat(fields[this.inputs.vc]) || 0,
+            eroa: pisa ? parseFloat(pisa.ore) : 0,
+            rvol: pisa ? parseFloat(pisa.vr) : 0,
+            jetArea: parseFloat(fields[this.inputs.jetArea]) || 0,
+            annulus: parseFloat(fields[this.inputs.annulus]) || 0,
+            hepaticReversal: fields[this.inputs.hepaticReversal] === true
+        };
+    }
+
+    hasData(data) {
+        return data.vc > 0 || data.eroa > 0 || data.rvol > 0 || data.jetArea > 0 || data.hepaticReversal;
+    }
+
+    // Grade index (0 mild ... 4 torrential) for a parameter and its thresholds
+    gradeOf(value, limits) {
+        return limits.filter(limit => value >= limit).length;
+    }
+
+    /**
+     * Severity on the expanded scale
+     * @param {object} data - From valuesFromModel()
+     * @returns {object} - { level, grade (0-4, -1 not evaluated), color, class }
+     */
+    determineSeverity(data) {
+        if (!this.hasData(data)) return { level: 'No evaluada', grade: -1, color: 'gray', class: 'badge-none' };
+
+        const t = this.thresholds;
+        const quantitative = data.vc > 0 || data.eroa > 0 || data.rvol > 0;
+        let grade;
+
+        // VC and PISA EROA grade the full scale; RVol only when neither is available
+        if (data.vc > 0 || data.eroa > 0) {
+            grade = Math.max(data.vc > 0 ? this.gradeOf(data.vc, t.vc) : 0, data.eroa > 0 ? this.gradeOf(data.eroa, t.eroa) : 0);
+        } else if (data.rvol > 0) {
+            grade = this.gradeOf(data.rvol, t.rvol);
+        } else {
+            grade = data.jetArea > 0 ? this.gradeOf(data.jetArea, t.jetArea) : 0;
+        }
+
+        // Supportive signs of severe TR (systolic hepatic flow reversal, large central jet)
+        // upgrade moderate to severe, and mild quantitative data only to moderate
+        if (grade < 2 && (data.hepaticReversal || data.jetArea > t.jetArea[1])) {
+            grade = quantitative && grade === 0 ? 1 : 2;
+        }
+
+        const style = grade >= 2 ? { color: 'red', class: 'badge-severe' }
+            : grade === 1 ? { color: 'yellow', class: 'badge-moderate' }
+                : { color: 'green', class: 'badge-mild' };
+        return { level: this.levels[grade], grade, ...style };
+    }
+
+    updateBadge(severity) {
+        const badgeEl = document.getElementById(this.output.badge);
+        if (!badgeEl) return;
+
+        badgeEl.textContent = severity.level;
+        badgeEl.className = `severity-badge ${severity.class}`;
+
+        if (severity.color === 'red') {
+            badgeEl.style.backgroundColor = '#fecaca'; // red-200
+            badgeEl.style.color = '#991b1b'; // red-800
+            badgeEl.style.border = '1px solid #ef4444';
+        } else if (severity.color === 'green') {
+            badgeEl.style.backgroundColor = '#bbf7d0'; // green-200
+            badgeEl.style.color = '#166534'; // green-800
+            badgeEl.style.border = '1px solid #22c55e';
+        } else if (severity.color === 'yellow') {
+            badgeEl.style.backgroundColor = '#fef08a'; // yellow-200
+            badgeEl.style.color = '#854d0e'; // yellow-800
+            badgeEl.style.border = '1px solid #eab308';
+        } else {
+            badgeEl.style.backgroundColor = '#e5e7eb';
+            badgeEl.style.color = '#374151';
+            badgeEl.style.border = '1px solid #d1d5db';
+        }
+    }
+
+    // Generate only descriptive text (NO diagnosis)
+    generateFindings(data) {
+        const params = [];
+        if (data.vc > 0) params.push(`vena contracta ${data.vc} mm`);
+        if (data.eroa > 0) params.push(`ORE (PISA) ${data.eroa} cm²`);
+        if (data.rvol > 0) params.push(`vol. regurgitante ${data.rvol} ml`);
+        if (data.jetArea > 0) params.push(`área del jet ${data.jetArea} cm²`);
+        if (data.annulus > 0) {
+            params.push(`anillo tricuspídeo ${data.annulus} mm${data.annulus >= this.thresholds.annulus ? ' (dilatado)' : ''}`);
+        }
+
+        let report = params.length > 0 ? `Parámetros de insuficiencia tricuspídea: ${params.join(', ')}.` : '';
+        if (data.hepaticReversal) report += `${report ? ' ' : ''}Flujo sistólico reverso en venas suprahepáticas.`;
+        return report;
+    }
+
+    // Diagnosis for Conclusion: only significant (≥ severe) TR, with the structural screening statement
+    generateConclusion(data) {
+        const severity = this.determineSeverity(data);
+        if (severity.grade < 2) return '';
+
+        const annulus = data.annulus > 0 ? ` (anillo tricuspídeo ${data.annulus} mm)` : '';
+        return `Insuficiencia Tricuspídea ${severity.level}${annulus}: considerar evaluación por Heart Team para tratamiento transcatéter.`;
+    }
+}
+
+// Initialize globally
+if (typeof window !== 'undefined') {
+    window.tricuspidRegurgitationModule = new TricuspidRegurgitationModule();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TricuspidRegurgitationModule;
+}
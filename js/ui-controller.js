@@ -3,14 +3,19 @@
  * Handles all DOM manipulation and user interactions
  */
 
+// Fields that are derived or handled separately (report text, motility pattern)
+const STUDY_EXCLUDED_FIELDS = ['resultado', 'pattern-selector', 'diastole_text_hidden', 'comparar_previo', 'estudio_previo'];
+
 class UIController {
 
-    constructor(calculator, validator, miniCalc, qualityControl, motilityController) {
+    constructor(calculator, validator, miniCalc, qualityControl, motilityController, studyStore, engine) {
         this.calc = calculator;
         this.validator = validator;
         this.miniCalc = miniCalc || null;
         this.qc = qualityControl || null;
         this.motility = motilityController || null;
+        this.studyStore = studyStore || null;
+        this.engine = engine;
         this.state = {
             bsa: 0,
             lvMass: 0,
@@ -39,7 +44,7 @@ class UIController {
         document.getElementById('motilidad_global').addEventListener('change', () => this.toggleMotilityBox());
 
         // Valve toggles (progressive disclosure) - v14.0
-        const valveSelects = ['im_grado', 'em_grado', 'ia_grado', 'ea_grado', 'ad_estado', 'vd_estado'];
+        const valveSelects = ['im_grado', 'em_grado', 'ia_grado', 'ea_grado', 'it_grado', 'ep_grado', 'ip_grado', 'pao_tipo', 'pmi_tipo', 'peri_derrame', 'cp_evaluar', 'ad_estado', 'vd_estado'];
         valveSelects.forEach(id => {
             const el = document.getElementById(id);
             if (el) el.addEventListener('change', () => this.toggleValveBoxes());
@@ -48,8 +53,12 @@ class UIController {
         // Mini-calculator toggles - v14.0
         const toggleCont = document.getElementById('toggle_continuidad');
         const togglePisa = document.getElementById('toggle_pisa');
+        const toggleVolumes = document.getElementById('toggle_volumenes');
         if (toggleCont) toggleCont.addEventListener('click', () => this.toggleMiniCalc('calc_continuidad'));
         if (togglePisa) togglePisa.addEventListener('click', () => this.toggleMiniCalc('calc_pisa'));
+        if (toggleVolumes) toggleVolumes.addEventListener('click', () => this.toggleMiniCalc('calc_volumenes'));
+        const toggleMitralStenosis = document.getElementById('toggle_em_calc');
+        if (toggleMitralStenosis) toggleMitralStenosis.addEventListener('click', () => this.toggleMiniCalc('calc_em'));
 
         // Mini-calculator actions - v14.0
         const btnCalcCont = document.getElementById('btn_calc_continuidad');
@@ -60,6 +69,14 @@ class UIController {
         if (btnInjectAva) btnInjectAva.addEventListener('click', () => this.injectAVA());
         if (btnCalcPisa) btnCalcPisa.addEventListener('click', () => this.calcPISA());
         if (btnInjectPisa) btnInjectPisa.addEventListener('click', () => this.injectPISA());
+        const btnCalcVolumes = document.getElementById('btn_calc_volumenes');
+        const btnInjectFevi = document.getElementById('btn_inject_fevi');
+        if (btnCalcVolumes) btnCalcVolumes.addEventListener('click', () => this.calcLVVolumes());
+        if (btnInjectFevi) btnInjectFevi.addEventListener('click', () => this.injectLVEF());
+        const btnCalcMitralStenosis = document.getElementById('btn_calc_em');
+        const btnInjectMitralStenosis = document.getElementById('btn_inject_em');
+        if (btnCalcMitralStenosis) btnCalcMitralStenosis.addEventListener('click', () => this.calcMitralStenosis());
+        if (btnInjectMitralStenosis) btnInjectMitralStenosis.addEventListener('click', () => this.injectMitralStenosis());
 
         // Lanús mode - v14.1
         const aiCalcMode = document.getElementById('ai_calc_mode');
@@ -69,6 +86,24 @@ class UIController {
         if (btnCalcLanus) btnCalcLanus.addEventListener('click', () => this.calcLanus());
         if (btnInjectLanus) btnInjectLanus.addEventListener('click', () => this.injectLanus());
 
+        // Biplane LA volume calculators (area-length and method of discs)
+        [['biplano_al', 'ai_biplano'], ['discos', 'ai_discos']].forEach(([mode, suffix]) => {
+            const btnCalc = document.getElementById(`btn_calc_${suffix}`);
+            const btnInject = document.getElementById(`btn_inject_${suffix}`);
+            if (btnCalc) btnCalc.addEventListener('click', () => this.calcLAVolume(mode));
+            if (btnInject) btnInject.addEventListener('click', () => this.injectLAVolume(mode));
+        });
+
+        // RAP from the IVC fills PAD
+        ['vci_diametro', 'vci_colapso', 'vci_ee_tricuspidea', 'vci_flujo_hepatico_diastolico', 'vci_llenado_restrictivo'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener('input', () => this.applyRAPEstimate());
+        });
+
+        // LV mass method
+        const lvMassMethod = document.getElementById('masa_metodo');
+        if (lvMassMethod) lvMassMethod.addEventListener('change', () => this.toggleLVMassMethod());
+
         // Voice Recognition - v14.2
         if (window.VoiceRecognition) {
             this.voiceRecognition = new VoiceRecognition(this);
@@ -133,9 +168,15 @@ class UIController {
             });
         }
 
+        // Study history (IndexedDB) - v14.8
+        if (this.initStudyHistory) this.initStudyHistory();
+        if (this.initDatasetExport) this.initDatasetExport();
+        if (this.initProsthesis) this.initProsthesis();
+
         // Initial calculation and valve box visibility
         this.calculateAll();
         if (this.toggleValveBoxes) this.toggleValveBoxes();
+        if (this.toggleLVMassMethod) this.toggleLVMassMethod();
     }
 
     /**
@@ -143,12 +184,28 @@ class UIController {
      */
     attachCalculationListeners() {
         const calcFields = [
-            'peso', 'altura', 'sexo',
+            'peso', 'altura', 'bsa_metodo', 'sexo',
             'siv', 'pp', 'ddvi', 'fevi',
-            'onda_e', 'onda_a', 'onda_e_prime',
-            'vol_ai', 'vel_it', 'pad',
+            'masa_metodo', 'masa_indexacion', 'masa_a1', 'masa_a2', 'masa_a', 'masa_d',
+            'onda_e', 'onda_a', 'onda_e_prime', 'onda_e_prime_septal', 'onda_e_prime_lateral',
+            'ritmo', 'im_grado', 'em_grado', 'diast_guia', 'diast_poblacion', 'diast_tde', 'diast_trivi', 'diast_var_e', 'diast_vp_sd',
+            'ai_strain_reservorio', 'ai_strain_conducto', 'ai_strain_contractil', 'ai_vol_max', 'ai_vol_min', 'ai_vol_pre_a',
+            'vol_ai', 'ai_calc_mode', 'lanus_area_4c', 'lanus_longitud', 'ai_al_area_4c', 'ai_al_area_2c', 'ai_al_longitud', 'ai_vol_discos',
+            'vel_it', 'pad', 'tapse', 'ad_area',
+            's_prima_vd', 'vd_basal', 'vd_area_diast', 'vd_area_sist', 'vd_rimp', 'vd_rimp_metodo', 'vd_strain',
+            'vd_medio', 'vd_longitudinal', 'tsvd_proximal', 'tsvd_distal',
+            'htp_vd_vi', 'htp_septum', 'htp_ta_tsvd', 'htp_vel_ip', 'htp_diam_ap', 'htp_aceleracion', 'htp_pulmonar', 'htp_vti_tsvd',
             'motilidad_global',
-            'ao_raiz', 'ao_asc'
+            'ao_raiz', 'ao_asc',
+            'ea_grado', 'ea_vmax', 'ea_grad_medio', 'ea_ava', 'ea_ava_index', 'ea_coef',
+            'cont_diam_tsvi', 'cont_vti_tsvi', 'cont_fc',
+            'it_grado', 'it_vc', 'it_pisa_radio', 'it_pisa_valiasing', 'it_vti', 'it_area_jet', 'it_anillo', 'it_flujo_hepatico',
+            'ep_grado', 'ep_vmax', 'ep_grad_pico', 'ip_grado', 'ip_ancho_jet', 'ip_tsvd', 'ip_pht', 'ip_reverso_ramas',
+            'pao_tipo', 'pao_modelo', 'pao_tamano', 'pao_vmax', 'pao_grad_medio', 'pao_vti', 'pao_ta', 'pao_te', 'pao_fuga_extension',
+            'pmi_tipo', 'pmi_modelo', 'pmi_tamano', 'pmi_vmax', 'pmi_grad_medio', 'pmi_vti', 'pmi_pht', 'pmi_fuga_extension',
+            'peri_derrame', 'peri_sep_anterior', 'peri_sep_posterior', 'peri_sep_lateral', 'peri_sep_apical',
+            'peri_colapso_ad', 'peri_colapso_vd', 'peri_vci_pletorica', 'peri_var_mitral', 'peri_var_tricuspidea',
+            'cp_evaluar', 'cp_rebote_septal', 'cp_desplazamiento_septal', 'cp_e_medial', 'cp_e_lateral', 'cp_vh_reverso', 'cp_var_mitral'
         ];
 
         calcFields.forEach(fieldId => {
@@ -157,112 +214,239 @@ class UIController {
                 const eventType = element.tagName === 'SELECT' ? 'change' : 'input';
                 element.addEventListener(eventType, () => {
                     this.calculateAll();
+                    if (['peso', 'altura', 'bsa_metodo'].includes(fieldId)) this.reindexDerivedValues();
                 });
             }
         });
     }
 
     /**
-     * Main calculation orchestrator
+     * BSA changed (weight, height or formula): re-index the values injected by the mini-calculators
+     * (AVA index, LV volumes, Lanús LA volume); mass and aortic indexes follow calculateAll()
+     */
+    reindexDerivedValues() {
+        const bsa = this.state.bsa;
+        if (!bsa) return;
+
+        const fields = this.getFormState();
+        let changed = false;
+
+        const ava = parseFloat(fields.ea_ava);
+        if (ava) {
+            document.getElementById('ea_ava_index').value = (ava / bsa).toFixed(2);
+            if (document.getElementById('cont_result').innerHTML && this.engine.continuityFromModel(fields, bsa)) {
+                this.calcContinuity();
+            }
+        }
+
+        if (document.getElementById('vol_result').innerHTML && this.engine.lvVolumesFromModel(fields, bsa)) {
+            this.calcLVVolumes();
+        }
+
+        const laVolume = this.engine.laVolumeFromModel(fields, bsa);
+        if (laVolume) {
+            document.getElementById('vol_ai').value = laVolume.volumeIndexed;
+            if (fields.ai_calc_mode === 'lanus') {
+                if (document.getElementById('lanus_result').innerHTML) this.calcLanus();
+            } else if (document.getElementById(this.laVolumeResultId(fields.ai_calc_mode)).innerHTML) {
+                this.calcLAVolume(fields.ai_calc_mode);
+            }
+            changed = true;
+        }
+
+        // LA volume index feeds the diastolic classification
+        if (changed) this.calculateAll();
+    }
+
+    /**
+     * Field snapshot + motility state as a study model (input for StudyEngine)
+     * @returns {object} - { fecha, fields, motility }
+     */
+    getStudyModel() {
+        const fields = this.getFormState();
+        return {
+            fecha: fields.fecha_estudio || '',
+            fields: fields,
+            motility: this.motility
+                ? { state: { ...this.motility.state }, pattern: this.motility.pattern }
+                : null
+        };
+    }
+
+    /**
+     * Snapshot of every persisted form field (inputs, selects, textareas)
+     * @returns {object} - { fieldId: value | checked }
+     */
+    getFormState() {
+        const fields = {};
+
+        document.querySelectorAll('.container input[id], .container select[id], .container textarea[id]').forEach(el => {
+            if (STUDY_EXCLUDED_FIELDS.includes(el.id)) return;
+            if (el.type === 'file' || el.type === 'button' || el.classList.contains('calculated-value')) return;
+
+            fields[el.id] = el.type === 'checkbox' ? el.checked : el.value;
+        });
+
+        return fields;
+    }
+
+    /**
+     * Put every persisted form field back to its HTML default (before another study is loaded)
+     */
+    resetFormState() {
+        document.querySelectorAll('.container input[id], .container select[id], .container textarea[id]').forEach(el => {
+            if (STUDY_EXCLUDED_FIELDS.includes(el.id)) return;
+            if (el.type === 'file' || el.type === 'button') return;
+
+            if (el.type === 'checkbox') {
+                el.checked = el.defaultChecked;
+            } else if (el.tagName === 'SELECT') {
+                const option = Array.from(el.options).find(o => o.defaultSelected) || el.options[0];
+                el.value = option ? option.value : '';
+            } else {
+                el.value = el.defaultValue;
+            }
+        });
+    }
+
+    /**
+     * Main calculation orchestrator: engine results into state, then displays
      */
     calculateAll() {
-        this.calculateBSA();
-        this.calculateLVMassAndGeometry();
-        this.calculateDiastolicFunction();
-        this.calculatePSAP();
+        Object.assign(this.state, this.engine.compute(this.getStudyModel()));
+
+        this.renderBSA();
+        this.renderLVMassAndGeometry();
+        this.renderDiastolicFunction();
+        this.renderLAFunction();
+        this.renderPSAP();
+        this.renderRAP();
+        this.renderPHProbability();
+        this.renderRVFunction();
         if (this.updateAorticDisplay) this.updateAorticDisplay();
+        this.renderAorticStenosis();
+        this.renderTricuspidRegurgitation();
+        this.renderPulmonaryValve();
+        if (this.renderProsthesis) this.renderProsthesis();
+        this.renderPericardium();
+        this.renderConstriction();
         this.validateInputs();
     }
 
     /**
-     * Calculate and display Body Surface Area
+     * Display Body Surface Area
      */
-    calculateBSA() {
-        const weight = parseFloat(document.getElementById('peso').value);
-        const height = parseFloat(document.getElementById('altura').value);
-
-        if (weight && height) {
-            this.state.bsa = this.calc.calculateBodySurface(weight, height);
-            document.getElementById('sc_display').value = this.state.bsa.toFixed(2);
-        } else {
-            document.getElementById('sc_display').value = '';
-        }
+    renderBSA() {
+        document.getElementById('sc_display').value = this.state.bsa ? this.state.bsa.toFixed(2) : '';
     }
 
     /**
-     * Calculate LV mass, geometry, and display results
+     * Display LV mass and geometry
      */
-    calculateLVMassAndGeometry() {
-        const ddvi = parseFloat(document.getElementById('ddvi').value);
-        const pp = parseFloat(document.getElementById('pp').value);
-        const siv = parseFloat(document.getElementById('siv').value);
-        const sex = document.getElementById('sexo').value;
-
-        if (!ddvi || !pp || !siv || !this.state.bsa) {
+    renderLVMassAndGeometry() {
+        if (!this.state.geometry) {
             document.getElementById('masa_info').innerHTML =
                 '<span class="calc-label">Masa VI:</span><span class="calc-value">-</span>';
             return;
         }
 
-        // Calculate LV mass
-        this.state.lvMass = this.calc.calculateLVMass(ddvi, pp, siv);
-        this.state.lvMassIndex = this.state.lvMass / this.state.bsa;
-
-        // Calculate RWT
-        this.state.rwt = this.calc.calculateRWT(pp, siv, ddvi);
-
-        // Classify geometry
-        this.state.geometry = this.calc.classifyLVGeometry(this.state.lvMassIndex, this.state.rwt, sex);
-
         // Check for dilation
-        const isDilated = this.calc.isLVDilated(ddvi, sex);
-        const dilationText = isDilated ? ' <span style="color: var(--color-error);">(Dilatado)</span>' : '';
+        const dilationText = this.state.lvDilated ? ' <span style="color: var(--color-error);">(Dilatado)</span>' : '';
+        const unit = this.calc.lvMassIndexations[this.state.lvMassIndexation].unit;
 
         // Update display
         document.getElementById('masa_info').innerHTML =
             `<span class="calc-label">Masa VI Indexada:</span>
-             <span class="calc-value">${this.state.lvMassIndex.toFixed(0)} g/m²</span>
+             <span class="calc-value">${this.state.lvMassIndex.toFixed(0)} ${unit}</span>
              <span class="calc-label">|</span>
              <span class="calc-value">${this.state.geometry}${dilationText}</span>`;
     }
 
     /**
-     * Calculate and display diastolic function
+     * Aortic stenosis severity badge (grading and discordance pattern from the engine)
      */
-    calculateDiastolicFunction() {
-        const E = parseFloat(document.getElementById('onda_e').value);
-        const A = parseFloat(document.getElementById('onda_a').value);
-        const ePrime = parseFloat(document.getElementById('onda_e_prime').value);
-        const LAVolIndex = parseFloat(document.getElementById('vol_ai').value);
-        const TRVel = parseFloat(document.getElementById('vel_it').value);
-        const LVEF = parseFloat(document.getElementById('fevi').value);
-        const wallMotion = document.getElementById('motilidad_global').value;
+    renderAorticStenosis() {
+        if (window.aorticStenosisModule && this.state.aorticStenosis) {
+            window.aorticStenosisModule.updateBadge(this.state.aorticStenosis.severity);
+        }
+    }
 
-        // Update E/A and E/e' ratios
-        if (E && A) {
-            const eaRatio = E / A;
-            document.getElementById('ea_ratio_display').value = eaRatio.toFixed(2);
-        } else {
-            document.getElementById('ea_ratio_display').value = '';
+    /**
+     * Tricuspid regurgitation badge (expanded scale, from the engine)
+     */
+    renderTricuspidRegurgitation() {
+        if (window.tricuspidRegurgitationModule && this.state.tricuspidRegurgitation) {
+            window.tricuspidRegurgitationModule.updateBadge(this.state.tricuspidRegurgitation.severity);
         }
+    }
 
-        if (E && ePrime) {
-            const eeRatio = E / ePrime;
-            document.getElementById('ee_ratio_display').value = eeRatio.toFixed(1);
-        } else {
-            document.getElementById('ee_ratio_display').value = '';
+    /**
+     * Pulmonary stenosis / regurgitation badges (from the engine)
+     */
+    renderPulmonaryValve() {
+        if (window.pulmonaryValveModule && this.state.pulmonaryValve) {
+            window.pulmonaryValveModule.updateBadge(this.state.pulmonaryValve.severity);
         }
+    }
 
-        // Classify diastolic function
-        this.state.diastolicResult = this.calc.classifyDiastolicFunction({
-            E, A, ePrime, LAVolIndex, TRVel, LVEF, wallMotion
-        });
+    /**
+     * Pericardial effusion badge (from the engine)
+     */
+    renderPericardium() {
+        if (window.pericardialEffusionModule && this.state.pericardium) {
+            window.pericardialEffusionModule.updateBadge(this.state.pericardium.severity);
+        }
+    }
+
+    /**
+     * Constriction vs restriction badge (from the engine)
+     */
+    renderConstriction() {
+        if (window.constrictiveRestrictiveModule && this.state.constriction) {
+            window.constrictiveRestrictiveModule.updateBadge(this.state.constriction.severity);
+        }
+    }
+
+    /**
+     * Display E/A, E/e' and diastolic function
+     */
+    renderDiastolicFunction() {
+        document.getElementById('ea_ratio_display').value = this.state.eaRatio ? this.state.eaRatio.toFixed(2) : '';
+        document.getElementById('ee_ratio_display').value = this.state.eeRatio ? this.state.eeRatio.toFixed(1) : '';
 
         // Update semaphore display
         this.updateDiastolicBadge(this.state.diastolicResult);
 
         // Store result for report generation
         document.getElementById('diastole_text_hidden').value = this.state.diastolicResult.description;
+
+        this.renderDiastolicCriteria(this.state.diastolicResult);
+    }
+
+    /**
+     * List each diastolic criterion with its value, threshold and state, and the algorithm branch taken
+     */
+    renderDiastolicCriteria(result) {
+        const panel = document.getElementById('diastole_criteria');
+        if (!panel) return;
+        if (!result || result.severity === 'neutral') {
+            panel.innerHTML = '';
+            return;
+        }
+
+        const states = {
+            met: { className: 'criterion-met', icon: '✖', text: 'alterado' },
+            notMet: { className: 'criterion-not-met', icon: '✔', text: 'normal' },
+            missing: { className: 'criterion-missing', icon: '–', text: 'sin dato' }
+        };
+        const items = result.criteria.map(criterion => {
+            const state = criterion.met === null ? states.missing : criterion.met ? states.met : states.notMet;
+            const value = this.engine.calc.formatDiastolicCriterion(criterion) || '-';
+            return `<li class="${state.className}">${state.icon} <strong>${criterion.label}:</strong> ${value} (umbral ${this.engine.calc.formatDiastolicThreshold(criterion)}) - ${state.text}</li>`;
+        });
+
+        panel.innerHTML = `<strong>Algoritmo:</strong> ${result.algorithm}${result.branch ? ` | <strong>Rama:</strong> ${result.branch}` : ''}`
+            + `<ul>${items.join('')}</ul>`;
     }
 
     /**
@@ -277,24 +461,23 @@ class UIController {
 
         // Add appropriate status class
         badge.classList.add(`status-${result.severity}`);
+
+        // A restrictive filling pattern does not tell constriction from restriction
+        if (result.grade === 'III' && document.getElementById('cp_evaluar').value !== 'si') {
+            badge.textContent += ' Diferenciar constricción/restricción en la sección Pericardio.';
+        }
     }
 
     /**
-     * Calculate and display PSAP
+     * Display PSAP
      */
-    calculatePSAP() {
-        const trVel = parseFloat(document.getElementById('vel_it').value);
-        const rap = parseFloat(document.getElementById('pad').value) || 5;
-
-        if (!trVel || trVel <= 0) {
+    renderPSAP() {
+        if (!this.state.psap) {
             document.getElementById('psap_info').innerHTML =
                 '<span class="calc-label">PSAP Estimada:</span><span class="calc-value">-</span>';
             return;
         }
 
-        this.state.psap = this.calc.calculatePSAP(trVel, rap);
-        const classification = this.calc.classifyPulmonaryPressure(this.state.psap);
-
         // Color code based on severity
         let color = 'var(--color-primary-dark)';
         if (this.state.psap > 60) color = 'var(--color-error)';
@@ -304,7 +487,88 @@ class UIController {
         document.getElementById('psap_info').innerHTML =
             `<span class="calc-label">PSAP Estimada:</span>
              <span class="calc-value" style="color: ${color};">${this.state.psap} mmHg</span>
-             <span class="calc-label">| ${classification}</span>`;
+             <span class="calc-label">| ${this.state.psapClass}</span>`;
+    }
+
+    /**
+     * PH probability badge, mean PAP and PVR estimates (ESC/ERS 2022)
+     */
+    renderPHProbability() {
+        const ph = this.state.phProbability;
+        const badge = document.getElementById('htp_probability_badge');
+        const resultDiv = document.getElementById('htp_result');
+        if (!ph || !badge || !resultDiv) return;
+
+        badge.textContent = `Probabilidad ${ph.level.toLowerCase()}`;
+        badge.className = `severity-badge ${['badge-mild', 'badge-moderate', 'badge-severe'][ph.grade]}`;
+
+        const lines = [`<strong>Categorías con signos:</strong> ${ph.categories}/3${ph.otherSigns ? ' (modifican la probabilidad)' : ''}`];
+        if (ph.tapsePsap !== null) lines.push(`<strong>TAPSE/PSAP:</strong> ${ph.tapsePsap.toFixed(2)} mm/mmHg`);
+        if (ph.mpap.fromPR !== null) lines.push(`<strong>PAPm (IP):</strong> ${ph.mpap.fromPR} mmHg`);
+        if (ph.mpap.fromAT !== null) lines.push(`<strong>PAPm (TA TSVD):</strong> ${ph.mpap.fromAT} mmHg`);
+        if (ph.pvr > 0) lines.push(`<strong>RVP:</strong> ${ph.pvr.toFixed(1)} UW (Vmax IT/VTI TSVD ${ph.trVtiRatio.toFixed(2)})`);
+        resultDiv.innerHTML = lines.join(' | ');
+    }
+
+    /**
+     * RV function badge and computed FAC / coupling (from the engine)
+     */
+    renderRVFunction() {
+        const rv = this.state.rvFunction;
+        const resultDiv = document.getElementById('vd_result');
+        if (!window.rvFunctionModule || !rv) return;
+
+        window.rvFunctionModule.updateBadge(rv.severity);
+        if (!resultDiv) return;
+
+        const lines = [];
+        if (rv.data.fac > 0) lines.push(`<strong>FAC:</strong> ${rv.data.fac.toFixed(0)}%`);
+        if (rv.data.tapsePsap > 0) lines.push(`<strong>TAPSE/PSAP:</strong> ${rv.data.tapsePsap.toFixed(2)} mm/mmHg`);
+        resultDiv.innerHTML = lines.join(' | ');
+    }
+
+    /**
+     * LA function badge, emptying fractions and stiffness index
+     */
+    renderLAFunction() {
+        const la = this.state.laFunction;
+        const resultDiv = document.getElementById('ai_function_result');
+        if (!window.laFunctionModule || !la) return;
+
+        window.laFunctionModule.updateBadge(la.severity);
+        if (!resultDiv) return;
+
+        const lines = [];
+        if (la.data.totalEF > 0) lines.push(`<strong>FV total:</strong> ${la.data.totalEF.toFixed(0)}%`);
+        if (la.data.passiveEF > 0) lines.push(`<strong>FV pasiva:</strong> ${la.data.passiveEF.toFixed(0)}%`);
+        if (la.data.activeEF > 0) lines.push(`<strong>FV activa:</strong> ${la.data.activeEF.toFixed(0)}%`);
+        if (la.data.stiffness > 0) lines.push(`<strong>Rigidez AI:</strong> ${la.data.stiffness.toFixed(2)}`);
+        resultDiv.innerHTML = lines.join(' | ');
+    }
+
+    /**
+     * Display the IVC RAP estimate and whether PAD follows it
+     */
+    renderRAP() {
+        const resultDiv = document.getElementById('vci_result');
+        const rap = this.state.rap;
+        if (!resultDiv) return;
+        if (!rap || !rap.estimate) {
+            resultDiv.innerHTML = '';
+            return;
+        }
+
+        const estimate = rap.estimate;
+        let html = `<strong>PAD estimada:</strong> ${estimate.rap} mmHg (rango ${estimate.range}) | ${estimate.category}`;
+        if (estimate.adjusted) {
+            html += estimate.secondary.length > 0
+                ? ` <small>(ajustada por ${estimate.secondary.join(', ')})</small>`
+                : ` <small>(ajustada: índices secundarios normales)</small>`;
+        }
+        if (rap.method === 'manual') {
+            html += `<br><span style="color: var(--color-warning);">PAD ingresada manualmente (${rap.value} mmHg) en lugar de la estimación por VCI</span>`;
+        }
+        resultDiv.innerHTML = html;
     }
 
     /**
@@ -346,519 +610,23 @@ class UIController {
             }
         }
 
-        let report = '';
-
-        // ========== COMPACT HEADER ==========
-        report += `ECOCARDIOGRAMA DOPPLER CARDÍACO\n`;
-        report += `${'='.repeat(80)}\n`;
-
-        // Physical data
-        const peso = document.getElementById('peso').value;
-        const altura = document.getElementById('altura').value;
-        const sc = document.getElementById('sc_display').value;
-
-        if (peso && altura) {
-            report += `Datos Físicos: Peso ${peso} kg | Altura ${altura} cm | SC ${sc} m².\n`;
-        }
-
-        // Acoustic window warning
-        if (document.getElementById('ventana').value === 'si') {
-            report += `⚠️ MALA VENTANA ACÚSTICA que limita la evaluación ecocardiográfica.\n`;
-        }
-
-        // ========== 1. VENTRÍCULO IZQUIERDO ==========
-        report += `1. VENTRÍCULO IZQUIERDO\n`;
-
-        const siv = document.getElementById('siv').value;
-        const pp = document.getElementById('pp').value;
-        const ddvi = document.getElementById('ddvi').value;
-        const dsvi = document.getElementById('dsvi').value;
-        const fevi = document.getElementById('fevi').value;
-
-        // Diameters
-        if (dsvi) {
-            report += `Diámetros: SIV ${siv} mm | PP ${pp} mm | DDVI ${ddvi} mm | DSVI ${dsvi} mm.\n`;
-        } else {
-            report += `Diámetros: SIV ${siv} mm | PP ${pp} mm | DDVI ${ddvi} mm.\n`;
-        }
-
-        // LV Mass and RWT
-        if (this.state.lvMassIndex > 0 && this.state.rwt > 0) {
-            report += `Masa VI Indexada: ${this.state.lvMassIndex.toFixed(0)} g/m². RWT: ${this.state.rwt.toFixed(2)}.\n`;
-        }
-
-        // Systolic function
-        report += `Función Sistólica: FEy ${fevi}% (Simpson biplano).\n`;
-
-        // Diastolic function
-        const ondaE = document.getElementById('onda_e').value;
-        const ondaA = document.getElementById('onda_a').value;
-        const ePrime = document.getElementById('onda_e_prime').value;
-
-        if (ondaE && ondaA && ePrime) {
-            const eaRatio = document.getElementById('ea_ratio_display').value;
-            const eeRatio = document.getElementById('ee_ratio_display').value;
-            report += `Evaluación Doppler Mitral y Tisular: Onda E ${ondaE} cm/s, Onda A ${ondaA} cm/s (Relación E/A ${eaRatio}), e' promedio ${ePrime} cm/s (Relación E/e' ${eeRatio}).\n`;
-        }
-
-        // Motility parietal (if enabled)
-        if (this.motility) {
-            report += this.motility.generateMotilityReport();
-        }
-
-        // ========== 2. AURÍCULA IZQUIERDA ==========
-        report += `2. AURÍCULA IZQUIERDA\n`;
-        const volAi = parseFloat(document.getElementById('vol_ai').value);
-
-        // Volume only (severity classification goes to conclusions)
-        report += `Volumen indexado: ${volAi} ml/m² (Referencia: <34 ml/m²).\n`;
-
-        // ========== 3. VÁLVULA MITRAL ==========
-        report += `3. VÁLVULA MITRAL\n`;
-        const morfMitral = document.getElementById('morf_mitral').value;
-        report += `${morfMitral}.\n`;
-
-        const imGrado = document.getElementById('im_grado').value;
-        const emGrado = document.getElementById('em_grado').value;
-
-        // Mitral Regurgitation - Parameters only
-        if (imGrado !== 'no') {
-            const imVc = document.getElementById('im_vc').value;
-            const imOre = document.getElementById('im_ore').value;
-            const imVr = document.getElementById('im_vr').value;
-
-            let params = [];
-            if (imVc) params.push(`VC ${imVc} mm`);
-            if (imOre) params.push(`ORE ${imOre} cm²`);
-            if (imVr) params.push(`VR ${imVr} ml`);
-            if (params.length > 0) {
-                report += `Parámetros de insuficiencia: ${params.join(', ')}.\n`;
-            }
-        }
-
-        // Mitral Stenosis - Parameters only
-        if (emGrado !== 'no') {
-            const emGradMedio = document.getElementById('em_grad_medio').value;
-            const emAreaPht = document.getElementById('em_area_pht').value;
-
-            let params = [];
-            if (emGradMedio) params.push(`Gradiente medio ${emGradMedio} mmHg`);
-            if (emAreaPht) params.push(`Área ${emAreaPht} cm²`);
-            if (params.length > 0) {
-                report += `Parámetros de estenosis: ${params.join(', ')}.\n`;
-            }
-        }
-
-        // ========== 4. VÁLVULA Y RAÍZ AÓRTICA ==========
-        report += `4. VÁLVULA Y RAÍZ AÓRTICA\n`;
-        const morfAortica = document.getElementById('morf_aortica').value;
-        report += `${morfAortica}.\n`;
-
-        const eaGrado = document.getElementById('ea_grado').value;
-        const iaGrado = document.getElementById('ia_grado').value;
-
-        // Aortic Stenosis - Parameters only
-        if (eaGrado !== 'no') {
-            const eaVmax = document.getElementById('ea_vmax').value;
-            const eaGradMedio = document.getElementById('ea_grad_medio').value;
-            const eaAva = document.getElementById('ea_ava').value;
-            const eaAvaIndex = document.getElementById('ea_ava_index').value;
-            const eaCoef = document.getElementById('ea_coef').value;
-
-            let params = [];
-            if (eaVmax) params.push(`Vmax ${eaVmax} m/s`);
-            if (eaGradMedio) params.push(`Gradiente medio ${eaGradMedio} mmHg`);
-            if (eaAva) params.push(`Área ${eaAva} cm²`);
-            if (eaAvaIndex) params.push(`AVA indexada ${eaAvaIndex} cm²/m²`);
-            if (eaCoef) params.push(`Coef. adimensional ${eaCoef}`);
-            if (params.length > 0) {
-                report += `Parámetros de estenosis: ${params.join(', ')}.\n`;
-            }
-        }
-
-        // Aortic Regurgitation - Advanced Module v14.1
-        if (window.aorticRegurgitationModule) {
-            // ONLY FINDINGS in description (Mapeo, params)
-            const iaoFindings = window.aorticRegurgitationModule.generateFindings();
-            if (iaoFindings) {
-                report += `${iaoFindings}\n`;
-            } else if (iaGrado !== 'no') {
-                // Fallback if manual grade is selected but no advanced data entered
-                report += `Insuficiencia Aórtica ${iaGrado}.\n`;
-            }
-        } else if (iaGrado !== 'no') {
-            report += `Insuficiencia Aórtica ${iaGrado}.\n`;
-        }
-
-        const aoRaiz = document.getElementById('ao_raiz').value;
-        const aoAsc = document.getElementById('ao_asc').value;
-        if (aoRaiz || aoAsc) {
-            let aortaLine = '';
-            if (aoRaiz) {
-                const aoRaizIndexed = sc ? (aoRaiz / sc / 10).toFixed(2) : null;
-                aortaLine += `Raíz aórtica: ${aoRaiz} mm`;
-                if (aoRaizIndexed) aortaLine += ` (${aoRaizIndexed} cm/m²)`;
-            }
-            if (aoAsc) {
-                const aoAscIndexed = sc ? (aoAsc / sc / 10).toFixed(2) : null;
-                if (aortaLine) aortaLine += ' | ';
-                aortaLine += `Aorta ascendente: ${aoAsc} mm`;
-                if (aoAscIndexed) aortaLine += ` (${aoAscIndexed} cm/m²)`;
-            }
-            report += `${aortaLine}.\n`;
-        }
-
-        // ========== 5. CAVIDADES DERECHAS ==========
-        report += `5. CAVIDADES DERECHAS\n`;
-        const tapse = document.getElementById('tapse').value;
-        const adEstado = document.getElementById('ad_estado').value;
-        const vdEstado = document.getElementById('vd_estado').value;
-        const adArea = parseFloat(document.getElementById('ad_area').value);
-        const vdBasal = parseFloat(document.getElementById('vd_basal').value);
-
-        // Combine AD and VD measurements on same line if both dilated
-        const bothDilated = adEstado === 'dilatada' && vdEstado === 'dilatado';
-
-        if (bothDilated && adArea && vdBasal) {
-            report += `AD Área ${adArea} cm² | VD Diámetro basal ${vdBasal} mm.\n`;
-        } else {
-            if (adEstado === 'dilatada' && adArea) {
-                report += `AD Área: ${adArea} cm².\n`;
-            }
-            if (vdEstado === 'dilatado' && vdBasal) {
-                report += `VD Diámetro basal: ${vdBasal} mm.\n`;
-            }
-        }
-
-        // VD Function with S' support
-        const sPrima = parseFloat(document.getElementById('s_prima_vd').value);
-
-        if (tapse >= 17 && (!sPrima || sPrima >= 10)) {
-            report += `Función del VD conservada (TAPSE: ${tapse} mm`;
-            if (sPrima) report += `, S' ${sPrima} cm/s`;
-            report += `).`;
-        } else {
-            report += `Función del VD deprimida (TAPSE: ${tapse} mm`;
-            if (sPrima) report += `, S' ${sPrima} cm/s`;
-            report += `).`;
-        }
-
-        // Add "dimensiones conservadas" only if both normal
-        if (adEstado === 'normal' && vdEstado === 'normal') {
-            report += ` Dimensiones derechas conservadas.\n`;
-        } else {
-            report += `\n`;
-        }
-
-        // Indirect HTP signs
-        const htpSeptum = document.getElementById('htp_septum').checked;
-        const htpPulmonar = document.getElementById('htp_pulmonar').checked;
-        const htpAceleracion = document.getElementById('htp_aceleracion').checked;
-
-        if (htpSeptum || htpPulmonar || htpAceleracion) {
-            let signosHTP = [];
-            if (htpSeptum) signosHTP.push('movimiento septal paradojal');
-            if (htpPulmonar) signosHTP.push('dilatación del tronco pulmonar');
-            if (htpAceleracion) signosHTP.push('tiempo de aceleración pulmonar corto');
-            report += `Signos indirectos de HTP: ${signosHTP.join(', ')}.\n`;
-        }
-
-        // ========== 6. VÁLVULAS TRICÚSPIDE Y PULMONAR ==========
-        report += `6. VÁLVULAS TRICÚSPIDE Y PULMONAR\n`;
-        report += `Morfología y apertura conservada.\n`;
-
-        const itGrado = document.getElementById('it_grado').value;
-        const velIt = document.getElementById('vel_it').value;
-
-        if (itGrado !== 'no') {
-            report += `Insuficiencia tricuspídea ${itGrado}`;
-            if (velIt && velIt >= 1.5) {
-                report += ` (Vmax IT ${velIt} m/s)`;
-                if (this.state.psap > 0) {
-                    report += ` con PSAP estimada: ${this.state.psap} mmHg`;
-                }
-            }
-            report += `.\n`;
-        }
-
-        // ========== 7. PERICARDIO ==========
-        report += `7. PERICARDIO\n`;
-        report += `Libre, sin derrames.\n`;
-
-        // ========== CONCLUSIONES ==========
-        report += `\nCONCLUSIONES\n`;
-
-        let conclusionNum = 1;
-
-        // 1. Rhythm and Conduction
-        const ritmo = document.getElementById('ritmo').options[document.getElementById('ritmo').selectedIndex].text;
-        const conduccion = document.getElementById('conduccion').options[document.getElementById('conduccion').selectedIndex].text;
-        const conduccionValue = document.getElementById('conduccion').value;
-
-        // Include conduction disorders in conclusions
-        if (conduccionValue === 'normal') {
-            report += `${conclusionNum}. ${ritmo}.\n`;
-        } else {
-            report += `${conclusionNum}. ${ritmo} con ${conduccion}.\n`;
-        }
-        conclusionNum++;
-
-        // 2. LV Geometry and Function
-        let viConclusion = '';
-
-        // Geometry description
-        if (this.state.geometry) {
-            const sexo = document.getElementById('sexo').value;
-            const dilated = this.calc.isLVDilated(ddvi, sexo);
-
-            if (this.state.geometry === 'Geometría Normal') {
-                viConclusion += `Ventrículo izquierdo de diámetros y espesores conservados, con geometría ventricular normal`;
-            } else {
-                viConclusion += `Ventrículo izquierdo con ${this.state.geometry.toLowerCase()}`;
-                if (dilated) viConclusion += ` con dilatación ventricular`;
-            }
-        }
-
-        // Motility conclusion (integrate here)
-        if (this.motility) {
-            const motilityConclusion = this.motility.generateConclusion();
-            if (motilityConclusion && motilityConclusion.trim() !== '') {
-                // Remove trailing period, lowercase first letter, preserve DA/CD/Cx/WMSI
-                let motilityText = motilityConclusion.trim();
-                if (motilityText.endsWith('.')) {
-                    motilityText = motilityText.slice(0, -1);
-                }
-                // Lowercase only the first character
-                motilityText = motilityText.charAt(0).toLowerCase() + motilityText.slice(1);
-
-                // Ensure DA, CD, Cx, and WMSI are uppercase
-                motilityText = motilityText.replace(/\bda\b/gi, 'DA')
-                    .replace(/\bcd\b/gi, 'CD')
-                    .replace(/\bcx\b/gi, 'Cx')
-                    .replace(/\bwmsi\b/gi, 'WMSI');
-
-                // Use "e" instead of "y" before words starting with "i" or "hi" (but not "hie" like hiena)
-                const firstWord = motilityText.split(' ')[0].toLowerCase();
-                if (firstWord.startsWith('i') || (firstWord.startsWith('hi') && !firstWord.startsWith('hie'))) {
-                    viConclusion += ` e ${motilityText}`;
-                } else {
-                    viConclusion += ` y ${motilityText}`;
-                }
-            }
-        }
-
-        viConclusion += `.`;
-
-        // Systolic function
-        if (fevi >= 50) {
-            viConclusion += `Función sistólica del VI conservada.`;
-        } else if (fevi >= 40) {
-            viConclusion += `Función sistólica del VI levemente deprimida (${fevi}%).`;
-        } else {
-            viConclusion += `Función sistólica del VI severamente deprimida (${fevi}%).`;
-        }
-
-        report += `${conclusionNum}. ${viConclusion}\n`;
-        conclusionNum++;
-
-        // 3. Diastolic Function (ALWAYS include, even if Indeterminado)
-        if (this.state.diastolicResult) {
-            const diastolicDesc = this.state.diastolicResult.description;
-            const diastolicGrade = this.state.diastolicResult.grade;
-
-            // Simplify for conclusions
-            if (diastolicDesc.includes('Normal')) {
-                report += `${conclusionNum}. Función Diastólica Normal. PFDVI Normales.\n`;
-            } else if (diastolicDesc.includes('Grado I')) {
-                report += `${conclusionNum}. Disfunción Diastólica Grado I. PFDVI normales.\n`;
-            } else if (diastolicDesc.includes('Grado II')) {
-                report += `${conclusionNum}. Disfunción Diastólica Grado II. PFDVI elevadas.\n`;
-            } else if (diastolicDesc.includes('Grado III')) {
-                report += `${conclusionNum}. Disfunción Diastólica Grado III. PFDVI severamente elevadas.\n`;
-            } else if (diastolicGrade === 'Indeterminado') {
-                report += `${conclusionNum}. Función Diastólica Indeterminada (datos insuficientes).\n`;
-            } else {
-                report += `${conclusionNum}. ${diastolicDesc}\n`;
-            }
-            conclusionNum++;
-        }
-
-        // 4. LA dimensions with severity
-        if (volAi > 48) {
-            report += `${conclusionNum}. Aurícula izquierda severamente dilatada.\n`;
-        } else if (volAi >= 42) {
-            report += `${conclusionNum}. Aurícula izquierda moderadamente dilatada.\n`;
-        } else if (volAi >= 34) {
-            report += `${conclusionNum}. Aurícula izquierda levemente dilatada.\n`;
-        } else {
-            report += `${conclusionNum}. Aurícula izquierda de dimensiones conservadas.\n`;
-        }
-        conclusionNum++;
-
-        // 6. Valvular pathology (if significant)
-        if (morfMitral.includes('Prolapso') || morfMitral.includes('Flail') || morfMitral.includes('Calcificación') || imGrado !== 'no' || emGrado !== 'no') {
-            if (morfMitral.includes('Prolapso') || morfMitral.includes('Flail')) {
-                report += `${conclusionNum}. ${morfMitral}`;
-                if (imGrado !== 'no') report += ` con insuficiencia mitral ${imGrado}`;
-                report += `.\n`;
-                conclusionNum++;
-            } else if (imGrado !== 'no' || emGrado !== 'no') {
-                let valvular = '';
-                if (imGrado !== 'no') valvular += `Insuficiencia mitral ${imGrado}`;
-                if (emGrado !== 'no') {
-                    if (valvular) valvular += ` y e`;
-                    else valvular += `E`;
-                    valvular += `stenosis mitral ${emGrado}`;
-                }
-                report += `${conclusionNum}. ${valvular}.\n`;
-                conclusionNum++;
-            }
-        }
-
-        // Check for advanced IAo conclusion (v14.1)
-        let iaoAdv = window.aorticRegurgitationModule ? window.aorticRegurgitationModule.generateConclusion() : null;
-
-        if (morfAortica.includes('Bicúspide') || morfAortica.includes('Calcificación masiva') || eaGrado !== 'no' || iaGrado !== 'no' || iaoAdv) {
-
-            // Build the string
-            let line = `${conclusionNum}. `;
-            let hasContent = false;
-
-            if (morfAortica.includes('Bicúspide')) {
-                line += `${morfAortica}`;
-                hasContent = true;
-                if (eaGrado !== 'no') line += ` con estenosis ${eaGrado}`;
-
-                if (iaoAdv) {
-                    if (eaGrado !== 'no') line += ` e ${iaoAdv.toLowerCase()}`;
-                    else line += ` con ${iaoAdv.toLowerCase()}`;
-                } else if (iaGrado !== 'no') {
-                    if (eaGrado !== 'no') line += ` e insuficiencia ${iaGrado}`;
-                    else line += ` con insuficiencia ${iaGrado}`;
-                }
-            } else {
-                // Not bicuspid
-                let parts = [];
-                if (eaGrado !== 'no') parts.push(`Estenosis aórtica ${eaGrado}`);
-
-                if (iaoAdv) parts.push(iaoAdv);
-                else if (iaGrado !== 'no') parts.push(`Insuficiencia aórtica ${iaGrado}`);
-
-                if (parts.length > 0) {
-                    line += parts.join(' e ');
-                    hasContent = true;
-                }
-            }
-
-            if (hasContent) {
-                if (!line.endsWith('.')) line += '.';
-                report += `${line}\n`;
-                conclusionNum++;
-            }
-        }
-
-        // 6. Aortic root/ascending aorta dilation
-        if (sc) {
-            const sexo = document.getElementById('sexo').value;
-            let aorticDilations = [];
-
-            // Check aortic root with severity (thresholds in cm/m²)
-            if (aoRaiz) {
-                const aoRaizIndexed = aoRaiz / sc / 10; // Convert to cm/m²
-                const rootLimit = sexo === 'M' ? 2.15 : 2.11; // cm/m²
-                if (aoRaizIndexed > rootLimit) {
-                    // Conservative thresholds: Leve >LSN-2.5, Moderada 2.5-3.0, Severa >3.0 cm/m²
-                    let severity;
-                    if (aoRaizIndexed > 3.0) {
-                        severity = 'severa';
-                    } else if (aoRaizIndexed >= 2.5) {
-                        severity = 'moderada';
-                    } else {
-                        severity = 'leve';
-                    }
-                    aorticDilations.push({ type: 'raíz aórtica', severity: severity });
-                }
-            }
-
-            // Check ascending aorta with severity (thresholds in cm/m²)
-            if (aoAsc) {
-                const aoAscIndexed = aoAsc / sc / 10; // Convert to cm/m²
-                const ascLimit = sexo === 'M' ? 2.11 : 2.03; // cm/m²
-                if (aoAscIndexed > ascLimit) {
-                    // Conservative thresholds: Leve >LSN-2.5, Moderada 2.5-3.0, Severa >3.0 cm/m²
-                    let severity;
-                    if (aoAscIndexed > 3.0) {
-                        severity = 'severa';
-                    } else if (aoAscIndexed >= 2.5) {
-                        severity = 'moderada';
-                    } else {
-                        severity = 'leve';
-                    }
-                    aorticDilations.push({ type: 'aorta ascendente', severity: severity });
-                }
-            }
-
-            if (aorticDilations.length > 0) {
-                // Find worst severity
-                const severities = ['leve', 'moderada', 'severa'];
-                const maxSeverity = aorticDilations.reduce((max, dil) => {
-                    const idx = severities.indexOf(dil.severity);
-                    return idx > severities.indexOf(max) ? dil.severity : max;
-                }, 'leve');
-
-                // Build text
-                const types = aorticDilations.map(d => d.type).join(' y ');
-                report += `${conclusionNum}. Dilatación ${maxSeverity} de ${types}.\n`;
-                conclusionNum++;
-            }
-        }
-
-        // 7. Right chambers dilations (only if estado is dilatada/dilatado)
-        if (adEstado === 'dilatada' || vdEstado === 'dilatado') {
-            let rightChamberText = '';
-            if (adArea && adArea > 18) {
-                const adSeverity = adArea > 25 ? 'severa' : 'leve-moderada';
-                rightChamberText += `aurícula derecha dilatada ${adSeverity}`;
-            }
-            if (vdBasal && vdBasal > 41) {
-                let vdSeverity;
-                if (vdBasal > 50) vdSeverity = 'severa';
-                else if (vdBasal >= 46) vdSeverity = 'moderada';
-                else vdSeverity = 'leve';
-
-                if (rightChamberText) rightChamberText += ' y ';
-                rightChamberText += `ventrículo derecho dilatado ${vdSeverity}`;
-            }
-            report += `${conclusionNum}. Dilatación de cavidades derechas: ${rightChamberText}.\n`;
-            conclusionNum++;
-        }
-
-        // 8. Pulmonary hypertension
-        if (this.state.psap > 0) {
-            if (this.state.psap <= 35) {
-                report += `${conclusionNum}. Grado de sospecha de Hipertensión pulmonar: Baja.\n`;
-            } else if (this.state.psap <= 45) {
-                report += `${conclusionNum}. Grado de sospecha de Hipertensión pulmonar: Intermedia (PSAP ${this.state.psap} mmHg).\n`;
-            } else {
-                report += `${conclusionNum}. Signos de Hipertensión pulmonar (PSAP ${this.state.psap} mmHg).\n`;
-            }
-            conclusionNum++;
-        }
-
-        // 7. RV dysfunction if present
-        if (tapse < 16) {
-            report += `${conclusionNum}. Disfunción del ventrículo derecho.\n`;
-            conclusionNum++;
-        }
+        const previousStudy = this.getComparisonStudy ? this.getComparisonStudy() : null;
+        const report = this.engine.generateReport(this.getStudyModel(), this.state, { previousStudy: previousStudy });
 
         // Display report
         document.getElementById('resultado').value = report;
+
+        // Auto-save into the patient history (only when the patient is identified)
+        if (this.saveCurrentStudy && document.getElementById('paciente_id').value.trim()) {
+            this.saveCurrentStudy({ silent: true });
+        }
     }
 
     /**
      * Copy report to clipboard (Modern Clipboard API)
      */
     async copyReport() {
+        const button = this.eventButton();
         const reportText = document.getElementById('resultado').value;
 
         if (!reportText || reportText.trim() === '') {
@@ -868,13 +636,13 @@ class UIController {
 
         try {
             await navigator.clipboard.writeText(reportText);
-            this.showToast('✅ Informe copiado al portapapeles');
+            this.showToast('✅ Informe copiado al portapapeles', button);
         } catch (err) {
             // Fallback for older browsers
             const textarea = document.getElementById('resultado');
             textarea.select();
             document.execCommand('copy');
-            this.showToast('✅ Informe copiado');
+            this.showToast('✅ Informe copiado', button);
         }
     }
 
@@ -885,6 +653,8 @@ class UIController {
      * Copy dataset in TSV format for Excel
      */
     async copyDataset() {
+        const button = this.eventButton();
+
         // --- 1. Basic Data ---
         const fecha = new Date().toLocaleDateString('es-ES');
         const hc = document.getElementById('paciente_id').value || '-';
@@ -969,7 +739,7 @@ class UIController {
 
         try {
             await navigator.clipboard.writeText(row);
-            this.showToast(`✅ Dataset copiado (${row.split('\t').length} columnas). Pegue en Excel.`);
+            this.showToast(`✅ Dataset copiado (${row.split('\t').length} columnas). Pegue en Excel.`, button);
         } catch (err) {
             alert('✅ Dataset copiado al portapapeles');
         }
@@ -985,21 +755,35 @@ class UIController {
     }
 
     /**
-     * Show toast notification
+     * Show toast notification on the button that triggered the action (console only without one)
+     * @param {string} message
+     * @param {HTMLElement} button - Async handlers capture it with eventButton() before their first await
      */
-    showToast(message) {
-        // Simple alert for now - can be enhanced with custom toast UI
-        const btn = event.target;
-        const originalText = btn.innerHTML;
-        btn.innerHTML = message;
-        btn.style.opacity = '0.8';
+    showToast(message, button = this.eventButton()) {
+        if (!button || !button.style) {
+            console.log(message);
+            return;
+        }
+
+        const originalText = button.innerHTML;
+        button.innerHTML = message;
+        button.style.opacity = '0.8';
 
         setTimeout(() => {
-            btn.innerHTML = originalText;
-            btn.style.opacity = '1';
+            button.innerHTML = originalText;
+            button.style.opacity = '1';
         }, 2000);
     }
 
+    /**
+     * Button of the event being handled, null outside a click (window.event is gone after an await)
+     */
+    eventButton() {
+        const current = typeof window !== 'undefined' ? window.event : undefined;
+        const target = current && current.target;
+        return target && target.closest ? target.closest('button') : null;
+    }
+
     /**
      * Attach voice control button
      */
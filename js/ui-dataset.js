@@ -0,0 +1,123 @@
+/**
+ * Research Dataset Export Extensions
+ * Column selector and CSV/XLSX download (current study or all stored studies)
+ */
+
+/**
+ * Render the column selector and wire the export button
+ */
+UIController.prototype.initDatasetExport = function () {
+    if (!window.DatasetExporter) return;
+    this.datasetExporter = new DatasetExporter();
+
+    const container = document.getElementById('dataset_columns');
+    if (!container) return;
+
+    // Restore the last column selection (falls back to all columns)
+    let selected = this.datasetExporter.getColumnIds();
+    const saved = localStorage.getItem('dataset-columns');
+    if (saved) {
+        try {
+            selected = JSON.parse(saved);
+        } catch (err) {
+            localStorage.removeItem('dataset-columns');
+        }
+    }
+
+    const groups = {};
+    this.datasetExporter.columns.forEach(col => {
+        if (!groups[col.group]) groups[col.group] = [];
+        groups[col.group].push(col);
+    });
+
+    container.innerHTML = Object.entries(groups).map(([group, columns]) => `
+        <fieldset class="dataset-group">
+            <legend>${group}</legend>
+            ${columns.map(col => `
+                <label class="dataset-column" title="${col.id}">
+                    <input type="checkbox" value="${col.id}" ${selected.includes(col.id) ? 'checked' : ''}>
+                    <span>${col.label}</span>
+                </label>`).join('')}
+        </fieldset>`).join('');
+
+    container.addEventListener('change', () => {
+        localStorage.setItem('dataset-columns', JSON.stringify(this.getSelectedDatasetColumns()));
+    });
+
+    const btnAll = document.getElementById('btn_dataset_all');
+    const btnNone = document.getElementById('btn_dataset_none');
+    const btnExport = document.getElementById('btn_dataset_export');
+    if (btnAll) btnAll.addEventListener('click', () => this.setAllDatasetColumns(true));
+    if (btnNone) btnNone.addEventListener('click', () => this.setAllDatasetColumns(false));
+    if (btnExport) btnExport.addEventListener('click', () => this.exportDataset());
+};
+
+/**
+ * @returns {Array<string>} - Checked column ids
+ */
+UIController.prototype.getSelectedDatasetColumns = function () {
+    return Array.from(document.querySelectorAll('#dataset_columns input[type="checkbox"]:checked'))
+        .map(input => input.value);
+};
+
+UIController.prototype.setAllDatasetColumns = function (checked) {
+    document.querySelectorAll('#dataset_columns input[type="checkbox"]').forEach(input => {
+        input.checked = checked;
+    });
+    localStorage.setItem('dataset-columns', JSON.stringify(this.getSelectedDatasetColumns()));
+};
+
+/**
+ * Export the selected columns as CSV or XLSX
+ */
+UIController.prototype.exportDataset = async function () {
+    const columns = this.getSelectedDatasetColumns();
+    if (columns.length === 0) {
+        alert('⚠️ Seleccione al menos una columna');
+        return;
+    }
+
+    const button = document.getElementById('btn_dataset_export');
+    const format = document.getElementById('dataset_formato').value;
+    const scope = document.getElementById('dataset_alcance').value;
+
+    let studies;
+    try {
+        if (scope === 'todos') {
+            studies = this.studyStore ? await this.studyStore.listAll() : [];
+            if (studies.length === 0) {
+                alert('⚠️ No hay estudios guardados');
+                return;
+            }
+        } else {
+            studies = [this.buildStudyRecord()];
+        }
+    } catch (err) {
+        console.error('Error leyendo estudios:', err);
+        alert(`❌ No se pudieron leer los estudios: ${err.message}`);
+        return;
+    }
+
+    try {
+        const stamp = this.todayISO ? this.todayISO() : new Date().toISOString().slice(0, 10);
+        const fileName = `dataset_ecodoppler_${stamp}.${format}`;
+
+        const blob = format === 'xlsx'
+            ? new Blob([this.datasetExporter.toXLSX(studies, columns)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+            : new Blob([this.datasetExporter.toCSV(studies, columns)], { type: 'text/csv;charset=utf-8' });
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        this.showToast(`✅ Dataset exportado (${studies.length} estudio/s, ${columns.length} columnas)`, button);
+    } catch (err) {
+        console.error('Error exportando dataset:', err);
+        alert(`❌ No se pudo exportar el dataset: ${err.message}`);
+    }
+};
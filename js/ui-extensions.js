@@ -39,6 +39,26 @@ UIController.prototype.toggleValveBoxes = function () {
         aortaBox.style.display = 'none';
     }
 
+    // Tricuspid quantification box (above mild)
+    document.getElementById('box_it').style.display = document.getElementById('it_grado').value !== 'leve' ? 'block' : 'none';
+
+    // Pulmonary valve box
+    const epGrado = document.getElementById('ep_grado').value;
+    const ipGrado = document.getElementById('ip_grado').value;
+    document.getElementById('box_pulmonar').style.display = epGrado !== 'no' || ipGrado !== 'no' ? 'block' : 'none';
+    document.getElementById('ep_fields').style.display = epGrado !== 'no' ? 'block' : 'none';
+    document.getElementById('ip_fields').style.display = ipGrado !== 'no' ? 'block' : 'none';
+
+    // Prosthesis boxes
+    document.getElementById('box_protesis_mitral').style.display = document.getElementById('pmi_tipo').value !== 'no' ? 'block' : 'none';
+    document.getElementById('box_protesis_aortica').style.display = document.getElementById('pao_tipo').value !== 'no' ? 'block' : 'none';
+
+    // Pericardial effusion box
+    document.getElementById('box_pericardio').style.display = document.getElementById('peri_derrame').value === 'si' ? 'block' : 'none';
+
+    // Constriction vs restriction box
+    document.getElementById('box_constriccion').style.display = document.getElementById('cp_evaluar').value === 'si' ? 'block' : 'none';
+
     // Right chambers boxes
     const adEstado = document.getElementById('ad_estado').value;
     const vdEstado = document.getElementById('vd_estado').value;
@@ -49,6 +69,14 @@ UIController.prototype.toggleValveBoxes = function () {
     vdBox.style.display = vdEstado === 'dilatado' ? 'block' : 'none';
 };
 
+/**
+ * Show the 2D LV mass inputs when an area-based method is selected
+ */
+UIController.prototype.toggleLVMassMethod = function () {
+    const method = document.getElementById('masa_metodo').value;
+    document.getElementById('box_masa_2d').style.display = method === 'cubo' ? 'none' : 'block';
+};
+
 /**
  * Toggle mini-calculator visibility
  */
@@ -69,43 +97,39 @@ UIController.prototype.toggleMiniCalc = function (calcId) {
  * Calculate AVA using Continuity Equation
  */
 UIController.prototype.calcContinuity = function () {
-    const diam = parseFloat(document.getElementById('cont_diam_tsvi').value);
-    const vtiTSVI = parseFloat(document.getElementById('cont_vti_tsvi').value);
-    const vtiAo = parseFloat(document.getElementById('cont_vti_ao').value);
-    const bsa = this.state.bsa || 1;
-
     // Only strictly require VTIs. Diameter is optional for Coef.
-    if (!vtiTSVI || !vtiAo) {
+    const result = this.engine.continuityFromModel(this.getFormState(), this.state.bsa || 1);
+    if (!result) {
         alert('⚠️ Ingrese al menos VTI TSVI y VTI Ao');
         return;
     }
 
-    const result = this.miniCalc.calculateContinuity(diam, vtiTSVI, vtiAo, bsa);
-
-    if (result) {
-        let html = `<strong>Coef. Adim:</strong> ${result.coef}`;
+    let html = `<strong>Coef. Adim:</strong> ${result.coef}`;
 
-        if (result.ava) {
-            html += ` | <strong>AVA:</strong> ${result.ava} cm² | 
-                     <strong>AVA Index:</strong> ${result.avaIndex} cm²/m²`;
-        } else {
-            html += ` <small>(Ingrese Diámetro para calcular AVA)</small>`;
-        }
+    if (result.ava) {
+        html += ` | <strong>AVA:</strong> ${result.ava} cm² | 
+                 <strong>AVA Index:</strong> ${result.avaIndex} cm²/m²`;
+    } else {
+        html += ` <small>(Ingrese Diámetro para calcular AVA)</small>`;
+    }
 
-        document.getElementById('cont_result').innerHTML = html;
+    const flow = this.engine.strokeVolumeFromModel(this.getFormState(), this.state.bsa);
+    if (flow) {
+        html += `<br><strong>VS:</strong> ${flow.sv} ml`;
+        if (flow.svi) html += ` | <strong>VSi:</strong> ${flow.svi} ml/m²`;
+        if (flow.co) html += ` | <strong>GC:</strong> ${flow.co} l/min`;
+        if (flow.ci) html += ` | <strong>IC:</strong> ${flow.ci} l/min/m²`;
+        if (flow.lowFlow) html += ` <span style="color: var(--color-error);">(Bajo flujo: VSi &lt; 35 ml/m²)</span>`;
     }
+
+    document.getElementById('cont_result').innerHTML = html;
 };
 
 /**
  * Inject AVA values into aortic box
  */
 UIController.prototype.injectAVA = function () {
-    const diam = parseFloat(document.getElementById('cont_diam_tsvi').value);
-    const vtiTSVI = parseFloat(document.getElementById('cont_vti_tsvi').value);
-    const vtiAo = parseFloat(document.getElementById('cont_vti_ao').value);
-    const bsa = this.state.bsa || 1;
-
-    const result = this.miniCalc.calculateContinuity(diam, vtiTSVI, vtiAo, bsa);
+    const result = this.engine.continuityFromModel(this.getFormState(), this.state.bsa || 1);
 
     if (result) {
         // Always inject Coef if we have it
@@ -121,51 +145,129 @@ UIController.prototype.injectAVA = function () {
         } else {
             this.showToast('✅ Solo Coeficiente Adimensional inyectado (Falta Diámetro)');
         }
+        this.calculateAll();
     }
 };
 
 /**
- * Calculate PISA for mitral regurgitation
+ * Calculate LV volumes and EF (Teichholz from DDVI/DSVI, biplane method of discs or area-length from apical views)
  */
-UIController.prototype.calcPISA = function () {
-    const radio = parseFloat(document.getElementById('pisa_radio').value);
-    const vAliasing = parseFloat(document.getElementById('pisa_valiasing').value);
-    const vmax = parseFloat(document.getElementById('pisa_vmax').value);
-    const vti = parseFloat(document.getElementById('pisa_vti').value);
-
-    if (!radio || !vAliasing || !vmax || !vti) {
-        alert('⚠️ Complete todos los campos');
+UIController.prototype.calcLVVolumes = function () {
+    const result = this.engine.lvVolumesFromModel(this.getFormState(), this.state.bsa);
+    if (!result) {
+        alert('⚠️ Ingrese DDVI y DSVI, o los 20 diámetros (o las áreas) 4C/2C y las longitudes en diástole y sístole');
         return;
     }
 
-    const result = this.miniCalc.calculatePISA(radio, vAliasing, vmax, vti);
+    const line = (label, v) => {
+        let html = `<strong>${label}:</strong> VFD ${v.edv} ml | VFS ${v.esv} ml | FEy ${v.ef}%`;
+        if (v.edvi) {
+            html += ` | VFDi ${v.edvi} ml/m² | VFSi ${v.esvi} ml/m²`;
+            if (v.dilated) html += ` <span style="color: var(--color-error);">(Dilatado)</span>`;
+        }
+        return html;
+    };
+
+    const lines = [];
+    if (result.biplane) lines.push(line(result.biplane.method, result.biplane));
+    if (result.teichholz) lines.push(line('Teichholz', result.teichholz));
+    if (!this.state.bsa) lines.push('<small>(Ingrese peso y altura para indexar volúmenes)</small>');
+
+    document.getElementById('vol_result').innerHTML = lines.join('<br>');
+};
+
+/**
+ * Inject EF into the LV section (biplane preferred over Teichholz)
+ */
+UIController.prototype.injectLVEF = function () {
+    const result = this.engine.lvVolumesFromModel(this.getFormState(), this.state.bsa);
 
     if (result) {
-        document.getElementById('pisa_result').innerHTML =
-            `<strong>Flujo:</strong> ${result.flow} ml/s | 
-             <strong>ORE:</strong> ${result.ore} cm² | 
-             <strong>VR:</strong> ${result.vr} ml`;
+        const source = result.biplane || result.teichholz;
+        document.getElementById('fevi').value = source.ef;
+        this.calculateAll();
+        this.showToast(result.biplane ? `✅ FEy inyectada: ${result.biplane.method}` : '✅ FEy Teichholz inyectada (Falta Biplano)');
     }
 };
 
+/**
+ * Calculate mitral valve area (PHT, continuity, PISA) and Wilkins score
+ */
+UIController.prototype.calcMitralStenosis = function () {
+    const result = this.engine.mitralStenosisFromModel(this.getFormState());
+    if (!result) {
+        alert('⚠️ Ingrese PHT, VTI mitral, datos PISA, planimetría o los 4 ítems de Wilkins');
+        return;
+    }
+
+    const lines = [];
+    if (result.pht) lines.push(`<strong>AVM PHT:</strong> ${result.pht.mva} cm²`);
+    if (result.continuity) lines.push(`<strong>AVM Continuidad:</strong> ${result.continuity.mva} cm²`);
+    if (result.pisa) lines.push(`<strong>AVM PISA:</strong> ${result.pisa.mva} cm² (Flujo ${result.pisa.flow} ml/s)`);
+    if (result.planimetry) lines.push(`<strong>Planimetría:</strong> ${result.planimetry} cm²`);
+    if (result.hr) lines.push(`<strong>FC:</strong> ${result.hr} lpm`);
+
+    let html = lines.join(' | ');
+    if (result.wilkins) {
+        html += `${html ? '<br>' : ''}<strong>Wilkins:</strong> ${result.wilkins.score}/16 - ${result.wilkins.text}`;
+    }
+
+    document.getElementById('em_result').innerHTML = html;
+};
+
+/**
+ * Inject PHT valve area into the mitral stenosis fields
+ */
+UIController.prototype.injectMitralStenosis = function () {
+    const result = this.engine.mitralStenosisFromModel(this.getFormState());
+
+    if (result && result.pht) {
+        document.getElementById('em_area_pht').value = result.pht.mva;
+        this.showToast('✅ Área por PHT inyectada en la sección mitral');
+    } else {
+        alert('⚠️ Ingrese PHT para calcular el área');
+    }
+};
+
+/**
+ * Calculate PISA for mitral regurgitation
+ */
+UIController.prototype.calcPISA = function () {
+    const result = this.engine.pisaFromModel(this.getFormState());
+    if (!result) {
+        alert('⚠️ Complete todos los campos');
+        return;
+    }
+
+    document.getElementById('pisa_result').innerHTML =
+        `<strong>Flujo:</strong> ${result.flow} ml/s | 
+         <strong>ORE:</strong> ${result.ore} cm² | 
+         <strong>VR:</strong> ${result.vr} ml`;
+};
+
 /**
  * Inject PISA values into mitral box
  */
 UIController.prototype.injectPISA = function () {
-    const radio = parseFloat(document.getElementById('pisa_radio').value);
-    const vAliasing = parseFloat(document.getElementById('pisa_valiasing').value);
-    const vmax = parseFloat(document.getElementById('pisa_vmax').value);
-    const vti = parseFloat(document.getElementById('pisa_vti').value);
-
-    const result = this.miniCalc.calculatePISA(radio, vAliasing, vmax, vti);
+    const result = this.engine.pisaFromModel(this.getFormState());
 
     if (result) {
         document.getElementById('im_ore').value = result.ore;
         document.getElementById('im_vr').value = result.vr;
+        if (window.mitralRegurgitationModule) window.mitralRegurgitationModule.updateState();
         this.showToast('✅ ORE y VR inyectados en la sección mitral');
     }
 };
 
+/**
+ * Estimate RAP from the IVC and feed it into PAD
+ */
+UIController.prototype.applyRAPEstimate = function () {
+    const estimate = this.engine.rapFromModel(this.getFormState());
+    if (estimate) document.getElementById('pad').value = estimate.rap;
+    this.calculateAll();
+};
+
 /**
  * Run Quality Control checks
  */
@@ -180,7 +282,9 @@ UIController.prototype.runQualityControl = function () {
         im_grado: document.getElementById('im_grado').value,
         im_ore: parseFloat(document.getElementById('im_ore').value),
         em_grado: document.getElementById('em_grado').value,
-        em_grad_medio: parseFloat(document.getElementById('em_grad_medio').value)
+        em_grad_medio: parseFloat(document.getElementById('em_grad_medio').value),
+        peri_derrame: document.getElementById('peri_derrame').value,
+        peri_taponamiento: this.state.pericardium ? this.state.pericardium.severity.signs : []
     };
 
     this.qc.runChecks(formData);
@@ -0,0 +1,425 @@
+/**
+ * Study History Extensions
+ * Saves complete studies in the StudyStore and renders the per-patient timeline
+ */
+
+/**
+ * Wire the history card (save button, patient change, default study date)
+ */
+UIController.prototype.initStudyHistory = function () {
+    this.currentStudyId = null;
+    this.patientStudies = [];
+
+    const fecha = document.getElementById('fecha_estudio');
+    if (fecha && !fecha.value) fecha.value = this.todayISO();
+
+    const btnSave = document.getElementById('btn_save_study');
+    if (btnSave) btnSave.addEventListener('click', () => this.saveCurrentStudy());
+
+    // JSON import/export - v14.8
+    this.serializer = window.StudySerializer ? new StudySerializer() : null;
+    const btnExport = document.getElementById('btn_export_json');
+    const btnImport = document.getElementById('btn_import_json');
+    const fileImport = document.getElementById('file_import_json');
+    if (btnExport) btnExport.addEventListener('click', () => this.exportStudyJSON());
+    if (btnImport && fileImport) {
+        btnImport.addEventListener('click', () => fileImport.click());
+        fileImport.addEventListener('change', () => {
+            if (fileImport.files.length > 0) this.importStudyJSON(fileImport.files[0]);
+            fileImport.value = '';
+        });
+    }
+
+    const pacienteId = document.getElementById('paciente_id');
+    if (pacienteId) pacienteId.addEventListener('change', () => {
+        // A different patient means a different study
+        this.currentStudyId = null;
+        this.refreshPatientTimeline();
+    });
+
+    const timeline = document.getElementById('study_timeline');
+    if (timeline) {
+        timeline.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            if (!btn) return;
+            const id = parseInt(btn.dataset.id);
+            if (btn.dataset.action === 'open') this.openStudy(id);
+            else if (btn.dataset.action === 'duplicate') this.duplicateStudy(id);
+            else if (btn.dataset.action === 'delete') this.deleteStudy(id);
+        });
+    }
+
+    this.refreshPatientTimeline();
+};
+
+/**
+ * Local date as YYYY-MM-DD
+ */
+UIController.prototype.todayISO = function () {
+    const now = new Date();
+    const offset = now.getTimezoneOffset() * 60000;
+    return new Date(now - offset).toISOString().slice(0, 10);
+};
+
+/**
+ * Write a field snapshot back into the form and refresh dependent UI
+ * @param {object} fields - Snapshot from getFormState()
+ */
+UIController.prototype.applyFormState = function (fields) {
+    Object.entries(fields || {}).forEach(([id, value]) => {
+        const el = document.getElementById(id);
+        if (!el || STUDY_EXCLUDED_FIELDS.includes(id)) return;
+
+        if (el.type === 'checkbox') el.checked = value === true;
+        else el.value = value;
+    });
+
+    // Progressive disclosure follows the restored selects (no change events: they would apply presets)
+    this.toggleMotilityBox();
+    const motRegionalSection = document.getElementById('motility-regional-section');
+    if (motRegionalSection) {
+        motRegionalSection.style.display = document.getElementById('motilidad_global').value === 'alterada' ? 'block' : 'none';
+    }
+    if (this.toggleValveBoxes) this.toggleValveBoxes();
+    if (this.restoreProsthesisSelection) this.restoreProsthesisSelection(fields);
+    if (this.toggleLanusMode) this.toggleLanusMode();
+    if (this.toggleLVMassMethod) this.toggleLVMassMethod();
+    if (window.aorticRegurgitationModule) window.aorticRegurgitationModule.updateState();
+    if (window.mitralRegurgitationModule) window.mitralRegurgitationModule.updateState();
+};
+
+/**
+ * Current form values and derived results (assumes calculateAll() already ran)
+ * @returns {object} - { pacienteId, fecha, fields, motility, results }
+ */
+UIController.prototype.getCurrentSnapshot = function () {
+    const model = this.getStudyModel();
+    return {
+        pacienteId: (model.fields.paciente_id || '').trim(),
+        fecha: model.fecha || this.todayISO(),
+        fields: model.fields,
+        motility: model.motility,
+        results: {
+            bsa: this.state.bsa,
+            bsaMethod: this.state.bsaMethod,
+            lvMass: this.state.lvMass,
+            lvMassIndex: this.state.lvMassIndex,
+            lvMassIndexBSA: this.state.lvMassIndexBSA,
+            lvMassIndexHeight: this.state.lvMassIndexHeight,
+            lvMassMethod: this.state.lvMassMethod,
+            lvMassIndexation: this.state.lvMassIndexation,
+            rwt: this.state.rwt,
+            geometry: this.state.geometry,
+            psap: this.state.psap,
+            rap: this.state.rap,
+            phProbability: this.state.phProbability,
+            rvFunction: this.state.rvFunction,
+            laVolume: this.state.laVolume,
+            laFunction: this.state.laFunction,
+            flow: this.state.flow,
+            mitralStenosis: this.state.mitralStenosis,
+            tricuspidRegurgitation: this.state.tricuspidRegurgitation,
+            pulmonaryValve: this.state.pulmonaryValve,
+            prostheticValves: this.state.prostheticValves,
+            pericardium: this.state.pericardium,
+            constriction: this.state.constriction,
+            diastolicGrade: this.state.diastolicResult ? this.state.diastolicResult.grade : null,
+            diastolicAlgorithm: this.state.diastolicResult ? this.state.diastolicResult.algorithm : null
+        }
+    };
+};
+
+/**
+ * Build the study record for the current form
+ * @returns {object} - Study record (without id for new studies)
+ */
+UIController.prototype.buildStudyRecord = function () {
+    this.calculateAll();
+
+    const record = this.getCurrentSnapshot();
+    record.report = document.getElementById('resultado').value;
+
+    if (this.currentStudyId) record.id = this.currentStudyId;
+    return record;
+};
+
+/**
+ * Save the current form as a study (updates the open study if any)
+ * @param {object} options - { silent: true } skips alerts (auto-save after report)
+ */
+UIController.prototype.saveCurrentStudy = async function (options = {}) {
+    if (!this.studyStore) return;
+
+    // Captured before the first await (the click event is gone afterwards); the auto-save has no toast
+    const button = options.silent ? null : this.eventButton();
+    const record = this.buildStudyRecord();
+    if (!record.pacienteId) {
+        if (!options.silent) alert('⚠️ Ingrese HC / ID Paciente para guardar el estudio');
+        return;
+    }
+
+    try {
+        if (this.currentStudyId) {
+            const existing = await this.studyStore.get(this.currentStudyId);
+            if (existing) record.createdAt = existing.createdAt;
+        }
+        this.currentStudyId = await this.studyStore.save(record);
+        this.showToast(`✅ Estudio #${this.currentStudyId} guardado`, button);
+        await this.refreshPatientTimeline();
+    } catch (err) {
+        console.error('Error guardando estudio:', err);
+        if (!options.silent) alert(`❌ No se pudo guardar el estudio: ${err.message}`);
+    }
+};
+
+/**
+ * Load a stored study into the form
+ * @param {number} id - Study id
+ */
+UIController.prototype.openStudy = async function (id) {
+    try {
+        const study = await this.studyStore.get(id);
+        if (!study) return;
+
+        this.loadStudyRecord(study);
+        this.currentStudyId = study.id;
+        await this.refreshPatientTimeline();
+    } catch (err) {
+        console.error('Error abriendo estudio:', err);
+        alert(`❌ No se pudo abrir el estudio: ${err.message}`);
+    }
+};
+
+/**
+ * Populate form, motility and report from a study record
+ * @param {object} study - Study record
+ */
+UIController.prototype.loadStudyRecord = function (study) {
+    // Fields the record does not store (older versions, other tools) must not keep the previous study's values
+    this.resetFormState();
+
+    // Studies saved before the BSA formula selector were indexed with DuBois (and had no pulmonary valve, prosthesis, pericardium or constriction fields);
+    // their diastolic grade came from the 2016 algorithm
+    this.applyFormState({
+        bsa_metodo: 'dubois', masa_metodo: 'cubo', masa_indexacion: 'sc',
+        ep_grado: 'no', ip_grado: 'no', pao_tipo: 'no', pmi_tipo: 'no', peri_derrame: 'no', cp_evaluar: 'no',
+        diast_guia: '2016', diast_poblacion: 'general',
+        paciente_id: study.pacienteId || '', fecha_estudio: study.fecha || '', ...study.fields
+    });
+
+    if (this.motility) {
+        if (study.motility) this.motility.loadState(study.motility.state, study.motility.pattern);
+        else this.motility.reset();
+        const patternSelector = document.getElementById('pattern-selector');
+        if (patternSelector) patternSelector.value = (study.motility && study.motility.pattern) || 'none';
+    }
+
+    // Valve sub-modules (fields already cover them; values win for files built by other tools)
+    if (study.valves && study.valves.aorticRegurgitation && window.aorticRegurgitationModule) {
+        window.aorticRegurgitationModule.setValues(study.valves.aorticRegurgitation);
+    }
+
+    this.calculateAll();
+    document.getElementById('resultado').value = study.report || '';
+};
+
+/**
+ * Download the current form as a versioned JSON file
+ */
+UIController.prototype.exportStudyJSON = function () {
+    if (!this.serializer) return;
+
+    const study = this.buildStudyRecord();
+    const valves = {};
+    if (window.aorticRegurgitationModule) valves.aorticRegurgitation = window.aorticRegurgitationModule.getValues();
+
+    const blob = new Blob([this.serializer.serialize(study, valves)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = this.serializer.fileName(study);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    this.showToast('✅ Estudio exportado como JSON');
+};
+
+/**
+ * Load a JSON study file into the form (as a new, unsaved study)
+ * @param {File} file - Selected file
+ */
+UIController.prototype.importStudyJSON = async function (file) {
+    if (!this.serializer) return;
+    const button = document.getElementById('btn_import_json');
+
+    try {
+        const study = this.serializer.parse(await file.text());
+        this.loadStudyRecord(study);
+        this.currentStudyId = null;
+        await this.refreshPatientTimeline();
+        this.showToast(`✅ Estudio importado (${study.pacienteId || 'sin ID'} - ${study.fecha})`, button);
+    } catch (err) {
+        console.error('Error importando estudio:', err);
+        alert(`❌ No se pudo importar el estudio: ${err.message}`);
+    }
+};
+
+/**
+ * Copy a stored study as a new study dated today and open it
+ * @param {number} id - Study id
+ */
+UIController.prototype.duplicateStudy = async function (id) {
+    const button = this.eventButton();
+
+    try {
+        const source = await this.studyStore.get(id);
+        if (!source) return;
+
+        const copy = {
+            ...source,
+            fecha: this.todayISO(),
+            fields: { ...source.fields, fecha_estudio: this.todayISO() },
+            report: ''
+        };
+        delete copy.id;
+        delete copy.createdAt;
+
+        const newId = await this.studyStore.save(copy);
+        await this.openStudy(newId);
+        this.showToast(`✅ Estudio duplicado como #${newId}`, button);
+    } catch (err) {
+        console.error('Error duplicando estudio:', err);
+        alert(`❌ No se pudo duplicar el estudio: ${err.message}`);
+    }
+};
+
+/**
+ * Delete a stored study after confirmation
+ * @param {number} id - Study id
+ */
+UIController.prototype.deleteStudy = async function (id) {
+    if (!confirm(`¿Eliminar definitivamente el estudio #${id}?`)) return;
+
+    try {
+        await this.studyStore.delete(id);
+        if (this.currentStudyId === id) this.currentStudyId = null;
+        await this.refreshPatientTimeline();
+    } catch (err) {
+        console.error('Error eliminando estudio:', err);
+        alert(`❌ No se pudo eliminar el estudio: ${err.message}`);
+    }
+};
+
+/**
+ * Reload the studies of the current patient and render the timeline
+ */
+UIController.prototype.refreshPatientTimeline = async function () {
+    const pacienteId = document.getElementById('paciente_id').value.trim();
+
+    try {
+        this.patientStudies = this.studyStore ? await this.studyStore.listByPatient(pacienteId) : [];
+    } catch (err) {
+        console.error('Error leyendo historial:', err);
+        this.patientStudies = [];
+    }
+
+    this.renderTimeline(pacienteId);
+    this.renderComparisonOptions();
+};
+
+/**
+ * Fill the "compare with" select with the patient's other studies (most recent first)
+ */
+UIController.prototype.renderComparisonOptions = function () {
+    const select = document.getElementById('estudio_previo');
+    if (!select) return;
+
+    const previous = select.value;
+    const candidates = this.patientStudies.filter(study => study.id !== this.currentStudyId);
+
+    if (candidates.length === 0) {
+        select.innerHTML = '<option value="">Sin estudios previos</option>';
+        return;
+    }
+
+    // Built as nodes: imported records are untrusted text
+    select.replaceChildren(...candidates.map(study => new Option(`${study.fecha} (#${study.id})`, study.id)));
+
+    // Keep the user's choice, otherwise default to the latest study before the current date
+    const fecha = document.getElementById('fecha_estudio').value;
+    const keep = candidates.find(study => String(study.id) === previous);
+    const latestBefore = candidates.find(study => !fecha || study.fecha <= fecha);
+    select.value = String((keep || latestBefore || candidates[0]).id);
+};
+
+/**
+ * Study selected for serial comparison, or null when comparison is off
+ * @returns {object|null}
+ */
+UIController.prototype.getComparisonStudy = function () {
+    const toggle = document.getElementById('comparar_previo');
+    const select = document.getElementById('estudio_previo');
+    if (!toggle || !toggle.checked || !select || !select.value) return null;
+
+    return this.patientStudies.find(study => String(study.id) === select.value) || null;
+};
+
+/**
+ * Render the timeline list for the current patient
+ * @param {string} pacienteId - Patient identifier
+ */
+UIController.prototype.renderTimeline = function (pacienteId) {
+    const container = document.getElementById('study_timeline');
+    const status = document.getElementById('study_current');
+    if (!container) return;
+
+    if (status) {
+        status.textContent = this.currentStudyId ? `Estudio abierto: #${this.currentStudyId}` : 'Estudio nuevo (sin guardar)';
+    }
+
+    if (!pacienteId) {
+        container.innerHTML = '<p class="timeline-empty">Ingrese HC / ID Paciente para ver su historial.</p>';
+        return;
+    }
+
+    if (this.patientStudies.length === 0) {
+        container.innerHTML = '<p class="timeline-empty">Sin estudios previos para este paciente.</p>';
+        return;
+    }
+
+    // Built as nodes: imported records are untrusted text
+    container.replaceChildren(...this.patientStudies.map(study => {
+        const f = study.fields || {};
+        const summary = [];
+        if (f.fevi) summary.push(`FEy ${f.fevi}%`);
+        if (f.ddvi) summary.push(`DDVI ${f.ddvi} mm`);
+        if (study.results && study.results.psap) summary.push(`PSAP ${study.results.psap} mmHg`);
+
+        const element = (tag, className, text) => {
+            const el = document.createElement(tag);
+            if (className) el.className = className;
+            if (text !== undefined) el.textContent = text;
+            return el;
+        };
+
+        const item = element('div', study.id === this.currentStudyId ? 'timeline-item timeline-item-active' : 'timeline-item');
+        const info = element('div', 'timeline-info');
+        info.append(element('strong', '', study.fecha), ' ', element('small', '', `#${study.id}`), ' ',
+            element('span', 'timeline-summary', summary.join(' | ')));
+
+        const actions = element('div', 'timeline-actions');
+        [['open', 'btn-calc-action', 'Abrir'], ['duplicate', 'btn-calc-inject', 'Duplicar'], ['delete', 'btn-reset', 'Eliminar']]
+            .forEach(([action, className, label]) => {
+                const btn = element('button', className, label);
+                btn.type = 'button';
+                btn.dataset.action = action;
+                btn.dataset.id = study.id;
+                actions.append(btn);
+            });
+
+        item.append(info, actions);
+        return item;
+    }));
+};
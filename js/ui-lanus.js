@@ -1,22 +1,25 @@
 /**
  * Lanús Mode and LA Classification Extensions
- * v14.1 additions to UI Controller
+ * v14.1 additions to UI Controller (v14.2: biplane area-length and method of discs)
  */
 
 /**
- * Toggle Lanús mode box visibility
+ * Toggle the LA volume calculator box of the selected method
  */
 UIController.prototype.toggleLanusMode = function () {
     const mode = document.getElementById('ai_calc_mode').value;
-    const lanusBox = document.getElementById('box_lanus');
     const volAiInput = document.getElementById('vol_ai');
+    const boxes = { lanus: 'box_lanus', biplano_al: 'box_ai_biplano', discos: 'box_ai_discos' };
 
-    if (mode === 'lanus') {
-        lanusBox.style.display = 'block';
+    Object.entries(boxes).forEach(([boxMode, boxId]) => {
+        const box = document.getElementById(boxId);
+        if (box) box.style.display = mode === boxMode ? 'block' : 'none';
+    });
+
+    if (boxes[mode]) {
         volAiInput.disabled = true;
-        volAiInput.placeholder = 'Usar Modo Lanús →';
+        volAiInput.placeholder = mode === 'lanus' ? 'Usar Modo Lanús →' : 'Usar calculadora →';
     } else {
-        lanusBox.style.display = 'none';
         volAiInput.disabled = false;
         volAiInput.placeholder = '';
     }
@@ -26,11 +29,9 @@ UIController.prototype.toggleLanusMode = function () {
  * Calculate LA volume using Lanús monoplano method
  */
 UIController.prototype.calcLanus = function () {
-    const area4c = parseFloat(document.getElementById('lanus_area_4c').value);
-    const longitudMm = parseFloat(document.getElementById('lanus_longitud').value);
-    const bsa = this.state.bsa || 1;
+    const fields = this.getFormState();
 
-    if (!area4c || !longitudMm) {
+    if (!parseFloat(fields.lanus_area_4c) || !parseFloat(fields.lanus_longitud)) {
         alert('⚠️ Ingrese Área 4C y Longitud');
         return;
     }
@@ -40,7 +41,7 @@ UIController.prototype.calcLanus = function () {
         return;
     }
 
-    const result = this.miniCalc.calculateLanusAI(area4c, longitudMm, bsa);
+    const result = this.engine.lanusFromModel(fields, this.state.bsa || 1);
 
     if (result) {
         // Color según clasificación
@@ -64,20 +65,19 @@ UIController.prototype.calcLanus = function () {
  * Inject Lanús calculated volume to main AI field
  */
 UIController.prototype.injectLanus = function () {
-    const area4c = parseFloat(document.getElementById('lanus_area_4c').value);
-    const longitudMm = parseFloat(document.getElementById('lanus_longitud').value);
-    const bsa = this.state.bsa || 1;
+    const fields = this.getFormState();
 
-    if (!area4c || !longitudMm) {
+    if (!parseFloat(fields.lanus_area_4c) || !parseFloat(fields.lanus_longitud)) {
         alert('⚠️ Complete los campos antes de inyectar');
         return;
     }
 
-    const result = this.miniCalc.calculateLanusAI(area4c, longitudMm, bsa);
+    const result = this.engine.lanusFromModel(fields, this.state.bsa || 1);
 
     if (result) {
         document.getElementById('vol_ai').value = result.volumeIndexed;
         console.log(`✅ Vol AI inyectado: ${result.volumeIndexed} ml/m² (${result.classification})`);
+        this.calculateAll();
 
         // También calcular para mostrar resultado si no está ya visible
         if (!document.getElementById('lanus_result').innerHTML) {
@@ -87,9 +87,54 @@ UIController.prototype.injectLanus = function () {
 };
 
 /**
- * Show toast notification (simple console log for now)
+ * Result box of a biplane LA volume calculator
+ * @param {string} mode - 'biplano_al' or 'discos'
+ */
+UIController.prototype.laVolumeResultId = function (mode) {
+    return mode === 'discos' ? 'ai_discos_result' : 'ai_biplano_result';
+};
+
+/**
+ * Calculate LA volume with the biplane area-length method or the method of discs
+ * @param {string} mode - 'biplano_al' or 'discos'
  */
-UIController.prototype.showToast = function (message) {
-    console.log(message);
-    // TODO: Implement visual toast
+UIController.prototype.calcLAVolume = function (mode) {
+    const result = this.engine.laVolumeFromModel({ ...this.getFormState(), ai_calc_mode: mode }, this.state.bsa || 1);
+
+    if (!result) {
+        alert(mode === 'discos' ? '⚠️ Ingrese el Volumen Biplano' : '⚠️ Ingrese Área 4C, Área 2C y Longitud');
+        return;
+    }
+
+    let classColor = '#059669';
+    if (result.classification.includes('Leve')) classColor = '#D97706';
+    else if (result.classification.includes('Moderada')) classColor = '#DC2626';
+    else if (result.classification.includes('Severa')) classColor = '#991B1B';
+
+    document.getElementById(this.laVolumeResultId(mode)).innerHTML =
+        `<div style="display: flex; flex-direction: column; gap: 0.25rem;">
+            <div><strong>Volumen AI:</strong> ${result.volumen} ml</div>
+            <div><strong>Vol. Indexado:</strong> ${result.volumeIndexed} ml/m²</div>
+            <div style="color: ${classColor}; font-weight: 600;">
+                <strong>Clasificación:</strong> ${result.classification}
+            </div>
+        </div>`;
+};
+
+/**
+ * Inject the biplane LA volume index into the main AI field
+ * @param {string} mode - 'biplano_al' or 'discos'
+ */
+UIController.prototype.injectLAVolume = function (mode) {
+    const result = this.engine.laVolumeFromModel({ ...this.getFormState(), ai_calc_mode: mode }, this.state.bsa || 1);
+
+    if (!result) {
+        alert('⚠️ Complete los campos antes de inyectar');
+        return;
+    }
+
+    document.getElementById('vol_ai').value = result.volumeIndexed;
+    if (!document.getElementById(this.laVolumeResultId(mode)).innerHTML) this.calcLAVolume(mode);
+    this.calculateAll();
+    this.showToast(`✅ Vol AI inyectado: ${result.volumeIndexed} ml/m² (${this.miniCalc.laVolumeMethods[mode]})`);
 };
@@ -0,0 +1,155 @@
+/**
+ * Prosthetic Valve Extensions
+ * Model/size selectors fed by the reference EOA table, table loading and the live result boxes
+ */
+
+/**
+ * Wire the prosthesis selectors and load the bundled reference table
+ */
+UIController.prototype.initProsthesis = function () {
+    const module = window.prostheticValveModule;
+    if (!module) return;
+
+    Object.entries(module.positions).forEach(([position, { prefix }]) => {
+        const type = document.getElementById(`${prefix}_tipo`);
+        const model = document.getElementById(`${prefix}_modelo`);
+        if (type) type.addEventListener('change', () => this.populateProsthesisModels(position));
+        if (model) model.addEventListener('change', () => this.populateProsthesisSizes(position));
+
+        const btnTable = document.getElementById(`btn_tabla_eoa_${prefix}`);
+        const fileTable = document.getElementById('file_tabla_eoa');
+        if (btnTable && fileTable) btnTable.addEventListener('click', () => {
+            // The file input's change event does not carry the button (toast target)
+            this.prosthesisTableButton = btnTable;
+            fileTable.click();
+        });
+    });
+
+    const fileTable = document.getElementById('file_tabla_eoa');
+    if (fileTable) {
+        fileTable.addEventListener('change', () => {
+            if (fileTable.files.length > 0) this.importProsthesisTable(fileTable.files[0]);
+            fileTable.value = '';
+        });
+    }
+
+    // Bundled table (not reachable when the app is opened from file://: load it with the button)
+    if (typeof fetch === 'function') {
+        fetch('data/prosthesis-eoa.json')
+            .then(response => response.json())
+            .then(table => this.applyProsthesisTable(table))
+            .catch(err => console.warn('Tabla de EOA de prótesis no disponible:', err.message));
+    }
+};
+
+/**
+ * Load a reference table and refresh the selectors (keeps the current selection when possible)
+ * @param {object} table - Parsed JSON table
+ * @returns {number} - Number of models loaded
+ */
+UIController.prototype.applyProsthesisTable = function (table) {
+    const module = window.prostheticValveModule;
+    const count = module.loadReferenceTable(table);
+    this.restoreProsthesisSelection(this.getFormState());
+    this.calculateAll();
+    return count;
+};
+
+UIController.prototype.importProsthesisTable = async function (file) {
+    const button = this.prosthesisTableButton || null;
+
+    try {
+        const count = this.applyProsthesisTable(JSON.parse(await file.text()));
+        this.showToast(`✅ Tabla de EOA cargada (${count} modelos)`, button);
+    } catch (err) {
+        console.error('Error cargando tabla de EOA:', err);
+        alert(`⚠️ No se pudo cargar la tabla de EOA: ${err.message}`);
+    }
+};
+
+/**
+ * Fill the model selector for the selected prosthesis type
+ * @param {string} position - 'aortica' | 'mitral'
+ */
+UIController.prototype.populateProsthesisModels = function (position) {
+    const module = window.prostheticValveModule;
+    const prefix = module.positions[position].prefix;
+    const type = document.getElementById(`${prefix}_tipo`).value;
+    const select = document.getElementById(`${prefix}_modelo`);
+    const current = select.value;
+
+    const models = module.getModels(position, type);
+    // Built as nodes: names come from user-supplied tables
+    select.replaceChildren(new Option('Sin especificar', ''), ...models.map(model => new Option(model.name, model.id)));
+    select.value = models.some(model => model.id === current) ? current : '';
+
+    this.populateProsthesisSizes(position);
+};
+
+/**
+ * Fill the size selector for the selected model
+ * @param {string} position - 'aortica' | 'mitral'
+ */
+UIController.prototype.populateProsthesisSizes = function (position) {
+    const module = window.prostheticValveModule;
+    const prefix = module.positions[position].prefix;
+    const modelId = document.getElementById(`${prefix}_modelo`).value;
+    const select = document.getElementById(`${prefix}_tamano`);
+    const current = select.value;
+
+    const sizes = module.getSizes(modelId, position);
+    select.replaceChildren(new Option('-', ''), ...sizes.map(size => new Option(`${size} mm`, size)));
+    select.value = sizes.map(String).includes(current) ? current : '';
+};
+
+/**
+ * Restore saved model/size (their options depend on the type and the loaded table)
+ * @param {object} fields - Form snapshot
+ */
+UIController.prototype.restoreProsthesisSelection = function (fields) {
+    const module = window.prostheticValveModule;
+    if (!module) return;
+
+    Object.entries(module.positions).forEach(([position, { prefix }]) => {
+        const model = document.getElementById(`${prefix}_modelo`);
+        const size = document.getElementById(`${prefix}_tamano`);
+        if (!model || !size) return;
+
+        this.populateProsthesisModels(position);
+        model.value = fields[`${prefix}_modelo`] || '';
+        this.populateProsthesisSizes(position);
+        size.value = fields[`${prefix}_tamano`] || '';
+    });
+};
+
+/**
+ * Badges and live summary of each prosthesis (from the engine)
+ */
+UIController.prototype.renderProsthesis = function () {
+    const module = window.prostheticValveModule;
+    const valves = this.state.prostheticValves;
+    if (!module || !valves) return;
+
+    Object.entries(module.positions).forEach(([position, { prefix }]) => {
+        const result = valves[position];
+        const resultDiv = document.getElementById(`${prefix}_result`);
+        if (!result) {
+            if (resultDiv) resultDiv.innerHTML = '';
+            return;
+        }
+
+        module.updateBadge(position, result.severity);
+        if (!resultDiv) return;
+
+        const data = result.data;
+        const ppm = result.severity.ppm;
+        let html = '';
+        if (data.eoa > 0) html += `<strong>EOA:</strong> ${data.eoa.toFixed(2)} cm²${data.eoai > 0 ? ` (EOAi ${data.eoai.toFixed(2)} cm²/m²)` : ''}<br>`;
+        if (data.dvi > 0) html += `<strong>${module.criteria[position].dvi.label}:</strong> ${data.dvi.toFixed(2)}<br>`;
+        if (data.atEt > 0) html += `<strong>TA/TE:</strong> ${data.atEt.toFixed(2)}<br>`;
+        if (data.referenceEoa > 0) html += `<strong>EOA referencia:</strong> ${data.referenceEoa.toFixed(2)} cm²<br>`;
+        if (ppm.grade >= 0) html += `<strong>Mismatch:</strong> ${ppm.level} (EOAi ${ppm.basis === 'referencia' ? 'proyectada' : 'medida'} ${ppm.eoai.toFixed(2)} cm²/m²)<br>`;
+        if (result.severity.leak.grade >= 0) html += `<strong>Fuga paravalvular:</strong> ${result.severity.leak.level}`;
+        resultDiv.innerHTML = html;
+    });
+};
@@ -23,6 +23,10 @@ class InputValidator {
             onda_e: { min: 20, max: 200, unit: 'cm/s', optimal: { min: 50, max: 120 } },
             onda_a: { min: 10, max: 150, unit: 'cm/s', optimal: { min: 30, max: 100 } },
             onda_e_prime: { min: 3, max: 25, unit: 'cm/s', optimal: { min: 8, max: 20 } },
+            onda_e_prime_septal: { min: 3, max: 25, unit: 'cm/s', optimal: { min: 7, max: 18 } },
+            onda_e_prime_lateral: { min: 3, max: 30, unit: 'cm/s', optimal: { min: 10, max: 22 } },
+            diast_tde: { min: 50, max: 500, unit: 'ms', optimal: { min: 160, max: 240 } },
+            diast_trivi: { min: 20, max: 200, unit: 'ms', optimal: { min: 60, max: 100 } },
 
             // Atrium
             vol_ai: { min: 10, max: 100, unit: 'ml/m²', optimal: { min: 16, max: 34 } },
@@ -144,7 +148,7 @@ class InputValidator {
                 if (v > 34) return '⚠️ Dilatación AI';
                 return '';
             },
-            tapse: (v) => v < 16 ? '⚠️ Disfunción VD' : '',
+            tapse: (v) => v < 17 ? '⚠️ Disfunción VD' : '',
             ao_raiz: (v) => {
                 if (v > 40) return '⚠️ Dilatación aorta (considerar indexar)';
                 return '';
@@ -0,0 +1,61 @@
+/**
+ * AorticRegurgitationModule.determineSeverity - reference cases (ASE valvular regurgitation 2017)
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { AorticRegurgitationModule } = require('./helpers');
+
+const arModule = new AorticRegurgitationModule();
+
+const values = (data) => ({
+    vc: 0, pht: 0, jetWidth: 0, rvol: 0, eroa: 0, alcance: 'tsvi', flujoReverso: false, ...data
+});
+
+test('determineSeverity: no data', () => {
+    assert.strictEqual(arModule.determineSeverity(values()).level, 'No evaluada');
+});
+
+test('determineSeverity: any severe criterion → severe', () => {
+    const severeCases = [
+        { vc: 0.7 },
+        { pht: 180 },
+        { jetWidth: 65 },
+        { alcance: 'apex' },
+        { rvol: 60 },
+        { eroa: 0.30 },
+        { flujoReverso: true }
+    ];
+
+    severeCases.forEach(data => {
+        assert.strictEqual(arModule.determineSeverity(values(data)).level, 'Severa', JSON.stringify(data));
+    });
+});
+
+test('determineSeverity: all parameters in the mild range → mild', () => {
+    // VC < 0.3 cm, PHT > 500 ms, jet/LVOT < 25%, RVol < 30 ml, EROA < 0.10 cm²
+    const result = arModule.determineSeverity(values({ vc: 0.2, pht: 600, jetWidth: 20, rvol: 20, eroa: 0.08 }));
+    assert.strictEqual(result.level, 'Leve');
+    assert.strictEqual(result.class, 'badge-mild');
+});
+
+test('determineSeverity: intermediate parameters → moderate', () => {
+    const result = arModule.determineSeverity(values({ vc: 0.45, pht: 350, jetWidth: 45, rvol: 45, eroa: 0.20, alcance: 'mitral' }));
+    assert.strictEqual(result.level, 'Moderada');
+});
+
+test('determineSeverity: mild and intermediate findings mixed → moderate', () => {
+    assert.strictEqual(arModule.determineSeverity(values({ vc: 0.2, pht: 400 })).level, 'Moderada');
+    assert.strictEqual(arModule.determineSeverity(values({ vc: 0.2, alcance: 'mitral' })).level, 'Moderada');
+});
+
+test('determineSeverity: severe boundaries are exclusive for VC and PHT', () => {
+    assert.strictEqual(arModule.determineSeverity(values({ vc: 0.6 })).level, 'Moderada');
+    assert.strictEqual(arModule.determineSeverity(values({ pht: 200 })).level, 'Moderada');
+});
+
+test('valuesFromModel: parses form fields like getValues()', () => {
+    const data = arModule.valuesFromModel({ iao_vc: '0.45', iao_pht: '', iao_jet_alcance: 'mitral', iao_flujo_reverso: true });
+    assert.deepStrictEqual(data, values({ vc: 0.45, alcance: 'mitral', flujoReverso: true }));
+});
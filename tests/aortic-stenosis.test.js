@@ -0,0 +1,88 @@
+/**
+ * AorticStenosisModule.determineSeverity - reference cases (ASE/EACVI valvular stenosis 2017, ESC/EACTS 2021)
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { AorticStenosisModule } = require('./helpers');
+
+const asModule = new AorticStenosisModule();
+
+const values = (data) => ({
+    vmax: 0, gradMean: 0, ava: 0, avaIndex: 0, coef: 0, lvef: 0, svi: 0, ...data
+});
+
+test('determineSeverity: no data', () => {
+    const result = asModule.determineSeverity(values({ lvef: 60, svi: 40 }));
+    assert.strictEqual(result.level, 'No evaluada');
+    assert.strictEqual(asModule.generateConclusion(values()), '');
+});
+
+test('determineSeverity: concordant mild and moderate stenosis', () => {
+    // Vmax 2.6-2.9 m/s, MG < 20 mmHg, AVA > 1.5 cm²
+    assert.strictEqual(asModule.determineSeverity(values({ vmax: 2.8, gradMean: 15, ava: 1.7 })).level, 'Leve');
+    // Vmax 3.0-3.9 m/s, MG 20-39 mmHg, AVA 1.0-1.5 cm²
+    const moderate = asModule.determineSeverity(values({ vmax: 3.5, gradMean: 28, ava: 1.2 }));
+    assert.strictEqual(moderate.level, 'Moderada');
+    assert.strictEqual(moderate.pattern, null);
+    assert.strictEqual(asModule.generateConclusion(values({ vmax: 3.5, gradMean: 28, ava: 1.2 })), 'Estenosis Aórtica Moderada');
+});
+
+test('determineSeverity: Vmax ≥ 4 m/s or MG ≥ 40 mmHg → high-gradient severe', () => {
+    assert.strictEqual(asModule.determineSeverity(values({ vmax: 4.0 })).pattern, 'alto_gradiente');
+    const result = asModule.determineSeverity(values({ vmax: 3.8, gradMean: 42, ava: 0.7 }));
+    assert.strictEqual(result.level, 'Severa');
+    assert.strictEqual(result.pattern, 'alto_gradiente');
+    assert.strictEqual(asModule.generateFindings(values({ vmax: 4.5, gradMean: 50, ava: 0.7 })), '');
+});
+
+test('determineSeverity: AVA < 1.0 with MG < 40 and reduced EF, SVi < 35 → classical low-flow low-gradient', () => {
+    const data = values({ vmax: 3.2, gradMean: 28, ava: 0.8, lvef: 35, svi: 28 });
+    const result = asModule.determineSeverity(data);
+    assert.strictEqual(result.level, 'Severa');
+    assert.strictEqual(result.pattern, 'bajo_flujo_clasica');
+    assert.match(asModule.generateFindings(data), /^Discordancia entre AVA 0\.8 cm² y gradiente medio 28 mmHg con VSi 28 ml\/m² y FEy 35%: .*dobutamina/);
+});
+
+test('determineSeverity: low flow with preserved EF → paradoxical low-flow low-gradient', () => {
+    const data = values({ vmax: 3.4, gradMean: 30, ava: 0.85, lvef: 62, svi: 30 });
+    assert.strictEqual(asModule.determineSeverity(data).pattern, 'bajo_flujo_paradojal');
+    assert.match(asModule.generateFindings(data), /score de calcio/);
+    assert.match(asModule.generateConclusion(data), /paradojal con fracción de eyección conservada$/);
+});
+
+test('determineSeverity: low flow without EF is not called paradoxical', () => {
+    const data = values({ vmax: 3.4, gradMean: 30, ava: 0.85, svi: 30 });
+    const result = asModule.determineSeverity(data);
+    assert.strictEqual(result.pattern, 'bajo_flujo_fey_no_evaluada');
+    assert.strictEqual(result.level, 'Discordante');
+    assert.match(asModule.generateFindings(data), /^Discordancia entre AVA 0\.85 cm² y gradiente medio 30 mmHg con VSi 30 ml\/m²: patrón de bajo flujo-bajo gradiente, FEy no evaluada\./);
+    assert.doesNotMatch(asModule.generateConclusion(data), /paradojal|conservada/);
+    // EF at the 50% limit is preserved
+    assert.strictEqual(asModule.determineSeverity({ ...data, lvef: 50 }).pattern, 'bajo_flujo_paradojal');
+});
+
+test('determineSeverity: normal flow low gradient → probably moderate', () => {
+    const result = asModule.determineSeverity(values({ vmax: 3.5, gradMean: 32, ava: 0.9, lvef: 60, svi: 40 }));
+    assert.strictEqual(result.pattern, 'flujo_normal_bajo_gradiente');
+    assert.strictEqual(result.level, 'Moderada');
+});
+
+test('determineSeverity: discordance without SVi is flagged, not classified', () => {
+    const result = asModule.determineSeverity(values({ gradMean: 30, ava: 0.8, lvef: 60 }));
+    assert.strictEqual(result.pattern, 'flujo_no_evaluado');
+    assert.strictEqual(result.level, 'Discordante');
+});
+
+test('determineSeverity: area parameter fallback (AVAi, then dimensionless index)', () => {
+    assert.strictEqual(asModule.determineSeverity(values({ avaIndex: 0.5 })).level, 'Severa');
+    assert.strictEqual(asModule.determineSeverity(values({ avaIndex: 0.5 })).pattern, null);
+    assert.strictEqual(asModule.determineSeverity(values({ coef: 0.40 })).level, 'Moderada');
+    assert.strictEqual(asModule.determineSeverity(values({ gradMean: 25, coef: 0.22, svi: 40 })).pattern, 'flujo_normal_bajo_gradiente');
+});
+
+test('valuesFromModel: form fields plus EF and LVOT flow', () => {
+    const data = asModule.valuesFromModel({ ea_vmax: '3.2', ea_ava: '0.8', ea_coef: '', fevi: '35' }, { sv: '50', svi: '28' });
+    assert.deepStrictEqual(data, values({ vmax: 3.2, ava: 0.8, lvef: 35, svi: 28 }));
+});
@@ -0,0 +1,71 @@
+/**
+ * ConstrictiveRestrictiveModule - Mayo criteria for constriction vs restriction
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConstrictiveRestrictiveModule } = require('./helpers');
+
+const cpModule = new ConstrictiveRestrictiveModule();
+
+const values = (data) => ({
+    septalBounce: false, septalShift: false, medialE: 0, lateralE: 0, hvReversal: 0, mitralVariation: 0, ...data
+});
+
+test('determineSeverity: insufficient data without septal shift or Doppler criteria', () => {
+    const severity = cpModule.determineSeverity(values({ septalBounce: true }));
+    assert.strictEqual(severity.level, 'Datos insuficientes');
+    assert.strictEqual(severity.grade, -1);
+    assert.strictEqual(cpModule.generateConclusion(values()), '');
+});
+
+test('determineSeverity: septal shift plus one or both Doppler criteria', () => {
+    const probable = cpModule.determineSeverity(values({ septalShift: true, medialE: 11, hvReversal: 0.5 }));
+    assert.strictEqual(probable.level, 'Constricción probable');
+    assert.strictEqual(probable.met, 2);
+    assert.strictEqual(probable.favours, 'constriccion');
+
+    const veryProbable = cpModule.determineSeverity(values({ septalShift: true, medialE: 9, hvReversal: 0.79 }));
+    assert.strictEqual(veryProbable.level, 'Constricción muy probable');
+    assert.strictEqual(veryProbable.grade, 3);
+});
+
+test('determineSeverity: criteria without septal shift are only possible constriction', () => {
+    assert.strictEqual(cpModule.determineSeverity(values({ medialE: 12, hvReversal: 0.9 })).level, 'Constricción posible');
+    assert.strictEqual(cpModule.determineSeverity(values({ septalShift: true })).level, 'Constricción posible');
+});
+
+test('determineSeverity: reduced medial e\' without septal shift favours restriction', () => {
+    const restriction = cpModule.determineSeverity(values({ medialE: 5, lateralE: 7, hvReversal: 0.3 }));
+    assert.strictEqual(restriction.level, 'Sugiere restricción');
+    assert.strictEqual(restriction.favours, 'restriccion');
+    assert.strictEqual(cpModule.determineSeverity(values({ medialE: 8 })).level, 'Constricción improbable');
+});
+
+test('supportiveSigns: septal bounce, annulus reversus and mitral respiratory variation', () => {
+    assert.deepStrictEqual(
+        cpModule.supportiveSigns(values({ septalBounce: true, medialE: 12, lateralE: 9, mitralVariation: 30 })),
+        ['rebote septal', 'annulus reversus', 'variación respiratoria del flujo mitral 30%']
+    );
+    assert.deepStrictEqual(cpModule.supportiveSigns(values({ medialE: 8, lateralE: 12, mitralVariation: 20 })), []);
+});
+
+test('valuesFromModel and report text', () => {
+    const data = cpModule.valuesFromModel({
+        cp_evaluar: 'si', cp_desplazamiento_septal: true, cp_rebote_septal: true,
+        cp_e_medial: '13', cp_e_lateral: '10', cp_vh_reverso: '0.85', cp_var_mitral: ''
+    });
+    assert.strictEqual(
+        cpModule.generateFindings(data),
+        'Evaluación de constricción/restricción: rebote septal, desplazamiento septal respirofásico, e\' medial 13 cm/s, e\' lateral 10 cm/s (annulus reversus), relación reverso espiratorio/anterógrado en venas suprahepáticas 0.85.'
+    );
+    assert.strictEqual(
+        cpModule.generateConclusion(data),
+        'Muy alta probabilidad de pericarditis constrictiva (criterios de Mayo 3/3: desplazamiento septal respirofásico, e\' medial ≥ 9 cm/s, reverso espiratorio en venas suprahepáticas ≥ 0.79; especificidad 97%). Signos de apoyo: rebote septal, annulus reversus.'
+    );
+    assert.strictEqual(
+        cpModule.generateConclusion(values({ medialE: 5 })),
+        'Baja probabilidad de pericarditis constrictiva; e\' medial reducida (5 cm/s) sin desplazamiento septal respirofásico, sugestivo de miocardiopatía restrictiva.'
+    );
+});
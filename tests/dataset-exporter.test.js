@@ -0,0 +1,94 @@
+/**
+ * DatasetExporter - column normalization, CSV and XLSX output
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DatasetExporter, createEngine, createModel } = require('./helpers');
+
+const exporter = new DatasetExporter();
+
+const study = {
+    pacienteId: 'HC "7", cama 3',
+    fecha: '2026-01-15',
+    fields: { fevi: '62,5', peso: '70', diast_var_e: true, sexo: ' M ' },
+    results: { bsa: 1.8123, lvMass: 0 }
+};
+
+/**
+ * Entries of a stored (method 0) ZIP, read from the local file headers
+ * @returns {object} - { name: { crc, text } }
+ */
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const entries = {};
+    let offset = 0;
+
+    while (view.getUint32(offset, true) === 0x04034b50) {
+        assert.strictEqual(view.getUint16(offset + 8, true), 0);
+        const size = view.getUint32(offset + 18, true);
+        const nameLength = view.getUint16(offset + 26, true);
+        const start = offset + 30 + nameLength;
+        const name = Buffer.from(bytes.subarray(offset + 30, start)).toString('utf8');
+        entries[name] = { crc: view.getUint32(offset + 14, true), text: Buffer.from(bytes.subarray(start, start + size)).toString('utf8') };
+        offset = start + size;
+    }
+
+    // Central directory follows the last entry; the end record closes the file
+    assert.strictEqual(view.getUint32(offset, true), 0x02014b50);
+    const end = bytes.byteLength - 22;
+    assert.strictEqual(view.getUint32(end, true), 0x06054b50);
+    assert.strictEqual(view.getUint16(end + 10, true), Object.keys(entries).length);
+    assert.strictEqual(view.getUint32(end + 16, true), offset);
+    return entries;
+}
+
+test('normalize: decimal commas, derived zeros, booleans and text', () => {
+    const columns = ['paciente_id', 'sexo', 'peso', 'sc_m2', 'fevi_pct', 'masa_vi_g', 'var_e_escasa'];
+    const [header, row] = exporter.toRows([study], columns);
+
+    assert.deepStrictEqual(header, ['paciente_id', 'sexo', 'peso', 'sc_m2', 'fevi_pct', 'masa_vi_g', 'var_e_escasa']);
+    assert.deepStrictEqual(row, ['HC "7", cama 3', 'M', 70, 1.81, 62.5, '', 1]);
+});
+
+test('toRows: registry order is kept whatever the selection order', () => {
+    const [header] = exporter.toRows([study], ['fevi_pct', 'paciente_id']);
+    assert.deepStrictEqual(header, ['paciente_id', 'fevi_pct']);
+});
+
+test('toCSV: BOM, CRLF lines, quoting and dot decimals', () => {
+    const csv = exporter.toCSV([study, { fields: { fevi: '55' } }], ['paciente_id', 'fevi_pct', 'var_e_escasa']);
+
+    assert.ok(csv.startsWith('\uFEFF'));
+    assert.strictEqual(csv, '\uFEFFpaciente_id,fevi_pct,var_e_escasa\r\n"HC ""7"", cama 3",62.5,1\r\n,55,\r\n');
+});
+
+test('toXLSX: stored ZIP with the workbook parts and the sheet cells', () => {
+    const entries = readZip(exporter.toXLSX([study], ['paciente_id', 'peso', 'fevi_pct']));
+
+    assert.deepStrictEqual(Object.keys(entries),
+        ['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml']);
+    Object.values(entries).forEach(entry => assert.strictEqual(entry.crc, exporter.crc32(new TextEncoder().encode(entry.text))));
+
+    const sheet = entries['xl/worksheets/sheet1.xml'].text;
+    assert.match(sheet, /<row r="1"><c r="A1" t="inlineStr"><is><t>paciente_id<\/t><\/is><\/c><c r="B1" t="inlineStr"><is><t>peso<\/t><\/is><\/c>/);
+    assert.match(sheet, /<row r="2"><c r="A2" t="inlineStr"><is><t>HC &quot;7&quot;, cama 3<\/t><\/is><\/c><c r="B2"><v>70<\/v><\/c><c r="C2"><v>62\.5<\/v><\/c><\/row>/);
+});
+
+test('crc32 / columnLetter', () => {
+    assert.strictEqual(exporter.crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+    assert.strictEqual(exporter.columnLetter(0), 'A');
+    assert.strictEqual(exporter.columnLetter(25), 'Z');
+    assert.strictEqual(exporter.columnLetter(26), 'AA');
+    assert.strictEqual(exporter.columnLetter(701), 'ZZ');
+});
+
+test('toRows: engine results of a computed study', () => {
+    const engine = createEngine();
+    const model = createModel({ peso: '70', altura: '170', vol_ai: '28', pad: '3', vel_it: '2.5' });
+    const record = { pacienteId: 'HC-1', fecha: model.fecha, fields: model.fields, results: engine.compute(model) };
+
+    const [, row] = exporter.toRows([record], ['sc_m2', 'vol_ai_idx_ml_m2', 'vol_ai_metodo', 'pad_mmhg']);
+    assert.deepStrictEqual(row, [1.81, 28, 'Simpson automático', 3]);
+});
@@ -0,0 +1,139 @@
+/**
+ * Test helpers
+ * Loads the browser modules in Node (they export through module.exports when available)
+ */
+
+const path = require('path');
+
+const js = (file) => require(path.join(__dirname, '..', 'js', file));
+
+// Motility reports look up segments/patterns in the MotilityModel global
+global.MotilityModel = js('motility-model.js');
+
+const HemodynamicsCalculator = js('hemodynamics.js');
+const MiniCalculators = js('mini-calculators.js');
+const AorticRegurgitationModule = js('aortic-regurgitation.js');
+const AorticStenosisModule = js('aortic-stenosis.js');
+const MitralRegurgitationModule = js('mitral-regurgitation.js');
+const TricuspidRegurgitationModule = js('tricuspid-regurgitation.js');
+const PulmonaryValveModule = js('pulmonary-valve.js');
+const ProstheticValveModule = js('prosthetic-valve.js');
+const PericardialEffusionModule = js('pericardial-effusion.js');
+const ConstrictiveRestrictiveModule = js('constrictive-restrictive.js');
+const RVFunctionModule = js('rv-function.js');
+const LAFunctionModule = js('la-function.js');
+const MotilityController = js('motility-controller.js');
+const StudyComparison = js('study-comparison.js');
+const DatasetExporter = js('dataset-exporter.js');
+const ReportGenerator = js('report-generator.js');
+const StudyEngine = js('study-engine.js');
+
+// Bundled reference EOA table (the browser fetches the same file)
+const prosthesisTable = require(path.join(__dirname, '..', 'data', 'prosthesis-eoa.json'));
+
+/**
+ * Prosthetic valve module with the bundled reference table loaded
+ * @returns {ProstheticValveModule}
+ */
+function createProstheticValveModule() {
+    const module = new ProstheticValveModule();
+    module.loadReferenceTable(prosthesisTable);
+    return module;
+}
+
+/**
+ * Engine wired like app.js
+ * @returns {StudyEngine}
+ */
+function createEngine() {
+    return new StudyEngine({
+        calculator: new HemodynamicsCalculator(),
+        miniCalc: new MiniCalculators(),
+        aorticRegurgitation: new AorticRegurgitationModule(),
+        aorticStenosis: new AorticStenosisModule(),
+        mitralRegurgitation: new MitralRegurgitationModule(),
+        tricuspidRegurgitation: new TricuspidRegurgitationModule(),
+        pulmonaryValve: new PulmonaryValveModule(),
+        prostheticValve: createProstheticValveModule(),
+        pericardialEffusion: new PericardialEffusionModule(),
+        constrictiveRestrictive: new ConstrictiveRestrictiveModule(),
+        rvFunction: new RVFunctionModule(),
+        laFunction: new LAFunctionModule(),
+        MotilityController,
+        ReportGenerator,
+        comparison: new StudyComparison()
+    });
+}
+
+/**
+ * Study model with form defaults, overridden by the given fields
+ * @param {object} fields - Field values (strings as read from the form, booleans for checkboxes)
+ * @param {object} motility - { state, pattern } or null
+ */
+function createModel(fields = {}, motility = null) {
+    return {
+        fecha: fields.fecha_estudio || '2026-01-15',
+        fields: {
+            ritmo: 'sinusal',
+            conduccion: 'normal',
+            ventana: 'no',
+            sexo: 'M',
+            motilidad_global: 'normal',
+            morf_mitral: 'Valvas finas y móviles, apertura conservada',
+            morf_aortica: 'Válvula trivalva, sigmoideas finas y móviles',
+            im_grado: 'no',
+            em_grado: 'no',
+            ea_grado: 'no',
+            ia_grado: 'no',
+            it_grado: 'no',
+            ep_grado: 'no',
+            ip_grado: 'no',
+            pao_tipo: 'no',
+            pmi_tipo: 'no',
+            peri_derrame: 'no',
+            cp_evaluar: 'no',
+            ad_estado: 'normal',
+            vd_estado: 'normal',
+            iao_jet_alcance: 'tsvi',
+            iao_flujo_reverso: false,
+            htp_septum: false,
+            htp_pulmonar: false,
+            htp_aceleracion: false,
+            htp_vd_vi: false,
+            ...fields
+        },
+        motility: motility
+    };
+}
+
+/**
+ * Assert two numbers are equal within a tolerance
+ */
+function assertClose(assert, actual, expected, tolerance = 0.01) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+module.exports = {
+    HemodynamicsCalculator,
+    MiniCalculators,
+    AorticRegurgitationModule,
+    AorticStenosisModule,
+    MitralRegurgitationModule,
+    TricuspidRegurgitationModule,
+    PulmonaryValveModule,
+    ProstheticValveModule,
+    PericardialEffusionModule,
+    ConstrictiveRestrictiveModule,
+    RVFunctionModule,
+    LAFunctionModule,
+    MotilityController,
+    StudyComparison,
+    DatasetExporter,
+    ReportGenerator,
+    StudyEngine,
+    createEngine,
+    createProstheticValveModule,
+    prosthesisTable,
+    createModel,
+    assertClose
+};
@@ -0,0 +1,374 @@
+/**
+ * HemodynamicsCalculator - reference cases (ASE/EACVI chamber quantification 2015, diastolic function 2016)
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { HemodynamicsCalculator, assertClose } = require('./helpers');
+
+const calc = new HemodynamicsCalculator();
+
+test('calculateBodySurface: DuBois reference values', () => {
+    // 0.007184 × W^0.425 × H^0.725
+    assertClose(assert, calc.calculateBodySurface(70, 170), 1.81);
+    assertClose(assert, calc.calculateBodySurface(100, 180), 2.20);
+    assertClose(assert, calc.calculateBodySurface(50, 150), 1.43);
+});
+
+test('calculateBodySurface: selectable formulas', () => {
+    // Mosteller √(170 × 70 / 3600)
+    assertClose(assert, calc.calculateBodySurface(70, 170, 'mosteller'), 1.82);
+    assertClose(assert, calc.calculateBodySurface(70, 170, 'dubois'), 1.81);
+    assertClose(assert, calc.calculateBodySurface(70, 170, 'haycock'), 1.83);
+    assertClose(assert, calc.calculateBodySurface(70, 170, 'boyd'), 1.83);
+
+    // Pediatric patient: 20 kg, 110 cm
+    assertClose(assert, calc.calculateBodySurface(20, 110, 'haycock'), 0.78);
+    assertClose(assert, calc.calculateBodySurface(20, 110, 'boyd'), 0.80);
+    assertClose(assert, calc.calculateBodySurface(20, 110, 'mosteller'), 0.78);
+});
+
+test('calculateBodySurface: missing weight or height', () => {
+    assert.strictEqual(calc.calculateBodySurface(0, 170), 0);
+    assert.strictEqual(calc.calculateBodySurface(70, undefined), 0);
+});
+
+test('calculateLVMass: Devereux (ASE-corrected cube) formula', () => {
+    // 0.8 × 1.04 × [(5.0 + 1.0 + 1.0)³ − 5.0³] + 0.6 = 0.8 × 1.04 × 218 + 0.6
+    assertClose(assert, calc.calculateLVMass(50, 10, 10), 181.98);
+    // 0.8 × 1.04 × [(5.6 + 1.2 + 1.3)³ − 5.6³] + 0.6
+    assertClose(assert, calc.calculateLVMass(56, 12, 13), 296.65);
+    assertClose(assert, calc.calculateLVMass(48, 9, 9), 147.78);
+});
+
+test('calculateLVMass: incomplete diameters', () => {
+    assert.strictEqual(calc.calculateLVMass(50, 10, 0), 0);
+    assert.strictEqual(calc.calculateLVMass(0, 10, 10), 0);
+});
+
+test('calculateLVMassAreaLength / TruncatedEllipsoid: 2D methods (ASE 2015)', () => {
+    // A1 38 cm², A2 16 cm², a 5.5 cm, d 2.5 cm → t = √(38/π) − √(16/π) = 1.221 cm
+    assertClose(assert, calc.calculateLVMassAreaLength(38, 16, 5.5, 2.5), 194.60);
+    assertClose(assert, calc.calculateLVMassTruncatedEllipsoid(38, 16, 5.5, 2.5), 173.22);
+    // Epicardial area must exceed the endocardial one
+    assert.strictEqual(calc.calculateLVMassAreaLength(16, 38, 5.5, 2.5), 0);
+    assert.strictEqual(calc.calculateLVMassTruncatedEllipsoid(38, 16, 0, 2.5), 0);
+});
+
+test('indexLVMass: BSA or height^2.7', () => {
+    assertClose(assert, calc.indexLVMass(180, 'sc', 1.8, 170), 100);
+    // 1.70^2.7 = 4.19
+    assertClose(assert, calc.indexLVMass(180, 'altura27', 1.8, 170), 42.96);
+    assert.strictEqual(calc.indexLVMass(180, 'altura27', 1.8, 0), 0);
+    assert.strictEqual(calc.indexLVMass(0, 'sc', 1.8, 170), 0);
+});
+
+test('calculateRWT: 2 × PW / LVIDd', () => {
+    assertClose(assert, calc.calculateRWT(10, 10, 50), 0.40, 0.0001);
+    assertClose(assert, calc.calculateRWT(12, 13, 44), 0.545, 0.001);
+    assert.strictEqual(calc.calculateRWT(0, 10, 50), 0);
+});
+
+test('classifyLVGeometry: four geometry patterns (male limit 115 g/m²)', () => {
+    assert.strictEqual(calc.classifyLVGeometry(100, 0.38, 'M'), 'Geometría Normal');
+    assert.strictEqual(calc.classifyLVGeometry(100, 0.48, 'M'), 'Remodelado Concéntrico');
+    assert.strictEqual(calc.classifyLVGeometry(130, 0.48, 'M'), 'Hipertrofia Concéntrica');
+    assert.strictEqual(calc.classifyLVGeometry(130, 0.38, 'M'), 'Hipertrofia Excéntrica');
+});
+
+test('classifyLVGeometry: female limit 95 g/m² and strict thresholds', () => {
+    assert.strictEqual(calc.classifyLVGeometry(100, 0.38, 'F'), 'Hipertrofia Excéntrica');
+    assert.strictEqual(calc.classifyLVGeometry(95, 0.38, 'F'), 'Geometría Normal');
+    assert.strictEqual(calc.classifyLVGeometry(115, 0.42, 'M'), 'Geometría Normal');
+    assert.strictEqual(calc.classifyLVGeometry(0, 0.42, 'M'), 'Datos insuficientes');
+});
+
+test('classifyLVGeometry: method- and indexation-specific limits', () => {
+    // 2D methods: 102 g/m² (male) / 88 g/m² (female)
+    assert.strictEqual(calc.classifyLVGeometry(110, 0.38, 'M'), 'Geometría Normal');
+    assert.strictEqual(calc.classifyLVGeometry(110, 0.38, 'M', 'area_longitud'), 'Hipertrofia Excéntrica');
+    assert.strictEqual(calc.classifyLVGeometry(90, 0.45, 'F', 'elipsoide'), 'Hipertrofia Concéntrica');
+    // Height^2.7: 50 g/m^2.7 (male) / 47 g/m^2.7 (female)
+    assert.strictEqual(calc.classifyLVGeometry(52, 0.38, 'M', 'cubo', 'altura27'), 'Hipertrofia Excéntrica');
+    assert.strictEqual(calc.classifyLVGeometry(48, 0.45, 'M', 'cubo', 'altura27'), 'Remodelado Concéntrico');
+    assert.strictEqual(calc.getLVMassLimit('F', 'elipsoide', 'altura27'), 47);
+});
+
+test('isLVDilated: LVIDd above 59 mm (male) / 53 mm (female)', () => {
+    assert.strictEqual(calc.isLVDilated(60, 'M'), true);
+    assert.strictEqual(calc.isLVDilated(59, 'M'), false);
+    assert.strictEqual(calc.isLVDilated(54, 'F'), true);
+    assert.strictEqual(calc.isLVDilated(53, 'F'), false);
+    assert.strictEqual(calc.isLVDilated(0, 'M'), false);
+});
+
+test('classifyDiastolicFunction: missing Doppler data', () => {
+    const result = calc.classifyDiastolicFunction({ E: 80, A: 60 });
+    assert.strictEqual(result.grade, 'Indeterminado');
+    assert.strictEqual(result.severity, 'neutral');
+});
+
+test('classifyDiastolicFunction: E/A > 2 with normal e\' (athlete pattern)', () => {
+    const result = calc.classifyDiastolicFunction({ E: 100, A: 45, ePrime: 14 });
+    assert.strictEqual(result.grade, 'Normal');
+    assert.match(result.description, /Atleta/);
+});
+
+test('classifyDiastolicFunction: E/A > 2 with reduced e\' (restrictive, grade III)', () => {
+    const result = calc.classifyDiastolicFunction({ E: 100, A: 45, ePrime: 6 });
+    assert.strictEqual(result.grade, 'III');
+    assert.strictEqual(result.severity, 'red');
+});
+
+test('classifyDiastolicFunction: normal EF, fewer than 2 of 4 criteria → normal', () => {
+    // Only e' < 9 is abnormal
+    const result = calc.classifyDiastolicFunction({ E: 70, A: 60, ePrime: 8, LAVolIndex: 28, TRVel: 2.4, LVEF: 62 });
+    assert.strictEqual(result.grade, 'Normal');
+    assert.strictEqual(result.severity, 'green');
+});
+
+test('classifyDiastolicFunction: normal EF, 2 of 4 criteria → indeterminate', () => {
+    // e' < 9 and LAVI > 34
+    const result = calc.classifyDiastolicFunction({ E: 70, A: 60, ePrime: 8, LAVolIndex: 38, TRVel: 2.4, LVEF: 62 });
+    assert.strictEqual(result.grade, 'Indeterminado');
+    assert.match(result.description, /2\/4 criterios/);
+});
+
+test('classifyDiastolicFunction: normal EF, 3 of 4 criteria → filling pressure algorithm (grade II)', () => {
+    // e' 7, E/e' 15.7, LAVI 40 → elevated pressures
+    const result = calc.classifyDiastolicFunction({ E: 110, A: 80, ePrime: 7, LAVolIndex: 40, TRVel: 2.5, LVEF: 60 });
+    assert.strictEqual(result.grade, 'II');
+});
+
+test('classifyDiastolicFunction: reduced EF, E/A ≤ 0.8 and E ≤ 50 → grade I', () => {
+    const result = calc.classifyDiastolicFunction({ E: 45, A: 70, ePrime: 5, LAVolIndex: 40, TRVel: 3.0, LVEF: 35 });
+    assert.strictEqual(result.grade, 'I');
+    assert.strictEqual(result.severity, 'green');
+});
+
+test('classifyDiastolicFunction: wall motion abnormality uses the myocardial disease algorithm', () => {
+    // EF normal but segmental motility → E/A 0.7 with E 40 is grade I
+    const result = calc.classifyDiastolicFunction({ E: 40, A: 57, ePrime: 10, LAVolIndex: 28, TRVel: 2.2, LVEF: 60, wallMotion: 'segmentaria' });
+    assert.strictEqual(result.grade, 'I');
+});
+
+test('classifyDiastolicFunction: reduced EF, ≥ 2 of 3 criteria → grade II', () => {
+    // E/e' 16, TR 3.0 m/s, LAVI 30
+    const result = calc.classifyDiastolicFunction({ E: 96, A: 80, ePrime: 6, LAVolIndex: 30, TRVel: 3.0, LVEF: 35 });
+    assert.strictEqual(result.grade, 'II');
+    assert.strictEqual(result.severity, 'red');
+});
+
+test('classifyDiastolicFunction: reduced EF, 0 criteria → grade I', () => {
+    const result = calc.classifyDiastolicFunction({ E: 60, A: 60, ePrime: 8, LAVolIndex: 28, TRVel: 2.4, LVEF: 40 });
+    assert.strictEqual(result.grade, 'I');
+});
+
+test('classifyDiastolicFunction: reduced EF, 1 of 3 criteria → grade I', () => {
+    const result = calc.classifyDiastolicFunction({ E: 60, A: 60, ePrime: 8, LAVolIndex: 38, TRVel: 2.4, LVEF: 40 });
+    assert.strictEqual(result.grade, 'I');
+});
+
+test('classifyDiastolicFunction: reduced EF, 1 of 2 available criteria → indeterminate', () => {
+    // No TR jet: E/e' normal, LAVI enlarged
+    const result = calc.classifyDiastolicFunction({ E: 60, A: 60, ePrime: 8, LAVolIndex: 38, TRVel: 0, LVEF: 40 });
+    assert.strictEqual(result.grade, 'Indeterminado');
+    assert.match(result.description, /Evaluación adicional/);
+});
+
+test('classifyDiastolicFunction: reduced EF, a single available criterion → insufficient data', () => {
+    const result = calc.classifyDiastolicFunction({ E: 60, A: 60, ePrime: 8, LAVolIndex: NaN, TRVel: NaN, LVEF: 40 });
+    assert.strictEqual(result.grade, 'Indeterminado');
+    assert.match(result.description, /Datos insuficientes/);
+});
+
+test('classifyDiastolicFunction: missing LAVI and LVEF are not replaced by normal values', () => {
+    // Normal motion without LVEF: the algorithm cannot be chosen
+    const noEF = calc.classifyDiastolicFunction({ E: 70, A: 60, ePrime: 8, LAVolIndex: 28, TRVel: 2.4 });
+    assert.strictEqual(noEF.grade, 'Indeterminado');
+    assert.match(noEF.description, /FEVI/);
+
+    // e' < 9 and E/e' > 14 over 3 available criteria: >50% → myocardial disease algorithm
+    const noLAVI = calc.classifyDiastolicFunction({ E: 120, A: 80, ePrime: 8, TRVel: 2.4, LVEF: 62 });
+    assert.strictEqual(noLAVI.criteria.find(c => c.label === 'Vol. indexado AI').met, null);
+    assert.strictEqual(noLAVI.algorithm, 'ASE/EACVI 2016');
+    assert.notStrictEqual(noLAVI.grade, 'Normal');
+});
+
+test('classifyDiastolicFunction: reduced EF, 1 of 2 criteria resolved by pulmonary vein S/D', () => {
+    const blunted = calc.classifyDiastolicFunction({ E: 60, A: 60, ePrime: 8, LAVolIndex: 38, LVEF: 40, PVSD: 0.6 });
+    assert.strictEqual(blunted.grade, 'II');
+    const normalSD = calc.classifyDiastolicFunction({ E: 60, A: 60, ePrime: 8, LAVolIndex: 38, LVEF: 40, PVSD: 1.4 });
+    assert.strictEqual(normalSD.grade, 'I');
+});
+
+test('classifyDiastolicFunction: LA reservoir strain resolves indeterminate 2016 results', () => {
+    // Algorithm 1 at 2/4 criteria
+    const base = { E: 70, A: 60, ePrime: 8, LAVolIndex: 38, TRVel: 2.4, LVEF: 62 };
+    assert.strictEqual(calc.classifyDiastolicFunction({ ...base, LAStrain: 30 }).grade, 'Normal');
+    const reducedStrain = calc.classifyDiastolicFunction({ ...base, LAStrain: 15 });
+    assert.strictEqual(reducedStrain.grade, 'I');
+    assert.match(reducedStrain.branch, /strain AI reducido/);
+
+    // Algorithm 2 with 1 of 2 criteria
+    const alg2 = { E: 60, A: 60, ePrime: 8, LAVolIndex: 38, LVEF: 40 };
+    assert.strictEqual(calc.classifyDiastolicFunction(alg2).grade, 'Indeterminado');
+    const elevated = calc.classifyDiastolicFunction({ ...alg2, LAStrain: 16 });
+    assert.strictEqual(elevated.grade, 'II');
+    assert.strictEqual(elevated.criteria.find(c => c.label === 'Strain de reservorio AI').met, true);
+    assert.strictEqual(calc.classifyDiastolicFunction({ ...alg2, LAStrain: 25 }).grade, 'I');
+});
+
+test('classifyDiastolicFunction: 2025 update grades from e\', E/e\' and TR', () => {
+    const normal = calc.classifyDiastolicFunction({ guideline: '2025', E: 70, A: 60, ePrimeSeptal: 9, ePrimeLateral: 12, TRVel: 2.3 });
+    assert.strictEqual(normal.grade, 'Normal');
+    assert.strictEqual(normal.algorithm, 'ASE 2025');
+
+    // Reduced e' with normal E/e' and TR → grade I
+    const impaired = calc.classifyDiastolicFunction({ guideline: '2025', E: 50, A: 70, ePrimeSeptal: 5, ePrimeLateral: 7, TRVel: 2.3 });
+    assert.strictEqual(impaired.grade, 'I');
+
+    // E/e' 16.7 and TR 3.0 → elevated LAP, grade III with E/A ≥ 2
+    const elevated = calc.classifyDiastolicFunction({ guideline: '2025', E: 100, A: 70, ePrimeSeptal: 5, ePrimeLateral: 7, TRVel: 3.0 });
+    assert.strictEqual(elevated.grade, 'II');
+    const restrictive = calc.classifyDiastolicFunction({ guideline: '2025', E: 100, A: 45, ePrimeSeptal: 5, ePrimeLateral: 7, TRVel: 3.0 });
+    assert.strictEqual(restrictive.grade, 'III');
+});
+
+test('classifyDiastolicFunction: 2025 update uses supplementary criteria when E/e\' and TR disagree', () => {
+    const base = { guideline: '2025', E: 100, A: 70, ePrimeSeptal: 5, ePrimeLateral: 7 };
+    const strain = calc.classifyDiastolicFunction({ ...base, LAStrain: 15 });
+    assert.strictEqual(strain.grade, 'II');
+    assert.match(strain.branch, /suplementarios/);
+
+    const normalSupplementary = calc.classifyDiastolicFunction({ ...base, LAStrain: 30, LAVolIndex: 28 });
+    assert.strictEqual(normalSupplementary.grade, 'I');
+
+    const none = calc.classifyDiastolicFunction(base);
+    assert.strictEqual(none.grade, 'Indeterminado');
+    assert.strictEqual(none.severity, 'yellow');
+});
+
+test('classifyDiastolicFunction: atrial fibrillation criteria', () => {
+    // E 110, E/e' septal 13.8 → 2 primary criteria
+    const elevated = calc.classifyDiastolicFunction({ rhythm: 'fa', E: 110, ePrimeSeptal: 8, TRVel: 2.5, DT: 190 });
+    assert.strictEqual(elevated.grade, 'PFVI elevadas');
+    assert.strictEqual(elevated.algorithm, 'Fibrilación auricular');
+    assert.match(elevated.description, /^Fibrilación Auricular: presiones de llenado VI elevadas/);
+
+    // One primary criterion plus a short IVRT
+    const supplementary = calc.classifyDiastolicFunction({ rhythm: 'flutter', E: 80, ePrimeSeptal: 6, TRVel: 2.4, DT: 200, IVRT: 60 });
+    assert.strictEqual(supplementary.grade, 'PFVI elevadas');
+
+    const normal = calc.classifyDiastolicFunction({ rhythm: 'fa', E: 80, ePrimeSeptal: 10, TRVel: 2.4, DT: 200 });
+    assert.strictEqual(normal.grade, 'PFVI normales');
+
+    // Single primary criterion without supplementary data
+    const indeterminate = calc.classifyDiastolicFunction({ rhythm: 'fa', E: 80, ePrimeSeptal: 6 });
+    assert.strictEqual(indeterminate.grade, 'Indeterminado');
+    assert.strictEqual(indeterminate.criteria.find(c => c.label === 'Variabilidad de la onda E escasa').met, null);
+});
+
+test('classifyDiastolicFunction: special populations', () => {
+    const mac = calc.classifyDiastolicFunction({ population: 'mac', E: 90, A: 80, IVRT: 70 });
+    assert.strictEqual(mac.grade, 'PFVI elevadas');
+    assert.strictEqual(calc.classifyDiastolicFunction({ population: 'mac', E: 50, A: 80 }).grade, 'PFVI normales');
+
+    const ms = calc.classifyDiastolicFunction({ population: 'em', E: 180, A: 170, IVRT: 50 });
+    assert.strictEqual(ms.grade, 'PFVI elevadas');
+    assert.match(ms.description, /^Estenosis mitral/);
+
+    // MR with preserved EF: only IVRT counts
+    const mr = calc.classifyDiastolicFunction({ population: 'im', E: 130, ePrime: 8, IVRT: 80, LVEF: 60 });
+    assert.strictEqual(mr.grade, 'PFVI normales');
+    assert.strictEqual(mr.criteria.length, 1);
+
+    // HCM: 2/4 criteria → indeterminate
+    const hcm = calc.classifyDiastolicFunction({ population: 'mch', E: 100, ePrime: 6, TRVel: 2.4, LAVolIndex: 30, LAStrain: 15 });
+    assert.strictEqual(hcm.grade, 'Indeterminado');
+    assert.match(hcm.description, /2\/4 criterios/);
+
+    assert.strictEqual(calc.classifyDiastolicFunction({ population: 'trasplante' }).description, 'Esperando datos Doppler...');
+});
+
+test('formatDiastolicCriterion: value with unit, ratio decimals, checkbox and missing data', () => {
+    const result = calc.classifyDiastolicFunction({ rhythm: 'fa', E: 110, ePrimeSeptal: 8, lowEVariability: true });
+    const byLabel = label => result.criteria.find(c => c.label === label);
+    assert.strictEqual(calc.formatDiastolicCriterion(byLabel('Onda E')), '110 cm/s');
+    assert.strictEqual(calc.formatDiastolicCriterion(byLabel("E/e' septal")), '13.8');
+    assert.strictEqual(calc.formatDiastolicCriterion(byLabel('Variabilidad de la onda E escasa')), 'presente');
+    assert.strictEqual(calc.formatDiastolicCriterion(byLabel('TRIV')), '');
+
+    const sinus = calc.classifyDiastolicFunction({ E: 60, A: 70, ePrime: 8, LAVolIndex: 38, LVEF: 40, PVSD: 0.6 });
+    assert.strictEqual(calc.formatDiastolicCriterion(sinus.criteria.find(c => c.label === 'Relación E/A')), '0.86');
+});
+
+test('calculatePSAP: 4V² + RAP, rounded', () => {
+    // 4 × 2.8² + 3 = 34.36
+    assert.strictEqual(calc.calculatePSAP(2.8, 3), 34);
+    // 4 × 3.4² + 15 = 61.24
+    assert.strictEqual(calc.calculatePSAP(3.4, 15), 61);
+    // Default RAP 5 mmHg: 4 × 2.5² + 5 = 30
+    assert.strictEqual(calc.calculatePSAP(2.5), 30);
+    assert.strictEqual(calc.calculatePSAP(0, 5), 0);
+    assert.strictEqual(calc.calculatePSAP(-1, 5), 0);
+});
+
+test('estimateRAP: IVC diameter and collapsibility (ASE)', () => {
+    assert.strictEqual(calc.estimateRAP({ ivcDiameter: 18, collapse: 60 }).rap, 3);
+    assert.strictEqual(calc.estimateRAP({ ivcDiameter: 24, collapse: 30 }).rap, 15);
+
+    const intermediate = calc.estimateRAP({ ivcDiameter: 18, collapse: 40 });
+    assert.strictEqual(intermediate.rap, 8);
+    assert.strictEqual(intermediate.range, '5-10');
+    assert.strictEqual(calc.estimateRAP({ ivcDiameter: 24, collapse: 55 }).rap, 8);
+
+    // Missing diameter or collapsibility: no estimate
+    assert.strictEqual(calc.estimateRAP({ ivcDiameter: 18, collapse: NaN }), null);
+    assert.strictEqual(calc.estimateRAP({ ivcDiameter: NaN, collapse: 40 }), null);
+});
+
+test('estimateRAP: secondary indices move the intermediate case', () => {
+    const up = calc.estimateRAP({ ivcDiameter: 24, collapse: 60, trEe: 8, hepaticDiastolic: true });
+    assert.strictEqual(up.rap, 15);
+    assert.strictEqual(up.adjusted, true);
+    assert.deepStrictEqual(up.secondary, ["E/e' tricuspídea > 6", 'predominio diastólico en venas suprahepáticas']);
+
+    const down = calc.estimateRAP({ ivcDiameter: 18, collapse: 45, trEe: 4 });
+    assert.strictEqual(down.rap, 3);
+    assert.strictEqual(down.adjusted, true);
+
+    // Secondary indices do not override a concordant IVC
+    assert.strictEqual(calc.estimateRAP({ ivcDiameter: 18, collapse: 60, restrictiveFilling: true }).rap, 3);
+});
+
+test('classifyPHProbability: TR velocity bands and other signs (ESC/ERS 2022)', () => {
+    const twoCategories = { ventricles: ['a'], pulmonaryArtery: [], ivcRa: ['c'] };
+    assert.strictEqual(calc.classifyPHProbability(2.5).level, 'Baja');
+    assert.strictEqual(calc.classifyPHProbability(0, twoCategories).level, 'Intermedia');
+    assert.strictEqual(calc.classifyPHProbability(3.1).level, 'Intermedia');
+    assert.strictEqual(calc.classifyPHProbability(3.1, twoCategories).level, 'Alta');
+    assert.strictEqual(calc.classifyPHProbability(3.5).level, 'Alta');
+
+    // Several signs in one category count once
+    const oneCategory = calc.classifyPHProbability(2.5, { ventricles: ['a', 'b'], pulmonaryArtery: [], ivcRa: [] });
+    assert.strictEqual(oneCategory.categories, 1);
+    assert.strictEqual(oneCategory.level, 'Baja');
+});
+
+test('estimateMeanPAP and estimatePVR', () => {
+    assert.deepStrictEqual(calc.estimateMeanPAP({ prVel: 2, rap: 5, accelerationTime: 120 }), { fromPR: 21, fromAT: 25 });
+    assert.deepStrictEqual(calc.estimateMeanPAP({}), { fromPR: null, fromAT: null });
+    // 10 × 2.8 / 14 + 0.16
+    assertClose(assert, calc.estimatePVR(2.8, 14), 2.16);
+    assert.strictEqual(calc.estimatePVR(2.8, 0), 0);
+});
+
+test('classifyPulmonaryPressure: severity bands', () => {
+    assert.strictEqual(calc.classifyPulmonaryPressure(0), 'No estimable');
+    assert.strictEqual(calc.classifyPulmonaryPressure(35), 'Normal');
+    assert.strictEqual(calc.classifyPulmonaryPressure(40), 'Levemente elevada');
+    assert.strictEqual(calc.classifyPulmonaryPressure(50), 'Moderadamente elevada');
+    assert.strictEqual(calc.classifyPulmonaryPressure(60), 'Severamente elevada');
+});
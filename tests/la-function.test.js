@@ -0,0 +1,69 @@
+/**
+ * LAFunctionModule - LA phasic strain (EACVI NORRE), emptying fractions and stiffness index
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { LAFunctionModule, assertClose } = require('./helpers');
+
+const laModule = new LAFunctionModule();
+
+test('valuesFromModel: emptying fractions from maximum, minimum and pre-A volumes', () => {
+    const data = laModule.valuesFromModel({ ai_vol_max: '60', ai_vol_min: '24', ai_vol_pre_a: '40' });
+    assertClose(assert, data.totalEF, 60);
+    assertClose(assert, data.passiveEF, 33.33);
+    assertClose(assert, data.activeEF, 40);
+
+    // Inconsistent volumes give no fraction
+    const inverted = laModule.valuesFromModel({ ai_vol_max: '30', ai_vol_min: '40', ai_vol_pre_a: '20' });
+    assert.strictEqual(inverted.totalEF, 0);
+    assert.strictEqual(inverted.activeEF, 0);
+});
+
+test('valuesFromModel: strain as absolute value and stiffness from the engine E/e\'', () => {
+    const data = laModule.valuesFromModel({ ai_strain_reservorio: '-30', ai_strain_conducto: '15' }, 9);
+    assert.strictEqual(data.reservoir, 30);
+    assertClose(assert, data.stiffness, 0.3);
+    assert.strictEqual(laModule.valuesFromModel({ ai_strain_reservorio: '30' }).stiffness, 0);
+});
+
+test('valuesFromModel: no contractile phase in atrial fibrillation', () => {
+    const data = laModule.valuesFromModel({
+        ritmo: 'fa', ai_strain_reservorio: '14', ai_strain_contractil: '5', ai_vol_max: '90', ai_vol_min: '70', ai_vol_pre_a: '80'
+    });
+    assert.strictEqual(data.atrialFibrillation, true);
+    assert.strictEqual(data.contractile, 0);
+    assert.strictEqual(data.activeEF, 0);
+    assert.strictEqual(data.passiveEF, 0);
+    assertClose(assert, data.totalEF, 22.22);
+});
+
+test('determineSeverity: normal ranges and elevated pressure hint', () => {
+    assert.strictEqual(laModule.determineSeverity(laModule.valuesFromModel({})).level, 'No medida');
+
+    const normal = laModule.determineSeverity(laModule.valuesFromModel({ ai_strain_reservorio: '38', ai_strain_conducto: '20', ai_strain_contractil: '16' }, 7));
+    assert.strictEqual(normal.level, 'Conservada');
+    assert.strictEqual(normal.elevatedPressure, false);
+
+    const reduced = laModule.determineSeverity(laModule.valuesFromModel({ ai_strain_reservorio: '22', ai_strain_conducto: '14' }));
+    assert.strictEqual(reduced.level, 'Reducida');
+    assert.deepStrictEqual(reduced.abnormal, ['reservoir']);
+    assert.strictEqual(reduced.elevatedPressure, false);
+
+    const elevated = laModule.determineSeverity(laModule.valuesFromModel({ ai_strain_reservorio: '15' }, 15));
+    assert.deepStrictEqual(elevated.abnormal, ['reservoir', 'stiffness']);
+    assert.strictEqual(elevated.elevatedPressure, true);
+});
+
+test('generateFindings / generateConclusion', () => {
+    const normal = laModule.valuesFromModel({ ai_strain_reservorio: '38', ai_vol_max: '50', ai_vol_min: '20' });
+    assert.strictEqual(laModule.generateFindings(normal), 'Función auricular izquierda conservada (strain de reservorio 38%, fracción de vaciado total 60%).');
+    assert.strictEqual(laModule.generateConclusion(normal), '');
+
+    const reduced = laModule.valuesFromModel({ ai_strain_reservorio: '15' }, 15);
+    assert.strictEqual(laModule.generateConclusion(reduced),
+        'Disfunción auricular izquierda (strain de reservorio 15%, índice de rigidez AI 1.00), sugestiva de presiones de llenado VI elevadas.');
+
+    assert.strictEqual(laModule.generateFindings(laModule.valuesFromModel({})), '');
+});
@@ -0,0 +1,214 @@
+/**
+ * MiniCalculators - reference cases (ASE/EACVI valvular stenosis 2017, valvular regurgitation 2017)
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MiniCalculators, assertClose } = require('./helpers');
+
+const miniCalc = new MiniCalculators();
+
+test('calculateContinuity: AVA = CSA(LVOT) × VTI(LVOT) / VTI(AV)', () => {
+    // LVOT 2.0 cm → CSA 3.14 cm²; 3.14 × 22 / 100 = 0.69 cm²
+    const result = miniCalc.calculateContinuity(20, 22, 100, 1.8);
+    assert.strictEqual(result.areaTSVI, '3.14');
+    assert.strictEqual(result.ava, '0.69');
+    assert.strictEqual(result.avaIndex, '0.38');
+    assert.strictEqual(result.coef, '0.22');
+});
+
+test('calculateContinuity: without LVOT diameter only the velocity ratio is returned', () => {
+    const result = miniCalc.calculateContinuity(0, 20, 80, 1.8);
+    assert.deepStrictEqual(result, { coef: '0.25' });
+});
+
+test('calculateContinuity: requires both VTIs', () => {
+    assert.strictEqual(miniCalc.calculateContinuity(20, 22, 0, 1.8), null);
+    assert.strictEqual(miniCalc.calculateContinuity(20, undefined, 100, 1.8), null);
+});
+
+test('calculateStrokeVolume: SV = CSA(LVOT) × VTI, CO = SV × HR', () => {
+    // LVOT 2.0 cm → 3.14 cm² × 22 cm = 69 ml; × 70 lpm = 4.8 l/min
+    const result = miniCalc.calculateStrokeVolume(20, 22, 70, 1.8);
+    assert.strictEqual(result.sv, '69');
+    assert.strictEqual(result.svi, '38');
+    assert.strictEqual(result.co, '4.8');
+    assert.strictEqual(result.ci, '2.7');
+    assert.strictEqual(result.lowFlow, false);
+});
+
+test('calculateStrokeVolume: low flow when SVi < 35 ml/m²', () => {
+    // 3.14 cm² × 18 cm = 56.5 ml → 31.4 ml/m²
+    const result = miniCalc.calculateStrokeVolume(20, 18, 0, 1.8);
+    assert.strictEqual(result.svi, '31');
+    assert.strictEqual(result.lowFlow, true);
+    assert.strictEqual(result.co, undefined);
+
+    // Without BSA flow status is not classified
+    assert.strictEqual(miniCalc.calculateStrokeVolume(20, 18, 70, 0).lowFlow, null);
+    assert.strictEqual(miniCalc.calculateStrokeVolume(0, 18, 70, 1.8), null);
+});
+
+test('calculatePISA: EROA = 2πr² × Va / Vmax, RVol = EROA × VTI', () => {
+    // r 1.0 cm, Va 40 cm/s → flow 251.3 ml/s; EROA 251.3 / 500 = 0.50 cm²; RVol 0.50 × 150 = 75 ml
+    const result = miniCalc.calculatePISA(10, 40, 5, 150);
+    assert.strictEqual(result.flow, '251.3');
+    assert.strictEqual(result.ore, '0.50');
+    assert.strictEqual(result.vr, '75');
+});
+
+test('calculatePISA: mild regurgitation example', () => {
+    // r 0.5 cm, Va 30 cm/s, Vmax 5 m/s, VTI 140 cm → EROA 0.09 cm², RVol 13 ml
+    const result = miniCalc.calculatePISA(5, 30, 5, 140);
+    assert.strictEqual(result.ore, '0.09');
+    assert.strictEqual(result.vr, '13');
+});
+
+test('calculatePISA: requires every input', () => {
+    assert.strictEqual(miniCalc.calculatePISA(10, 40, 5, 0), null);
+});
+
+test('calculateTeichholz: V = 7 / (2.4 + D) × D³', () => {
+    // DDVI 50 mm → 118.2 ml; DSVI 32 mm → 41.0 ml; FEy 65%
+    const result = miniCalc.calculateTeichholz(50, 32, 1.81, 'M');
+    assert.strictEqual(result.edv, '118');
+    assert.strictEqual(result.esv, '41');
+    assert.strictEqual(result.ef, '65');
+    assert.strictEqual(result.edvi, '65');
+    assert.strictEqual(result.dilated, false);
+
+    assert.strictEqual(miniCalc.calculateTeichholz(50, 0, 1.81, 'M'), null);
+    assert.strictEqual(miniCalc.calculateTeichholz(40, 45, 1.81, 'M'), null);
+});
+
+test('calculateBiplaneVolumes: method of discs, π/4 × Σ(a × b) × L/20', () => {
+    // Equal diameters make a cylinder: π/4 × 5.0² × 8 = 157.1 ml; π/4 × 3.5² × 7 = 67.3 ml
+    const discs = mm => Array(20).fill(mm);
+    const result = miniCalc.calculateBiplaneVolumes(discs(50), discs(50), 8, discs(35), discs(35), 7, 1.8, 'M');
+    assert.strictEqual(result.edv, '157');
+    assert.strictEqual(result.esv, '67');
+    assert.strictEqual(result.ef, '57');
+    assert.strictEqual(result.edvi, '87');
+    assert.strictEqual(result.dilated, true);
+
+    // Each disc multiplies its own 4C and 2C diameters
+    const tapered = Array.from({ length: 20 }, (_, i) => 60 - i * 2);
+    assertClose(assert, miniCalc.discSummationVolume(tapered, discs(40), 9), Math.PI / 4 * tapered.reduce((a, d) => a + d / 10 * 4, 0) * 9 / 20);
+
+    // All 20 diameters of both views are required
+    assert.strictEqual(miniCalc.calculateBiplaneVolumes(discs(50).slice(1), discs(50), 8, discs(35), discs(35), 7, 1.8, 'M'), null);
+    assert.strictEqual(miniCalc.calculateBiplaneVolumes(discs(50), discs(50), 8, discs(35), discs(35), 0, 1.8, 'M'), null);
+});
+
+test('parseDiscDiameters: space, comma or semicolon separated', () => {
+    assert.deepStrictEqual(miniCalc.parseDiscDiameters('45, 46;47  48.5'), [45, 46, 47, 48.5]);
+    assert.deepStrictEqual(miniCalc.parseDiscDiameters(''), []);
+    assert.deepStrictEqual(miniCalc.parseDiscDiameters(undefined), []);
+});
+
+test('calculateAreaLengthVolumes: 8 / (3π) × A4C × A2C / L', () => {
+    // Diastole 35 × 33 / 8.5 → 115.3 ml; systole 20 × 19 / 7.0 → 46.1 ml
+    const result = miniCalc.calculateAreaLengthVolumes(35, 33, 8.5, 20, 19, 7.0, 1.8, 'M');
+    assert.strictEqual(result.edv, '115');
+    assert.strictEqual(result.esv, '46');
+    assert.strictEqual(result.ef, '60');
+    assert.strictEqual(result.edvi, '64');
+    assert.strictEqual(result.esvi, '26');
+    assert.strictEqual(result.dilated, false);
+
+    assert.strictEqual(miniCalc.calculateAreaLengthVolumes(35, 33, 8.5, 20, 19, 0, 1.8, 'M'), null);
+});
+
+test('LV volumes: sex-specific dilation limits (EDVi 74/61, ESVi 31/24 ml/m²)', () => {
+    // EDVi 64, ESVi 26 ml/m²: normal in men, ESVi dilated in women
+    assert.strictEqual(miniCalc.calculateAreaLengthVolumes(35, 33, 8.5, 20, 19, 7.0, 1.8, 'F').dilated, true);
+    // Without BSA the volumes are not indexed
+    const unindexed = miniCalc.calculateTeichholz(50, 32, 0, 'M');
+    assert.strictEqual(unindexed.edvi, undefined);
+    assert.strictEqual(unindexed.dilated, false);
+});
+
+test('calculateMVAPHT: MVA = 220 / PHT', () => {
+    assert.strictEqual(miniCalc.calculateMVAPHT(220).mva, '1.00');
+    assert.strictEqual(miniCalc.calculateMVAPHT(180).mva, '1.22');
+    assert.strictEqual(miniCalc.calculateMVAPHT(0), null);
+});
+
+test('calculateMVAContinuity: MVA = CSA(LVOT) × VTI(LVOT) / VTI(mitral)', () => {
+    // 3.14 cm² × 20 cm / 60 cm = 1.05 cm²
+    assert.strictEqual(miniCalc.calculateMVAContinuity(20, 20, 60).mva, '1.05');
+    assert.strictEqual(miniCalc.calculateMVAContinuity(20, 20, 0), null);
+});
+
+test('calculateMVAPISA: 2πr² × Va / Vmax × α/180', () => {
+    // r 1.0 cm, Va 30 cm/s, α 120° → flow 125.7 ml/s; / 150 cm/s = 0.84 cm²
+    const result = miniCalc.calculateMVAPISA(10, 30, 1.5, 120);
+    assert.strictEqual(result.flow, '125.7');
+    assert.strictEqual(result.mva, '0.84');
+    assert.strictEqual(miniCalc.calculateMVAPISA(10, 30, 1.5, 180), null);
+    assert.strictEqual(miniCalc.calculateMVAPISA(10, 30, 1.5, 0), null);
+});
+
+test('calculateWilkinsScore: sum of four items and commissurotomy suitability', () => {
+    const favorable = miniCalc.calculateWilkinsScore(2, 2, 1, 2);
+    assert.strictEqual(favorable.score, 7);
+    assert.strictEqual(favorable.suitability, 'favorable');
+    assert.strictEqual(miniCalc.calculateWilkinsScore(2, 3, 2, 2).score, 9);
+    assert.strictEqual(miniCalc.calculateWilkinsScore(2, 3, 2, 2).suitability, 'intermedia');
+    assert.strictEqual(miniCalc.calculateWilkinsScore(3, 3, 3, 3).suitability, 'desfavorable');
+    assert.strictEqual(miniCalc.calculateWilkinsScore(2, 2, NaN, 2), null);
+    assert.strictEqual(miniCalc.calculateWilkinsScore(2, 2, 5, 2), null);
+});
+
+test('calculateAorticZScore: expected 15.2 × √BSA + 4.3 mm (SD 2.5)', () => {
+    // BSA 1.96 → expected 25.58 mm
+    const normal = miniCalc.calculateAorticZScore(27, 1.96);
+    assert.strictEqual(normal.expected, '25.6');
+    assert.strictEqual(normal.zScore, '0.57');
+    assert.strictEqual(normal.interpretation, 'Normal');
+
+    assert.strictEqual(miniCalc.calculateAorticZScore(31, 1.96).interpretation, 'Levemente dilatada');
+    assert.strictEqual(miniCalc.calculateAorticZScore(34, 1.96).interpretation, 'Moderadamente dilatada');
+    assert.strictEqual(miniCalc.calculateAorticZScore(36, 1.96).interpretation, 'Severamente dilatada');
+    assert.strictEqual(miniCalc.calculateAorticZScore(30, 0), null);
+});
+
+test('calculateLanusAI: 0.85 × A² / L indexed to BSA', () => {
+    // 0.85 × 20² / 5.0 cm = 68 ml; 68 / 1.81 = 37.6 ml/m²
+    const result = miniCalc.calculateLanusAI(20, 50, 1.81);
+    assert.strictEqual(result.volumen, '68.0');
+    assert.strictEqual(result.volumeIndexed, '37.6');
+    assert.strictEqual(result.classification, 'Dilatación Leve');
+});
+
+test('calculateLanusAI: classification bands', () => {
+    // 0.85 × 16² / 5.0 = 43.5 ml → 24.2 ml/m²
+    assert.strictEqual(miniCalc.calculateLanusAI(16, 50, 1.8).classification, 'Normal');
+    // 0.85 × 24² / 5.0 = 97.9 ml → 54.4 ml/m²
+    assert.strictEqual(miniCalc.calculateLanusAI(24, 50, 1.8).classification, 'Dilatación Severa');
+    // 0.85 × 22² / 5.2 = 79.1 ml → 43.9 ml/m²
+    assert.strictEqual(miniCalc.calculateLanusAI(22, 52, 1.8).classification, 'Dilatación Moderada');
+    assert.strictEqual(miniCalc.calculateLanusAI(20, 0, 1.8), null);
+});
+
+test('calculateBiplaneAreaLengthAI: 0.85 × A4C × A2C / L indexed to BSA', () => {
+    // 0.85 × 20 × 18 / 5.0 cm = 61.2 ml; 61.2 / 1.8 = 34.0 ml/m²
+    const result = miniCalc.calculateBiplaneAreaLengthAI(20, 18, 50, 1.8);
+    assert.strictEqual(result.volumen, '61.2');
+    assert.strictEqual(result.volumeIndexed, '34.0');
+    assert.strictEqual(result.classification, 'Normal');
+    assert.strictEqual(miniCalc.calculateBiplaneAreaLengthAI(20, 0, 50, 1.8), null);
+});
+
+test('calculateDiscsAI / classifyLAVolumeIndex: same bands for every method', () => {
+    assert.strictEqual(miniCalc.calculateDiscsAI(72, 1.8).volumeIndexed, '40.0');
+    assert.strictEqual(miniCalc.calculateDiscsAI(72, 1.8).classification, 'Dilatación Leve');
+    assert.strictEqual(miniCalc.calculateDiscsAI(0, 1.8), null);
+
+    assert.strictEqual(miniCalc.classifyLAVolumeIndex(34), 'Normal');
+    assert.strictEqual(miniCalc.classifyLAVolumeIndex(34.1), 'Dilatación Leve');
+    assert.strictEqual(miniCalc.classifyLAVolumeIndex(41), 'Dilatación Leve');
+    assert.strictEqual(miniCalc.classifyLAVolumeIndex(48), 'Dilatación Moderada');
+    assert.strictEqual(miniCalc.classifyLAVolumeIndex(48.1), 'Dilatación Severa');
+});
@@ -0,0 +1,104 @@
+/**
+ * MitralRegurgitationModule.determineSeverity - reference cases (ASE valvular regurgitation 2017, ESC/EACTS 2021)
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MitralRegurgitationModule } = require('./helpers');
+
+const mrModule = new MitralRegurgitationModule();
+
+const values = (data) => ({
+    etiology: 'primaria', vc: 0, eroa: 0, rvol: 0, rf: 0, jetArea: 0, pvFlow: '',
+    eWave: 0, aWave: 0, laVolIndex: 0, lvedd: 0, sex: 'M', ...data
+});
+
+test('determineSeverity: no data', () => {
+    // Mitral inflow and chamber size alone do not grade regurgitation
+    assert.strictEqual(mrModule.determineSeverity(values({ eWave: 130, aWave: 60 })).level, 'No evaluada');
+    assert.strictEqual(mrModule.generateConclusion(values()), '');
+});
+
+test('determineSeverity: primary MR, two severe quantitative criteria → severe', () => {
+    // VC ≥ 7 mm, EROA ≥ 0.40 cm²
+    const result = mrModule.determineSeverity(values({ vc: 7.5, eroa: 0.45 }));
+    assert.strictEqual(result.level, 'Severa');
+    assert.strictEqual(result.class, 'badge-severe');
+});
+
+test('determineSeverity: one severe criterion needs a supportive sign', () => {
+    assert.strictEqual(mrModule.determineSeverity(values({ vc: 7.5, eroa: 0.30 })).level, 'Moderada');
+    assert.strictEqual(mrModule.determineSeverity(values({ vc: 7.5, eroa: 0.30, pvFlow: 'reverso' })).level, 'Severa');
+    // E > 1.2 m/s supports severe MR
+    assert.strictEqual(mrModule.determineSeverity(values({ rvol: 65, eWave: 130, aWave: 70 })).level, 'Severa');
+    // A mild quantitative criterion blocks the single-criterion route
+    assert.strictEqual(mrModule.determineSeverity(values({ vc: 7.5, eroa: 0.15, pvFlow: 'reverso' })).level, 'Moderada');
+});
+
+test('determineSeverity: primary MR with dilated LA and LV supports severe', () => {
+    const data = values({ rf: 55, laVolIndex: 48, lvedd: 62 });
+    assert.strictEqual(mrModule.determineSeverity(data).level, 'Severa');
+    assert.strictEqual(mrModule.determineSeverity({ ...data, lvedd: 52, laVolIndex: 30 }).level, 'Moderada');
+});
+
+test('determineSeverity: secondary MR uses the guideline EROA / RVol cutoffs (0.40 cm², 60 ml)', () => {
+    // EROA 0.25 cm², RVol 40 ml: moderate for both etiologies (former 0.20 / 30 secondary cutoffs withdrawn)
+    assert.strictEqual(mrModule.determineSeverity(values({ etiology: 'secundaria', eroa: 0.25, rvol: 40 })).level, 'Moderada');
+    assert.strictEqual(mrModule.determineSeverity(values({ eroa: 0.25, rvol: 40 })).level, 'Moderada');
+    // Boundaries: severe from 0.40 cm² / 60 ml, mild below 0.20 cm² / 30 ml
+    assert.strictEqual(mrModule.determineSeverity(values({ etiology: 'secundaria', eroa: 0.40, rvol: 60 })).level, 'Severa');
+    assert.strictEqual(mrModule.determineSeverity(values({ etiology: 'secundaria', eroa: 0.39, rvol: 59 })).level, 'Moderada');
+    assert.strictEqual(mrModule.determineSeverity(values({ etiology: 'secundaria', eroa: 0.20, rvol: 30 })).level, 'Moderada');
+    assert.strictEqual(mrModule.determineSeverity(values({ etiology: 'secundaria', eroa: 0.19, rvol: 29 })).level, 'Leve');
+    // Chamber size is not used for secondary MR
+    assert.strictEqual(mrModule.determineSeverity(values({ etiology: 'secundaria', eroa: 0.45, rvol: 50, laVolIndex: 48, lvedd: 65 })).level, 'Moderada');
+    assert.strictEqual(mrModule.determineSeverity(values({ eroa: 0.45, rvol: 50, laVolIndex: 48, lvedd: 65 })).level, 'Severa');
+});
+
+test('classifyCriteria: quantitative cutoffs are shared, etiology only drops the chamber-size sign', () => {
+    const data = values({ vc: 5, eroa: 0.35, rvol: 65, rf: 25, laVolIndex: 48, lvedd: 65 });
+    const primary = mrModule.classifyCriteria(data);
+    const secondary = mrModule.classifyCriteria({ ...data, etiology: 'secundaria' });
+
+    assert.deepStrictEqual(primary.quantitative, ['intermediate', 'intermediate', 'severe', 'mild']);
+    assert.deepStrictEqual(secondary.quantitative, primary.quantitative);
+    assert.deepStrictEqual(primary.supportive, ['severe']);
+    assert.deepStrictEqual(secondary.supportive, []);
+
+    // EROA 0.30-0.39 cm² in secondary MR is noted (elliptical orifice), not graded severe
+    assert.strictEqual(mrModule.determineSeverity(values({ etiology: 'secundaria', vc: 7, eroa: 0.35 })).level, 'Moderada');
+});
+
+test('determineSeverity: mild when every quantitative criterion is mild', () => {
+    const result = mrModule.determineSeverity(values({ vc: 2.5, eroa: 0.10, rvol: 20, pvFlow: 'normal' }));
+    assert.strictEqual(result.level, 'Leve');
+    // A severe supportive sign moves it to moderate
+    assert.strictEqual(mrModule.determineSeverity(values({ vc: 2.5, jetArea: 12 })).level, 'Moderada');
+});
+
+test('determineSeverity: supportive signs only', () => {
+    assert.strictEqual(mrModule.determineSeverity(values({ jetArea: 3, pvFlow: 'normal' })).level, 'Leve');
+    assert.strictEqual(mrModule.determineSeverity(values({ jetArea: 12, pvFlow: 'reverso', eWave: 130, aWave: 60 })).level, 'Severa');
+    assert.strictEqual(mrModule.determineSeverity(values({ jetArea: 6 })).level, 'Moderada');
+});
+
+test('generateFindings / generateConclusion', () => {
+    const data = values({ etiology: 'secundaria', vc: 7, eroa: 0.42, rvol: 63, pvFlow: 'embotado' });
+    assert.strictEqual(mrModule.generateFindings(data),
+        'Insuficiencia mitral secundaria (funcional). Parámetros cuantitativos: vena contracta 7 mm, ORE 0.42 cm², vol. regurgitante 63 ml. Flujo venoso pulmonar con onda sistólica embotada.');
+    assert.strictEqual(mrModule.generateConclusion(data), 'Insuficiencia Mitral Severa secundaria (funcional).');
+});
+
+test('generateFindings: elliptical orifice note for secondary MR with EROA 0.30-0.39 cm²', () => {
+    const note = /ORE ≥ 0\.30 cm²: puede corresponder a insuficiencia severa si el orificio regurgitante es elíptico\./;
+    assert.match(mrModule.generateFindings(values({ etiology: 'secundaria', eroa: 0.30 })), note);
+    assert.doesNotMatch(mrModule.generateFindings(values({ etiology: 'secundaria', eroa: 0.29 })), note);
+    assert.doesNotMatch(mrModule.generateFindings(values({ etiology: 'secundaria', eroa: 0.40 })), note);
+    assert.doesNotMatch(mrModule.generateFindings(values({ eroa: 0.35 })), note);
+});
+
+test('valuesFromModel: parses form fields like getValues()', () => {
+    const data = mrModule.valuesFromModel({ im_etiologia: 'secundaria', im_ore: '0.3', im_fr: '', onda_e: '90', sexo: 'F' });
+    assert.deepStrictEqual(data, values({ etiology: 'secundaria', eroa: 0.3, eWave: 90, sex: 'F' }));
+});
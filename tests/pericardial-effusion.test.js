@@ -0,0 +1,64 @@
+/**
+ * PericardialEffusionModule - effusion size (ESC 2015) and echocardiographic tamponade signs
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PericardialEffusionModule } = require('./helpers');
+
+const periModule = new PericardialEffusionModule();
+
+const values = (data) => ({
+    present: true, separations: {}, distribution: 'circunferencial', content: 'anecoico',
+    raCollapse: false, rvCollapse: false, ivcPlethora: false, mitralVariation: 0, tricuspidVariation: 0, ...data
+});
+
+test('determineSeverity: no effusion, or effusion without measurement', () => {
+    const none = periModule.determineSeverity(values({ present: false }));
+    assert.strictEqual(none.level, 'Sin derrame');
+    assert.strictEqual(none.grade, -1);
+    assert.strictEqual(periModule.generateFindings(values({ present: false })), '');
+    assert.strictEqual(periModule.generateConclusion(values({ present: false })), '');
+
+    assert.strictEqual(periModule.determineSeverity(values()).level, 'No medido');
+});
+
+test('determineSeverity: size from the largest end-diastolic separation', () => {
+    assert.strictEqual(periModule.determineSeverity(values({ separations: { posterior: 6 } })).level, 'Leve');
+    assert.strictEqual(periModule.determineSeverity(values({ separations: { posterior: 10 } })).level, 'Moderado');
+    assert.strictEqual(periModule.determineSeverity(values({ separations: { posterior: 20 } })).level, 'Moderado');
+    // The worst wall wins
+    assert.strictEqual(periModule.determineSeverity(values({ separations: { anterior: 8, apical: 24 } })).level, 'Severo');
+});
+
+test('determineSeverity: tamponade signs, respiratory variation only above its threshold', () => {
+    assert.strictEqual(periModule.determineSeverity(values({ mitralVariation: 20, tricuspidVariation: 35 })).tamponade, false);
+
+    const severity = periModule.determineSeverity(values({ rvCollapse: true, mitralVariation: 30 }));
+    assert.strictEqual(severity.tamponade, true);
+    assert.deepStrictEqual(severity.signs, ['colapso diastólico del VD', 'variación respiratoria del flujo mitral 30%']);
+});
+
+test('valuesFromModel and report text', () => {
+    const fields = {
+        peri_derrame: 'si', peri_sep_posterior: '14', peri_sep_lateral: '9', peri_sep_anterior: '',
+        peri_distribucion: 'circunferencial', peri_contenido: 'fibrina', peri_colapso_ad: true
+    };
+    const data = periModule.valuesFromModel(fields);
+    assert.deepStrictEqual(data.separations, { posterior: 14, lateral: 9 });
+    assert.strictEqual(
+        periModule.generateFindings(data),
+        'Derrame pericárdico circunferencial moderado (separación diastólica máxima 14 mm: posterior 14 mm, lateral 9 mm), con ecos y bandas de fibrina. Signos ecocardiográficos de compromiso hemodinámico: colapso sistólico de la AD.'
+    );
+    assert.strictEqual(
+        periModule.generateConclusion(data),
+        'Derrame pericárdico moderado circunferencial con signos ecocardiográficos de taponamiento cardíaco (correlacionar con la clínica).'
+    );
+});
+
+test('generateConclusion: loculated effusion without measurement', () => {
+    const data = values({ distribution: 'loculado' });
+    assert.strictEqual(periModule.generateConclusion(data), 'Derrame pericárdico loculado sin compromiso hemodinámico.');
+    assert.strictEqual(periModule.generateFindings(data), 'Derrame pericárdico loculado, de aspecto anecoico. Sin signos ecocardiográficos de compromiso hemodinámico.');
+});
@@ -0,0 +1,85 @@
+/**
+ * ProstheticValveModule - prosthesis function (ASE 2009), patient-prosthesis mismatch (VARC-3)
+ * and the bundled reference EOA table
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ProstheticValveModule, createProstheticValveModule, assertClose } = require('./helpers');
+
+const pvModule = createProstheticValveModule();
+
+// 70 kg / 170 cm (BSA 1.81 m², BMI 24), LVOT 20 mm with VTI 20 cm
+const context = { bsa: 1.81, bmi: 24.2, lvotDiam: 20, lvotVti: 20 };
+const aortic = (fields) => pvModule.valuesFromModel({ pao_tipo: 'mecanica', ...fields }, 'aortica', context);
+const mitral = (fields) => pvModule.valuesFromModel({ pmi_tipo: 'biologica', ...fields }, 'mitral', context);
+
+test('loadReferenceTable: bundled table and invalid files', () => {
+    assert.ok(pvModule.getModels('aortica', 'mecanica').some(model => model.id === 'sjm_regent'));
+    assert.deepStrictEqual(pvModule.getSizes('sjm_regent', 'aortica'), [19, 21, 23, 25, 27]);
+    assert.strictEqual(pvModule.getReferenceEOA('sjm_regent', 'aortica', 21), 1.8);
+    // Models without a mitral entry are not offered for the mitral position
+    assert.ok(!pvModule.getModels('mitral', 'mecanica').some(model => model.id === 'sjm_regent'));
+
+    const empty = new ProstheticValveModule();
+    assert.throws(() => empty.loadReferenceTable({ models: [] }), /tabla de EOA/);
+    assert.throws(() => empty.loadReferenceTable({ format: 'ecodoppler-prosthesis-eoa', models: [{ id: 'x' }] }), /modelos válidos/);
+});
+
+test('valuesFromModel: EOA by continuity, DVI and AT/ET', () => {
+    const data = aortic({ pao_vti: '50', pao_ta: '70', pao_te: '300' });
+    // EOA = π × 1² × 20 / 50
+    assertClose(assert, data.eoa, 1.26);
+    assertClose(assert, data.eoai, 0.69);
+    assertClose(assert, data.dvi, 0.40);
+    assertClose(assert, data.atEt, 0.23);
+
+    // Mitral DVI is prosthesis VTI / LVOT VTI
+    assertClose(assert, mitral({ pmi_vti: '50' }).dvi, 2.5);
+});
+
+test('determineSeverity: aortic prosthesis function', () => {
+    assert.strictEqual(pvModule.determineSeverity(aortic({})).level, 'No evaluada');
+    assert.strictEqual(pvModule.determineSeverity(aortic({ pao_vmax: '2.4', pao_grad_medio: '12', pao_vti: '40' })).level, 'Normofuncionante');
+    // One abnormal criterion is only possible stenosis
+    assert.strictEqual(pvModule.determineSeverity(aortic({ pao_vmax: '4.3', pao_vti: '40' })).level, 'Posible estenosis');
+    const severe = pvModule.determineSeverity(aortic({ pao_vmax: '4.3', pao_grad_medio: '40', pao_vti: '95' }));
+    assert.strictEqual(severe.level, 'Estenosis significativa');
+    assert.strictEqual(severe.class, 'badge-severe');
+});
+
+test('determineSeverity: mitral prosthesis function', () => {
+    assert.strictEqual(pvModule.determineSeverity(mitral({ pmi_vmax: '1.6', pmi_grad_medio: '4', pmi_pht: '100' })).level, 'Normofuncionante');
+    assert.strictEqual(pvModule.determineSeverity(mitral({ pmi_grad_medio: '12', pmi_pht: '220' })).level, 'Estenosis significativa');
+});
+
+test('mismatch: measured EOAi first, projected EOAi from the reference table otherwise', () => {
+    // Measured EOAi 0.69 cm²/m²: moderate (non-obese)
+    const measured = pvModule.determineSeverity(aortic({ pao_vti: '50' })).ppm;
+    assert.strictEqual(measured.level, 'Moderado');
+    assert.strictEqual(measured.basis, 'medida');
+    // Obese patients use lower thresholds: EOAi 0.77 cm²/m²
+    const fields = { pao_tipo: 'mecanica', pao_vti: '45' };
+    assert.strictEqual(pvModule.mismatch(pvModule.valuesFromModel(fields, 'aortica', context)).level, 'Moderado');
+    assert.strictEqual(pvModule.mismatch(pvModule.valuesFromModel(fields, 'aortica', { ...context, bmi: 32 })).level, 'Ausente');
+
+    // Projected: Hancock II 21 mm (1.2 cm²) in 1.81 m² → 0.66 cm²/m²
+    const projected = pvModule.mismatch(aortic({ pao_tipo: 'biologica', pao_modelo: 'hancock_ii', pao_tamano: '21' }));
+    assert.strictEqual(projected.level, 'Moderado');
+    assert.strictEqual(projected.basis, 'referencia');
+    // Mitral: ≤ 0.9 cm²/m² is severe
+    assert.strictEqual(pvModule.mismatch(mitral({ pmi_vti: '80' })).level, 'Severo');
+});
+
+test('generateFindings / generateConclusion: high gradient with normal DVI and leak grading', () => {
+    const data = aortic({ pao_modelo: 'sjm_regent', pao_tamano: '21', pao_vmax: '3.2', pao_grad_medio: '22', pao_vti: '50', pao_ta: '70', pao_fuga_extension: '15' });
+    const findings = pvModule.generateFindings(data);
+    assert.match(findings, /^Prótesis aórtica mecánica St\. Jude Medical Regent 21 mm\. Parámetros: Vmax 3\.2 m\/s, gradiente medio 22 mmHg, EOA por continuidad 1\.26 cm² \(EOAi 0\.69 cm²\/m²\), DVI 0\.40, TA 70 ms\./);
+    assert.match(findings, /EOA de referencia del modelo 1\.80 cm² \(EOAi proyectada 0\.99 cm²\/m²\)\./);
+    assert.match(findings, /sugiere mismatch paciente-prótesis o estado de alto flujo/);
+    assert.strictEqual(
+        pvModule.generateConclusion(data),
+        'Prótesis aórtica mecánica St. Jude Medical Regent 21 mm con posible estenosis (disfunción obstructiva a confirmar) y fuga paravalvular moderada. Mismatch paciente-prótesis moderado (EOAi medida 0.69 cm²/m²).'
+    );
+});
@@ -0,0 +1,60 @@
+/**
+ * PulmonaryValveModule - stenosis (ASE/EAE 2009) and regurgitation (ASE 2017) grading
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PulmonaryValveModule } = require('./helpers');
+
+const pvModule = new PulmonaryValveModule();
+
+const values = (data) => ({
+    vmax: 0, peakGradient: 0, jetWidth: 0, rvot: 0, jetRatio: 0, pht: 0, branchReversal: false, ...data
+});
+
+test('determineSeverity: no data', () => {
+    const severity = pvModule.determineSeverity(values());
+    assert.strictEqual(severity.stenosis.level, 'No evaluada');
+    assert.strictEqual(severity.regurgitation.level, 'No evaluada');
+    assert.strictEqual(pvModule.generateFindings(values()), '');
+    assert.strictEqual(pvModule.generateConclusion(values()), '');
+});
+
+test('determineSeverity: stenosis from peak velocity or peak gradient', () => {
+    assert.strictEqual(pvModule.determineSeverity(values({ vmax: 2.5 })).stenosis.level, 'Leve');
+    assert.strictEqual(pvModule.determineSeverity(values({ vmax: 3.5 })).stenosis.level, 'Moderada');
+    assert.strictEqual(pvModule.determineSeverity(values({ vmax: 4.2 })).stenosis.level, 'Severa');
+    // The worse of both parameters wins
+    assert.strictEqual(pvModule.determineSeverity(values({ vmax: 3.8, peakGradient: 70 })).stenosis.level, 'Severa');
+    assert.strictEqual(pvModule.determineSeverity(values({ peakGradient: 40 })).stenosis.level, 'Moderada');
+});
+
+test('determineSeverity: regurgitation from jet/RVOT ratio, PHT and branch reversal', () => {
+    assert.strictEqual(pvModule.determineSeverity(values({ jetRatio: 0.2 })).regurgitation.level, 'Leve');
+    assert.strictEqual(pvModule.determineSeverity(values({ jetRatio: 0.5 })).regurgitation.level, 'Moderada');
+    assert.strictEqual(pvModule.determineSeverity(values({ jetRatio: 0.75 })).regurgitation.level, 'Severa');
+    // Branch diastolic reversal is specific for severe PR, a short PHT alone is not
+    assert.strictEqual(pvModule.determineSeverity(values({ jetRatio: 0.5, branchReversal: true })).regurgitation.level, 'Severa');
+    assert.strictEqual(pvModule.determineSeverity(values({ pht: 80 })).regurgitation.level, 'Moderada');
+    assert.strictEqual(pvModule.determineSeverity(values({ jetRatio: 0.2, pht: 80 })).regurgitation.level, 'Moderada');
+    assert.strictEqual(pvModule.determineSeverity(values({ pht: 250 })).regurgitation.level, 'Leve');
+});
+
+test('valuesFromModel: only selected lesions are read, ratio from jet width and RVOT', () => {
+    const fields = { ep_vmax: '3.5', ip_ancho_jet: '18', ip_tsvd: '24', ip_reverso_ramas: true };
+    const data = pvModule.valuesFromModel(fields, { stenosis: false, regurgitation: true });
+    assert.strictEqual(data.vmax, 0);
+    assert.strictEqual(data.jetRatio, 0.75);
+    assert.strictEqual(data.branchReversal, true);
+    assert.strictEqual(
+        pvModule.generateFindings(data),
+        'Parámetros de insuficiencia pulmonar: relación ancho del jet/TSVD 0.75 (jet 18 mm, TSVD 24 mm). Flujo diastólico reverso en ramas pulmonares.'
+    );
+});
+
+test('generateConclusion: quantified grade, or the selected grade when not measured', () => {
+    assert.strictEqual(pvModule.generateConclusion(values({ vmax: 4.5, jetRatio: 0.5 })), 'Estenosis Pulmonar Severa e Insuficiencia Pulmonar Moderada');
+    assert.strictEqual(pvModule.generateConclusion(values({ vmax: 3.2 }), { stenosis: 'moderada', regurgitation: 'leve' }), 'Estenosis Pulmonar Moderada e Insuficiencia Pulmonar Leve');
+    assert.strictEqual(pvModule.generateConclusion(values(), { stenosis: 'no', regurgitation: 'no' }), '');
+});
@@ -0,0 +1,52 @@
+/**
+ * RVFunctionModule - RV systolic function, dimensions (ASE/EACVI 2015) and TAPSE/PSAP coupling
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { RVFunctionModule, assertClose } = require('./helpers');
+
+const rvModule = new RVFunctionModule();
+
+test('valuesFromModel: FAC from areas, strain as absolute value, TAPSE/PSAP from the engine PSAP', () => {
+    const data = rvModule.valuesFromModel({ tapse: '18', vd_area_diast: '20', vd_area_sist: '12', vd_strain: '-24' }, 40);
+    assertClose(assert, data.fac, 40);
+    assert.strictEqual(data.strain, 24);
+    assertClose(assert, data.tapsePsap, 0.45);
+    assert.strictEqual(data.rimpMethod, 'tdi');
+
+    // Systolic area not smaller than diastolic: no FAC
+    assert.strictEqual(rvModule.valuesFromModel({ vd_area_diast: '12', vd_area_sist: '14' }).fac, 0);
+});
+
+test('determineSeverity: any abnormal parameter reduces RV function', () => {
+    assert.strictEqual(rvModule.determineSeverity(rvModule.valuesFromModel({})).level, 'No medida');
+    assert.strictEqual(rvModule.determineSeverity(rvModule.valuesFromModel({ tapse: '20', s_prima_vd: '11' })).level, 'Conservada');
+    assert.strictEqual(rvModule.determineSeverity(rvModule.valuesFromModel({ tapse: '20', s_prima_vd: '9' })).level, 'Deprimida');
+    assert.strictEqual(rvModule.determineSeverity(rvModule.valuesFromModel({ tapse: '16' })).level, 'Deprimida');
+});
+
+test('determineSeverity: RIMP limit depends on the Doppler method', () => {
+    const tdi = rvModule.valuesFromModel({ vd_rimp: '0.50', vd_rimp_metodo: 'tdi' });
+    const pw = rvModule.valuesFromModel({ vd_rimp: '0.50', vd_rimp_metodo: 'pw' });
+    assert.deepStrictEqual(rvModule.determineSeverity(tdi).abnormal, []);
+    assert.deepStrictEqual(rvModule.determineSeverity(pw).abnormal, ['rimp']);
+});
+
+test('determineSeverity: uncoupling with preserved function and dilated diameters', () => {
+    const data = rvModule.valuesFromModel({ tapse: '20', vd_basal: '44', tsvd_distal: '29' }, 45);
+    const severity = rvModule.determineSeverity(data);
+    assert.strictEqual(severity.level, 'Conservada');
+    assert.strictEqual(severity.uncoupled, true);
+    assert.deepStrictEqual(severity.dilated, ['basal', 'rvotDistal']);
+    assert.strictEqual(
+        rvModule.generateConclusion(data),
+        'Desacoplamiento ventrículo derecho-arteria pulmonar (TAPSE/PSAP 0.44 mm/mmHg).'
+    );
+    // The basal diameter alone is reported with the RV state, only the RVOT is listed here
+    assert.strictEqual(
+        rvModule.generateFindings(data),
+        'Función del VD conservada (TAPSE: 20 mm). Diámetros del VD: TSVD distal 29 mm (aumentado). Relación TAPSE/PSAP 0.44 mm/mmHg (desacoplamiento VD-arteria pulmonar).'
+    );
+});
@@ -0,0 +1,546 @@
+/**
+ * StudyEngine - study model → derived results and report text, without a browser
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MotilityController, createEngine, createModel, assertClose } = require('./helpers');
+
+const engine = createEngine();
+
+// Reference patient: 70 kg, 170 cm, male, SIV/PP 10 mm, DDVI 50 mm
+const reference = {
+    peso: '70', altura: '170', sexo: 'M',
+    siv: '10', pp: '10', ddvi: '50', dsvi: '32', fevi: '62',
+    onda_e: '80', onda_a: '60', onda_e_prime: '11',
+    vol_ai: '28', vel_it: '2.5', pad: '3', tapse: '22'
+};
+
+test('compute: body surface, LV mass, RWT and geometry', () => {
+    const results = engine.compute(createModel(reference));
+
+    assertClose(assert, results.bsa, 1.81);
+    assertClose(assert, results.lvMass, 181.98);
+    assertClose(assert, results.lvMassIndex, 100.56);
+    assertClose(assert, results.rwt, 0.40, 0.001);
+    assert.strictEqual(results.geometry, 'Geometría Normal');
+    assert.strictEqual(results.lvDilated, false);
+});
+
+test('compute: hypertrophy and dilation follow sex-specific limits', () => {
+    const male = engine.compute(createModel({ ...reference, siv: '13', pp: '13', ddvi: '58' }));
+    assert.strictEqual(male.geometry, 'Hipertrofia Concéntrica');
+    assert.strictEqual(male.lvDilated, false);
+
+    const female = engine.compute(createModel({ ...reference, sexo: 'F', ddvi: '58', siv: '9', pp: '9' }));
+    assert.strictEqual(female.lvDilated, true);
+    assert.strictEqual(female.geometry, 'Hipertrofia Excéntrica');
+});
+
+test('compute: BSA formula selected per study (DuBois when not recorded)', () => {
+    const mosteller = engine.compute(createModel({ ...reference, bsa_metodo: 'mosteller' }));
+    assert.strictEqual(mosteller.bsaMethod, 'mosteller');
+    assertClose(assert, mosteller.bsa, 1.818);
+    assertClose(assert, mosteller.lvMassIndex, 181.976 / mosteller.bsa, 0.0001);
+
+    const legacy = engine.compute(createModel(reference));
+    assert.strictEqual(legacy.bsaMethod, 'dubois');
+    assertClose(assert, legacy.bsa, 1.8097, 0.0001);
+
+    const aorta = engine.compute(createModel({ ...reference, bsa_metodo: 'haycock', ao_raiz: '40' })).aorta;
+    assertClose(assert, aorta.rootIndexed, 40 / 1.83 / 10, 0.0001);
+});
+
+test('compute: LV mass by 2D methods and height^2.7 indexation', () => {
+    const twoD = { masa_a1: '38', masa_a2: '16', masa_a: '5.5', masa_d: '2.5' };
+
+    const areaLength = engine.compute(createModel({ ...reference, ...twoD, masa_metodo: 'area_longitud' }));
+    assert.strictEqual(areaLength.lvMassMethod, 'area_longitud');
+    assertClose(assert, areaLength.lvMass, 194.60);
+    assertClose(assert, areaLength.lvMassIndex, 194.60 / 1.8097);
+    // 107.5 g/m² is normal for the linear method but above the 2D male limit (102 g/m²)
+    assert.strictEqual(areaLength.geometry, 'Hipertrofia Excéntrica');
+
+    const obese = engine.compute(createModel({ ...reference, peso: '110', masa_indexacion: 'altura27' }));
+    assert.strictEqual(obese.lvMassMethod, 'cubo');
+    assertClose(assert, obese.lvMassIndex, 181.98 / Math.pow(1.7, 2.7));
+    assertClose(assert, obese.lvMassIndexBSA, 181.98 / obese.bsa);
+    assert.strictEqual(obese.geometry, 'Geometría Normal');
+
+    const report = engine.generateReport(createModel({ ...reference, masa_indexacion: 'altura27' }));
+    assert.match(report, /Masa VI: 182 g \(ASE cubo lineal\), indexada 43 g\/m\^2\.7\./);
+    assert.match(report, /\(masa VI por ASE cubo lineal, indexada a altura\^2\.7\)/);
+});
+
+test('compute: missing anthropometry leaves mass and geometry empty', () => {
+    const results = engine.compute(createModel({ ...reference, peso: '' }));
+
+    assert.strictEqual(results.bsa, 0);
+    assert.strictEqual(results.lvMassIndex, 0);
+    assert.strictEqual(results.geometry, '');
+});
+
+test('compute: diastolic ratios and grade', () => {
+    const normal = engine.compute(createModel(reference));
+    assertClose(assert, normal.eaRatio, 1.33);
+    assertClose(assert, normal.eeRatio, 7.27);
+    assert.strictEqual(normal.diastolicResult.grade, 'Normal');
+
+    const restrictive = engine.compute(createModel({ ...reference, onda_e: '100', onda_a: '40', onda_e_prime: '6' }));
+    assert.strictEqual(restrictive.diastolicResult.grade, 'III');
+
+    const empty = engine.compute(createModel({ ...reference, onda_e: '' }));
+    assert.strictEqual(empty.eaRatio, null);
+    assert.strictEqual(empty.diastolicResult.grade, 'Indeterminado');
+});
+
+test('compute: diastolic algorithm follows rhythm, mitral disease and guideline', () => {
+    // AF: no A wave, septal and lateral e' average to the E/e' ratio
+    const af = engine.compute(createModel({
+        ...reference, ritmo: 'fa', onda_a: '', onda_e_prime: '', onda_e: '110',
+        onda_e_prime_septal: '8', onda_e_prime_lateral: '12', diast_tde: '150'
+    }));
+    assertClose(assert, af.eeRatio, 11);
+    assert.strictEqual(af.diastolicResult.algorithm, 'Fibrilación auricular');
+    assert.strictEqual(af.diastolicResult.grade, 'PFVI elevadas');
+
+    // Significant mitral regurgitation selects its own algorithm when no population is chosen
+    const mr = engine.compute(createModel({ ...reference, im_grado: 'severa', diast_trivi: '50' }));
+    assert.strictEqual(mr.diastolicResult.algorithm, 'Insuficiencia mitral significativa');
+    assert.match(mr.diastolicResult.branch, /valvulopatía mitral/);
+    const chosen = engine.compute(createModel({ ...reference, im_grado: 'severa', diast_poblacion: 'mch' }));
+    assert.strictEqual(chosen.diastolicResult.algorithm, 'Miocardiopatía hipertrófica');
+
+    const ase2025 = engine.compute(createModel({ ...reference, diast_guia: '2025' }));
+    assert.strictEqual(ase2025.diastolicResult.algorithm, 'ASE 2025');
+});
+
+test('generateReport: diastolic conclusion by grade', () => {
+    // E/A 1.2, E/e' 16, LAVI 40 → grade II (previously matched as grade I)
+    const grade2 = engine.generateReport(createModel({ ...reference, onda_e: '96', onda_a: '80', onda_e_prime: '6', vol_ai: '40', fevi: '40' }));
+    assert.match(grade2, /\d\. Disfunción Diastólica Grado II\. PFDVI elevadas\./);
+
+    const af = engine.generateReport(createModel({ ...reference, ritmo: 'fa', onda_a: '', onda_e: '110', onda_e_prime: '', onda_e_prime_septal: '8', vel_it: '3' }));
+    assert.match(af, /Evaluación Doppler Mitral y Tisular: Onda E 110 cm\/s, e' septal 8 cm\/s \(Relación E\/e' septal 13\.8\)\./);
+    assert.match(af, /\d\. Fibrilación Auricular: presiones de llenado VI elevadas\./);
+});
+
+test('compute/generateReport: LA volume method is recorded', () => {
+    // 0.85 × 20 × 18 / 5.0 cm = 61.2 ml; 61.2 / 1.81 = 33.8 ml/m²
+    const biplane = { ...reference, ai_calc_mode: 'biplano_al', ai_al_area_4c: '20', ai_al_area_2c: '18', ai_al_longitud: '50', vol_ai: '33.8' };
+    const results = engine.compute(createModel(biplane));
+    assert.strictEqual(results.laVolume.method, 'biplano_al');
+    assert.strictEqual(results.laVolume.classification, 'Normal');
+    assert.match(engine.generateReport(createModel(biplane), results),
+        /Volumen: 61\.2 ml \(área-longitud biplano\), indexado 33\.8 ml\/m² \(Referencia: ≤34 ml\/m²\)\./);
+
+    // Typed over the calculated index: the method no longer reproduces it
+    const typed = engine.compute(createModel({ ...biplane, vol_ai: '45' }));
+    assert.strictEqual(typed.laVolume.method, 'manual');
+    assert.strictEqual(typed.laVolume.classification, 'Dilatación Moderada');
+    assert.match(engine.generateReport(createModel({ ...biplane, vol_ai: '45' }), typed),
+        /Volumen indexado: 45 ml\/m² \(valor ingresado; Referencia: ≤34 ml\/m²\)\.\n[\s\S]*\d\. Aurícula izquierda moderadamente dilatada\./);
+
+    assert.strictEqual(engine.compute(createModel({ ...reference, vol_ai: '' })).laVolume, null);
+});
+
+test('compute/generateReport: LA function module', () => {
+    const model = createModel({ ...reference, ai_strain_reservorio: '15', ai_vol_max: '70', ai_vol_min: '45' });
+    const results = engine.compute(model);
+    assertClose(assert, results.laFunction.data.stiffness, 0.48);
+    assert.strictEqual(results.laFunction.severity.elevatedPressure, true);
+
+    const report = engine.generateReport(model, results);
+    assert.match(report, /Volumen indexado: 28 ml\/m² \(Simpson automático; Referencia: ≤34 ml\/m²\)\.\nFunción auricular izquierda reducida \(strain de reservorio 15%, fracción de vaciado total 36%, índice de rigidez AI 0\.48\)\.\n/);
+    assert.match(report, /\d\. Disfunción auricular izquierda \(strain de reservorio 15%, fracción de vaciado total 36%, índice de rigidez AI 0\.48\), sugestiva de presiones de llenado VI elevadas\.\n/);
+
+    assert.doesNotMatch(engine.generateReport(createModel(reference)), /auricular izquierda/);
+});
+
+test('generateReport: optional diastolic criteria line', () => {
+    const fields = { ...reference, onda_e: '96', onda_a: '80', onda_e_prime: '6', vol_ai: '40', vel_it: '', fevi: '40' };
+    assert.doesNotMatch(engine.generateReport(createModel(fields)), /Criterios diastólicos/);
+
+    const report = engine.generateReport(createModel({ ...fields, diast_informe_criterios: true }));
+    assert.match(report, /Criterios diastólicos \(ASE\/EACVI 2016, Miocardiopatía \/ FEVI reducida\): alterados: E\/e' promedio 16 \(> 14\), Vol\. indexado AI 40 ml\/m² \(> 34 ml\/m²\); normales: Relación E\/A 1\.2 \(≤ 0\.8 con E ≤ 50 cm\/s\); sin dato: Velocidad IT, Relación S\/D venas pulmonares\.\n/);
+});
+
+test('compute: PSAP uses the entered RAP (default 5 mmHg)', () => {
+    const results = engine.compute(createModel({ ...reference, vel_it: '3', pad: '8' }));
+    assert.strictEqual(results.psap, 44);
+    assert.strictEqual(results.psapClass, 'Levemente elevada');
+
+    assert.strictEqual(engine.compute(createModel({ ...reference, vel_it: '3', pad: '' })).psap, 41);
+    assert.strictEqual(engine.compute(createModel({ ...reference, vel_it: '' })).psapClass, 'No estimable');
+});
+
+test('compute: RAP from the IVC, and whether PAD follows the estimate', () => {
+    const ivc = { ...reference, vel_it: '3', vci_diametro: '24', vci_colapso: '30' };
+
+    // PAD filled in with the estimate (as the UI does) or left empty
+    assert.strictEqual(engine.compute(createModel({ ...ivc, pad: '15' })).rap.method, 'vci');
+    const empty = engine.compute(createModel({ ...ivc, pad: '' }));
+    assert.strictEqual(empty.rap.value, 15);
+    assert.strictEqual(empty.psap, 51);
+
+    // PAD typed over the estimate wins and is reported as entered
+    const manual = engine.compute(createModel({ ...ivc, pad: '10' }));
+    assert.strictEqual(manual.rap.method, 'manual');
+    assert.strictEqual(manual.psap, 46);
+
+    assert.strictEqual(engine.compute(createModel({ ...reference, pad: '' })).rap.method, 'default');
+});
+
+test('generateReport: untouched PAD without IVC data is reported as assumed, never as entered', () => {
+    const untouched = { ...reference, it_grado: 'leve', vel_it: '2.8' };
+    delete untouched.pad;
+
+    const results = engine.compute(createModel(untouched));
+    assert.deepStrictEqual(results.rap, { value: 5, method: 'default', estimate: null });
+
+    const report = engine.generateReport(createModel(untouched), results);
+    assert.match(report, /PSAP estimada: 36 mmHg \(PAD asumida 5 mmHg\)/);
+    assert.doesNotMatch(report, /ingresada/);
+});
+
+test('compute: aortic diameters indexed to BSA', () => {
+    const results = engine.compute(createModel({ ...reference, ao_raiz: '42', ao_asc: '36' }));
+
+    assertClose(assert, results.aorta.rootIndexed, 42 / 1.81 / 10, 0.0001);
+    assert.strictEqual(results.aorta.rootDilated, true);
+    assert.strictEqual(results.aorta.ascDilated, false);
+});
+
+test('compute: aortic regurgitation severity from model fields', () => {
+    const severe = engine.compute(createModel({ ...reference, iao_vc: '0.7', iao_pht: '180' }));
+    assert.strictEqual(severe.aorticRegurgitation.severity.level, 'Severa');
+    assert.strictEqual(severe.aorticRegurgitation.conclusion, 'Insuficiencia Aórtica Severa.');
+
+    const mild = engine.compute(createModel({ ...reference, iao_vc: '0.2', iao_pht: '600' }));
+    assert.strictEqual(mild.aorticRegurgitation.severity.level, 'Leve');
+
+    const none = engine.compute(createModel(reference));
+    assert.strictEqual(none.aorticRegurgitation.severity.level, 'No evaluada');
+    assert.strictEqual(none.aorticRegurgitation.findings, '');
+});
+
+test('compute: WMSI from segment states', () => {
+    const state = { 1: 3, 7: 2, 13: 2 };
+    const results = engine.compute(createModel(reference, { state: state, pattern: 'none' }));
+
+    assertClose(assert, results.wmsi, (17 + 2 + 1 + 1) / 17);
+    assert.strictEqual(engine.compute(createModel(reference)).wmsi, null);
+});
+
+test('MotilityController.fromState ignores invalid segment values', () => {
+    const motility = MotilityController.fromState({ 1: 3, 2: 9, 99: 2 });
+
+    assert.strictEqual(motility.state[1], 3);
+    assert.strictEqual(motility.state[2], 1);
+    assert.strictEqual(motility.state[99], undefined);
+    assert.strictEqual(motility.pattern, 'none');
+});
+
+test('mini-calculators read the same field snapshot', () => {
+    const fields = { cont_diam_tsvi: '20', cont_vti_tsvi: '20', cont_vti_ao: '80', pisa_radio: '8', pisa_valiasing: '40', pisa_vmax: '5', pisa_vti: '150' };
+
+    const continuity = engine.continuityFromModel(fields, 1.81);
+    assert.strictEqual(continuity.coef, '0.25');
+    assert.strictEqual(continuity.ava, '0.79');
+
+    assert.strictEqual(engine.pisaFromModel(fields).ore, '0.32');
+    assert.strictEqual(engine.pisaFromModel({}), null);
+    assert.strictEqual(engine.lanusFromModel({ lanus_area_4c: '20', lanus_longitud: '50' }, 1.81).volumeIndexed, '37.6');
+    assert.strictEqual(engine.laVolumeFromModel({ ai_calc_mode: 'biplano_al', ai_al_area_4c: '20', ai_al_area_2c: '18', ai_al_longitud: '50' }, 1.8).volumeIndexed, '34.0');
+    assert.strictEqual(engine.laVolumeFromModel({ ai_calc_mode: 'discos', ai_vol_discos: '72' }, 1.8).volumeIndexed, '40.0');
+    assert.strictEqual(engine.laVolumeFromModel({ ai_calc_mode: 'auto', ai_vol_discos: '72' }, 1.8), null);
+
+    const volumes = engine.lvVolumesFromModel({ ddvi: '50', dsvi: '32', sexo: 'M' }, 1.81);
+    assert.strictEqual(volumes.teichholz.ef, '65');
+    assert.strictEqual(volumes.biplane, null);
+    assert.strictEqual(engine.lvVolumesFromModel({ ddvi: '50' }, 1.81), null);
+
+    // Method of discs from the typed diameters, area-length when only areas are filled in
+    const areas = { vol_a4c_dia: '35', vol_a2c_dia: '33', vol_long_dia: '8', vol_a4c_sis: '20', vol_a2c_sis: '19', vol_long_sis: '7', sexo: 'M' };
+    const discs = {
+        ...areas,
+        vol_discos_4c_dia: Array(20).fill('50').join(' '), vol_discos_2c_dia: Array(20).fill('50').join(', '),
+        vol_discos_4c_sis: Array(20).fill('35').join(' '), vol_discos_2c_sis: Array(20).fill('35').join(';')
+    };
+    const simpson = engine.lvVolumesFromModel(discs, 1.8).biplane;
+    assert.strictEqual(simpson.method, 'Simpson biplano (discos)');
+    assert.strictEqual(simpson.edv, '157');
+    const areaLength = engine.lvVolumesFromModel({ ...discs, vol_discos_2c_sis: '35 35' }, 1.8).biplane;
+    assert.strictEqual(areaLength.method, 'Área-longitud biplano');
+    assert.strictEqual(areaLength.edv, '123');
+});
+
+test('generateReport: normal study', () => {
+    const report = engine.generateReport(createModel(reference));
+
+    assert.match(report, /^ECOCARDIOGRAMA DOPPLER CARDÍACO\n/);
+    assert.match(report, /Datos Físicos: Peso 70 kg \| Altura 170 cm \| SC 1\.81 m² \(DuBois\)\./);
+    assert.match(engine.generateReport(createModel({ ...reference, bsa_metodo: 'mosteller' })), /SC 1\.82 m² \(Mosteller\)\./);
+    assert.match(report, /Masa VI: 182 g \(ASE cubo lineal\), indexada 101 g\/m²\. RWT: 0\.40\./);
+    assert.match(report, /\(Relación E\/A 1\.33\), e' promedio 11 cm\/s \(Relación E\/e' 7\.3\)/);
+    assert.match(report, /1\. Ritmo Sinusal\.\n/);
+    assert.match(report, /2\. Ventrículo izquierdo de diámetros y espesores conservados, con geometría ventricular normal \(masa VI por ASE cubo lineal, indexada a SC\)\.Función sistólica del VI conservada\./);
+    assert.match(report, /3\. Función Diastólica Normal\. PFDVI Normales\./);
+    assert.match(report, /Función del VD conservada \(TAPSE: 22 mm\)\. Relación TAPSE\/PSAP 0\.79 mm\/mmHg\. Dimensiones derechas conservadas\./);
+});
+
+test('generateReport: pathological study', () => {
+    const model = createModel({
+        ...reference,
+        ritmo: 'fa', conduccion: 'bcri', fevi: '35',
+        it_grado: 'moderada', vel_it: '3.2', pad: '8',
+        ia_grado: 'moderada', iao_vc: '0.5', iao_pht: '300',
+        ao_raiz: '44', tapse: '14', htp_septum: true
+    }, { state: { 1: 3, 7: 2, 13: 2 }, pattern: 'none' });
+
+    const report = engine.generateReport(model);
+
+    assert.match(report, /1\. Fibrilación Auricular \(FA\) con BCRI \(Bloqueo Rama Izq\)\./);
+    assert.match(report, /aquinesia de pared anterior \(basal\)/);
+    assert.match(report, /y trastornos de la motilidad Segmentaria en Territorio DA\.Función sistólica del VI severamente deprimida \(35%\)\./);
+    assert.match(report, /Insuficiencia aórtica con jet que alcanza tracto de salida del VI/);
+    assert.match(report, /Insuficiencia Aórtica Moderada\./);
+    assert.match(report, /Raíz aórtica: 44 mm \(2\.43 cm\/m²\)\./);
+    assert.match(report, /Dilatación leve de raíz aórtica\./);
+    assert.match(report, /Signos indirectos de HTP: ventrículos \(aplanamiento septal en D, TAPSE\/PSAP 0\.29 mm\/mmHg\)\./);
+    assert.match(report, /Insuficiencia tricuspídea moderada \(Vmax IT 3\.2 m\/s\) con PSAP estimada: 49 mmHg \(PAD 8 mmHg ingresada\)\./);
+    assert.match(report, /Probabilidad ecocardiográfica de Hipertensión pulmonar intermedia \(ESC\/ERS 2022: Vmax IT 3\.2 m\/s, PSAP 49 mmHg, signos indirectos en 1\/3 categorías\)\./);
+    assert.match(report, /Función del VD deprimida \(TAPSE: 14 mm\)\. Relación TAPSE\/PSAP 0\.29 mm\/mmHg \(desacoplamiento VD-arteria pulmonar\)\. Dimensiones derechas conservadas\.\n/);
+    assert.match(report, /\d\. Disfunción sistólica del ventrículo derecho \(TAPSE 14 mm\)\. Desacoplamiento ventrículo derecho-arteria pulmonar \(TAPSE\/PSAP 0\.29 mm\/mmHg\)\.\n/);
+});
+
+test('generateReport: transaortic flow in the aortic stenosis section', () => {
+    const model = createModel({
+        ...reference,
+        ea_grado: 'severa', ea_vmax: '3.6', ea_grad_medio: '32', ea_ava: '0.8',
+        cont_diam_tsvi: '20', cont_vti_tsvi: '18', cont_vti_ao: '80', cont_fc: '70'
+    });
+    const results = engine.compute(model);
+    assert.strictEqual(results.flow.svi, '31');
+    assert.strictEqual(results.flow.lowFlow, true);
+
+    const report = engine.generateReport(model, results);
+    assert.match(report, /Flujo transaórtico \(TSVI\): VS 57 ml, VSi 31 ml\/m², GC 4\.0 l\/min, IC 2\.2 l\/min\/m²\. Estado de bajo flujo \(VSi < 35 ml\/m²\)\./);
+
+    assert.doesNotMatch(engine.generateReport(createModel({ ...reference, cont_diam_tsvi: '20', cont_vti_tsvi: '18' })), /Flujo transaórtico/);
+});
+
+test('generateReport: discordant aortic stenosis findings and conclusion', () => {
+    const model = createModel({
+        ...reference, fevi: '60',
+        ea_grado: 'severa', ea_vmax: '3.6', ea_grad_medio: '32', ea_ava: '0.8',
+        cont_diam_tsvi: '20', cont_vti_tsvi: '18', cont_fc: '70'
+    });
+    const results = engine.compute(model);
+    assert.strictEqual(results.aorticStenosis.severity.pattern, 'bajo_flujo_paradojal');
+
+    const report = engine.generateReport(model, results);
+    assert.match(report, /Estado de bajo flujo \(VSi < 35 ml\/m²\)\.\nDiscordancia entre AVA 0\.8 cm² y gradiente medio 32 mmHg con VSi 31 ml\/m² y FEy 60%/);
+    assert.match(report, /\d\. Estenosis Aórtica Severa de bajo flujo-bajo gradiente paradojal con fracción de eyección conservada\.\n/);
+
+    // Grading only applies when stenosis is selected
+    const unselected = engine.compute(createModel({ ...reference, ea_vmax: '4.5' }));
+    assert.strictEqual(unselected.aorticStenosis.severity.level, 'No evaluada');
+    assert.strictEqual(unselected.aorticStenosis.conclusion, '');
+});
+
+test('generateReport: graded mitral regurgitation replaces the manual grade', () => {
+    const model = createModel({
+        ...reference, morf_mitral: 'Prolapso de valva posterior (PVP)',
+        im_grado: 'moderada', im_etiologia: 'primaria', im_vc: '7.5', im_ore: '0.45', im_vr: '70'
+    });
+    const results = engine.compute(model);
+    assert.strictEqual(results.mitralRegurgitation.severity.level, 'Severa');
+
+    const report = engine.generateReport(model, results);
+    assert.match(report, /Insuficiencia mitral primaria\. Parámetros cuantitativos: vena contracta 7\.5 mm, ORE 0\.45 cm², vol\. regurgitante 70 ml\.\n/);
+    assert.match(report, /\d\. Prolapso de valva posterior \(PVP\) con insuficiencia mitral severa primaria\.\n/);
+
+    // Without quantification the selected grade is kept
+    const manual = engine.generateReport(createModel({ ...reference, im_grado: 'leve' }));
+    assert.match(manual, /\d\. Insuficiencia mitral leve\.\n/);
+    assert.strictEqual(engine.compute(createModel({ ...reference, im_vc: '8' })).mitralRegurgitation.conclusion, '');
+});
+
+test('generateReport: mitral stenosis valve areas and Wilkins score', () => {
+    const model = createModel({
+        ...reference, em_grado: 'severa', em_grad_medio: '11', em_area_pht: '1.1',
+        em_pht: '240', em_area_planimetria: '0.9', em_fc: '78',
+        cont_diam_tsvi: '20', cont_vti_tsvi: '20', em_vti_mitral: '70',
+        em_wilkins_movilidad: '2', em_wilkins_engrosamiento: '2', em_wilkins_calcificacion: '1', em_wilkins_subvalvular: '2'
+    });
+    const results = engine.compute(model);
+    assert.strictEqual(results.mitralStenosis.pht.mva, '0.92');
+    assert.strictEqual(results.mitralStenosis.wilkins.score, 7);
+
+    const report = engine.generateReport(model, results);
+    assert.match(report, /Parámetros de estenosis: Gradiente medio 11 mmHg, AVM por PHT 0\.92 cm² \(PHT 240 ms\), AVM por continuidad 0\.90 cm², AVM por planimetría 0\.9 cm², FC 78 lpm\.\n/);
+    assert.match(report, /Score de Wilkins 7\/16 \(movilidad 2, engrosamiento 2, calcificación 1, aparato subvalvular 2\): anatomía favorable para comisurotomía mitral percutánea\.\n/);
+
+    // Stored manual area is kept when PHT is not entered
+    const manual = engine.generateReport(createModel({ ...reference, em_grado: 'moderada', em_area_pht: '1.3' }));
+    assert.match(manual, /Parámetros de estenosis: Área 1\.3 cm²\.\n/);
+    assert.strictEqual(engine.compute(createModel({ ...reference, em_pht: '240' })).mitralStenosis, null);
+});
+
+test('generateReport: tricuspid regurgitation on the expanded scale', () => {
+    const model = createModel({
+        ...reference, vel_it: '2.8', it_grado: 'severa', it_vc: '15', it_anillo: '44',
+        it_pisa_radio: '9', it_pisa_valiasing: '28', it_vti: '80', it_flujo_hepatico: true
+    });
+    const results = engine.compute(model);
+    // EROA 2π·0.9²·28 / 280 = 0.51 cm², RVol 41 ml
+    assertClose(assert, results.tricuspidRegurgitation.data.eroa, 0.51, 0.01);
+    assert.strictEqual(results.tricuspidRegurgitation.severity.level, 'Masiva');
+
+    const report = engine.generateReport(model, results);
+    assert.match(report, /Insuficiencia tricuspídea masiva \(Vmax IT 2\.8 m\/s\) con PSAP estimada: \d+ mmHg \(PAD 3 mmHg ingresada\)\.\n/);
+    assert.match(report, /Parámetros de insuficiencia tricuspídea: vena contracta 15 mm, ORE \(PISA\) 0\.51 cm², vol\. regurgitante 41 ml, anillo tricuspídeo 44 mm \(dilatado\)\. Flujo sistólico reverso en venas suprahepáticas\.\n/);
+    assert.match(report, /\d\. Insuficiencia Tricuspídea Masiva \(anillo tricuspídeo 44 mm\): considerar evaluación por Heart Team para tratamiento transcatéter\.\n/);
+
+    // Mild TR is not quantified
+    const mild = engine.compute(createModel({ ...reference, it_grado: 'leve', it_vc: '15' }));
+    assert.strictEqual(mild.tricuspidRegurgitation.severity.level, 'No evaluada');
+    assert.strictEqual(mild.tricuspidRegurgitation.conclusion, '');
+});
+
+test('generateReport: pulmonary valve stenosis and regurgitation', () => {
+    const model = createModel({
+        ...reference, ep_grado: 'moderada', ep_vmax: '4.3', ep_grad_pico: '74',
+        ip_grado: 'leve', ip_ancho_jet: '6', ip_tsvd: '25', ip_pht: '300'
+    });
+    const results = engine.compute(model);
+    assert.strictEqual(results.pulmonaryValve.severity.stenosis.level, 'Severa');
+    assert.strictEqual(results.pulmonaryValve.severity.regurgitation.level, 'Leve');
+
+    const report = engine.generateReport(model, results);
+    assert.match(report, /Estenosis pulmonar severa\.\nInsuficiencia pulmonar leve\.\nParámetros de estenosis pulmonar: Vmax 4\.3 m\/s, gradiente pico 74 mmHg\. Parámetros de insuficiencia pulmonar: relación ancho del jet\/TSVD 0\.24 \(jet 6 mm, TSVD 25 mm\), PHT 300 ms\.\n/);
+    assert.match(report, /\d\. Estenosis Pulmonar Severa e Insuficiencia Pulmonar Leve\.\n/);
+    assert.doesNotMatch(report, /Morfología y apertura conservada/);
+
+    // Normal opening only without pulmonary stenosis (regurgitation alone keeps it)
+    assert.match(engine.generateReport(createModel({ ...reference, ip_grado: 'leve' })), /6\. VÁLVULAS TRICÚSPIDE Y PULMONAR\nMorfología y apertura conservada\.\nInsuficiencia pulmonar leve\./);
+    assert.doesNotMatch(engine.generateReport(createModel({ ...reference, ep_grado: 'leve' })), /Morfología y apertura conservada/);
+
+    // Measurements of an unselected lesion are ignored; without selection there is no pulmonary line
+    const unselected = engine.compute(createModel({ ...reference, ep_vmax: '4.3' }));
+    assert.strictEqual(unselected.pulmonaryValve.severity.stenosis.level, 'No evaluada');
+    assert.doesNotMatch(engine.generateReport(createModel(reference)), /pulmonar (leve|moderada|severa)/i);
+});
+
+test('generateReport: pericardial effusion in section 7 and the conclusion', () => {
+    const model = createModel({
+        ...reference, peri_derrame: 'si', peri_sep_posterior: '22', peri_distribucion: 'circunferencial',
+        peri_contenido: 'anecoico', peri_colapso_vd: true, peri_vci_pletorica: true
+    });
+    const results = engine.compute(model);
+    assert.strictEqual(results.pericardium.severity.level, 'Severo');
+    assert.strictEqual(results.pericardium.severity.tamponade, true);
+
+    const report = engine.generateReport(model, results);
+    assert.match(report, /7\. PERICARDIO\nDerrame pericárdico circunferencial severo \(separación diastólica máxima 22 mm: posterior 22 mm\), de aspecto anecoico\. Signos ecocardiográficos de compromiso hemodinámico: colapso diastólico del VD, VCI pletórica\.\n/);
+    assert.match(report, /\d\. Derrame pericárdico severo circunferencial con signos ecocardiográficos de taponamiento cardíaco \(correlacionar con la clínica\)\.\n/);
+
+    // Without effusion the pericardium is described as free
+    assert.match(engine.generateReport(createModel(reference)), /7\. PERICARDIO\nLibre, sin derrames\.\n/);
+});
+
+test('generateReport: constriction vs restriction only when the assessment is selected', () => {
+    const fields = { ...reference, cp_desplazamiento_septal: true, cp_e_medial: '11', cp_e_lateral: '8', cp_vh_reverso: '0.6' };
+    assert.strictEqual(engine.compute(createModel(fields)).constriction, null);
+
+    const model = createModel({ ...fields, cp_evaluar: 'si' });
+    const results = engine.compute(model);
+    assert.strictEqual(results.constriction.severity.level, 'Constricción probable');
+
+    const report = engine.generateReport(model, results);
+    assert.match(report, /7\. PERICARDIO\nLibre, sin derrames\.\nEvaluación de constricción\/restricción: desplazamiento septal respirofásico, e' medial 11 cm\/s, e' lateral 8 cm\/s \(annulus reversus\)/);
+    assert.match(report, /\d\. Alta probabilidad de pericarditis constrictiva \(criterios de Mayo 2\/3: desplazamiento septal respirofásico, e' medial ≥ 9 cm\/s; sensibilidad 87%, especificidad 91%\)\. Signos de apoyo: annulus reversus\.\n/);
+});
+
+test('generateReport: IVC line and RAP source in the PSAP sentence', () => {
+    const model = createModel({
+        ...reference, it_grado: 'moderada', vel_it: '3', pad: '15',
+        vci_diametro: '19', vci_colapso: '40', vci_flujo_hepatico_diastolico: true
+    });
+    const report = engine.generateReport(model);
+    assert.match(report, /VCI 19 mm con colapso inspiratorio 40%: PAD estimada 15 mmHg \(rango 10-20 mmHg\), ajustada por predominio diastólico en venas suprahepáticas\.\n/);
+    assert.match(report, /con PSAP estimada: 51 mmHg \(PAD 15 mmHg estimada por VCI\)\./);
+
+    assert.match(engine.generateReport(createModel({ ...reference, it_grado: 'moderada', vel_it: '3', pad: '' })), /con PSAP estimada: 41 mmHg \(PAD asumida 5 mmHg\)\./);
+});
+
+test('compute: PH probability from TR velocity and signs in two categories', () => {
+    // Signs in a single category do not change the TR velocity band
+    const single = engine.compute(createModel({ ...reference, vel_it: '3', htp_septum: true, htp_vd_vi: true }));
+    assert.strictEqual(single.phProbability.categories, 1);
+    assert.strictEqual(single.phProbability.level, 'Intermedia');
+
+    const fields = {
+        ...reference, vel_it: '3', pad: '8', htp_septum: true, htp_ta_tsvd: '90',
+        htp_vel_ip: '2.5', htp_vti_tsvd: '12', vci_diametro: '24', vci_colapso: '30'
+    };
+    const results = engine.compute(createModel(fields));
+    const ph = results.phProbability;
+    assert.strictEqual(ph.level, 'Alta');
+    assert.strictEqual(ph.categories, 3);
+    assert.deepStrictEqual(ph.signs.pulmonaryArtery, ['tiempo de aceleración pulmonar 90 ms', 'velocidad protodiastólica de IP 2.5 m/s']);
+    assert.deepStrictEqual(ph.signs.ivcRa, ['VCI dilatada con colapso inspiratorio disminuido']);
+    // PR: 4 × 2.5² + 8 = 33; AT: 79 - 0.45 × 90 = 38.5
+    assert.deepStrictEqual(ph.mpap, { fromPR: 33, fromAT: 39 });
+    assertClose(assert, ph.pvr, 2.66);
+
+    const report = engine.generateReport(createModel(fields), results);
+    assert.match(report, /PAPm estimada 33 mmHg \(velocidad protodiastólica de IP\)\. PAPm estimada 39 mmHg \(tiempo de aceleración pulmonar\)\. RVP estimada 2\.7 UW \(Vmax IT\/VTI TSVD 0\.25\)\.\n/);
+    assert.match(report, /\d\. Probabilidad ecocardiográfica de Hipertensión pulmonar alta \(ESC\/ERS 2022: Vmax IT 3 m\/s, PSAP 44 mmHg, signos indirectos en 3\/3 categorías\)\. RVP estimada 2\.7 UW \(> 2 UW\)\.\n/);
+});
+
+test('generateReport: RV function panel with FAC, RIMP, strain and diameters', () => {
+    const model = createModel({
+        ...reference, s_prima_vd: '12', vd_area_diast: '24', vd_area_sist: '17', vd_rimp: '0.60', vd_rimp_metodo: 'tdi',
+        vd_strain: '-18', vd_medio: '38', vd_longitudinal: '80', tsvd_proximal: '30'
+    });
+    const results = engine.compute(model);
+    assert.strictEqual(results.rvFunction.severity.level, 'Deprimida');
+    assert.deepStrictEqual(results.rvFunction.severity.abnormal, ['fac', 'rimp', 'strain']);
+    assert.deepStrictEqual(results.rvFunction.severity.dilated, ['mid']);
+
+    const report = engine.generateReport(model, results);
+    assert.match(report, /Función del VD deprimida \(TAPSE: 22 mm, S' 12 cm\/s, FAC 29%, RIMP 0\.60 \(Doppler tisular\), strain longitudinal de pared libre -18%\)\. Diámetros del VD: medio 38 mm \(aumentado\), longitudinal 80 mm, TSVD proximal 30 mm\. Relación TAPSE\/PSAP 0\.79 mm\/mmHg\.\n/);
+    assert.match(report, /\d\. Disfunción sistólica del ventrículo derecho \(FAC 29%, RIMP 0\.60 \(Doppler tisular\), strain longitudinal de pared libre -18%\)\.\n/);
+    assert.doesNotMatch(report, /Dimensiones derechas conservadas/);
+});
+
+test('generateReport: prosthetic valve replaces the native morphology', () => {
+    const model = createModel({
+        ...reference, pao_tipo: 'biologica', pao_modelo: 'ce_perimount', pao_tamano: '23',
+        pao_vmax: '2.5', pao_grad_medio: '14', pao_vti: '45', cont_diam_tsvi: '21', cont_vti_tsvi: '20'
+    });
+    const results = engine.compute(model);
+    assert.strictEqual(results.prostheticValves.aortica.severity.level, 'Normofuncionante');
+    assert.strictEqual(results.prostheticValves.mitral, null);
+
+    const report = engine.generateReport(model, results);
+    assert.match(report, /4\. VÁLVULA Y RAÍZ AÓRTICA\nPrótesis aórtica biológica Carpentier-Edwards Perimount 23 mm\. Parámetros: Vmax 2\.5 m\/s/);
+    assert.doesNotMatch(report, /Válvula trivalva/);
+    assert.match(report, /\d\. Prótesis aórtica biológica Carpentier-Edwards Perimount 23 mm normofuncionante\.\n/);
+    assert.match(report, /3\. VÁLVULA MITRAL\nValvas finas y móviles/);
+});
+
+test('generateReport: serial comparison with a previous study', () => {
+    const previous = createModel({ ...reference, fecha_estudio: '2025-01-15', fevi: '62', ao_raiz: '38' });
+    previous.results = engine.compute(previous);
+
+    const current = createModel({ ...reference, fecha_estudio: '2026-01-15', fevi: '48', ao_raiz: '42' });
+    const report = engine.generateReport(current, engine.compute(current), { previousStudy: previous });
+
+    assert.match(report, /8\. COMPARACIÓN CON ESTUDIO PREVIO\n/);
+    assert.match(report, /Raíz aórtica 38 → 42 mm/);
+    assert.match(report, /Cambios significativos respecto al estudio previo: caída de FEy de 14 puntos/);
+});
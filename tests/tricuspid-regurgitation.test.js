@@ -0,0 +1,61 @@
+/**
+ * TricuspidRegurgitationModule.determineSeverity - five-grade scale (Hahn & Zamorano 2017)
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { TricuspidRegurgitationModule } = require('./helpers');
+
+const trModule = new TricuspidRegurgitationModule();
+
+const values = (data) => ({
+    vc: 0, eroa: 0, rvol: 0, jetArea: 0, annulus: 0, hepaticReversal: false, ...data
+});
+
+test('determineSeverity: no data', () => {
+    // Annulus size alone does not grade regurgitation
+    assert.strictEqual(trModule.determineSeverity(values({ annulus: 45 })).level, 'No evaluada');
+    assert.strictEqual(trModule.generateFindings(values()), '');
+    assert.strictEqual(trModule.generateConclusion(values()), '');
+});
+
+test('determineSeverity: vena contracta grades the full scale', () => {
+    assert.strictEqual(trModule.determineSeverity(values({ vc: 2.5 })).level, 'Leve');
+    assert.strictEqual(trModule.determineSeverity(values({ vc: 5 })).level, 'Moderada');
+    assert.strictEqual(trModule.determineSeverity(values({ vc: 9 })).level, 'Severa');
+    assert.strictEqual(trModule.determineSeverity(values({ vc: 16 })).level, 'Masiva');
+    const torrential = trModule.determineSeverity(values({ vc: 24 }));
+    assert.strictEqual(torrential.level, 'Torrencial');
+    assert.strictEqual(torrential.grade, 4);
+    assert.strictEqual(torrential.class, 'badge-severe');
+});
+
+test('determineSeverity: the highest of VC and PISA EROA wins', () => {
+    assert.strictEqual(trModule.determineSeverity(values({ vc: 9, eroa: 0.85 })).level, 'Torrencial');
+    assert.strictEqual(trModule.determineSeverity(values({ eroa: 0.65 })).level, 'Masiva');
+    // Regurgitant volume only separates moderate from severe
+    assert.strictEqual(trModule.determineSeverity(values({ rvol: 50 })).level, 'Severa');
+    assert.strictEqual(trModule.determineSeverity(values({ rvol: 35 })).level, 'Moderada');
+});
+
+test('determineSeverity: supportive signs upgrade moderate TR', () => {
+    assert.strictEqual(trModule.determineSeverity(values({ vc: 5, hepaticReversal: true })).level, 'Severa');
+    // Mild quantitative data is only upgraded to moderate
+    assert.strictEqual(trModule.determineSeverity(values({ vc: 2.5, hepaticReversal: true })).level, 'Moderada');
+    // Without quantitative data a large jet or hepatic reversal means severe
+    assert.strictEqual(trModule.determineSeverity(values({ jetArea: 12 })).level, 'Severa');
+    assert.strictEqual(trModule.determineSeverity(values({ jetArea: 7 })).level, 'Moderada');
+});
+
+test('generateConclusion: transcatheter screening statement only from severe TR', () => {
+    assert.strictEqual(trModule.generateConclusion(values({ vc: 5, annulus: 42 })), '');
+    assert.strictEqual(
+        trModule.generateConclusion(values({ vc: 16, annulus: 45 })),
+        'Insuficiencia Tricuspídea Masiva (anillo tricuspídeo 45 mm): considerar evaluación por Heart Team para tratamiento transcatéter.'
+    );
+    assert.strictEqual(
+        trModule.generateFindings(values({ vc: 16, annulus: 45, hepaticReversal: true })),
+        'Parámetros de insuficiencia tricuspídea: vena contracta 16 mm, anillo tricuspídeo 45 mm (dilatado). Flujo sistólico reverso en venas suprahepáticas.'
+    );
+});
@@ -0,0 +1,174 @@
+/**
+ * Study history - loading stored studies into the form (minimal DOM stand-in, no browser)
+ * Run: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Run as classic scripts, like the browser: the UI extensions share UIController and its script-level constants
+global.window = {};
+['ui-controller.js', 'ui-history.js'].forEach(file => {
+    const filePath = path.join(__dirname, '..', 'js', file);
+    vm.runInThisContext(fs.readFileSync(filePath, 'utf8'), { filename: filePath });
+});
+
+/**
+ * Form field with its HTML default, the subset of the DOM API the history code uses
+ * Selects have no defaultValue: the option marked selected (value given here) or the first one is the default
+ */
+function field(id, { tagName = 'INPUT', type = 'text', value = '', checked = false, options = null } = {}) {
+    if (tagName === 'SELECT') {
+        return {
+            id,
+            tagName,
+            type: 'select-one',
+            value: value || options[0],
+            options: options.map(option => ({ value: option, defaultSelected: option === value })),
+            classList: { contains: () => false }
+        };
+    }
+
+    return {
+        id,
+        tagName,
+        type,
+        value,
+        defaultValue: value,
+        checked,
+        defaultChecked: checked,
+        classList: { contains: () => false }
+    };
+}
+
+function createForm() {
+    const elements = [
+        field('paciente_id'),
+        field('fecha_estudio', { type: 'date' }),
+        field('peso'),
+        field('fevi'),
+        field('tapse', { value: '22' }),
+        field('vci_diametro'),
+        field('ai_strain_reservorio'),
+        field('htp_septum', { type: 'checkbox' }),
+        field('diast_informe_criterios', { type: 'checkbox', checked: true }),
+        field('vci_colapso', { type: 'number' }),
+        field('motilidad_global', { tagName: 'SELECT', value: 'conservada', options: ['conservada', 'alterada'] }),
+        // No selected attribute in the markup: the first option is the default
+        field('ritmo', { tagName: 'SELECT', options: ['sinusal', 'fa', 'flutter'] }),
+        field('resultado', { tagName: 'TEXTAREA' })
+    ];
+    const byId = Object.fromEntries(elements.map(el => [el.id, el]));
+
+    global.document = {
+        getElementById: id => byId[id] || null,
+        querySelectorAll: () => elements
+    };
+    return byId;
+}
+
+function createController() {
+    const ui = Object.create(UIController.prototype);
+    ui.motility = null;
+    ui.toggleMotilityBox = () => {};
+    ui.calculateAll = () => {};
+    return ui;
+}
+
+test('loadStudyRecord: fields missing from an older record go back to their defaults', () => {
+    const form = createForm();
+    const ui = createController();
+
+    // Fully filled study of another patient on screen
+    Object.assign(form.paciente_id, { value: 'HC-1' });
+    Object.assign(form.fevi, { value: '35' });
+    Object.assign(form.tapse, { value: '15' });
+    Object.assign(form.vci_diametro, { value: '25' });
+    Object.assign(form.ai_strain_reservorio, { value: '12' });
+    Object.assign(form.htp_septum, { checked: true });
+    Object.assign(form.diast_informe_criterios, { checked: false });
+    Object.assign(form.motilidad_global, { value: 'alterada' });
+    Object.assign(form.vci_colapso, { value: '30' });
+    Object.assign(form.ritmo, { value: 'fa' });
+
+    // Record saved before the IVC, LA function and RV panels existed
+    ui.loadStudyRecord({ pacienteId: 'HC-2', fecha: '2024-03-01', fields: { paciente_id: 'HC-2', fecha_estudio: '2024-03-01', peso: '70', fevi: '60' }, report: 'Informe' });
+
+    assert.strictEqual(form.paciente_id.value, 'HC-2');
+    assert.strictEqual(form.peso.value, '70');
+    assert.strictEqual(form.fevi.value, '60');
+    assert.strictEqual(form.tapse.value, '22');
+    assert.strictEqual(form.vci_diametro.value, '');
+    assert.strictEqual(form.ai_strain_reservorio.value, '');
+    assert.strictEqual(form.htp_septum.checked, false);
+    assert.strictEqual(form.diast_informe_criterios.checked, true);
+    assert.strictEqual(form.vci_colapso.value, '');
+    assert.strictEqual(form.motilidad_global.value, 'conservada');
+    assert.strictEqual(form.ritmo.value, 'sinusal');
+    assert.strictEqual(form.resultado.value, 'Informe');
+});
+
+test('loadStudyRecord: patient and date fall back to the record metadata', () => {
+    const form = createForm();
+    Object.assign(form.fecha_estudio, { value: '2026-01-15' });
+
+    createController().loadStudyRecord({ pacienteId: 'HC-3', fecha: '2023-11-20', fields: { fevi: '55' } });
+
+    assert.strictEqual(form.paciente_id.value, 'HC-3');
+    assert.strictEqual(form.fecha_estudio.value, '2023-11-20');
+});
+
+test('saveCurrentStudy / duplicateStudy: the toast after an await does not turn a save into an error', async () => {
+    createForm();
+    const alerts = [];
+    global.alert = message => alerts.push(message);
+
+    const saved = [];
+    const ui = createController();
+    ui.currentStudyId = null;
+    ui.studyStore = {
+        get: async id => saved[id - 1],
+        save: async record => saved.push(record)
+    };
+    ui.buildStudyRecord = () => ({ pacienteId: 'HC-1', fecha: '2026-01-15', fields: {} });
+    ui.openStudy = async id => { ui.currentStudyId = id; };
+    let refreshed = 0;
+    ui.refreshPatientTimeline = async () => { refreshed++; };
+    const toasts = [];
+    ui.showToast = function (message, button) {
+        toasts.push(message);
+        return UIController.prototype.showToast.call(this, message, button);
+    };
+
+    await ui.saveCurrentStudy();
+    await ui.duplicateStudy(1);
+
+    assert.deepStrictEqual(alerts, []);
+    assert.strictEqual(refreshed, 1);
+    assert.deepStrictEqual(toasts, ['✅ Estudio #1 guardado', '✅ Estudio duplicado como #2']);
+    assert.strictEqual(saved[1].fecha, ui.todayISO());
+});
+
+test('importStudyJSON: a successful import ends without an error alert', async () => {
+    const form = createForm();
+    const alerts = [];
+    global.alert = message => alerts.push(message);
+
+    // The serializer registers itself on window only
+    require(path.join(__dirname, '..', 'js', 'study-serializer.js'));
+    const serializer = new window.StudySerializer();
+    const ui = createController();
+    ui.serializer = serializer;
+    ui.currentStudyId = 4;
+    ui.refreshPatientTimeline = async () => {};
+
+    const json = serializer.serialize({ pacienteId: 'HC-9', fecha: '2025-06-01', fields: { paciente_id: 'HC-9', fevi: '48' }, motility: null, report: '' });
+    await ui.importStudyJSON({ text: async () => json });
+
+    assert.deepStrictEqual(alerts, []);
+    assert.strictEqual(form.fevi.value, '48');
+    assert.strictEqual(ui.currentStudyId, null);
+});